@@ -3,10 +3,18 @@
  */
 
 const API = {
+    // Short-lived token appended to media URLs (<video>, hls.js, <img>)
+    // which cannot send the Authorization header
+    mediaToken: null,
+    mediaTokenTimer: null,
+
+    // In-flight refresh shared by concurrent requests (refresh tokens are single-use)
+    refreshPromise: null,
+
     /**
      * Make API request
      */
-    async request(method, endpoint, data = null) {
+    async request(method, endpoint, data = null, isRetry = false) {
         const options = {
             method,
             headers: {
@@ -20,7 +28,11 @@ const API = {
             options.headers['Authorization'] = `Bearer ${token}`;
         }
 
-        if (data) {
+        if (data instanceof Blob) {
+            // Files are sent as the raw body
+            options.headers['Content-Type'] = 'application/octet-stream';
+            options.body = data;
+        } else if (data) {
             options.body = JSON.stringify(data);
         }
 
@@ -36,9 +48,12 @@ const API = {
         }
 
         if (!response.ok) {
-            // If unauthorized, redirect to login
+            // If unauthorized, renew the access token once, otherwise redirect to login
             if (response.status === 401) {
-                localStorage.removeItem('authToken');
+                if (!isRetry && await API.refreshSession()) {
+                    return API.request(method, endpoint, data, true);
+                }
+                API.clearSession();
                 window.location.href = '/login.html';
                 return;
             }
@@ -48,6 +63,82 @@ const API = {
         return result;
     },
 
+    /**
+     * Exchange the stored refresh token for a new access token
+     * @returns {Promise<boolean>} true if the session was renewed
+     */
+    refreshSession() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return Promise.resolve(false);
+
+        if (!API.refreshPromise) {
+            API.refreshPromise = fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(async (response) => {
+                    if (!response.ok) return false;
+                    const result = await response.json();
+                    localStorage.setItem('authToken', result.token);
+                    localStorage.setItem('refreshToken', result.refreshToken);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    API.refreshPromise = null;
+                });
+        }
+        return API.refreshPromise;
+    },
+
+    /**
+     * Forget stored tokens
+     */
+    clearSession() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        API.mediaToken = null;
+        clearTimeout(API.mediaTokenTimer);
+    },
+
+    /**
+     * Revoke the current session on the server and forget stored tokens
+     */
+    async logout() {
+        try {
+            await API.request('POST', '/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+        } catch (err) {
+            console.error('[API] Logout error:', err);
+        }
+        API.clearSession();
+    },
+
+    /**
+     * Fetch a fresh media token and keep it refreshed before it expires
+     */
+    async refreshMediaToken() {
+        try {
+            const result = await API.request('GET', '/auth/media-token');
+            API.mediaToken = result.token;
+
+            // Refresh at half the token lifetime so URLs built now stay valid for a while
+            clearTimeout(API.mediaTokenTimer);
+            API.mediaTokenTimer = setTimeout(() => API.refreshMediaToken(), (result.expiresIn * 1000) / 2);
+        } catch (err) {
+            console.error('[API] Failed to refresh media token:', err);
+        }
+    },
+
+    /**
+     * Append the media token to a same-origin media URL
+     */
+    mediaUrl(url) {
+        if (!API.mediaToken) return url;
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}token=${encodeURIComponent(API.mediaToken)}`;
+    },
+
     // Sources
     sources: {
         getAll: () => API.request('GET', '/sources'),
@@ -59,20 +150,38 @@ const API = {
         toggle: (id) => API.request('POST', `/sources/${id}/toggle`),
         test: (id) => API.request('POST', `/sources/${id}/test`),
         sync: (id) => API.request('POST', `/sources/${id}/sync`), // Manual sync
+        cancelSync: (id) => API.request('POST', `/sources/${id}/sync/cancel`),
+        getSchedules: (id) => API.request('GET', `/sources/${id}/schedules`),
+        updateSchedules: (id, schedules) => API.request('PUT', `/sources/${id}/schedules`, schedules),
         getStatus: () => API.request('GET', '/sources/status'), // Get all statuses
+        getAlerts: () => API.request('GET', '/sources/alerts'), // Account alerts (admin)
+        upload: (file) => API.request('POST', `/sources/upload?filename=${encodeURIComponent(file.name)}`, file) // Returns the file:// URL
     },
 
     // Channels (hidden items)
+    // scope 'user' (default) is the signed-in user's own view, 'default' the admin defaults
     channels: {
-        getHidden: (sourceId = null) => API.request('GET', `/channels/hidden${sourceId ? `?sourceId=${sourceId}` : ''}`),
-        hide: (sourceId, itemType, itemId) => API.request('POST', '/channels/hide', { sourceId, itemType, itemId }),
-        show: (sourceId, itemType, itemId) => API.request('POST', '/channels/show', { sourceId, itemType, itemId }),
+        getHidden: (sourceId = null, scope = 'user') => API.request('GET', `/channels/hidden?scope=${scope}${sourceId ? `&sourceId=${sourceId}` : ''}`),
+        hide: (sourceId, itemType, itemId, scope = 'user') => API.request('POST', '/channels/hide', { sourceId, itemType, itemId, scope }),
+        show: (sourceId, itemType, itemId, scope = 'user') => API.request('POST', '/channels/show', { sourceId, itemType, itemId, scope }),
         isHidden: (sourceId, itemType, itemId) => API.request('GET', `/channels/hidden/check?sourceId=${sourceId}&itemType=${itemType}&itemId=${itemId}`),
-        bulkHide: (items) => API.request('POST', '/channels/hide/bulk', { items }),
-        bulkShow: (items) => API.request('POST', '/channels/show/bulk', { items }),
+        bulkHide: (items, scope = 'user') => API.request('POST', '/channels/hide/bulk', { items, scope }),
+        bulkShow: (items, scope = 'user') => API.request('POST', '/channels/show/bulk', { items, scope }),
         // Fast bulk operations - single SQL statement
-        showAll: (sourceId, contentType) => API.request('POST', '/channels/show/all', { sourceId, contentType }),
-        hideAll: (sourceId, contentType) => API.request('POST', '/channels/hide/all', { sourceId, contentType })
+        showAll: (sourceId, contentType, scope = 'user') => API.request('POST', '/channels/show/all', { sourceId, contentType, scope }),
+        hideAll: (sourceId, contentType, scope = 'user') => API.request('POST', '/channels/hide/all', { sourceId, contentType, scope })
+    },
+
+    // Parental controls
+    parental: {
+        getStatus: () => API.request('GET', '/parental/status'),
+        unlock: (pin) => API.request('POST', '/parental/unlock', { pin }),
+        lock: () => API.request('POST', '/parental/lock'),
+        getRestrictions: (sourceId = null) => API.request('GET', `/parental/restrictions${sourceId ? `?sourceId=${sourceId}` : ''}`),
+        restrict: (items) => API.request('POST', '/parental/restrict', { items }),
+        unrestrict: (items) => API.request('POST', '/parental/unrestrict', { items }),
+        getUserControls: (userId) => API.request('GET', `/parental/users/${userId}`),
+        updateUserControls: (userId, data) => API.request('PUT', `/parental/users/${userId}`, data)
     },
 
     // Favorites
@@ -165,7 +274,22 @@ const API = {
         get: () => API.request('GET', '/settings'),
         update: (data) => API.request('PUT', '/settings', data),
         reset: () => API.request('DELETE', '/settings'),
-        getDefaults: () => API.request('GET', '/settings/defaults')
+        getDefaults: () => API.request('GET', '/settings/defaults'),
+        updateDefaults: (data) => API.request('PUT', '/settings/defaults', data)
+    },
+
+    // Sessions (own devices)
+    sessions: {
+        getAll: () => API.request('GET', '/auth/sessions'),
+        revoke: (id) => API.request('DELETE', `/auth/sessions/${id}`),
+        revokeOthers: () => API.request('DELETE', '/auth/sessions')
+    },
+
+    // Playlist export token (own)
+    export: {
+        getToken: () => API.request('GET', '/export/token'),
+        createToken: () => API.request('POST', '/export/token'),
+        revokeToken: () => API.request('DELETE', '/export/token')
     },
 
     // Users (admin only)
@@ -173,7 +297,54 @@ const API = {
         getAll: () => API.request('GET', '/auth/users'),
         create: (data) => API.request('POST', '/auth/users', data),
         update: (id, data) => API.request('PUT', `/auth/users/${id}`, data),
-        delete: (id) => API.request('DELETE', `/auth/users/${id}`)
+        delete: (id) => API.request('DELETE', `/auth/users/${id}`),
+        getSessions: (id) => API.request('GET', `/auth/users/${id}/sessions`),
+        revokeSessions: (id) => API.request('DELETE', `/auth/users/${id}/sessions`)
+    },
+
+    // Sync history (admin only)
+    syncRuns: {
+        list: (sourceId = null, status = null, limit = 50, offset = 0) => {
+            const params = [`limit=${limit}`, `offset=${offset}`];
+            if (sourceId) params.push(`sourceId=${sourceId}`);
+            if (status) params.push(`status=${status}`);
+            return API.request('GET', `/sync-runs?${params.join('&')}`);
+        },
+        get: (id) => API.request('GET', `/sync-runs/${id}`),
+        compare: (a, b) => API.request('GET', `/sync-runs/compare?a=${a}&b=${b}`)
+    },
+
+    // EPG channel mappings (editing is admin only)
+    epg: {
+        getResolved: () => API.request('GET', '/epg/resolved'),
+        listMappings: ({ sourceId = null, query = '', status = 'all', limit = 100, offset = 0 } = {}) => {
+            const params = [`status=${status}`, `limit=${limit}`, `offset=${offset}`];
+            if (sourceId) params.push(`sourceId=${sourceId}`);
+            if (query) params.push(`q=${encodeURIComponent(query)}`);
+            return API.request('GET', `/epg/mappings?${params.join('&')}`);
+        },
+        setMapping: (sourceId, itemId, epgSourceId, epgChannelId) =>
+            API.request('PUT', `/epg/mappings/${sourceId}/${encodeURIComponent(itemId)}`, { epgSourceId, epgChannelId }),
+        removeMapping: (sourceId, itemId) =>
+            API.request('DELETE', `/epg/mappings/${sourceId}/${encodeURIComponent(itemId)}`),
+        searchChannels: (query) => API.request('GET', `/epg/channels?q=${encodeURIComponent(query)}`)
+    },
+
+    // Backup & restore (admin only)
+    backup: {
+        // With a passphrase, the archive comes back encrypted
+        download: (passphrase) => passphrase
+            ? API.request('POST', '/backup', { passphrase })
+            : API.request('GET', '/backup'),
+        restore: (archive) => API.request('POST', '/backup/restore', archive)
+    },
+
+    // Search (types: any of live, movie, series, epg)
+    search: (query, types = null, sourceId = null) => {
+        const params = [`q=${encodeURIComponent(query)}`];
+        if (types) params.push(`types=${types.join(',')}`);
+        if (sourceId) params.push(`sourceId=${sourceId}`);
+        return API.request('GET', `/search?${params.join('&')}`);
     }
 };
 
@@ -19,6 +19,7 @@ class App {
         this.pages.guide = new GuidePage(this);
         this.pages.movies = new MoviesPage(this);
         this.pages.series = new SeriesPage(this);
+        this.pages.search = new SearchPage(this);
         this.pages.settings = new SettingsPage(this);
         this.pages.watch = new WatchPage(this);
 
@@ -131,18 +132,14 @@ class App {
         }
 
         try {
-            // Verify token with server
-            const response = await fetch('/api/auth/me', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (!response.ok) {
+            // Verify token with server (an expired access token is renewed via the refresh token)
+            this.currentUser = await API.request('GET', '/auth/me');
+            if (!this.currentUser) {
                 throw new Error('Invalid token');
             }
 
-            this.currentUser = await response.json();
+            // Media URLs (streams, logos) authenticate with a short-lived query token
+            await API.refreshMediaToken();
 
             // Hide settings for viewers
             if (this.currentUser.role === 'viewer') {
@@ -150,18 +147,73 @@ class App {
                 if (settingsLink) {
                     settingsLink.style.display = 'none';
                 }
+            } else {
+                // Live sync progress for the source list in settings
+                this.sourceManager.startSyncEvents();
+                this.sourceManager.loadAccountAlerts();
             }
 
-            // Add logout button to navbar
+            // Add parental lock toggle (only shown when parental controls apply) and logout button
+            await this.addParentalButton();
             this.addLogoutButton();
 
         } catch (err) {
             console.error('Authentication error:', err);
-            localStorage.removeItem('authToken');
+            API.clearSession();
             window.location.replace('/login.html');
         }
     }
 
+    async addParentalButton() {
+        const navbar = document.querySelector('.navbar-menu');
+        if (!navbar || document.getElementById('parental-btn')) return;
+
+        let status;
+        try {
+            status = await API.parental.getStatus();
+        } catch (err) {
+            console.error('Error loading parental status:', err);
+            return;
+        }
+        if (!status.enabled) return;
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'nav-link';
+        link.id = 'parental-btn';
+
+        const render = (locked) => {
+            link.innerHTML = `
+                <span class="nav-icon">${locked ? Icons.lock : Icons.lockOpen}</span>
+                <span>${locked ? 'Unlock' : 'Lock'}</span>
+            `;
+            link.dataset.locked = locked ? 'true' : 'false';
+        };
+        render(status.locked);
+
+        link.addEventListener('click', async (e) => {
+            e.preventDefault();
+
+            try {
+                if (link.dataset.locked === 'true') {
+                    const pin = prompt('Enter your PIN to unlock restricted content:');
+                    if (!pin) return;
+                    await API.parental.unlock(pin);
+                    render(false);
+                } else {
+                    await API.parental.lock();
+                    render(true);
+                }
+                // Listings are filtered server-side, so reload to pick up the change
+                window.location.reload();
+            } catch (err) {
+                alert(err.message);
+            }
+        });
+
+        navbar.appendChild(link);
+    }
+
     addLogoutButton() {
         const navbar = document.querySelector('.navbar-menu');
         if (!navbar || document.getElementById('logout-btn')) return;
@@ -180,17 +232,8 @@ class App {
         logoutLink.addEventListener('click', async (e) => {
             e.preventDefault();
 
-            const token = localStorage.getItem('authToken');
-            if (token) {
-                await fetch('/api/auth/logout', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
-            }
-
-            localStorage.removeItem('authToken');
+            // Revoke the session server-side so the tokens stop working everywhere
+            await API.logout();
             window.location.replace('/login.html');
         });
 
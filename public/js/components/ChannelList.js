@@ -31,11 +31,13 @@ class ChannelList {
      * Get proxied image URL to avoid mixed content errors on HTTPS
      * Only proxies HTTP URLs when on HTTPS page
      */
-    getProxiedImageUrl(url) {
+    getProxiedImageUrl(url, sourceId = null) {
         if (!url || url.length === 0) return '/img/placeholder.png';
         // Only proxy if we're on HTTPS and the image is HTTP
         if (window.location.protocol === 'https:' && url.startsWith('http://')) {
-            return `/api/proxy/image?url=${encodeURIComponent(url)}`;
+            // The source's HTTP headers apply to images from its host
+            const sourceParam = sourceId ? `&sourceId=${encodeURIComponent(sourceId)}` : '';
+            return API.mediaUrl(`/api/proxy/image?url=${encodeURIComponent(url)}${sourceParam}`);
         }
         return url;
     }
@@ -227,7 +229,7 @@ class ChannelList {
 
             // Cache key: channel_id + current_minute (invalidate every minute)
             const currentMinute = Math.floor(Date.now() / 60000);
-            const cacheKey = `${channel.tvgId || channel.name}:${currentMinute}`;
+            const cacheKey = `${channel.sourceId}:${channel.id}:${currentMinute}`;
 
             if (this._programInfoCache && this._programInfoCache.has(cacheKey)) {
                 return this._programInfoCache.get(cacheKey);
@@ -239,7 +241,7 @@ class ChannelList {
                 this._lastCacheMinute = currentMinute;
             }
 
-            const program = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name);
+            const program = window.app.epgGuide.getCurrentProgram(channel);
             const result = program ? program.title : null;
 
             this._programInfoCache.set(cacheKey, result);
@@ -270,6 +272,14 @@ class ChannelList {
             .replace(/'/g, "&#039;");
     }
 
+    /**
+     * Channel number for sorting (M3U tvg-chno); channels without one sort last
+     */
+    getChannelNumber(channel) {
+        const number = parseFloat(channel.tvgChno);
+        return Number.isFinite(number) ? number : Infinity;
+    }
+
     /**
      * Render channel list
      */
@@ -305,6 +315,11 @@ class ChannelList {
             groupedChannels[groupKey].push(ch);
         });
 
+        // Channels with a number (M3U tvg-chno) come first in each group, in number order
+        Object.values(groupedChannels).forEach(channels => {
+            channels.sort((a, b) => (this.getChannelNumber(a) - this.getChannelNumber(b)) || 0);
+        });
+
         // 3. Add Favorites
         const favoritedChannels = this.channels.filter(ch => this.isFavorite(ch.sourceId, ch.id));
         if (favoritedChannels.length > 0) {
@@ -463,10 +478,10 @@ class ChannelList {
                data-stream-id="${channel.streamId || ''}"
                data-url="${channel.url || ''}"
                data-render-id="${renderId}">
-            <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
+            <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo, channel.sourceId)}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <div class="channel-info">
-              <div class="channel-name">${this.escapeHtml(channel.name)}</div>
+              <div class="channel-name">${channel.tvgChno ? `<span class="channel-number">${this.escapeHtml(channel.tvgChno)}</span>` : ''}${this.escapeHtml(channel.name)}</div>
               <div class="channel-program">${this.escapeHtml(this.getProgramInfo(channel) || '')}</div>
             </div>
             <button class="favorite-btn ${isFavorite ? 'active' : ''}" title="${isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}">
@@ -916,10 +931,10 @@ class ChannelList {
         div.dataset.url = channel.url || '';
 
         div.innerHTML = `
-            <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
+            <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo, channel.sourceId)}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <div class="channel-info">
-              <div class="channel-name">${this.escapeHtml(channel.name)}</div>
+              <div class="channel-name">${channel.tvgChno ? `<span class="channel-number">${this.escapeHtml(channel.tvgChno)}</span>` : ''}${this.escapeHtml(channel.name)}</div>
               <div class="channel-program">${this.getProgramInfo(channel) || ''}</div>
             </div>
             <button class="favorite-btn active" title="Remove from Favorites">
@@ -1122,11 +1137,12 @@ class ChannelList {
 
         // Get current and upcoming programs
         let programsHtml = '<p class="no-programs">No EPG data available for this channel.</p>';
+        // Past programs the channel can replay (M3U catchup), most recent first
+        let catchupPrograms = [];
 
         if (window.app?.epgGuide) {
-            const tvgKey = channel.tvgId || channel.name;
-            const currentProgram = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name);
-            const programs = window.app.epgGuide.getChannelPrograms?.(tvgKey) || [];
+            const currentProgram = window.app.epgGuide.getCurrentProgram(channel);
+            const programs = window.app.epgGuide.getChannelPrograms(channel);
 
             if (currentProgram || programs.length > 0) {
                 programsHtml = '<div class="epg-program-list">';
@@ -1134,12 +1150,12 @@ class ChannelList {
                 // Show current program
                 if (currentProgram) {
                     const startTime = new Date(currentProgram.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                    const endTime = new Date(currentProgram.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    const endTime = new Date(currentProgram.stop).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
                     programsHtml += `
                         <div class="epg-program current">
                             <div class="epg-program-time">${startTime} - ${endTime}</div>
                             <div class="epg-program-title">▶ ${this.escapeHtml(currentProgram.title)}</div>
-                            ${currentProgram.description ? `<div class="epg-program-desc">${this.escapeHtml(currentProgram.description)}</div>` : ''}
+                            ${currentProgram.desc ? `<div class="epg-program-desc">${this.escapeHtml(currentProgram.desc)}</div>` : ''}
                         </div>
                     `;
                 }
@@ -1152,7 +1168,7 @@ class ChannelList {
 
                 upcoming.forEach(prog => {
                     const startTime = new Date(prog.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                    const endTime = new Date(prog.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    const endTime = new Date(prog.stop).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
                     programsHtml += `
                         <div class="epg-program">
                             <div class="epg-program-time">${startTime} - ${endTime}</div>
@@ -1163,12 +1179,33 @@ class ChannelList {
 
                 programsHtml += '</div>';
             }
+
+            const player = window.app.player;
+            if (player && channel.catchup) {
+                const now = Date.now();
+                catchupPrograms = programs
+                    .filter(p => p.stop.getTime() <= now && player.getCatchupUrl(channel, p.start, p.stop))
+                    .reverse()
+                    .slice(0, 20);
+            }
         }
 
+        const catchupHtml = catchupPrograms.length === 0 ? '' : `
+                <h4>Catch-up</h4>
+                <div class="epg-program-list">
+                    ${catchupPrograms.map((prog, index) => `
+                        <div class="epg-program epg-catchup" data-index="${index}" title="Watch">
+                            <div class="epg-program-time">${prog.start.toLocaleDateString([], { weekday: 'short' })} ${prog.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - ${prog.stop.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                            <div class="epg-program-title">${this.escapeHtml(prog.title)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+        `;
+
         modalBody.innerHTML = `
             <div class="epg-info-modal">
                 <div class="channel-details">
-                    <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
+                    <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo, channel.sourceId)}" 
                          onerror="this.onerror=null;this.src='/img/placeholder.png'" />
                     <div class="channel-meta">
                         <p><strong>Group:</strong> ${this.escapeHtml(channel.groupTitle || 'Uncategorized')}</p>
@@ -1178,9 +1215,19 @@ class ChannelList {
                 </div>
                 <h4>Program Schedule</h4>
                 ${programsHtml}
+                ${catchupHtml}
             </div>
         `;
 
+        modalBody.querySelectorAll('.epg-catchup').forEach(item => {
+            item.addEventListener('click', () => {
+                const prog = catchupPrograms[item.dataset.index];
+                if (window.app.player.playCatchup(channel, { title: prog.title, start: prog.start, stop: prog.stop, description: prog.desc || '' })) {
+                    modal.classList.remove('active');
+                }
+            });
+        });
+
         modal.classList.add('active');
     }
 
@@ -1290,17 +1337,6 @@ class ChannelList {
         });
     }
 
-    /**
-     * Show EPG info for channel
-     */
-    async showEpgInfo(channelId) {
-        const channel = this.channels.find(c => c.id === channelId);
-        if (!channel) return;
-
-        // This would show a modal with EPG info
-        console.log('Show EPG for:', channel);
-    }
-
     /**
      * Get list of visible (non-hidden) channels in display order
      */
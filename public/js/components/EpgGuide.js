@@ -42,11 +42,12 @@ class EpgGuide {
      * Get proxied image URL to avoid mixed content errors on HTTPS
      * Only proxies HTTP URLs when on HTTPS page
      */
-    getProxiedImageUrl(url) {
+    getProxiedImageUrl(url, sourceId = null) {
         if (!url || url.length === 0) return '/img/placeholder.png';
         // Only proxy if we're on HTTPS and the image is HTTP
         if (window.location.protocol === 'https:' && url.startsWith('http://')) {
-            return `/api/proxy/image?url=${encodeURIComponent(url)}`;
+            const sourceParam = sourceId ? `&sourceId=${encodeURIComponent(sourceId)}` : '';
+            return API.mediaUrl(`/api/proxy/image?url=${encodeURIComponent(url)}${sourceParam}`);
         }
         return url;
     }
@@ -212,16 +213,24 @@ class EpgGuide {
         // Load EPG from ALL sources in parallel
         const fetchPromises = sources.map(async (source) => {
             try {
-                const response = await fetch(`/api/proxy/epg/${source.id}${queryParams}`);
-                if (!response.ok) throw new Error(`Status ${response.status}`);
-                return await response.json();
+                const data = await API.request('GET', `/proxy/epg/${source.id}${queryParams}`);
+                // Channel ids are only unique within one guide
+                (data.channels || []).forEach(ch => { ch.sourceId = source.id; });
+                (data.programmes || []).forEach(p => { p.sourceId = source.id; });
+                return data;
             } catch (e) {
                 console.warn(`Failed to load EPG for source ${source.name}:`, e);
                 return null;
             }
         });
 
-        const results = await Promise.all(fetchPromises);
+        // Guide channel of each playlist channel (EPG mappings and automatic matches)
+        const resolvedPromise = API.epg.getResolved().catch(e => {
+            console.warn('Failed to load EPG channel mappings:', e);
+            return {};
+        });
+
+        const [results, resolved] = await Promise.all([Promise.all(fetchPromises), resolvedPromise]);
 
         // Merge results
         this.channels = [];
@@ -246,63 +255,94 @@ class EpgGuide {
             throw new Error('Failed to load EPG data from any source');
         }
 
+        this.resolvedChannels = new Map(Object.entries(resolved));
+
         // Build secondary indexes for faster lookup
         this.channelMap = new Map();
+        this.guideChannels = new Map(); // "sourceId:channelId" -> EPG channel
         // Index by ID
         this.channels.forEach(ch => {
             this.channelMap.set(ch.id, ch);
+            this.guideChannels.set(`${ch.sourceId}:${ch.id}`, ch);
             // Also index by name (normalized) for fallback matching
             if (ch.name) {
                 this.channelMap.set(ch.name.toLowerCase(), ch);
             }
         });
 
+        // Programmes per guide channel, in time order
+        this.programmesByChannel = new Map();
+        this.programmes.forEach(p => {
+            const key = `${p.sourceId}:${p.channelId}`;
+            if (!this.programmesByChannel.has(key)) this.programmesByChannel.set(key, []);
+            this.programmesByChannel.get(key).push(p);
+        });
+        this.programmesByChannel.forEach(list => list.sort((a, b) => new Date(a.start) - new Date(b.start)));
+
         // Load favorites
         const favs = await API.favorites.getAll();
         this.favorites = new Set(favs.map(f => `${f.source_id}:${f.item_id}`));
     }
 
     /**
-     * Get current program for a channel
-     * @param {string} tvgId - The EPG channel ID (tvg-id)
-     * @param {string} channelName - The channel name (for fallback)
-     * @returns {object|null} Program object with title, start, stop
+     * Reload the guide channel of each playlist channel after EPG mappings were edited
      */
-    getCurrentProgram(tvgId, channelName) {
-        if (!this.programmes || this.programmes.length === 0) return null;
+    async refreshMappings() {
+        if (!this.channelMap) return; // Not loaded yet, fetchEpgData loads them
+        this.resolvedChannels = new Map(Object.entries(await API.epg.getResolved()));
+        window.app?.channelList?.clearProgramInfoCache();
+    }
 
-        // Find EPG channel using fast map lookup
-        let epgChannel = null;
-        if (tvgId && this.channelMap && this.channelMap.has(tvgId)) {
-            epgChannel = this.channelMap.get(tvgId);
-        } else if (channelName && this.channelMap) {
-            epgChannel = this.channelMap.get(channelName.toLowerCase());
-        } else {
-            // Fallback to slow search if map fails or not built yet
-            epgChannel = this.channels.find(epg =>
-                (tvgId && epg.id === tvgId) || epg.name === channelName
-            );
+    /**
+     * Find the EPG channel of a playlist channel
+     * Uses the server's resolution (EPG mappings, then automatic matching); channels it does
+     * not know yet (added since the last sync) are matched by tvg-id, else by name.
+     * @param {object} channel - Channel from ChannelList (sourceId, streamId, tvgId, name)
+     * @returns {object|null} EPG channel
+     */
+    findEpgChannel(channel) {
+        if (!this.channelMap) return null;
+
+        const key = `${channel.sourceId}:${channel.streamId ?? channel.id}`;
+        if (this.resolvedChannels?.has(key)) {
+            const guide = this.resolvedChannels.get(key);
+            return guide ? this.guideChannels.get(`${guide.sourceId}:${guide.channelId}`) || null : null;
         }
 
-        if (!epgChannel) return null;
+        return (channel.tvgId && this.channelMap.get(channel.tvgId)) ||
+            (channel.name && this.channelMap.get(channel.name.toLowerCase())) ||
+            null;
+    }
 
-        const now = new Date();
-        const nowTime = now.getTime();
-
-        // Filter programs for this channel
-        const current = this.programmes.find(p => {
-            if (p.channelId !== epgChannel.id) return false;
-            const start = new Date(p.start).getTime();
-            const stop = new Date(p.stop).getTime();
-            return nowTime >= start && nowTime < stop;
-        });
+    /**
+     * Get the programmes of a channel, in time order
+     * @param {object} channel - Channel from ChannelList; its tvgShift (hours) moves the times
+     * @returns {Array<object>} Programs with title, start, stop, desc
+     */
+    getChannelPrograms(channel) {
+        const epgChannel = this.findEpgChannel(channel);
+        if (!epgChannel) return [];
+
+        // tvg-shift: the channel airs the guide this many hours later
+        const shiftMs = (channel.tvgShift || 0) * 60 * 60 * 1000;
+        return (this.programmesByChannel.get(`${epgChannel.sourceId}:${epgChannel.id}`) || []).map(p => ({
+            title: p.title,
+            start: new Date(new Date(p.start).getTime() + shiftMs),
+            stop: new Date(new Date(p.stop).getTime() + shiftMs),
+            desc: p.desc
+        }));
+    }
+
+    /**
+     * Get current program for a channel
+     * @param {object} channel - Channel from ChannelList
+     * @returns {object|null} Program object with title, start, stop, desc
+     */
+    getCurrentProgram(channel) {
+        if (!this.programmes || this.programmes.length === 0) return null;
 
-        return current ? {
-            title: current.title,
-            start: current.start,
-            stop: current.stop,
-            desc: current.desc
-        } : null;
+        const now = Date.now();
+        return this.getChannelPrograms(channel).find(p => now >= p.start.getTime() && now < p.stop.getTime()) || null;
     }
 
     /**
@@ -368,13 +408,13 @@ class EpgGuide {
         }
 
         // Match ALL playable channels with optional EPG data
-        const allChannels = playableChannels.map(sourceChannel => {
-            // Try to find matching EPG channel by tvgId or name
-            const epgChannel = this.channels.find(epg =>
-                epg.id === sourceChannel.tvgId || epg.name === sourceChannel.name
-            );
-            return { epgChannel, sourceChannel };
-        });
+        const allChannels = playableChannels.map(sourceChannel => ({
+            epgChannel: this.findEpgChannel(sourceChannel),
+            sourceChannel
+        }));
+        // Same order as the channel list: numbered channels (tvg-chno) first
+        allChannels.sort((a, b) =>
+            (channelList.getChannelNumber(a.sourceChannel) - channelList.getChannelNumber(b.sourceChannel)) || 0);
 
         // Collect unique groups from ALL playable channels
         const groups = [...new Set(allChannels.map(m => m.sourceChannel.groupTitle || 'Uncategorized'))].sort();
@@ -531,18 +571,16 @@ class EpgGuide {
         // Get programs if EPG data exists
         let channelProgrammes = [];
         if (epgChannel) {
-            channelProgrammes = this.programmes
-                .filter(p => p.channelId === epgChannel.id)
+            channelProgrammes = (this.programmesByChannel.get(`${epgChannel.sourceId}:${epgChannel.id}`) || [])
                 .filter(p => {
                     const start = new Date(p.start);
                     const stop = new Date(p.stop);
                     return start < this.endTime && stop > this.startTime;
-                })
-                .sort((a, b) => new Date(a.start) - new Date(b.start));
+                });
         }
 
         // Fallback values if EPG channel is missing
-        const logo = this.getProxiedImageUrl(sourceChannel.tvgLogo || (epgChannel && epgChannel.icon));
+        const logo = this.getProxiedImageUrl(sourceChannel.tvgLogo || (epgChannel && epgChannel.icon), sourceChannel.sourceId);
         const name = sourceChannel.name || (epgChannel && epgChannel.name);
 
         const row = document.createElement('div');
@@ -582,7 +620,7 @@ class EpgGuide {
     attachRowListeners(row) {
         // Program click handlers
         row.querySelectorAll('.epg-program').forEach(prog => {
-            prog.addEventListener('click', () => this.showProgramDetails(prog.dataset));
+            prog.addEventListener('click', () => this.showProgramDetails(prog.dataset, this.filteredChannels[row.dataset.index]?.sourceChannel));
         });
 
         const info = row.querySelector('.epg-channel-info');
@@ -851,8 +889,9 @@ class EpgGuide {
 
     /**
      * Show program details modal
+     * @param {object} channel - Playlist channel of the row; past programs of channels with catch-up can be watched
      */
-    showProgramDetails(data) {
+    showProgramDetails(data, channel = null) {
         const modal = document.getElementById('modal');
         const title = document.getElementById('modal-title');
         const body = document.getElementById('modal-body');
@@ -871,6 +910,24 @@ class EpgGuide {
 
         footer.innerHTML = '<button class="btn btn-secondary" id="modal-close">Close</button>';
 
+        // The channel airs the guide tvg-shift hours later
+        const shiftMs = (channel?.tvgShift || 0) * 60 * 60 * 1000;
+        const programme = {
+            title: data.title,
+            start: new Date(start.getTime() + shiftMs),
+            stop: new Date(stop.getTime() + shiftMs),
+            description: data.description || ''
+        };
+        const player = window.app?.player;
+        if (channel && player?.getCatchupUrl(channel, programme.start, programme.stop)) {
+            footer.insertAdjacentHTML('afterbegin', '<button class="btn btn-primary" id="modal-catchup">Watch</button>');
+            document.getElementById('modal-catchup').onclick = () => {
+                modal.classList.remove('active');
+                player.playCatchup(channel, programme);
+                document.querySelector('[data-page="home"]').click();
+            };
+        }
+
         modal.classList.add('active');
         document.getElementById('modal-close').onclick = () => modal.classList.remove('active');
         modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
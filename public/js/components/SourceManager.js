@@ -17,6 +17,14 @@ class SourceManager {
         this.expandedGroups = new Set(); // Set of expanded group IDs
         this.searchQuery = ''; // Search filter for content browser
 
+        // Sync progress from the server event stream
+        this.syncEvents = null;
+        this.syncProgress = new Map(); // sourceId -> latest progress
+        this.syncLogs = new Map(); // sourceId -> recent log lines
+        this.syncLogLimit = 5;
+        this.syncWaiters = new Map(); // sourceId -> callbacks waiting for the sync to finish
+        this.syncTicker = null;
+
         this.init();
     }
 
@@ -28,26 +36,6 @@ class SourceManager {
 
         // Initialize content browser
         this.initContentBrowser();
-
-        // Start polling sync status
-        this.pollSyncStatus();
-    }
-
-    /**
-     * Poll sync status from the backend
-     */
-    pollSyncStatus() {
-        // Implement polling logic here
-        console.log('Polling sync status...');
-        // Example: setInterval(() => this.updateSyncStatus(), 5000);
-    }
-
-    /**
-     * Update sync status display
-     */
-    updateSyncStatus() {
-        // Implement logic to update UI based on sync status
-        console.log('Updating sync status display...');
     }
 
     /**
@@ -60,6 +48,13 @@ class SourceManager {
             this.renderSourceList(this.xtreamList, sources.filter(s => s.type === 'xtream'), 'xtream');
             this.renderSourceList(this.m3uList, sources.filter(s => s.type === 'm3u'), 'm3u');
             this.renderSourceList(this.epgList, sources.filter(s => s.type === 'epg'), 'epg');
+
+            // Last sync times; running syncs are then shown from the event stream
+            this.updateSyncStatus(await API.sources.getStatus());
+            this.syncProgress.forEach((progress, sourceId) => this.renderSyncProgress(sourceId));
+
+            // Syncs read the account status, so alerts may have changed
+            this.loadAccountAlerts();
         } catch (err) {
             console.error('Error loading sources:', err);
         }
@@ -82,6 +77,9 @@ class SourceManager {
         <div class="source-info">
           <div class="source-name">${source.name}</div>
           <div class="source-url">${source.url}</div>
+          <div class="source-schedule">${this.getNextRunText(source.schedules)}</div>
+          ${this.getAccountText(source.account)}
+          ${this.getHealthText(source.health)}
         </div>
         <div class="source-actions">
           <button class="btn btn-sm btn-secondary" data-action="refresh" title="Refresh Data">${Icons.refresh}</button>
@@ -107,6 +105,125 @@ class SourceManager {
         });
     }
 
+    /**
+     * Summary of when each part of a source syncs next
+     */
+    getNextRunText(schedules) {
+        if (!schedules || schedules.length === 0) return '';
+
+        const labels = { live: 'Live', vod: 'VOD', epg: 'EPG' };
+        const parts = schedules.map(schedule => {
+            let when = 'manual';
+            if (schedule.nextRun) {
+                when = schedule.nextRun <= Date.now()
+                    ? 'due'
+                    : new Date(schedule.nextRun).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            }
+            return schedules.length > 1 ? `${labels[schedule.scope]} ${when}` : when;
+        });
+        return `Next sync: ${parts.join(' · ')}`;
+    }
+
+    /**
+     * Expiry countdown and connection usage of an Xtream account
+     */
+    getAccountText(account) {
+        if (!account) return '';
+
+        const parts = [];
+        if (account.status && account.status !== 'Active') {
+            parts.push(account.status);
+        }
+        if (account.expDate) {
+            const remaining = account.expDate - Date.now();
+            const days = Math.floor(Math.abs(remaining) / (24 * 60 * 60 * 1000));
+            const hours = Math.floor(Math.abs(remaining) / (60 * 60 * 1000)) % 24;
+            const span = days > 0 ? `${days}d ${hours}h` : `${hours}h`;
+            parts.push(remaining > 0 ? `Expires in ${span}` : `Expired ${span} ago`);
+        } else {
+            parts.push('No expiry');
+        }
+        if (account.maxConnections) {
+            parts.push(`${account.activeConnections ?? 0}/${account.maxConnections} connections`);
+        }
+        if (account.isTrial) {
+            parts.push('Trial');
+        }
+
+        return `<div class="source-account" title="Checked ${new Date(account.checkedAt).toLocaleString()}">${parts.join(' · ')}</div>`;
+    }
+
+    /**
+     * Banner for accounts that are expiring, expired, disabled or at their connection limit
+     */
+    async loadAccountAlerts() {
+        const banner = document.getElementById('account-alerts');
+        if (!banner) return;
+
+        let alerts;
+        try {
+            alerts = await API.sources.getAlerts();
+        } catch (err) {
+            console.error('Error loading account alerts:', err);
+            return;
+        }
+
+        // A dismissed banner stays hidden until the alerts change
+        const signature = alerts.map(alert => `${alert.sourceId}:${alert.type}`).join(',');
+        if (alerts.length === 0 || sessionStorage.getItem('dismissedAccountAlerts') === signature) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        banner.innerHTML = `
+      <div class="account-alerts-list">
+        ${alerts.map(alert => `
+          <div class="account-alert ${alert.type}">
+            <strong>${this.escapeHtml(alert.sourceName)}</strong>: ${this.escapeHtml(alert.message)}
+          </div>
+        `).join('')}
+      </div>
+      <button class="account-alerts-close" title="Dismiss">${Icons.close}</button>
+    `;
+        banner.querySelector('.account-alerts-close').addEventListener('click', () => {
+            sessionStorage.setItem('dismissedAccountAlerts', signature);
+            banner.classList.add('hidden');
+        });
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Warning for a provider whose circuit breaker stopped requests
+     */
+    getHealthText(health) {
+        if (!health || health.state !== 'degraded') return '';
+
+        const retryAt = new Date(health.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `<div class="source-health">Provider degraded after ${health.failures} failed requests (${this.escapeHtml(health.lastError)}) · next attempt after ${retryAt}</div>`;
+    }
+
+    /**
+     * Schedule fields for the edit form, one per part of the source
+     */
+    getScheduleFields(schedules) {
+        const labels = { live: 'Live channels', vod: 'Movies & series', epg: 'EPG' };
+
+        const fields = schedules.map(schedule => `
+      <div class="form-group">
+        <label for="schedule-${schedule.scope}">${labels[schedule.scope]} schedule</label>
+        <input type="text" id="schedule-${schedule.scope}" class="form-input schedule-input" data-scope="${schedule.scope}"
+               placeholder="Global refresh interval" value="${this.escapeHtml(schedule.cron || '')}">
+        <p class="hint">${this.getNextRunText([schedule])}</p>
+      </div>
+    `).join('');
+
+        return `
+      <h4>Sync Schedule</h4>
+      <p class="hint">Cron expression (e.g. <code>0 */6 * * *</code> or <code>@daily</code>), <code>off</code> for manual only, or empty for the global refresh interval.</p>
+      ${fields}
+    `;
+    }
+
     /**
      * Show add source modal
      */
@@ -139,7 +256,7 @@ class SourceManager {
      */
     async showEditModal(id, type) {
         try {
-            const source = await API.sources.getById(id);
+            const [source, schedules] = await Promise.all([API.sources.getById(id), API.sources.getSchedules(id)]);
 
             const modal = document.getElementById('modal');
             const title = document.getElementById('modal-title');
@@ -147,7 +264,7 @@ class SourceManager {
             const footer = document.getElementById('modal-footer');
 
             title.textContent = `Edit ${type.toUpperCase()} Source`;
-            body.innerHTML = this.getSourceForm(type, source);
+            body.innerHTML = this.getSourceForm(type, source) + this.getScheduleFields(schedules);
 
             footer.innerHTML = `
         <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
@@ -185,22 +302,186 @@ class SourceManager {
     `;
 
         if (type === 'xtream') {
+            // The server never returns stored credentials - leave blank to keep them
+            const keepHint = source.id ? 'placeholder="Unchanged"' : '';
             return `
         ${nameField}
         ${urlField}
         <div class="form-group">
           <label for="source-username">Username</label>
-          <input type="text" id="source-username" class="form-input" value="${source.username || ''}">
+          <input type="text" id="source-username" class="form-input" ${keepHint}>
         </div>
         <div class="form-group">
           <label for="source-password">Password</label>
-          <input type="password" id="source-password" class="form-input" 
-                 value="${source.password && !source.password.includes('•') ? source.password : ''}">
+          <input type="password" id="source-password" class="form-input" ${keepHint}>
         </div>
+        ${this.getHeaderFields(source.httpHeaders)}
       `;
         }
 
-        return nameField + urlField;
+        if (type === 'm3u') {
+            return nameField + urlField + this.getFileField(type) + this.getGuideField(source) +
+                this.getContentRuleFields(source.contentRules) + this.getHeaderFields(source.httpHeaders);
+        }
+
+        return nameField + urlField + this.getFileField(type);
+    }
+
+    /**
+     * Upload field for M3U/EPG sources; a chosen file replaces the URL
+     */
+    getFileField(type) {
+        const accept = type === 'm3u' ? '.m3u,.m3u8,.txt,.gz,.zip' : '.xml,.xmltv,.gz,.zip';
+        return `
+      <div class="form-group">
+        <label for="source-file">Or upload a file</label>
+        <input type="file" id="source-file" class="form-input" accept="${accept}">
+        <p class="hint">Plain, gzip or zip. A <code>file:///path</code> URL reads a file on the server instead,
+          and re-syncs whenever that file changes.</p>
+      </div>
+    `;
+    }
+
+    hasUrlField() {
+        return Boolean(document.getElementById('source-url').value.trim() ||
+            document.getElementById('source-file')?.files.length);
+    }
+
+    /**
+     * URL from the source form: a chosen file is uploaded and replaces the URL
+     */
+    async readUrlField() {
+        const file = document.getElementById('source-file')?.files[0];
+        if (file) {
+            const { url } = await API.sources.upload(file);
+            return url;
+        }
+        return document.getElementById('source-url').value.trim();
+    }
+
+    /**
+     * HTTP header fields for the source form (sent by the stream/image proxy, remux and transcode)
+     */
+    getHeaderFields(headers) {
+        headers = headers || {};
+        const extra = Object.entries(headers.extra || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+        const field = (id, label, value, placeholder) => `
+      <div class="form-group">
+        <label for="${id}">${label}</label>
+        <input type="text" id="${id}" class="form-input" placeholder="${placeholder}" value="${this.escapeHtml(value || '')}">
+      </div>
+    `;
+
+        return `
+      <h4>HTTP Headers</h4>
+      <p class="hint">Sent with this source's streams and logos. Streams with custom headers play through the server proxy.
+        M3U entries can also set their own with <code>#EXTVLCOPT</code> / <code>#KODIPROP</code>.</p>
+      ${field('source-user-agent', 'User-Agent', headers.userAgent, 'Default browser User-Agent')}
+      ${field('source-referer', 'Referer', headers.referer, 'https://example.com/')}
+      ${field('source-origin', 'Origin', headers.origin, 'https://example.com')}
+      ${field('source-cookie', 'Cookie', headers.cookie, 'name=value; other=value')}
+      <div class="form-group">
+        <label for="source-extra-headers">Extra headers</label>
+        <textarea id="source-extra-headers" class="form-input" rows="3" placeholder="X-Header: value">${this.escapeHtml(extra)}</textarea>
+        <p class="hint">One <code>Name: value</code> per line. Stored Cookie and extra header values are shown as
+          <code>••••••••</code>; leave them as they are to keep them.</p>
+      </div>
+    `;
+    }
+
+    /**
+     * Opt-out of the EPG sources added from an M3U playlist's url-tvg header
+     */
+    getGuideField(source) {
+        return `
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" id="source-auto-epg" ${source.autoEpg === false ? '' : 'checked'}>
+          Add the playlist's guide as an EPG source
+        </label>
+        <p class="hint">From <code>url-tvg</code> / <code>x-tvg-url</code> in the <code>#EXTM3U</code> line.
+          Each guide is added once; delete it from EPG Sources if you do not want it.</p>
+      </div>
+    `;
+    }
+
+    /**
+     * How M3U entries are sorted into channels, movies and series
+     */
+    getContentRuleFields(contentRules) {
+        const detect = !contentRules || contentRules.detect !== false;
+        const rules = (contentRules?.rules || []).map(rule => `${rule.type} ${rule.field} ${rule.pattern}`).join('\n');
+
+        return `
+      <h4>Movies &amp; Series</h4>
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" id="source-detect-vod" ${detect ? 'checked' : ''}>
+          Detect movies and series
+        </label>
+        <p class="hint">By <code>/movie/</code> and <code>/series/</code> URLs, video files, VOD groups and episode
+          names like <code>S01E02</code>. Episodes are grouped into series by name.</p>
+      </div>
+      <div class="form-group">
+        <label for="source-content-rules">Rules</label>
+        <textarea id="source-content-rules" class="form-input" rows="3" placeholder="movie group ^Films">${this.escapeHtml(rules)}</textarea>
+        <p class="hint">One <code>type field pattern</code> per line, checked before detection: type is
+          <code>live</code>, <code>movie</code> or <code>series</code>, field is <code>group</code>, <code>name</code>
+          or <code>url</code>, pattern is a regular expression (case-insensitive).</p>
+      </div>
+    `;
+    }
+
+    /**
+     * Read the content rule fields of the source form
+     * @returns {Object|undefined} Content rules, undefined if the form has no rule fields
+     * @throws {Error} If a rule line is not "type field pattern"
+     */
+    readContentRuleFields() {
+        const textarea = document.getElementById('source-content-rules');
+        if (!textarea) return undefined;
+
+        const rules = [];
+        for (const line of textarea.value.split('\n')) {
+            if (!line.trim()) continue;
+            const match = line.trim().match(/^(live|movie|series)\s+(group|name|url)\s+(.+)$/i);
+            if (!match) {
+                throw new Error(`Rule "${line.trim()}" must be "type field pattern", e.g. "movie group ^Films"`);
+            }
+            rules.push({ type: match[1].toLowerCase(), field: match[2].toLowerCase(), pattern: match[3] });
+        }
+        return { detect: document.getElementById('source-detect-vod').checked, rules };
+    }
+
+    /**
+     * Read the HTTP header fields of the source form
+     * @returns {Object|null|undefined} Header config, null if empty, undefined if the form has no header fields
+     * @throws {Error} If an extra header line is not "Name: value"
+     */
+    readHeaderFields() {
+        if (!document.getElementById('source-user-agent')) return undefined;
+
+        const value = (id) => document.getElementById(id).value.trim();
+        const extra = {};
+        for (const line of value('source-extra-headers').split('\n')) {
+            if (!line.trim()) continue;
+            const colon = line.indexOf(':');
+            if (colon <= 0) {
+                throw new Error(`Extra header "${line.trim()}" must be "Name: value"`);
+            }
+            extra[line.substring(0, colon).trim()] = line.substring(colon + 1).trim();
+        }
+
+        const headers = {
+            userAgent: value('source-user-agent'),
+            referer: value('source-referer'),
+            origin: value('source-origin'),
+            cookie: value('source-cookie'),
+            extra
+        };
+        const isEmpty = !headers.userAgent && !headers.referer && !headers.origin && !headers.cookie &&
+            Object.keys(extra).length === 0;
+        return isEmpty ? null : headers;
     }
 
     /**
@@ -208,17 +489,20 @@ class SourceManager {
      */
     async saveNewSource(type) {
         const name = document.getElementById('source-name').value.trim();
-        const url = document.getElementById('source-url').value.trim();
         const username = document.getElementById('source-username')?.value.trim() || null;
         const password = document.getElementById('source-password')?.value.trim() || null;
 
-        if (!name || !url) {
-            alert('Name and URL are required');
+        if (!name || !this.hasUrlField()) {
+            alert('Name and URL (or a file) are required');
             return;
         }
 
         try {
-            await API.sources.create({ type, name, url, username, password });
+            const httpHeaders = this.readHeaderFields();
+            const contentRules = this.readContentRuleFields();
+            const url = await this.readUrlField();
+            const autoEpg = document.getElementById('source-auto-epg')?.checked;
+            await API.sources.create({ type, name, url, username, password, httpHeaders, contentRules, autoEpg });
             document.getElementById('modal').classList.remove('active');
             await this.loadSources();
 
@@ -237,22 +521,33 @@ class SourceManager {
      */
     async updateSource(id, type) {
         const name = document.getElementById('source-name').value.trim();
-        const url = document.getElementById('source-url').value.trim();
         const username = document.getElementById('source-username')?.value.trim();
         const password = document.getElementById('source-password')?.value.trim();
 
-        if (!name || !url) {
-            alert('Name and URL are required');
+        if (!name || !this.hasUrlField()) {
+            alert('Name and URL (or a file) are required');
             return;
         }
 
         try {
-            const data = { name, url };
+            const httpHeaders = this.readHeaderFields();
+            const contentRules = this.readContentRuleFields();
+            const autoEpg = document.getElementById('source-auto-epg')?.checked;
+            const data = { name, url: await this.readUrlField(), httpHeaders, contentRules, autoEpg };
             if (type === 'xtream') {
-                data.username = username;
+                if (username) data.username = username;
                 if (password) data.password = password;
             }
 
+            // Schedules first: an invalid expression leaves the form open with nothing saved
+            const schedules = {};
+            document.querySelectorAll('#modal-body .schedule-input').forEach(input => {
+                schedules[input.dataset.scope] = input.value.trim() || null;
+            });
+            if (Object.keys(schedules).length > 0) {
+                await API.sources.updateSchedules(id, schedules);
+            }
+
             await API.sources.update(id, data);
             document.getElementById('modal').classList.remove('active');
             await this.loadSources();
@@ -320,33 +615,21 @@ class SourceManager {
                 if (icon) icon.classList.add('spin');
             }
 
-            // 1. Trigger Backend Sync
+            // 1. Trigger Backend Sync (wait for its result from the event stream)
             console.log(`[SourceManager] Triggering sync for source ${id}`);
+            const finished = this.waitForSync(id);
             await API.sources.sync(id);
 
-            // 2. Poll for completion
-            let retries = 0;
-            const maxRetries = 60; // 60 seconds timeout
-
-            while (retries < maxRetries) {
-                await new Promise(r => setTimeout(r, 1000)); // Wait 1s
-                const statuses = await API.sources.getStatus();
-                const status = statuses.find(s => s.source_id === id && s.type === 'all');
-
-                if (status && status.status === 'success') {
-                    console.log('[SourceManager] Sync completed successfully');
-                    break;
-                } else if (status && status.status === 'error') {
-                    throw new Error(`Sync failed: ${status.error}`);
-                }
-
-                // If no status found yet, or still syncing, continue
-                retries++;
+            // 2. Wait for completion
+            const result = await finished;
+            if (result.status === 'error') {
+                throw new Error(`Sync failed: ${result.error}`);
             }
-
-            if (retries >= maxRetries) {
-                throw new Error('Sync timed out');
+            if (result.status === 'cancelled') {
+                console.log('[SourceManager] Sync cancelled');
+                return;
             }
+            console.log('[SourceManager] Sync completed successfully');
 
             // 3. Refresh UI / Cache
             // Clear cache for this source first
@@ -383,6 +666,18 @@ class SourceManager {
         }
     }
 
+    /**
+     * Cancel the queued or running sync of a source
+     */
+    async cancelSync(id) {
+        try {
+            await API.sources.cancelSync(id);
+        } catch (err) {
+            console.error('Error cancelling sync:', err);
+            alert('Cancel failed: ' + err.message);
+        }
+    }
+
     /**
      * Initialize content browser
      */
@@ -523,8 +818,9 @@ class SourceManager {
             }
 
             // Get currently hidden items
-            const hiddenItems = await API.channels.getHidden(sourceId);
+            const hiddenItems = await API.channels.getHidden(sourceId, 'default');
             this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
+            await this.loadRestrictions(sourceId);
             this.originalHiddenSet = new Set(this.hiddenSet); // Track original state for diffing
 
             // Group channels by category
@@ -583,6 +879,68 @@ class SourceManager {
         }
     }
 
+    /**
+     * Load parental restrictions for the content tree
+     */
+    async loadRestrictions(sourceId) {
+        try {
+            const restrictions = await API.parental.getRestrictions(sourceId);
+            this.restrictedSet = new Set(restrictions.map(r => `${r.item_type}:${r.item_id}`));
+        } catch (err) {
+            console.error('Error loading parental restrictions:', err);
+            this.restrictedSet = new Set();
+        }
+    }
+
+    /**
+     * Lock button marking an item as restricted (parental controls)
+     */
+    getRestrictButtonHtml(type, id) {
+        const restricted = this.restrictedSet?.has(`${type}:${id}`);
+        return `<button type="button" class="restrict-toggle ${restricted ? 'active' : ''}"
+                    data-type="${type}" data-id="${this.escapeHtml(id)}"
+                    title="${restricted ? 'Restricted - PIN required (click to release)' : 'Restrict with parental PIN'}">
+                    ${restricted ? Icons.lock : Icons.lockOpen}
+                </button>`;
+    }
+
+    /**
+     * Restrict or release an item immediately (not part of Save)
+     */
+    async toggleRestricted(button) {
+        const { type, id } = button.dataset;
+        const key = `${type}:${id}`;
+        const restrict = !this.restrictedSet.has(key);
+        const items = [{ sourceId: this.treeData.sourceId, itemType: type, itemId: id }];
+
+        try {
+            if (restrict) {
+                await API.parental.restrict(items);
+                this.restrictedSet.add(key);
+            } else {
+                await API.parental.unrestrict(items);
+                this.restrictedSet.delete(key);
+            }
+            button.outerHTML = this.getRestrictButtonHtml(type, id);
+            this.attachRestrictListeners(this.contentTree);
+        } catch (err) {
+            alert('Error updating restriction: ' + err.message);
+        }
+    }
+
+    attachRestrictListeners(container) {
+        container.querySelectorAll('.restrict-toggle').forEach(btn => {
+            if (btn.dataset.bound) return;
+            btn.dataset.bound = 'true';
+            btn.addEventListener('click', (e) => {
+                // Buttons sit inside the checkbox labels - don't toggle visibility
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleRestricted(btn);
+            });
+        });
+    }
+
     /**
      * Get groups filtered by search query
      */
@@ -651,6 +1009,7 @@ class SourceManager {
                                data-source-id="${this.treeData.sourceId}" 
                                ${!itemHidden ? 'checked' : ''}>
                         <span class="channel-name">${this.escapeHtml(item.name)}</span>
+                        ${this.getRestrictButtonHtml(item.type, item.id)}
                     </label>`;
             }).join('')}
             </div>`;
@@ -668,6 +1027,7 @@ class SourceManager {
                                ${checked ? 'checked' : ''}>
                         <span class="group-name">${this.escapeHtml(group.name)} (${group.items.length})</span>
                     </label>
+                    ${this.treeData.type === 'channels' ? this.getRestrictButtonHtml('group', group.categoryId || group.id) : ''}
                 </div>
                 ${itemsHtml}
             </div>
@@ -697,6 +1057,9 @@ class SourceManager {
             });
         });
 
+        // Toggle parental restriction
+        this.attachRestrictListeners(container);
+
         // Toggle visibility
         container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
             cb.addEventListener('change', (e) => {
@@ -754,8 +1117,9 @@ class SourceManager {
                 return;
             }
 
-            const hiddenItems = await API.channels.getHidden(sourceId);
+            const hiddenItems = await API.channels.getHidden(sourceId, 'default');
             this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
+            await this.loadRestrictions(sourceId);
             this.originalHiddenSet = new Set(this.hiddenSet); // Track original state
 
             // Create a single "Movies" group or flatten?
@@ -811,8 +1175,9 @@ class SourceManager {
                 return;
             }
 
-            const hiddenItems = await API.channels.getHidden(sourceId);
+            const hiddenItems = await API.channels.getHidden(sourceId, 'default');
             this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
+            await this.loadRestrictions(sourceId);
             this.originalHiddenSet = new Set(this.hiddenSet); // Track original state
 
             this.treeData.groups = [{
@@ -940,9 +1305,9 @@ class SourceManager {
 
             // Use fast API endpoint (single SQL UPDATE statement)
             if (visible) {
-                await API.channels.showAll(sourceId, contentType);
+                await API.channels.showAll(sourceId, contentType, 'default');
             } else {
-                await API.channels.hideAll(sourceId, contentType);
+                await API.channels.hideAll(sourceId, contentType, 'default');
             }
 
             // Update local state to match
@@ -1098,7 +1463,7 @@ class SourceManager {
                 for (let i = 0; i < items.length; i += BATCH_SIZE) {
                     const batch = items.slice(i, i + BATCH_SIZE);
                     console.log(`[SourceManager] ${label}: batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(items.length / BATCH_SIZE)} (${batch.length} items)`);
-                    await apiFn(batch);
+                    await apiFn(batch, 'default');
 
                     // Update button with progress
                     if (saveBtn) {
@@ -1162,20 +1527,169 @@ class SourceManager {
     }
 
     /**
-     * Poll sync status periodically
+     * Follow sync progress over Server-Sent Events (admins only)
      */
-    async pollSyncStatus() {
-        const poll = async () => {
-            try {
-                const statuses = await API.sources.getStatus();
-                this.updateSyncStatus(statuses);
-            } catch (err) {
-                console.warn('Error polling sync status:', err);
+    startSyncEvents() {
+        if (this.syncEvents) this.syncEvents.close();
+
+        // EventSource cannot send the Authorization header, so it uses the media token
+        this.syncEvents = new EventSource(API.mediaUrl('/api/sources/events'));
+
+        this.syncEvents.addEventListener('snapshot', (e) => {
+            JSON.parse(e.data).forEach(progress => this.setSyncProgress(progress));
+        });
+        this.syncEvents.addEventListener('progress', (e) => {
+            const progress = JSON.parse(e.data);
+            this.setSyncProgress(progress);
+
+            if (!this.isSyncActive(progress)) {
+                (this.syncWaiters.get(progress.sourceId) || []).forEach(resolve => resolve(progress));
+                this.syncWaiters.delete(progress.sourceId);
+                // Next sync times and provider health changed
+                this.loadSources();
+            }
+        });
+        this.syncEvents.addEventListener('log', (e) => {
+            const line = JSON.parse(e.data);
+            const lines = this.syncLogs.get(line.sourceId) || [];
+            lines.push(line);
+            this.syncLogs.set(line.sourceId, lines.slice(-this.syncLogLimit));
+            this.renderSyncProgress(line.sourceId);
+        });
+
+        // EventSource reconnects by itself, except when the request is rejected (e.g. expired media token)
+        this.syncEvents.onerror = () => {
+            if (this.syncEvents.readyState === EventSource.CLOSED) {
+                setTimeout(() => this.startSyncEvents(), 5000);
             }
-            // Poll every 3 seconds
-            this.syncPollTimeout = setTimeout(poll, 3000);
         };
-        poll();
+
+        // Keep elapsed times of running syncs ticking between events
+        clearInterval(this.syncTicker);
+        this.syncTicker = setInterval(() => {
+            this.syncProgress.forEach((progress, sourceId) => {
+                if (this.isSyncActive(progress)) this.renderSyncProgress(sourceId);
+            });
+        }, 1000);
+    }
+
+    setSyncProgress(progress) {
+        // Elapsed time is counted from when the event arrived, not the server clock
+        progress.receivedAt = Date.now();
+        if (progress.status === 'syncing' && progress.phase === 'starting') {
+            this.syncLogs.delete(progress.sourceId);
+        }
+        this.syncProgress.set(progress.sourceId, progress);
+        this.renderSyncProgress(progress.sourceId);
+    }
+
+    /**
+     * Whether a sync is waiting for a free slot or running
+     */
+    isSyncActive(progress) {
+        return progress.status === 'queued' || progress.status === 'syncing';
+    }
+
+    /**
+     * Resolve with the final progress of the next sync of a source to finish
+     */
+    waitForSync(sourceId) {
+        return new Promise(resolve => {
+            const waiters = this.syncWaiters.get(sourceId) || [];
+            waiters.push(resolve);
+            this.syncWaiters.set(sourceId, waiters);
+        });
+    }
+
+    /**
+     * Show the progress bar, phase and recent log lines of a source
+     */
+    renderSyncProgress(sourceId) {
+        const item = document.querySelector(`.source-item[data-id="${sourceId}"]`);
+        const progress = this.syncProgress.get(sourceId);
+        if (!item || !progress) return;
+
+        let container = item.querySelector('.sync-progress');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'sync-progress';
+            container.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="cancel-sync"]')) this.cancelSync(sourceId);
+            });
+            item.querySelector('.source-info').appendChild(container);
+        }
+
+        // Phases reported by the server while syncing
+        const phases = {
+            queued: 'Queued',
+            starting: 'Starting',
+            download: 'Downloading',
+            live_categories: 'Live categories',
+            live_streams: 'Live channels',
+            vod_categories: 'Movie categories',
+            vod_streams: 'Movies',
+            series_categories: 'Series categories',
+            series: 'Series',
+            m3u: 'Playlist',
+            epg: 'EPG programmes',
+            cleanup: 'Removing stale content',
+            indexing: 'Updating search index',
+            matching: 'Matching EPG channels'
+        };
+
+        const syncing = this.isSyncActive(progress);
+        const elapsed = this.formatDuration(progress.elapsed + (syncing ? Date.now() - progress.receivedAt : 0));
+        let html;
+
+        if (syncing) {
+            const phase = phases[progress.phase] || progress.phase;
+            const known = progress.total > 0;
+            const percent = known ? Math.min(100, Math.round((progress.processed / progress.total) * 100)) : 0;
+            const count = known
+                ? `${progress.processed.toLocaleString()} / ${progress.total.toLocaleString()}`
+                : (progress.processed ? progress.processed.toLocaleString() : '');
+
+            html = `
+        <div class="sync-progress-bar ${known ? '' : 'indeterminate'}"><span style="width: ${percent}%"></span></div>
+        <div class="sync-progress-text">
+          ${[phase, count, elapsed].filter(Boolean).join(' · ')}
+          <button class="sync-cancel" data-action="cancel-sync">Cancel</button>
+        </div>
+      `;
+        } else if (progress.status === 'cancelled') {
+            html = `<div class="sync-progress-text">Sync cancelled after ${elapsed}</div>`;
+        } else if (progress.status === 'error') {
+            html = `<div class="sync-progress-text error">Sync failed after ${elapsed}: ${this.escapeHtml(progress.error)}</div>`;
+        } else {
+            html = `<div class="sync-progress-text">Synced in ${elapsed}</div>`;
+        }
+
+        // Log lines while running, and to explain a failure
+        const lines = this.syncLogs.get(sourceId) || [];
+        if (lines.length > 0 && progress.status !== 'success') {
+            html += `<div class="sync-log">${lines.map(line =>
+                `<div class="sync-log-line ${line.level}">${new Date(line.time).toLocaleTimeString()} ${this.escapeHtml(line.message)}</div>`
+            ).join('')}</div>`;
+        }
+        container.innerHTML = html;
+
+        const btn = item.querySelector('[data-action="refresh"]');
+        if (btn) {
+            btn.disabled = syncing;
+            btn.classList.toggle('syncing', syncing);
+            btn.innerHTML = syncing ? `<span class="spin">${Icons.refresh}</span>` : Icons.refresh;
+            if (syncing) {
+                btn.title = 'Syncing...';
+            } else {
+                btn.title = progress.status === 'error' ? 'Sync Failed - Retry' : `Last Sync: ${new Date(progress.finishedAt).toLocaleString()}`;
+            }
+        }
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
     }
 
     /**
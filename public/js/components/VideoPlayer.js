@@ -46,7 +46,13 @@ class VideoPlayer {
             forceTranscode: false,
             forceRemux: false,
             streamFormat: 'm3u8',
-            epgRefreshInterval: '24'
+            epgRefreshInterval: '24',
+            syncConcurrency: '2',
+            syncTimeoutMinutes: '60',
+            providerTimeoutSeconds: '120',
+            providerRetries: '3',
+            providerRateLimit: '5',
+            accountExpiryWarningDays: '7'
         };
     }
 
@@ -657,6 +663,14 @@ class VideoPlayer {
             // Stop current playback
             this.stop();
 
+            // Radio stations (M3U radio="true") have no picture: show the channel logo instead
+            if (channel.radio) {
+                this.container.classList.add('radio');
+                if (channel.tvgLogo) {
+                    this.video.poster = window.app?.channelList?.getProxiedImageUrl(channel.tvgLogo, channel.sourceId) || channel.tvgLogo;
+                }
+            }
+
             // Hide "select a channel" overlay
             this.overlay.classList.add('hidden');
 
@@ -691,9 +705,12 @@ class VideoPlayer {
             // Proactively use proxy for:
             // 1. User enabled "Force Proxy" in settings
             // 2. Known CORS-restricted domains (like Pluto TV)
+            // 3. Sources and playlist entries with custom HTTP headers, which browsers cannot set
             // Note: Xtream sources are NOT auto-proxied because many providers IP-lock streams
             const proxyRequiredDomains = ['pluto.tv'];
-            const needsProxy = this.settings.forceProxy || proxyRequiredDomains.some(domain => streamUrl.includes(domain));
+            const needsProxy = this.settings.forceProxy ||
+                proxyRequiredDomains.some(domain => streamUrl.includes(domain)) ||
+                this.needsCustomHeaders(channel);
 
             this.isUsingProxy = needsProxy;
             const finalUrl = needsProxy ? this.getProxiedUrl(streamUrl) : streamUrl;
@@ -712,7 +729,8 @@ class VideoPlayer {
 
             // Force Remux: Route through FFmpeg for container conversion
             // Applies to: 1) .ts streams when detected, or 2) ALL non-HLS streams when enabled
-            if (this.settings.forceRemux && (isRawTs || isExtensionless)) {
+            // Radio streams (MP3/AAC) play directly, remuxing them to video containers fails
+            if (this.settings.forceRemux && (isRawTs || isExtensionless) && !channel.radio) {
                 console.log('[Player] Force Remux enabled. Routing through FFmpeg remux...');
                 console.log('[Player] Stream type:', isRawTs ? 'Raw TS' : 'Extension-less (assumed TS)');
                 const remuxUrl = this.getRemuxUrl(streamUrl);
@@ -840,32 +858,32 @@ class VideoPlayer {
      * Fetch EPG data for current channel
      */
     async fetchEpgData(channel) {
+        // Catch-up playback shows the programme being replayed
+        if (channel.catchupProgramme) {
+            this.updateNowPlaying(channel, { current: channel.catchupProgramme });
+            return;
+        }
+
         try {
             // First, try to use the centralized EpgGuide data (already loaded)
             if (window.app && window.app.epgGuide && window.app.epgGuide.programmes) {
                 const epgGuide = window.app.epgGuide;
 
                 // Get current program from EpgGuide
-                const currentProgram = epgGuide.getCurrentProgram(channel.tvgId, channel.name);
+                const currentProgram = epgGuide.getCurrentProgram(channel);
 
                 if (currentProgram) {
-                    // Find upcoming programs from the guide's data
-                    const epgChannel = epgGuide.channelMap?.get(channel.tvgId) ||
-                        epgGuide.channelMap?.get(channel.name?.toLowerCase());
-
-                    let upcoming = [];
-                    if (epgChannel) {
-                        const now = Date.now();
-                        upcoming = epgGuide.programmes
-                            .filter(p => p.channelId === epgChannel.id && new Date(p.start).getTime() > now)
-                            .slice(0, 5)
-                            .map(p => ({
-                                title: p.title,
-                                start: new Date(p.start),
-                                stop: new Date(p.stop),
-                                description: p.desc || ''
-                            }));
-                    }
+                    // Upcoming programs from the guide's data (tvg-shift already applied)
+                    const now = Date.now();
+                    const upcoming = epgGuide.getChannelPrograms(channel)
+                        .filter(p => p.start.getTime() > now)
+                        .slice(0, 5)
+                        .map(p => ({
+                            title: p.title,
+                            start: p.start,
+                            stop: p.stop,
+                            description: p.desc || ''
+                        }));
 
                     this.updateNowPlaying(channel, {
                         current: {
@@ -923,18 +941,107 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Catch-up URL of a past programme, from the channel's M3U catchup attributes
+     * catchup="default" uses catchup-source as the URL, "append" appends it to the stream URL,
+     * "shift" adds utc/lutc query params and "flussonic" rewrites the stream path.
+     * catchup-source placeholders: {utc} / ${start}, {utcend} / ${end}, {lutc} / ${now} / ${timestamp}
+     * (Unix seconds, or formatted as in {utc:Y-m-d H:M:S}), {duration} (seconds; {duration:60} in
+     * minutes) and {Y} {m} {d} {H} {M} {S} (local start time).
+     * @param {object} channel - Channel from ChannelList
+     * @param {Date} start - Programme start
+     * @param {Date} stop - Programme end
+     * @returns {string|null} null if the channel has no catch-up or the programme is outside its window
+     */
+    getCatchupUrl(channel, start, stop) {
+        const mode = (channel?.catchup || '').toLowerCase();
+        const now = new Date();
+        if (!mode || !channel.url || start >= now) return null;
+        if (channel.catchupDays && start.getTime() < now.getTime() - channel.catchupDays * 24 * 60 * 60 * 1000) return null;
+
+        const source = channel.catchupSource || '';
+        let template;
+        if (mode === 'default') {
+            template = source;
+        } else if (mode === 'append') {
+            template = source && channel.url + source;
+        } else if (mode === 'shift' || mode === 'timeshift') {
+            template = `${channel.url}${channel.url.includes('?') ? '&' : '?'}utc={utc}&lutc={lutc}`;
+        } else if (mode === 'flussonic' || mode === 'flussonic-hls' || mode === 'flussonic-ts' || mode === 'fs') {
+            if (/\/(index|video|mono)[^/?]*\.m3u8/.test(channel.url)) {
+                template = channel.url.replace(/\/(index|video|mono)[^/?]*\.m3u8/, '/$1-{utc}-{duration}.m3u8');
+            } else if (/\/mpegts(?=$|\?)/.test(channel.url)) {
+                template = channel.url.replace(/\/mpegts(?=$|\?)/, '/timeshift_abs-{utc}.ts');
+            }
+        }
+        if (!template) return null;
+
+        const pad = (value) => String(value).padStart(2, '0');
+        const format = (date, pattern) => pattern.replace(/[YmdHMS]/g, part => ({
+            Y: date.getFullYear(),
+            m: pad(date.getMonth() + 1),
+            d: pad(date.getDate()),
+            H: pad(date.getHours()),
+            M: pad(date.getMinutes()),
+            S: pad(date.getSeconds())
+        })[part]);
+        const times = { utc: start, start, utcend: stop, end: stop, lutc: now, now, timestamp: now };
+        const duration = Math.round((stop - start) / 1000);
+
+        return template
+            .replace(/\$?\{(utc|start|utcend|end|lutc|now|timestamp)(?::([^}]+))?\}/g, (match, name, pattern) =>
+                pattern ? format(times[name], pattern) : Math.floor(times[name].getTime() / 1000))
+            .replace(/\$?\{duration(?::(\d+))?\}/g, (match, divider) => Math.floor(duration / (parseInt(divider) || 1)))
+            .replace(/\{([YmdHMS])\}/g, (match, part) => format(start, part));
+    }
+
+    /**
+     * Play a past programme of a channel through its catch-up URL
+     * @param {object} programme - { title, start: Date, stop: Date, description }
+     * @returns {boolean} false if the programme cannot be replayed
+     */
+    playCatchup(channel, programme) {
+        const url = this.getCatchupUrl(channel, programme.start, programme.stop);
+        if (!url) return false;
+
+        console.log(`[Player] Catch-up of ${channel.name}: ${programme.title}`);
+        this.play({ ...channel, catchupProgramme: programme }, url);
+        return true;
+    }
+
+    /**
+     * Query params naming the current channel's source and entry, so the server sends their HTTP headers
+     */
+    getHeaderParams() {
+        const channel = this.currentChannel;
+        if (!channel?.sourceId) return '';
+
+        let params = `&sourceId=${encodeURIComponent(channel.sourceId)}`;
+        if (channel.streamId !== undefined) params += `&itemId=${encodeURIComponent(channel.streamId)}`;
+        return params;
+    }
+
+    /**
+     * Whether a channel's stream needs headers a browser cannot send (source or M3U entry headers)
+     */
+    needsCustomHeaders(channel) {
+        if (channel?.httpHeaders) return true;
+        const source = window.app?.channelList?.sources?.find(s => s.id === channel?.sourceId);
+        return Boolean(source?.hasHttpHeaders);
+    }
+
     /**
      * Get proxied URL for a stream
      */
     getProxiedUrl(url) {
-        return `/api/proxy/stream?url=${encodeURIComponent(url)}`;
+        return API.mediaUrl(`/api/proxy/stream?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
     }
 
     /**
      * Get transcoded URL for a stream (audio transcoding for browser compatibility)
      */
     getTranscodeUrl(url) {
-        return `/api/transcode?url=${encodeURIComponent(url)}`;
+        return API.mediaUrl(`/api/transcode?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
     }
 
     /**
@@ -942,7 +1049,7 @@ class VideoPlayer {
      * Used for raw .ts streams that browsers can't play directly
      */
     getRemuxUrl(url) {
-        return `/api/remux?url=${encodeURIComponent(url)}`;
+        return API.mediaUrl(`/api/remux?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
     }
 
     /**
@@ -967,7 +1074,9 @@ class VideoPlayer {
         }
         this.video.pause();
         this.video.src = '';
+        this.video.removeAttribute('poster');
         this.video.load();
+        this.container.classList.remove('radio');
 
         // Reset UI to idle state
         this.overlay.classList.remove('hidden'); // Show "Select a channel"
@@ -93,7 +93,8 @@ class MoviesPage {
     async loadSources() {
         try {
             const allSources = await API.sources.getAll();
-            this.sources = allSources.filter(s => s.type === 'xtream' && s.enabled);
+            // M3U sources list the entries sorted into movies and series during their sync
+            this.sources = allSources.filter(s => ['xtream', 'm3u'].includes(s.type) && s.enabled);
 
             this.sourceSelect.innerHTML = '<option value="">All Sources</option>';
             this.sources.forEach(s => {
@@ -179,7 +180,10 @@ class MoviesPage {
                     // Parse category if selected
                     let catId = null;
                     if (categoryValue) {
-                        const [catSourceId, categoryId] = categoryValue.split(':');
+                        // M3U category ids are group names, which may contain ':'
+                        const separator = categoryValue.indexOf(':');
+                        const catSourceId = categoryValue.substring(0, separator);
+                        const categoryId = categoryValue.substring(separator + 1);
                         if (parseInt(catSourceId) === source.id) {
                             catId = categoryId;
                         } else if (sourceId) {
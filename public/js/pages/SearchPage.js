@@ -0,0 +1,202 @@
+/**
+ * Search Page Controller
+ * Global search across channels, movies, series and EPG programmes (server-side, /api/search)
+ */
+
+class SearchPage {
+    constructor(app) {
+        this.app = app;
+        this.searchInput = document.getElementById('global-search');
+        this.filters = document.getElementById('search-type-filters');
+        this.container = document.getElementById('search-results');
+
+        this.types = new Set(['live', 'movie', 'series', 'epg']);
+        this.requestId = 0;
+
+        this.init();
+    }
+
+    init() {
+        // Search with debounce
+        let searchTimeout;
+        this.searchInput?.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.search(), 300);
+        });
+
+        // Type filter toggles (at least one type stays selected)
+        this.filters?.querySelectorAll('[data-type]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const type = btn.dataset.type;
+                if (this.types.has(type) && this.types.size === 1) return;
+
+                if (this.types.has(type)) {
+                    this.types.delete(type);
+                } else {
+                    this.types.add(type);
+                }
+                btn.classList.toggle('active', this.types.has(type));
+                this.search();
+            });
+        });
+
+        this.container?.addEventListener('click', (e) => {
+            const row = e.target.closest('.search-result');
+            if (row && this.results) {
+                this.open(this.results[row.dataset.type][parseInt(row.dataset.index)]);
+            }
+        });
+    }
+
+    show() {
+        this.searchInput?.focus();
+    }
+
+    hide() {
+        // Page is hidden
+    }
+
+    async search() {
+        const query = this.searchInput?.value?.trim() || '';
+        const requestId = ++this.requestId;
+
+        if (query.length < 2) {
+            this.results = null;
+            this.container.innerHTML = '<div class="empty-state"><p>Search channels, movies, series and TV programmes</p></div>';
+            return;
+        }
+
+        try {
+            const data = await API.search(query, [...this.types]);
+            // Ignore responses to queries typed over in the meantime
+            if (requestId !== this.requestId) return;
+
+            this.results = data.results;
+            this.render();
+        } catch (err) {
+            if (requestId !== this.requestId) return;
+            console.error('Error searching:', err);
+            this.container.innerHTML = `<div class="empty-state"><p>Search failed: ${this.escapeHtml(err.message)}</p></div>`;
+        }
+    }
+
+    render() {
+        const sections = [
+            { type: 'live', title: 'Channels' },
+            { type: 'movie', title: 'Movies' },
+            { type: 'series', title: 'Series' },
+            { type: 'epg', title: 'TV Programmes' }
+        ];
+
+        let html = '';
+        sections.forEach(({ type, title }) => {
+            const items = this.results[type];
+            if (!items || items.length === 0) return;
+
+            html += `
+                <div class="search-section">
+                    <h3 class="search-section-title">${title} <span class="hint">${items.length}</span></h3>
+                    ${items.map((item, index) => this.renderResult(item, index)).join('')}
+                </div>
+            `;
+        });
+
+        this.container.innerHTML = html || '<div class="empty-state"><p>No results found</p></div>';
+    }
+
+    renderResult(item, index) {
+        let title, meta, icon;
+
+        if (item.type === 'epg') {
+            const day = new Date(item.start).toLocaleDateString([], { weekday: 'short' });
+            const start = new Date(item.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const end = new Date(item.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const live = item.start <= Date.now() ? ' · On now' : '';
+            title = item.title;
+            meta = `${item.channelName} · ${day} ${start} - ${end}${live}`;
+            icon = Icons.guide;
+        } else {
+            title = item.name;
+            meta = [item.categoryName, item.year].filter(Boolean).join(' · ');
+            icon = item.icon
+                ? `<img src="${this.escapeHtml(item.icon)}" alt="" loading="lazy" onerror="this.style.display='none'">`
+                : Icons.play;
+        }
+
+        // Programmes can only be opened when they air on a known channel
+        const playable = item.type !== 'epg' || item.channel;
+
+        return `
+            <div class="search-result ${playable ? '' : 'disabled'}" data-type="${item.type}" data-index="${index}">
+                <span class="search-result-icon">${icon}</span>
+                <div class="search-result-info">
+                    <div class="search-result-title">${this.escapeHtml(title)}</div>
+                    <div class="search-result-meta">${this.escapeHtml(meta)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Play or open a search result
+     */
+    async open(item) {
+        if (!item) return;
+
+        try {
+            if (item.type === 'live') {
+                await this.playChannel(item);
+            } else if (item.type === 'epg') {
+                if (item.channel) await this.playChannel(item.channel);
+            } else if (item.type === 'movie') {
+                await this.app.pages.movies.playMovie({
+                    sourceId: item.sourceId,
+                    stream_id: item.itemId,
+                    name: item.name,
+                    stream_icon: item.icon,
+                    container_extension: item.containerExtension,
+                    year: item.year,
+                    rating: item.rating,
+                    plot: item.plot,
+                    category_id: item.categoryId
+                });
+            } else if (item.type === 'series') {
+                this.app.navigateTo('series');
+                await this.app.pages.series.showSeriesDetails({
+                    sourceId: item.sourceId,
+                    series_id: item.itemId,
+                    name: item.name,
+                    cover: item.icon,
+                    plot: item.plot
+                });
+            }
+        } catch (err) {
+            console.error('Error opening search result:', err);
+        }
+    }
+
+    async playChannel(channel) {
+        const channelList = this.app.channelList;
+        if (channelList.channels.length === 0) {
+            await channelList.loadSources();
+            await channelList.loadChannels();
+        }
+
+        // Same ids ChannelList builds when loading Xtream/M3U sources
+        const channelId = `${channel.sourceType}_${channel.sourceId}_${channel.itemId}`;
+        this.app.navigateTo('home');
+        await channelList.selectChannel({ channelId });
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+}
+
+window.SearchPage = SearchPage;
@@ -8,6 +8,23 @@ class SettingsPage {
         this.tabs = document.querySelectorAll('.tabs .tab');
         this.tabContents = document.querySelectorAll('.tab-content');
 
+        // Sync history paging and runs picked for comparison
+        this.syncRuns = [];
+        this.syncRunsTotal = 0;
+        this.selectedRuns = new Set();
+
+        // EPG mapping editor paging
+        this.epgMappings = [];
+        this.epgMappingsTotal = 0;
+
+        // Provider settings: select id -> server-wide setting
+        this.providerSettings = {
+            'provider-timeout': 'providerTimeoutSeconds',
+            'provider-retries': 'providerRetries',
+            'provider-rate-limit': 'providerRateLimit',
+            'account-expiry-warning': 'accountExpiryWarningDays'
+        };
+
         this.init();
     }
 
@@ -22,6 +39,18 @@ class SettingsPage {
 
         // User management (admin only)
         this.initUserManagement();
+
+        // Backup & restore (admin only)
+        this.initBackup();
+
+        // Sync history (admin only)
+        this.initSyncHistory();
+
+        // EPG channel mappings (admin only)
+        this.initEpgMappings();
+
+        // Playlist export
+        this.initExport();
     }
 
     initPlayerSettings() {
@@ -120,6 +149,34 @@ class SettingsPage {
             });
         }
 
+        // Sync job limits (server-wide)
+        const syncConcurrencySelect = document.getElementById('sync-concurrency');
+        const syncTimeoutSelect = document.getElementById('sync-timeout');
+        if (syncConcurrencySelect && this.app.player?.settings) {
+            syncConcurrencySelect.value = this.app.player.settings.syncConcurrency || '2';
+            syncConcurrencySelect.addEventListener('change', () => {
+                this.app.player.settings.syncConcurrency = syncConcurrencySelect.value;
+                this.app.player.saveSettings();
+            });
+        }
+        if (syncTimeoutSelect && this.app.player?.settings) {
+            syncTimeoutSelect.value = this.app.player.settings.syncTimeoutMinutes ?? '60';
+            syncTimeoutSelect.addEventListener('change', () => {
+                this.app.player.settings.syncTimeoutMinutes = syncTimeoutSelect.value;
+                this.app.player.saveSettings();
+            });
+        }
+
+        Object.entries(this.providerSettings).forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (!select || !this.app.player?.settings) return;
+            select.value = this.app.player.settings[key] ?? select.value;
+            select.addEventListener('change', () => {
+                this.app.player.settings[key] = select.value;
+                this.app.player.saveSettings();
+            });
+        });
+
         // Update last refreshed display
         this.updateEpgLastRefreshed();
 
@@ -135,6 +192,29 @@ class SettingsPage {
                 this.app.player.saveSettings();
             });
         }
+
+        // Player settings are per user - admins can publish theirs as the defaults
+        document.getElementById('player-save-defaults')?.addEventListener('click', async () => {
+            if (!confirm('Use your current player settings as the default for all users?')) return;
+            try {
+                const { lastVolume, ...defaults } = this.app.player.settings;
+                await API.settings.updateDefaults(defaults);
+                alert('Default settings updated');
+            } catch (err) {
+                alert('Error saving default settings: ' + err.message);
+            }
+        });
+
+        document.getElementById('player-reset-own')?.addEventListener('click', async () => {
+            if (!confirm('Reset your player settings to the defaults?')) return;
+            try {
+                const defaults = await API.settings.reset();
+                this.app.player.settings = { ...this.app.player.getDefaultSettings(), ...defaults };
+                await this.show();
+            } catch (err) {
+                alert('Error resetting settings: ' + err.message);
+            }
+        });
     }
 
     initUserManagement() {
@@ -163,6 +243,608 @@ class SettingsPage {
         }
     }
 
+    initBackup() {
+        document.getElementById('backup-download')?.addEventListener('click', async () => {
+            const passphrase = prompt('Passphrase to encrypt the backup (8+ characters).\n' +
+                'Leave empty for an unencrypted file: it contains provider credentials in plain text and password hashes.');
+            if (passphrase === null) return;
+
+            try {
+                const archive = await API.backup.download(passphrase);
+                const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `nodecast-backup-${archive.createdAt.slice(0, 10)}.json`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (err) {
+                alert('Error creating backup: ' + err.message);
+            }
+        });
+
+        const fileInput = document.getElementById('backup-file');
+        document.getElementById('backup-restore')?.addEventListener('click', () => fileInput?.click());
+
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (err) {
+                alert('Not a valid backup file');
+                return;
+            }
+
+            const created = archive.createdAt ? new Date(archive.createdAt).toLocaleString() : 'unknown date';
+            if (!confirm(`Restore the backup from ${created}? This replaces all sources, users and settings, and everyone will have to sign in again.`)) {
+                return;
+            }
+
+            if (archive.encrypted) {
+                const passphrase = prompt('This backup is encrypted. Passphrase:');
+                if (!passphrase) return;
+                archive = { ...archive, passphrase };
+            }
+
+            try {
+                const result = await API.backup.restore(archive);
+                const { sources, users, favorites } = result.restored;
+                alert(`Backup restored: ${sources} sources, ${users} users, ${favorites} favorites. Content is syncing in the background. Please sign in again.`);
+                API.clearSession();
+                window.location.href = '/login.html';
+            } catch (err) {
+                alert('Error restoring backup: ' + err.message);
+            }
+        });
+    }
+
+    initExport() {
+        // The token is only returned when it is created, so the URL is shown until the page reloads
+        this.exportToken = null;
+        this.exportTokenInfo = null;
+
+        ['export-stream-mode', 'export-favorites', 'export-groups'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateExportUrl());
+        });
+
+        document.getElementById('export-token-create')?.addEventListener('click', async () => {
+            if (this.exportTokenInfo && !confirm('Create a new link? The current link will stop working.')) {
+                return;
+            }
+            try {
+                const { token } = await API.export.createToken();
+                this.exportToken = token;
+                await this.loadExportToken();
+            } catch (err) {
+                alert('Error creating export link: ' + err.message);
+            }
+        });
+
+        document.getElementById('export-token-revoke')?.addEventListener('click', async () => {
+            if (!confirm('Revoke the export link? Players using it will stop working.')) return;
+            try {
+                await API.export.revokeToken();
+                this.exportToken = null;
+                await this.loadExportToken();
+            } catch (err) {
+                alert('Error revoking export link: ' + err.message);
+            }
+        });
+
+        ['export-url', 'export-guide-url'].forEach(id => {
+            document.getElementById(`${id}-copy`)?.addEventListener('click', () => {
+                const url = document.getElementById(id).value;
+                if (url) navigator.clipboard?.writeText(url);
+            });
+        });
+    }
+
+    async loadExportToken() {
+        const status = document.getElementById('export-token-status');
+        try {
+            this.exportTokenInfo = (await API.export.getToken()).token;
+        } catch (err) {
+            console.error('Error loading export token:', err);
+            return;
+        }
+
+        const info = this.exportTokenInfo;
+        if (!info) {
+            status.textContent = 'No export link yet';
+        } else {
+            const lastUsed = info.lastUsedAt ? new Date(info.lastUsedAt).toLocaleString() : 'never';
+            status.textContent = `Link created ${new Date(info.createdAt).toLocaleString()}, last used ${lastUsed}` +
+                (this.exportToken ? '' : '. Create a new link to see its URL again.');
+        }
+        document.getElementById('export-token-revoke').disabled = !info;
+        this.updateExportUrl();
+    }
+
+    updateExportUrl() {
+        const input = document.getElementById('export-url');
+        const guideInput = document.getElementById('export-guide-url');
+        if (!input || !guideInput) return;
+        if (!this.exportToken) {
+            input.value = '';
+            guideInput.value = '';
+            return;
+        }
+
+        // The guide takes the same filters, so it covers the playlist's channels
+        const params = [`token=${encodeURIComponent(this.exportToken)}`];
+        if (document.getElementById('export-favorites').checked) params.push('favorites=1');
+        document.getElementById('export-groups').value.split(',')
+            .map(group => group.trim())
+            .filter(Boolean)
+            .forEach(group => params.push(`group=${encodeURIComponent(group)}`));
+        guideInput.value = `${window.location.origin}/epg.xml.gz?${params.join('&')}`;
+
+        const mode = document.getElementById('export-stream-mode').value;
+        if (mode !== 'direct') params.push(`stream=${mode}`);
+        input.value = `${window.location.origin}/playlist.m3u?${params.join('&')}`;
+    }
+
+    initSyncHistory() {
+        document.getElementById('sync-runs-source')?.addEventListener('change', () => this.loadSyncRuns());
+        document.getElementById('sync-runs-status')?.addEventListener('change', () => this.loadSyncRuns());
+        document.getElementById('sync-runs-more')?.addEventListener('click', () => this.loadSyncRuns(true));
+        document.getElementById('sync-runs-compare')?.addEventListener('click', () => {
+            // Older run first, so differences read as "what changed since"
+            const [a, b] = [...this.selectedRuns].sort((x, y) => x - y);
+            this.showSyncRunComparison(a, b);
+        });
+
+        const list = document.getElementById('sync-runs-list');
+        list?.addEventListener('change', (e) => {
+            if (!e.target.matches('input[data-run-id]')) return;
+            const id = parseInt(e.target.dataset.runId);
+            if (e.target.checked) {
+                this.selectedRuns.add(id);
+            } else {
+                this.selectedRuns.delete(id);
+            }
+            this.updateSyncRunSelection();
+        });
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-run-id]');
+            if (row && !e.target.matches('input')) {
+                this.showSyncRun(parseInt(row.dataset.runId));
+            }
+        });
+    }
+
+    /**
+     * Load sync runs for the current filters
+     * @param {boolean} more - Append the next page instead of starting over
+     */
+    async loadSyncRuns(more = false) {
+        const list = document.getElementById('sync-runs-list');
+        if (!list) return;
+
+        const sourceId = document.getElementById('sync-runs-source')?.value || null;
+        const status = document.getElementById('sync-runs-status')?.value || null;
+
+        if (!more) {
+            this.syncRuns = [];
+            this.selectedRuns.clear();
+            this.updateSyncRunSelection();
+        }
+
+        try {
+            const result = await API.syncRuns.list(sourceId, status, 50, this.syncRuns.length);
+            this.syncRuns = this.syncRuns.concat(result.runs);
+            this.syncRunsTotal = result.total;
+        } catch (err) {
+            console.error('Error loading sync runs:', err);
+            list.innerHTML = '<tr><td colspan="10" class="hint">Error loading sync history</td></tr>';
+            return;
+        }
+
+        if (this.syncRuns.length === 0) {
+            list.innerHTML = '<tr><td colspan="10" class="hint">No sync runs yet</td></tr>';
+        } else {
+            list.innerHTML = this.syncRuns.map(run => `
+                <tr data-run-id="${run.id}" class="sync-run-row">
+                    <td><input type="checkbox" data-run-id="${run.id}" ${this.selectedRuns.has(run.id) ? 'checked' : ''}></td>
+                    <td>${this.escapeHtml(run.sourceName)}</td>
+                    <td>${new Date(run.startedAt).toLocaleString()}</td>
+                    <td>${run.durationMs !== null ? this.formatDuration(run.durationMs) : '-'}</td>
+                    <td>${this.getTriggerLabel(run.trigger)}</td>
+                    <td><span class="sync-run-status ${run.status}">${run.status}</span></td>
+                    <td>${run.added}</td>
+                    <td>${run.changed}</td>
+                    <td>${run.removed}</td>
+                    <td class="sync-run-error" title="${this.escapeHtml(run.error || '')}">${this.escapeHtml(run.error || '')}</td>
+                </tr>
+            `).join('');
+        }
+
+        const moreBtn = document.getElementById('sync-runs-more');
+        if (moreBtn) {
+            moreBtn.style.display = this.syncRuns.length < this.syncRunsTotal ? '' : 'none';
+        }
+    }
+
+    /**
+     * Fill the source filter of the sync history
+     */
+    async loadSyncRunSources() {
+        const select = document.getElementById('sync-runs-source');
+        if (!select) return;
+
+        try {
+            const sources = await API.sources.getAll();
+            const current = select.value;
+            select.innerHTML = '<option value="">All sources</option>' + sources.map(source =>
+                `<option value="${source.id}">${this.escapeHtml(source.name)} (${source.type})</option>`
+            ).join('');
+            select.value = sources.some(source => String(source.id) === current) ? current : '';
+        } catch (err) {
+            console.error('Error loading sources:', err);
+        }
+    }
+
+    updateSyncRunSelection() {
+        const compareBtn = document.getElementById('sync-runs-compare');
+        if (compareBtn) {
+            compareBtn.disabled = this.selectedRuns.size !== 2;
+        }
+    }
+
+    /**
+     * Show the phases, counts and error of a sync run
+     */
+    async showSyncRun(runId) {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        title.textContent = 'Sync Run';
+        body.innerHTML = '<p class="hint">Loading...</p>';
+        footer.innerHTML = '<button class="btn btn-secondary" id="modal-cancel">Close</button>';
+        modal.classList.add('active');
+
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+
+        try {
+            const run = await API.syncRuns.get(runId);
+            title.textContent = `Sync Run - ${run.sourceName}`;
+
+            const phases = Object.entries(run.phases);
+            body.innerHTML = `
+                <p>
+                    ${new Date(run.startedAt).toLocaleString()} · ${this.getTriggerLabel(run.trigger)} (${run.scopes.join(', ')})
+                    · <span class="sync-run-status ${run.status}">${run.status}</span>
+                    ${run.durationMs !== null ? ` · ${this.formatDuration(run.durationMs)}` : ''}
+                </p>
+                <p>Added ${run.added} · Changed ${run.changed} · Removed ${run.removed}</p>
+                ${run.error ? `<p class="sync-run-error-detail">Failed${run.errorPhase ? ` during ${this.escapeHtml(run.errorPhase)}` : ''}: ${this.escapeHtml(run.error)}</p>` : ''}
+                ${phases.length > 0 ? `
+                    <table class="user-table">
+                        <thead><tr><th>Phase</th><th>Items</th><th>Time</th></tr></thead>
+                        <tbody>
+                            ${phases.map(([phase, stats]) => `
+                                <tr><td>${this.escapeHtml(phase)}</td><td>${stats.items}</td><td>${this.formatDuration(stats.ms)}</td></tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="hint">No phases recorded</p>'}
+            `;
+        } catch (err) {
+            console.error('Error loading sync run:', err);
+            body.innerHTML = '<p class="hint">Error loading sync run</p>';
+        }
+    }
+
+    /**
+     * Show two sync runs side by side with their differences
+     */
+    async showSyncRunComparison(runIdA, runIdB) {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        title.textContent = 'Compare Sync Runs';
+        body.innerHTML = '<p class="hint">Loading...</p>';
+        footer.innerHTML = '<button class="btn btn-secondary" id="modal-cancel">Close</button>';
+        modal.classList.add('active');
+
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+
+        const signed = (value, format = (v) => v) => {
+            if (value === null || value === undefined) return '-';
+            return value > 0 ? `+${format(value)}` : (value < 0 ? `-${format(-value)}` : '0');
+        };
+        const duration = (ms) => (ms === null || ms === undefined ? '-' : this.formatDuration(ms));
+
+        try {
+            const { a, b, diff } = await API.syncRuns.compare(runIdA, runIdB);
+            const row = (label, valueA, valueB, delta) => `
+                <tr><td>${label}</td><td>${valueA}</td><td>${valueB}</td><td>${delta}</td></tr>
+            `;
+
+            body.innerHTML = `
+                <table class="user-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${this.escapeHtml(a.sourceName)}<br><span class="hint">${new Date(a.startedAt).toLocaleString()}</span></th>
+                            <th>${this.escapeHtml(b.sourceName)}<br><span class="hint">${new Date(b.startedAt).toLocaleString()}</span></th>
+                            <th>Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Status', a.status, b.status, '')}
+                        ${row('Duration', duration(a.durationMs), duration(b.durationMs), signed(diff.durationMs, duration))}
+                        ${row('Added', a.added, b.added, signed(diff.added))}
+                        ${row('Changed', a.changed, b.changed, signed(diff.changed))}
+                        ${row('Removed', a.removed, b.removed, signed(diff.removed))}
+                        ${Object.entries(diff.phases).map(([phase, delta]) => row(
+                            `${this.escapeHtml(phase)} items`,
+                            a.phases[phase] ? a.phases[phase].items : '-',
+                            b.phases[phase] ? b.phases[phase].items : '-',
+                            signed(delta.items)
+                        ) + row(
+                            `${this.escapeHtml(phase)} time`,
+                            duration(a.phases[phase]?.ms),
+                            duration(b.phases[phase]?.ms),
+                            signed(delta.ms, duration)
+                        )).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (err) {
+            console.error('Error comparing sync runs:', err);
+            body.innerHTML = '<p class="hint">Error comparing sync runs</p>';
+        }
+    }
+
+    /**
+     * What started a sync run
+     */
+    initEpgMappings() {
+        let searchTimeout;
+        document.getElementById('epg-mappings-search')?.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.loadEpgMappings(), 300);
+        });
+        document.getElementById('epg-mappings-source')?.addEventListener('change', () => this.loadEpgMappings());
+        document.getElementById('epg-mappings-status')?.addEventListener('change', () => this.loadEpgMappings());
+        document.getElementById('epg-mappings-more')?.addEventListener('click', () => this.loadEpgMappings(true));
+
+        document.getElementById('epg-mappings-list')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-index]');
+            if (!btn) return;
+            const channel = this.epgMappings[parseInt(btn.dataset.index)];
+            if (btn.dataset.action === 'edit') {
+                this.editEpgMapping(channel);
+            } else if (btn.dataset.action === 'accept') {
+                this.acceptEpgMatch(channel);
+            } else if (btn.dataset.action === 'reset') {
+                this.resetEpgMapping(channel);
+            }
+        });
+    }
+
+    /**
+     * Load channels and their guide channels for the current filters
+     * @param {boolean} more - Append the next page instead of starting over
+     */
+    async loadEpgMappings(more = false) {
+        const list = document.getElementById('epg-mappings-list');
+        if (!list) return;
+
+        if (!more) {
+            this.epgMappings = [];
+        }
+
+        try {
+            const result = await API.epg.listMappings({
+                sourceId: document.getElementById('epg-mappings-source')?.value || null,
+                query: document.getElementById('epg-mappings-search')?.value.trim() || '',
+                status: document.getElementById('epg-mappings-status')?.value || 'all',
+                offset: this.epgMappings.length
+            });
+            this.epgMappings = this.epgMappings.concat(result.channels);
+            this.epgMappingsTotal = result.total;
+        } catch (err) {
+            console.error('Error loading EPG mappings:', err);
+            list.innerHTML = '<tr><td colspan="6" class="hint">Error loading channels</td></tr>';
+            return;
+        }
+
+        if (this.epgMappings.length === 0) {
+            list.innerHTML = '<tr><td colspan="6" class="hint">No channels found</td></tr>';
+        } else {
+            list.innerHTML = this.epgMappings.map((channel, index) => `
+                <tr>
+                    <td>${this.escapeHtml(channel.name)}<div class="hint">${this.escapeHtml(channel.group)}</div></td>
+                    <td>${this.escapeHtml(channel.sourceName)}</td>
+                    <td>${this.escapeHtml(channel.epgId || '')}</td>
+                    <td>${channel.guide
+                        ? `${this.escapeHtml(channel.guide.name)}<div class="hint">${this.escapeHtml(channel.guide.sourceName)} · ${this.escapeHtml(channel.guide.channelId)}</div>`
+                        : '-'}</td>
+                    <td>${this.getEpgMatchLabel(channel)}</td>
+                    <td>
+                        ${channel.review ? `<button class="btn btn-sm btn-primary" data-action="accept" data-index="${index}">Accept</button>` : ''}
+                        <button class="btn btn-sm btn-secondary" data-action="edit" data-index="${index}">Change</button>
+                        ${channel.mapping ? `<button class="btn btn-sm btn-secondary" data-action="reset" data-index="${index}">Automatic</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        const moreBtn = document.getElementById('epg-mappings-more');
+        if (moreBtn) {
+            moreBtn.style.display = this.epgMappings.length < this.epgMappingsTotal ? '' : 'none';
+        }
+    }
+
+    /**
+     * Fill the source filter of the EPG mappings with the sources that have channels
+     */
+    async loadEpgMappingSources() {
+        const select = document.getElementById('epg-mappings-source');
+        if (!select) return;
+
+        try {
+            const sources = (await API.sources.getAll()).filter(source => ['xtream', 'm3u'].includes(source.type));
+            const current = select.value;
+            select.innerHTML = '<option value="">All sources</option>' + sources.map(source =>
+                `<option value="${source.id}">${this.escapeHtml(source.name)} (${source.type})</option>`
+            ).join('');
+            select.value = sources.some(source => String(source.id) === current) ? current : '';
+        } catch (err) {
+            console.error('Error loading sources:', err);
+        }
+    }
+
+    getEpgMatchLabel(channel) {
+        if (channel.method === 'manual') return channel.guide ? 'Manual' : 'Manual (no guide)';
+        // The mapped guide channel is gone or its source is disabled
+        const broken = channel.mapping ? ' <span class="hint">(mapped channel not found)</span>' : '';
+        const methods = { id: 'tvg-id', name: 'Name', fuzzy: 'Similar name' };
+        if (!channel.method) return 'None' + broken;
+
+        const confidence = `${Math.round(channel.confidence * 100)}%`;
+        return `${methods[channel.method] || channel.method} <span class="${channel.review ? 'epg-match-review' : 'hint'}">${confidence}</span>${broken}`;
+    }
+
+    /**
+     * Pick the guide channel of a channel from the guide channels of all EPG sources
+     */
+    editEpgMapping(channel) {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        title.textContent = `EPG Channel - ${channel.name}`;
+        body.innerHTML = `
+            <div class="form-group">
+                <input type="text" id="epg-channel-search" class="form-input" placeholder="Search guide channels..."
+                       value="${this.escapeHtml(channel.name)}">
+            </div>
+            <div class="user-list-container">
+                <table class="user-table">
+                    <thead><tr><th>EPG channel</th><th>Source</th><th>Id</th><th></th></tr></thead>
+                    <tbody id="epg-channel-results"></tbody>
+                </table>
+            </div>
+        `;
+        footer.innerHTML = `
+            <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
+            <button class="btn btn-secondary" id="epg-mapping-none">No guide</button>
+        `;
+        modal.classList.add('active');
+
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+
+        const save = async (epgSourceId, epgChannelId) => {
+            try {
+                await API.epg.setMapping(channel.sourceId, channel.itemId, epgSourceId, epgChannelId);
+                modal.classList.remove('active');
+                await this.onEpgMappingChanged();
+            } catch (err) {
+                alert('Error saving EPG mapping: ' + err.message);
+            }
+        };
+        document.getElementById('epg-mapping-none').onclick = () => save(null, null);
+
+        const results = document.getElementById('epg-channel-results');
+        let found = [];
+        results.onclick = (e) => {
+            const btn = e.target.closest('button[data-index]');
+            if (!btn) return;
+            const guide = found[parseInt(btn.dataset.index)];
+            save(guide.sourceId, guide.channelId);
+        };
+
+        const search = async () => {
+            try {
+                found = await API.epg.searchChannels(document.getElementById('epg-channel-search').value.trim());
+            } catch (err) {
+                results.innerHTML = '<tr><td colspan="4" class="hint">Error searching guide channels</td></tr>';
+                return;
+            }
+            results.innerHTML = found.length === 0
+                ? '<tr><td colspan="4" class="hint">No guide channels found</td></tr>'
+                : found.map((guide, index) => `
+                    <tr>
+                        <td>${this.escapeHtml(guide.name)}</td>
+                        <td>${this.escapeHtml(guide.sourceName)}</td>
+                        <td>${this.escapeHtml(guide.channelId)}</td>
+                        <td><button class="btn btn-sm btn-primary" data-index="${index}">Use</button></td>
+                    </tr>
+                `).join('');
+        };
+
+        let searchTimeout;
+        document.getElementById('epg-channel-search').addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(search, 300);
+        });
+        search();
+    }
+
+    /**
+     * Keep a low-confidence automatic match by turning it into a mapping
+     */
+    async acceptEpgMatch(channel) {
+        try {
+            await API.epg.setMapping(channel.sourceId, channel.itemId, channel.guide.sourceId, channel.guide.channelId);
+            await this.onEpgMappingChanged();
+        } catch (err) {
+            alert('Error saving EPG mapping: ' + err.message);
+        }
+    }
+
+    /**
+     * Remove a channel's mapping, back to the automatic match
+     */
+    async resetEpgMapping(channel) {
+        try {
+            await API.epg.removeMapping(channel.sourceId, channel.itemId);
+            await this.onEpgMappingChanged();
+        } catch (err) {
+            alert('Error removing EPG mapping: ' + err.message);
+        }
+    }
+
+    async onEpgMappingChanged() {
+        await this.loadEpgMappings();
+        await this.app.epgGuide.refreshMappings();
+    }
+
+    getTriggerLabel(trigger) {
+        return { schedule: 'Scheduled', file: 'File changed' }[trigger] || 'Manual';
+    }
+
+    formatDuration(ms) {
+        if (ms < 1000) return `${ms}ms`;
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
     async loadUsers() {
         const userList = document.getElementById('user-list');
         if (!userList) return;
@@ -182,6 +864,8 @@ class SettingsPage {
                     <td>${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}</td>
                     <td>
                         <button class="btn btn-sm btn-secondary" onclick="window.app.pages.settings.editUser(${user.id})">Edit</button>
+                        <button class="btn btn-sm btn-secondary" onclick="window.app.pages.settings.showUserSessions(${user.id}, '${user.username}')">Sessions</button>
+                        <button class="btn btn-sm btn-secondary" onclick="window.app.pages.settings.showParentalControls(${user.id}, '${user.username}')">Parental</button>
                         <button class="btn btn-sm btn-error" onclick="window.app.pages.settings.deleteUser(${user.id}, '${user.username}')">Delete</button>
                     </td>
                 </tr>
@@ -216,6 +900,157 @@ class SettingsPage {
         }
     }
 
+    /**
+     * Show a user's active sessions (devices) with revoke actions
+     */
+    async showUserSessions(userId, username) {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        title.textContent = `Sessions - ${username}`;
+        body.innerHTML = '<p class="hint">Loading sessions...</p>';
+        footer.innerHTML = `
+            <button class="btn btn-secondary" id="modal-cancel">Close</button>
+            <button class="btn btn-error" id="sessions-revoke-all">Revoke All</button>
+        `;
+        modal.classList.add('active');
+
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+        document.getElementById('sessions-revoke-all').onclick = async () => {
+            if (!confirm(`Sign "${username}" out of all devices?`)) return;
+            try {
+                await API.users.revokeSessions(userId);
+                this.showUserSessions(userId, username);
+            } catch (err) {
+                alert('Error revoking sessions: ' + err.message);
+            }
+        };
+
+        try {
+            const sessions = await API.users.getSessions(userId);
+
+            if (sessions.length === 0) {
+                body.innerHTML = '<p class="hint">No active sessions</p>';
+                return;
+            }
+
+            body.innerHTML = `
+                <table class="user-table">
+                    <thead>
+                        <tr><th>Device</th><th>IP</th><th>Last Seen</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${sessions.map(session => `
+                            <tr>
+                                <td title="${session.userAgent || ''}">${this.describeUserAgent(session.userAgent)}${session.current ? ' <span class="badge badge-primary">this device</span>' : ''}</td>
+                                <td>${session.ip || 'N/A'}</td>
+                                <td>${new Date(session.lastSeen).toLocaleString()}</td>
+                                <td><button class="btn btn-sm btn-error" data-session-id="${session.id}">Revoke</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+            body.querySelectorAll('[data-session-id]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    try {
+                        await API.sessions.revoke(btn.dataset.sessionId);
+                        this.showUserSessions(userId, username);
+                    } catch (err) {
+                        alert('Error revoking session: ' + err.message);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Error loading sessions:', err);
+            body.innerHTML = '<p class="hint">Error loading sessions</p>';
+        }
+    }
+
+    /**
+     * Edit a user's parental controls (PIN, content rating limit, unlock period)
+     */
+    async showParentalControls(userId, username) {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        title.textContent = `Parental Controls - ${username}`;
+        body.innerHTML = '<p class="hint">Loading...</p>';
+        footer.innerHTML = `
+            <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
+            <button class="btn btn-primary" id="parental-save">Save</button>
+        `;
+        modal.classList.add('active');
+
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+
+        let controls;
+        try {
+            controls = await API.parental.getUserControls(userId);
+        } catch (err) {
+            body.innerHTML = '<p class="hint">Error loading parental controls</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="parental-enabled" ${controls.enabled ? 'checked' : ''}>
+                    <span>Require a PIN for restricted content</span>
+                </label>
+            </div>
+            <div class="form-group">
+                <label for="parental-max-age">Maximum content rating (age)</label>
+                <input type="number" id="parental-max-age" class="form-input" min="0" max="21"
+                       placeholder="No limit" value="${controls.maxAge ?? ''}">
+            </div>
+            <div class="form-group">
+                <label for="parental-unlock-minutes">Unlock for (minutes)</label>
+                <input type="number" id="parental-unlock-minutes" class="form-input" min="1" max="1440" value="${controls.unlockMinutes}">
+            </div>
+            <div class="form-group">
+                <label for="parental-pin">${controls.hasPin ? 'New PIN (leave blank to keep current)' : 'PIN (4-8 digits)'}</label>
+                <input type="password" id="parental-pin" class="form-input" inputmode="numeric" autocomplete="new-password">
+            </div>
+            <p class="hint">Mark restricted categories and channels with the lock icon in the Content tab.</p>
+        `;
+
+        document.getElementById('parental-save').onclick = async () => {
+            const maxAge = document.getElementById('parental-max-age').value;
+            const data = {
+                enabled: document.getElementById('parental-enabled').checked,
+                maxAge: maxAge === '' ? null : parseInt(maxAge),
+                unlockMinutes: parseInt(document.getElementById('parental-unlock-minutes').value) || 60
+            };
+            const pin = document.getElementById('parental-pin').value;
+            if (pin) data.pin = pin;
+
+            try {
+                await API.parental.updateUserControls(userId, data);
+                modal.classList.remove('active');
+            } catch (err) {
+                alert('Error saving parental controls: ' + err.message);
+            }
+        };
+    }
+
+    /**
+     * Short human-readable device description from a User-Agent string
+     */
+    describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name)) || 'Browser';
+        const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name)) || '';
+        return os ? `${browser === 'Edg' ? 'Edge' : browser} on ${os}` : userAgent.substring(0, 40);
+    }
+
     async deleteUser(userId, username) {
         if (!confirm(`Are you sure you want to delete user "${username}"?`)) {
             return;
@@ -243,6 +1078,16 @@ class SettingsPage {
         if (tabName === 'users') {
             this.loadUsers();
         }
+
+        if (tabName === 'sync-history') {
+            this.loadSyncRunSources();
+            this.loadSyncRuns();
+        }
+
+        if (tabName === 'epg-mappings') {
+            this.loadEpgMappingSources();
+            this.loadEpgMappings();
+        }
     }
 
     async show() {
@@ -252,11 +1097,25 @@ class SettingsPage {
             if (usersTab) {
                 usersTab.style.display = 'block';
             }
+            const syncHistoryTab = document.getElementById('sync-history-tab');
+            if (syncHistoryTab) {
+                syncHistoryTab.style.display = 'block';
+            }
+            const epgMappingsTab = document.getElementById('epg-mappings-tab');
+            if (epgMappingsTab) {
+                epgMappingsTab.style.display = 'block';
+            }
+            const playerDefaults = document.getElementById('player-defaults-section');
+            if (playerDefaults) {
+                playerDefaults.style.display = 'block';
+            }
         }
 
         // Load sources when page is shown
         await this.app.sourceManager.loadSources();
 
+        this.loadExportToken();
+
         // Refresh ALL player settings from server
         if (this.app.player?.settings) {
             const s = this.app.player.settings;
@@ -272,6 +1131,8 @@ class SettingsPage {
             const forceTranscodeToggle = document.getElementById('setting-force-transcode');
             const forceRemuxToggle = document.getElementById('setting-force-remux');
             const epgRefreshSelect = document.getElementById('epg-refresh-interval');
+            const syncConcurrencySelect = document.getElementById('sync-concurrency');
+            const syncTimeoutSelect = document.getElementById('sync-timeout');
             const streamFormatSelect = document.getElementById('setting-stream-format');
 
             if (arrowKeysToggle) arrowKeysToggle.checked = s.arrowKeysChangeChannel;
@@ -284,6 +1145,12 @@ class SettingsPage {
             if (forceTranscodeToggle) forceTranscodeToggle.checked = s.forceTranscode || false;
             if (forceRemuxToggle) forceRemuxToggle.checked = s.forceRemux || false;
             if (epgRefreshSelect) epgRefreshSelect.value = s.epgRefreshInterval || '24';
+            if (syncConcurrencySelect) syncConcurrencySelect.value = s.syncConcurrency || '2';
+            if (syncTimeoutSelect) syncTimeoutSelect.value = s.syncTimeoutMinutes ?? '60';
+            Object.entries(this.providerSettings).forEach(([id, key]) => {
+                const select = document.getElementById(id);
+                if (select && s[key] !== undefined) select.value = s[key];
+            });
             if (streamFormatSelect) streamFormatSelect.value = s.streamFormat || 'm3u8';
         }
 
@@ -300,9 +1167,7 @@ class SettingsPage {
 
         try {
             // Fetch last sync time from server
-            const response = await fetch('/api/settings/sync-status');
-            if (!response.ok) throw new Error('Failed to fetch sync status');
-            const data = await response.json();
+            const data = await API.request('GET', '/settings/sync-status');
 
             if (data.lastSyncTime) {
                 const lastRefreshTime = new Date(data.lastSyncTime);
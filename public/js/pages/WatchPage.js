@@ -232,7 +232,7 @@ class WatchPage {
         // Priority 1: Force Transcode - route through FFmpeg
         if (settings.forceTranscode) {
             console.log('[WatchPage] Force Transcode enabled');
-            const finalUrl = `/api/transcode?url=${encodeURIComponent(url)}`;
+            const finalUrl = API.mediaUrl(`/api/transcode?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
             this.video.src = finalUrl;
             this.video.play().catch(e => {
                 if (e.name !== 'AbortError') console.error('[WatchPage] Autoplay error:', e);
@@ -244,7 +244,7 @@ class WatchPage {
         // Priority 2: Force Remux for raw TS streams
         if (settings.forceRemux && isRawTs) {
             console.log('[WatchPage] Force Remux enabled');
-            const finalUrl = `/api/remux?url=${encodeURIComponent(url)}`;
+            const finalUrl = API.mediaUrl(`/api/remux?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
             this.video.src = finalUrl;
             this.video.play().catch(e => {
                 if (e.name !== 'AbortError') console.error('[WatchPage] Autoplay error:', e);
@@ -253,10 +253,13 @@ class WatchPage {
             return;
         }
 
-        // Determine if proxy is needed
+        // Determine if proxy is needed (custom source headers can only be sent by the proxy)
         const proxyRequiredDomains = ['pluto.tv'];
-        const needsProxy = settings.forceProxy || proxyRequiredDomains.some(domain => url.includes(domain));
-        const finalUrl = needsProxy ? `/api/proxy/stream?url=${encodeURIComponent(url)}` : url;
+        const source = this.app.channelList?.sources?.find(s => s.id === this.content?.sourceId);
+        const needsProxy = settings.forceProxy || proxyRequiredDomains.some(domain => url.includes(domain)) ||
+            Boolean(source?.hasHttpHeaders);
+        const proxiedUrl = API.mediaUrl(`/api/proxy/stream?url=${encodeURIComponent(url)}${this.getHeaderParams()}`);
+        const finalUrl = needsProxy ? proxiedUrl : url;
 
         console.log('[WatchPage] Playing:', { url, needsProxy, looksLikeHls });
 
@@ -295,7 +298,7 @@ class WatchPage {
                     // Try proxy on CORS error
                     if (!needsProxy && (data.type === Hls.ErrorTypes.NETWORK_ERROR)) {
                         console.log('[WatchPage] Retrying via proxy...');
-                        this.hls.loadSource(`/api/proxy/stream?url=${encodeURIComponent(url)}`);
+                        this.hls.loadSource(proxiedUrl);
                         this.hls.startLoad();
                     } else {
                         this.hls.destroy();
@@ -313,6 +316,18 @@ class WatchPage {
         this.setVolumeFromStorage();
     }
 
+    /**
+     * Query params naming the source, so the server sends its HTTP headers
+     */
+    getHeaderParams() {
+        if (!this.content?.sourceId) return '';
+
+        // With the item, an M3U entry's own headers (#EXTVLCOPT / #KODIPROP) apply too
+        let params = `&sourceId=${encodeURIComponent(this.content.sourceId)}`;
+        if (this.content.id !== undefined) params += `&itemId=${encodeURIComponent(this.content.id)}`;
+        return params;
+    }
+
     setVolumeFromStorage() {
         const savedVolume = localStorage.getItem('nodecast-volume') || '80';
         this.video.volume = parseInt(savedVolume) / 100;
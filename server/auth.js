@@ -3,6 +3,8 @@ const jwt = require('jsonwebtoken');
 const passport = require('passport');
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const { Strategy: LocalStrategy } = require('passport-local');
+const sessionService = require('./services/sessionService');
+const exportService = require('./services/exportService');
 
 /**
  * Authentication and Authorization Module
@@ -12,7 +14,22 @@ const { Strategy: LocalStrategy } = require('passport-local');
 
 // JWT Secret - In production, use environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'nodecast-tv-secret-key-change-in-production';
-const JWT_EXPIRY = '24h';
+// Access tokens are short-lived; clients renew them with a refresh token (see issueTokens)
+const JWT_EXPIRY = 15 * 60; // seconds
+
+// Media tokens are short-lived and scoped to media URLs (<video>, hls.js, <img>)
+// that cannot send an Authorization header, so they travel as a ?token= query param
+const MEDIA_TOKEN_EXPIRY = 4 * 60 * 60; // seconds
+const MEDIA_TOKEN_SCOPE = 'media';
+
+// Role hierarchy - a higher level includes every permission of the lower ones
+const ROLE_LEVELS = {
+    viewer: 1,
+    admin: 2
+};
+
+// User lookup used for media tokens, registered by configureJwtStrategy()
+let lookupUserById = null;
 
 /**
  * Hash password using bcrypt
@@ -30,26 +47,92 @@ async function verifyPassword(password, hash) {
 }
 
 /**
- * Generate JWT token
+ * Generate JWT access token bound to a server-side session
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
     return jwt.sign(
         {
             id: user.id,
             username: user.username,
-            role: user.role
+            role: user.role,
+            sid: sessionId
         },
         JWT_SECRET,
         { expiresIn: JWT_EXPIRY }
     );
 }
 
+/**
+ * Start a new session for a user and issue its access and refresh tokens
+ */
+function issueTokens(user, req) {
+    const { session, refreshToken } = sessionService.create(user.id, req);
+    return {
+        token: generateToken(user, session.id),
+        refreshToken,
+        expiresIn: JWT_EXPIRY
+    };
+}
+
+/**
+ * Exchange a refresh token for new tokens, rotating the refresh token
+ * @returns {Object|null} Tokens, or null if the refresh token is invalid, expired or revoked
+ */
+async function refreshTokens(refreshToken, req) {
+    const rotated = sessionService.rotate(refreshToken, req);
+    if (!rotated || !lookupUserById) return null;
+
+    const user = await lookupUserById(rotated.session.user_id);
+    if (!user) {
+        sessionService.revoke(rotated.session.id);
+        return null;
+    }
+
+    return {
+        token: generateToken(user, rotated.session.id),
+        refreshToken: rotated.refreshToken,
+        expiresIn: JWT_EXPIRY,
+        user: {
+            id: user.id,
+            username: user.username,
+            role: user.role
+        }
+    };
+}
+
+/**
+ * Generate short-lived media token for query-string authentication
+ * Requests authenticated by an export token have no session; they pass that token on instead.
+ */
+function generateMediaToken(user) {
+    if (user.exportToken) return user.exportToken;
+    return jwt.sign(
+        {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            sid: user.sessionId,
+            scope: MEDIA_TOKEN_SCOPE
+        },
+        JWT_SECRET,
+        { expiresIn: MEDIA_TOKEN_EXPIRY }
+    );
+}
+
+/**
+ * Append a fresh media token to a same-origin media URL
+ */
+function mediaUrl(url, user) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}token=${encodeURIComponent(generateMediaToken(user))}`;
+}
+
 /**
  * Verify JWT token
  */
-function verifyToken(token) {
+function verifyToken(token, options = {}) {
     try {
-        return jwt.verify(token, JWT_SECRET);
+        return jwt.verify(token, JWT_SECRET, options);
     } catch (err) {
         return null;
     }
@@ -88,21 +171,38 @@ function configureLocalStrategy(getUserByUsername, verifyUserPassword) {
 function configureJwtStrategy(getUserById) {
     const options = {
         jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-        secretOrKey: JWT_SECRET
+        secretOrKey: JWT_SECRET,
+        passReqToCallback: true
     };
+
+    lookupUserById = getUserById;
     
-    passport.use(new JwtStrategy(options, async (payload, done) => {
+    passport.use(new JwtStrategy(options, async (req, payload, done) => {
         try {
+            // Media tokens are only valid as query params on media routes
+            if (payload.scope === MEDIA_TOKEN_SCOPE) {
+                return done(null, false);
+            }
+
+            // Reject tokens whose session was revoked (logout, password change, user deleted)
+            const session = sessionService.getActive(payload.sid);
+            if (!session || session.user_id !== payload.id) {
+                return done(null, false);
+            }
+
             const user = await getUserById(payload.id);
             
             if (!user) {
                 return done(null, false);
             }
+
+            sessionService.touch(session, req);
             
             return done(null, {
                 id: user.id,
                 username: user.username,
-                role: user.role
+                role: user.role,
+                sessionId: session.id
             });
         } catch (err) {
             return done(err, false);
@@ -137,15 +237,141 @@ function requireRole(role) {
     };
 }
 
+/**
+ * Check whether a user satisfies a role requirement
+ * 'public' is always satisfied, other roles follow ROLE_LEVELS
+ */
+function hasRole(user, role) {
+    if (role === 'public') return true;
+    if (!user) return false;
+    return (ROLE_LEVELS[user.role] || 0) >= (ROLE_LEVELS[role] || Infinity);
+}
+
+/**
+ * Compile a policy path pattern into a RegExp
+ * Supports :params for a single segment and a trailing * for any remainder
+ */
+function compilePath(pattern) {
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment === '*') return '.*';
+            if (segment.startsWith(':')) return '[^/]+';
+            return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Authenticate a request carrying a media token in the query string
+ */
+async function authenticateMediaToken(token) {
+    const payload = verifyToken(token);
+    if (!payload || payload.scope !== MEDIA_TOKEN_SCOPE || !lookupUserById) {
+        return null;
+    }
+
+    const session = sessionService.getActive(payload.sid);
+    if (!session || session.user_id !== payload.id) return null;
+
+    const user = await lookupUserById(payload.id);
+    if (!user) return null;
+
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        sessionId: session.id
+    };
+}
+
+/**
+ * Authenticate a request carrying an export token (see services/exportService.js)
+ */
+async function authenticateExportToken(token) {
+    const userId = exportService.getUserId(token);
+    if (!userId || !lookupUserById) return null;
+
+    const user = await lookupUserById(userId);
+    if (!user) return null;
+
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        sessionId: null,
+        exportToken: token
+    };
+}
+
+/**
+ * Middleware factory: enforce a declarative route policy (see server/policies.js)
+ * The first rule matching method and path wins; unmatched requests use policy.default
+ */
+function authorize(policy) {
+    const rules = (policy.rules || []).map(rule => ({
+        ...rule,
+        regex: compilePath(rule.path)
+    }));
+    const fallback = { role: policy.default || 'admin' };
+
+    return (req, res, next) => {
+        // HEAD requests are served by GET routes
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        const rule = rules.find(r => (!r.method || r.method === method) && r.regex.test(req.path)) || fallback;
+
+        if (rule.role === 'public') {
+            return next();
+        }
+
+        const checkRole = (user) => {
+            if (!user) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            req.user = user;
+            if (!hasRole(user, rule.role)) {
+                return res.status(403).json({ error: `Forbidden - ${rule.role} access required` });
+            }
+            next();
+        };
+
+        // Media routes accept a short-lived query token when no header is present,
+        // export routes a user's export token
+        if (rule.export && exportService.isExportToken(req.query.token) && !req.get('authorization')) {
+            return authenticateExportToken(req.query.token)
+                .then(checkRole)
+                .catch(next);
+        }
+        if (rule.media && req.query.token && !req.get('authorization')) {
+            return authenticateMediaToken(req.query.token)
+                .then(checkRole)
+                .catch(next);
+        }
+
+        passport.authenticate('jwt', { session: false }, (err, user) => {
+            if (err) return next(err);
+            checkRole(user || null);
+        })(req, res, next);
+    };
+}
+
 module.exports = {
     passport,
     hashPassword,
     verifyPassword,
     generateToken,
+    issueTokens,
+    refreshTokens,
+    generateMediaToken,
+    mediaUrl,
+    MEDIA_TOKEN_EXPIRY,
     verifyToken,
     configureLocalStrategy,
     configureJwtStrategy,
     requireAuth,
     requireAdmin,
-    requireRole
+    requireRole,
+    hasRole,
+    authorize
 };
@@ -1,57 +1,14 @@
-const fs = require('fs/promises');
-const path = require('path');
-const { existsSync, mkdirSync } = require('fs');
-
-// Ensure data directory exists (sync is fine for startup)
-const dataDir = path.join(__dirname, '..', 'data');
-if (!existsSync(dataDir)) {
-  mkdirSync(dataDir, { recursive: true });
-}
+const { getDb } = require('./db/sqlite');
+const credentials = require('./services/credentials');
 
-const dbPath = path.join(dataDir, 'db.json');
-
-// Initialize database structure
-async function loadDb() {
-  try {
-    // Check if file exists (using fs.access is better for async, but we can catch ENOENT)
-    try {
-      const fileContent = await fs.readFile(dbPath, 'utf-8');
-      const data = JSON.parse(fileContent);
-      return {
-        sources: data.sources || [],
-        hiddenItems: data.hiddenItems || [],
-        favorites: data.favorites || [],
-        settings: data.settings || getDefaultSettings(),
-        users: data.users || [],
-        nextId: data.nextId || 1
-      };
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, return default
-        return {
-          sources: [],
-          hiddenItems: [],
-          favorites: [],
-          settings: getDefaultSettings(),
-          users: [],
-          nextId: 1
-        };
-      }
-      throw error;
-    }
-  } catch (err) {
-    console.error('Error loading database:', err);
-    // Return safe default on error to prevent crashing, but log it
-    return {
-      sources: [],
-      hiddenItems: [],
-      favorites: [],
-      settings: getDefaultSettings(),
-      users: [],
-      nextId: 1
-    };
-  }
-}
+// Config stores (sources, users, favorites, settings) live in data/content.db next to the content.
+// Tables are created by db/migrations; an existing data/db.json is imported once on startup.
+
+// Settings that configure the server rather than a player - shared by all users, admin-only
+const GLOBAL_SETTING_KEYS = [
+  'epgRefreshInterval', 'syncConcurrency', 'syncTimeoutMinutes',
+  'providerTimeoutSeconds', 'providerRetries', 'providerRateLimit', 'accountExpiryWarningDays'
+];
 
 // Default settings
 function getDefaultSettings() {
@@ -66,359 +23,312 @@ function getDefaultSettings() {
     forceTranscode: false,
     forceRemux: false,
     streamFormat: 'm3u8',
-    epgRefreshInterval: '24'
+    epgRefreshInterval: '24',
+    syncConcurrency: '2', // sources synced at the same time
+    syncTimeoutMinutes: '60', // 0 = no timeout
+    providerTimeoutSeconds: '120', // per Xtream API request
+    providerRetries: '3',
+    providerRateLimit: '5', // requests per second per provider, 0 = no limit
+    accountExpiryWarningDays: '7'
   };
 }
 
-// Write lock to prevent concurrent writes from corrupting db.json
-let writeQueue = Promise.resolve();
-const tmpPath = dbPath + '.tmp';
-
-async function saveDb(data) {
-  // Queue this write operation - each write waits for the previous one
-  writeQueue = writeQueue.then(async () => {
-    try {
-      const jsonString = JSON.stringify(data, null, 2);
-      // Atomic write: write to temp file, then rename
-      // Rename is atomic on most filesystems, preventing corruption on crash
-      await fs.writeFile(tmpPath, jsonString);
-      await fs.rename(tmpPath, dbPath);
-    } catch (err) {
-      console.error('Error writing database:', err);
-      // Clean up temp file if it exists
-      try { await fs.unlink(tmpPath); } catch { /* ignore */ }
-      throw err;
-    }
-  }).catch(err => {
-    console.error('Database write failed:', err);
-  });
+// Credentials (and HTTP headers, which may carry cookies) are stored encrypted and decrypted on read
+function toSource(row) {
+  if (!row) return undefined;
+  const { http_headers, content_rules, auto_epg, guide_urls, ...source } = row;
+  const headers = credentials.decrypt(http_headers);
+  const password = credentials.decrypt(row.password);
+  const httpHeaders = headers ? JSON.parse(headers) : null;
+  const { extra, ...headerFields } = httpHeaders || {};
+  credentials.rememberSecret(password);
+  for (const [name, value] of [...Object.entries(headerFields), ...Object.entries(extra || {})]) {
+    credentials.rememberHeaderValue(name, value);
+  }
+  return {
+    ...source,
+    username: credentials.decrypt(row.username),
+    password,
+    httpHeaders,
+    contentRules: content_rules ? JSON.parse(content_rules) : null,
+    autoEpg: auto_epg !== 0,
+    guideUrls: guide_urls ? JSON.parse(guide_urls) : [],
+    enabled: !!row.enabled
+  };
+}
 
-  return writeQueue;
+function encryptHeaders(headers) {
+  return headers ? credentials.encrypt(JSON.stringify(headers)) : null;
 }
 
 // Source CRUD operations
 const sources = {
   async getAll() {
-    const db = await loadDb();
-    return db.sources;
+    return getDb().prepare('SELECT * FROM sources ORDER BY id').all().map(toSource);
   },
 
   async getById(id) {
-    const db = await loadDb();
-    return db.sources.find(s => s.id === parseInt(id));
+    return toSource(getDb().prepare('SELECT * FROM sources WHERE id = ?').get(parseInt(id)));
   },
 
   async getByType(type) {
-    const db = await loadDb();
-    return db.sources.filter(s => s.type === type && s.enabled);
+    return getDb().prepare('SELECT * FROM sources WHERE type = ? AND enabled = 1 ORDER BY id').all(type).map(toSource);
   },
 
   async create(source) {
-    const db = await loadDb();
-    const newSource = {
-      id: db.nextId++,
-      ...source,
-      enabled: true,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    db.sources.push(newSource);
-    await saveDb(db);
-    return newSource;
+    const now = new Date().toISOString();
+    const result = getDb().prepare(`
+      INSERT INTO sources (type, name, url, username, password, http_headers, content_rules, auto_epg, enabled, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+    `).run(source.type, source.name, source.url,
+      credentials.encrypt(source.username || null), credentials.encrypt(source.password || null),
+      encryptHeaders(source.httpHeaders), source.contentRules ? JSON.stringify(source.contentRules) : null,
+      source.autoEpg === false ? 0 : 1, now, now);
+    return this.getById(result.lastInsertRowid);
   },
 
   async update(id, updates) {
-    const db = await loadDb();
-    const index = db.sources.findIndex(s => s.id === parseInt(id));
-    if (index === -1) return null;
-
-    db.sources[index] = {
-      ...db.sources[index],
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
-    await saveDb(db);
-    return db.sources[index];
+    const existing = await this.getById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...updates };
+    getDb().prepare(`
+      UPDATE sources SET type = ?, name = ?, url = ?, username = ?, password = ?, http_headers = ?, content_rules = ?,
+        auto_epg = ?, guide_urls = ?, enabled = ?, updated_at = ?
+      WHERE id = ?
+    `).run(merged.type, merged.name, merged.url,
+      credentials.encrypt(merged.username || null), credentials.encrypt(merged.password || null),
+      encryptHeaders(merged.httpHeaders), merged.contentRules ? JSON.stringify(merged.contentRules) : null,
+      merged.autoEpg ? 1 : 0, merged.guideUrls.length > 0 ? JSON.stringify(merged.guideUrls) : null,
+      merged.enabled ? 1 : 0, new Date().toISOString(), existing.id);
+    return this.getById(existing.id);
   },
 
   async delete(id) {
-    const db = await loadDb();
-    db.sources = db.sources.filter(s => s.id !== parseInt(id));
-    // Also delete related hidden items and favorites
-    db.hiddenItems = db.hiddenItems.filter(h => h.source_id !== parseInt(id));
-    db.favorites = db.favorites.filter(f => f.source_id !== parseInt(id));
-    await saveDb(db);
+    // Favorites are removed by the foreign key cascade
+    getDb().prepare('DELETE FROM sources WHERE id = ?').run(parseInt(id));
   },
 
   async toggleEnabled(id) {
-    const db = await loadDb();
-    const source = db.sources.find(s => s.id === parseInt(id));
-    if (source) {
-      source.enabled = !source.enabled;
-      source.updated_at = new Date().toISOString();
-      await saveDb(db);
-    }
-    return source;
+    getDb().prepare('UPDATE sources SET enabled = 1 - enabled, updated_at = ? WHERE id = ?')
+      .run(new Date().toISOString(), parseInt(id));
+    return this.getById(id);
   }
 };
 
-// Hidden items operations
-const hiddenItems = {
-  async getAll(sourceId = null) {
-    const db = await loadDb();
+// Favorites operations (scoped per user)
+const favorites = {
+  async getAll(userId, sourceId = null, itemType = null) {
+    let query = 'SELECT * FROM favorites WHERE user_id = ?';
+    const params = [parseInt(userId)];
     if (sourceId) {
-      return db.hiddenItems.filter(h => h.source_id === parseInt(sourceId));
+      query += ' AND source_id = ?';
+      params.push(parseInt(sourceId));
     }
-    return db.hiddenItems;
-  },
-
-  async hide(sourceId, itemType, itemId) {
-    const db = await loadDb();
-    // Check if already hidden
-    const exists = db.hiddenItems.find(
-      h => h.source_id === parseInt(sourceId) && h.item_type === itemType && h.item_id === itemId
-    );
-    if (!exists) {
-      db.hiddenItems.push({
-        id: db.nextId++,
-        source_id: parseInt(sourceId),
-        item_type: itemType,
-        item_id: itemId
-      });
-      await saveDb(db);
+    if (itemType) {
+      query += ' AND item_type = ?';
+      params.push(itemType);
     }
+    return getDb().prepare(query + ' ORDER BY id').all(...params);
   },
 
-  async show(sourceId, itemType, itemId) {
-    const db = await loadDb();
-    db.hiddenItems = db.hiddenItems.filter(
-      h => !(h.source_id === parseInt(sourceId) && h.item_type === itemType && h.item_id === itemId)
-    );
-    await saveDb(db);
+  async add(userId, sourceId, itemId, itemType = 'channel') {
+    getDb().prepare(`
+      INSERT OR IGNORE INTO favorites (user_id, source_id, item_id, item_type, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(parseInt(userId), parseInt(sourceId), String(itemId), itemType, new Date().toISOString());
+    return true;
   },
 
-  async isHidden(sourceId, itemType, itemId) {
-    const db = await loadDb();
-    return db.hiddenItems.some(
-      h => h.source_id === parseInt(sourceId) && h.item_type === itemType && h.item_id === itemId
-    );
+  async remove(userId, sourceId, itemId, itemType = 'channel') {
+    getDb().prepare('DELETE FROM favorites WHERE user_id = ? AND source_id = ? AND item_id = ? AND item_type = ?')
+      .run(parseInt(userId), parseInt(sourceId), String(itemId), itemType);
+    return true;
   },
 
-  async bulkHide(items) {
-    const db = await loadDb();
-    let modified = false;
-
-    items.forEach(item => {
-      const { sourceId, itemType, itemId } = item;
-      const exists = db.hiddenItems.find(
-        h => h.source_id === parseInt(sourceId) && h.item_type === itemType && h.item_id === itemId
-      );
-
-      if (!exists) {
-        db.hiddenItems.push({
-          id: db.nextId++,
-          source_id: parseInt(sourceId),
-          item_type: itemType,
-          item_id: itemId
-        });
-        modified = true;
-      }
-    });
+  async isFavorite(userId, sourceId, itemId, itemType = 'channel') {
+    const row = getDb().prepare('SELECT 1 FROM favorites WHERE user_id = ? AND source_id = ? AND item_id = ? AND item_type = ?')
+      .get(parseInt(userId), parseInt(sourceId), String(itemId), itemType);
+    return !!row;
+  }
+};
 
-    if (modified) {
-      await saveDb(db);
-    }
-    return true;
-  },
+// Settings operations
+// The settings table holds the admin-defined defaults (and the global keys);
+// user_settings holds only the keys a user changed from those defaults.
+function readSettings(rows) {
+  const result = {};
+  rows.forEach(row => { result[row.key] = JSON.parse(row.value); });
+  return result;
+}
 
-  async bulkShow(items) {
-    const db = await loadDb();
-    const initialLength = db.hiddenItems.length;
+function withoutGlobalKeys(settingsObj) {
+  const result = { ...settingsObj };
+  GLOBAL_SETTING_KEYS.forEach(key => delete result[key]);
+  return result;
+}
 
-    // Create a set of "signatures" for O(1) lookup of items to remove
-    const toRemove = new Set(items.map(i => `${i.sourceId}:${i.itemType}:${i.itemId}`));
+function getStoredDefaults() {
+  return { ...getDefaultSettings(), ...readSettings(getDb().prepare('SELECT key, value FROM settings').all()) };
+}
 
-    db.hiddenItems = db.hiddenItems.filter(h =>
-      !toRemove.has(`${h.source_id}:${h.item_type}:${h.item_id}`)
-    );
+function getOverrides(userId) {
+  return readSettings(getDb().prepare('SELECT key, value FROM user_settings WHERE user_id = ?').all(parseInt(userId)));
+}
 
-    if (db.hiddenItems.length !== initialLength) {
-      await saveDb(db);
-    }
-    return true;
-  }
-};
+const settings = {
+  async getDefaults() {
+    return getStoredDefaults();
+  },
 
-// Favorites operations
-const favorites = {
-  async getAll(sourceId = null, itemType = null) {
-    const db = await loadDb();
-    let results = db.favorites;
-    if (sourceId) {
-      results = results.filter(f => f.source_id === parseInt(sourceId));
-    }
-    if (itemType) {
-      results = results.filter(f => f.item_type === itemType);
-    }
-    return results;
+  /**
+   * Effective settings for a user (defaults when no user is given)
+   */
+  async get(userId = null) {
+    const overrides = userId ? getOverrides(userId) : {};
+    return { ...getStoredDefaults(), ...withoutGlobalKeys(overrides) };
   },
 
-  async add(sourceId, itemId, itemType = 'channel') {
-    const db = await loadDb();
-    // Check if already favorited
-    const exists = db.favorites.find(
-      f => f.source_id === parseInt(sourceId) && f.item_id === String(itemId) && f.item_type === itemType
-    );
-    if (!exists) {
-      db.favorites.push({
-        id: db.nextId++,
-        source_id: parseInt(sourceId),
-        item_id: String(itemId),
-        item_type: itemType, // 'channel', 'movie', 'series'
-        created_at: new Date().toISOString()
-      });
-      await saveDb(db);
+  async update(userId, newSettings) {
+    const db = getDb();
+    const defaults = getStoredDefaults();
+    const overrides = { ...getOverrides(userId), ...withoutGlobalKeys(newSettings) };
+
+    // Only keep what differs, so later changes to the defaults still apply
+    for (const key of Object.keys(overrides)) {
+      if (overrides[key] === defaults[key]) delete overrides[key];
     }
-    return true;
-  },
 
-  async remove(sourceId, itemId, itemType = 'channel') {
-    const db = await loadDb();
-    db.favorites = db.favorites.filter(
-      f => !(f.source_id === parseInt(sourceId) && f.item_id === String(itemId) && f.item_type === itemType)
-    );
-    await saveDb(db);
-    return true;
+    const insert = db.prepare('INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)');
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_settings WHERE user_id = ?').run(parseInt(userId));
+      for (const [key, value] of Object.entries(overrides)) {
+        insert.run(parseInt(userId), key, JSON.stringify(value));
+      }
+    })();
+    return { ...defaults, ...overrides };
   },
 
-  async isFavorite(sourceId, itemId, itemType = 'channel') {
-    const db = await loadDb();
-    return db.favorites.some(
-      f => f.source_id === parseInt(sourceId) && f.item_id === String(itemId) && f.item_type === itemType
-    );
-  }
-};
-
-// Settings operations
-const settings = {
-  async get() {
-    const db = await loadDb();
-    return { ...getDefaultSettings(), ...db.settings };
+  async updateDefaults(newSettings) {
+    const db = getDb();
+    const upsert = db.prepare(`
+      INSERT INTO settings (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `);
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(newSettings)) {
+        upsert.run(key, JSON.stringify(value));
+      }
+    })();
+    return getStoredDefaults();
   },
 
-  async update(newSettings) {
-    const db = await loadDb();
-    db.settings = { ...db.settings, ...newSettings };
-    await saveDb(db);
-    return db.settings;
+  async reset(userId) {
+    getDb().prepare('DELETE FROM user_settings WHERE user_id = ?').run(parseInt(userId));
+    return getStoredDefaults();
   },
 
-  async reset() {
-    const db = await loadDb();
-    db.settings = getDefaultSettings();
-    await saveDb(db);
-    return db.settings;
+  async resetDefaults() {
+    // Keep server-wide settings, only the player defaults are reset
+    const placeholders = GLOBAL_SETTING_KEYS.map(() => '?').join(', ');
+    getDb().prepare(`DELETE FROM settings WHERE key NOT IN (${placeholders})`).run(...GLOBAL_SETTING_KEYS);
+    return getStoredDefaults();
   }
 };
 
+function toUser(row) {
+  if (!row) return undefined;
+  const user = {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    createdAt: row.created_at
+  };
+  if (row.updated_at) user.updatedAt = row.updated_at;
+  if (row.parental) user.parental = JSON.parse(row.parental);
+  if (row.parental_pin_hash) user.parentalPinHash = row.parental_pin_hash;
+  return user;
+}
+
+// Return user without password/PIN hashes
+function withoutSecrets(user) {
+  const { passwordHash, parentalPinHash, ...rest } = user;
+  return rest;
+}
+
 // User operations
 const users = {
   async getAll() {
-    const db = await loadDb();
-    return db.users || [];
+    return getDb().prepare('SELECT * FROM users ORDER BY id').all().map(toUser);
   },
 
   async getById(id) {
-    const db = await loadDb();
-    return db.users?.find(u => u.id === parseInt(id));
+    return toUser(getDb().prepare('SELECT * FROM users WHERE id = ?').get(parseInt(id)));
   },
 
   async getByUsername(username) {
-    const db = await loadDb();
-    return db.users?.find(u => u.username === username);
+    return toUser(getDb().prepare('SELECT * FROM users WHERE username = ?').get(username));
   },
 
   async create(userData) {
-    const db = await loadDb();
-    if (!db.users) {
-      db.users = [];
-    }
-
-    // Check if username already exists
-    if (db.users.some(u => u.username === userData.username)) {
+    if (await this.getByUsername(userData.username)) {
       throw new Error('Username already exists');
     }
 
-    const newUser = {
-      id: db.nextId++,
-      username: userData.username,
-      passwordHash: userData.passwordHash,
-      role: userData.role || 'viewer',
-      createdAt: new Date().toISOString()
-    };
-
-    db.users.push(newUser);
-    await saveDb(db);
+    const result = getDb().prepare(`
+      INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)
+    `).run(userData.username, userData.passwordHash, userData.role || 'viewer', new Date().toISOString());
 
-    // Return user without password hash
-    const { passwordHash, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return withoutSecrets(await this.getById(result.lastInsertRowid));
   },
 
   async update(id, updates) {
-    const db = await loadDb();
-    const userIndex = db.users?.findIndex(u => u.id === parseInt(id));
-
-    if (userIndex === -1 || userIndex === undefined) {
+    const existing = await this.getById(id);
+    if (!existing) {
       throw new Error('User not found');
     }
 
     // Check if username is being changed and if it already exists
-    if (updates.username && updates.username !== db.users[userIndex].username) {
-      if (db.users.some(u => u.username === updates.username)) {
+    if (updates.username && updates.username !== existing.username) {
+      if (await this.getByUsername(updates.username)) {
         throw new Error('Username already exists');
       }
     }
 
-    db.users[userIndex] = {
-      ...db.users[userIndex],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-
-    await saveDb(db);
+    const merged = { ...existing, ...updates };
+    getDb().prepare(`
+      UPDATE users SET username = ?, password_hash = ?, role = ?, parental = ?, parental_pin_hash = ?, updated_at = ?
+      WHERE id = ?
+    `).run(merged.username, merged.passwordHash, merged.role,
+      merged.parental ? JSON.stringify(merged.parental) : null, merged.parentalPinHash || null,
+      new Date().toISOString(), existing.id);
 
-    // Return user without password hash
-    const { passwordHash, ...userWithoutPassword } = db.users[userIndex];
-    return userWithoutPassword;
+    return withoutSecrets(await this.getById(existing.id));
   },
 
   async delete(id) {
-    const db = await loadDb();
-    const userIndex = db.users?.findIndex(u => u.id === parseInt(id));
-
-    if (userIndex === -1 || userIndex === undefined) {
+    const user = await this.getById(id);
+    if (!user) {
       throw new Error('User not found');
     }
 
     // Prevent deleting the last admin
-    const user = db.users[userIndex];
     if (user.role === 'admin') {
-      const adminCount = db.users.filter(u => u.role === 'admin').length;
-      if (adminCount <= 1) {
+      const { count } = getDb().prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'").get();
+      if (count <= 1) {
         throw new Error('Cannot delete the last admin user');
       }
     }
 
-    db.users.splice(userIndex, 1);
-    await saveDb(db);
+    // Favorites and personal settings are removed by the foreign key cascade
+    getDb().prepare('DELETE FROM users WHERE id = ?').run(user.id);
     return true;
   },
 
   async count() {
-    const db = await loadDb();
-    return db.users?.length || 0;
+    return getDb().prepare('SELECT COUNT(*) AS count FROM users').get().count;
   }
 };
 
-module.exports = { loadDb, saveDb, sources, hiddenItems, favorites, settings, users, getDefaultSettings };
+module.exports = { sources, favorites, settings, users, getDefaultSettings, GLOBAL_SETTING_KEYS };
@@ -0,0 +1,129 @@
+/**
+ * 001 - Content schema
+ * Provider content, EPG, sync status, sessions, visibility overrides and parental restrictions.
+ * Uses IF NOT EXISTS so databases created before migrations were introduced are adopted as-is.
+ */
+
+module.exports = {
+    description: 'Content schema',
+
+    up(db) {
+        // Categories (Groups)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id TEXT PRIMARY KEY, -- Composite key: sourceId:categoryId
+                source_id INTEGER NOT NULL,
+                category_id TEXT NOT NULL,
+                type TEXT NOT NULL, -- 'live', 'movie', 'series'
+                name TEXT NOT NULL,
+                parent_id TEXT, -- For nested categories
+                is_hidden INTEGER DEFAULT 0,
+                data JSON -- Extra provider data
+            );
+            CREATE INDEX IF NOT EXISTS idx_categories_source_type ON categories(source_id, type);
+        `);
+
+        // Playlist Items (Channels, Movies, Series, Episodes)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS playlist_items (
+                id TEXT PRIMARY KEY, -- Composite key: sourceId:itemId
+                source_id INTEGER NOT NULL,
+                item_id TEXT NOT NULL, -- Original ID from provider
+                type TEXT NOT NULL, -- 'live', 'movie', 'series', 'episode'
+                name TEXT NOT NULL,
+                category_id TEXT, -- maps to categories.category_id (not our composite id)
+                parent_id TEXT, -- For episodes -> series_id
+            
+                -- Common Media Fields
+                stream_icon TEXT,
+                stream_url TEXT, -- Direct link if available
+                container_extension TEXT,
+            
+                -- VOD/Series Specific
+                rating REAL,
+                year TEXT,
+                added_at TEXT,
+            
+                -- App State
+                is_hidden INTEGER DEFAULT 0,
+                is_favorite INTEGER DEFAULT 0,
+            
+                data JSON -- Full original JSON object
+            );
+            CREATE INDEX IF NOT EXISTS idx_items_source_type ON playlist_items(source_id, type);
+            CREATE INDEX IF NOT EXISTS idx_items_category ON playlist_items(source_id, category_id);
+        `);
+
+        // EPG Programs
+        // Optimized for range queries
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS epg_programs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel_id TEXT NOT NULL, -- matches playlist_items.id if possible, or mapping key
+                source_id INTEGER NOT NULL,
+                start_time INTEGER NOT NULL, -- Unix timestamp (ms)
+                end_time INTEGER NOT NULL,   -- Unix timestamp (ms)
+                title TEXT,
+                description TEXT,
+                data JSON
+            );
+            CREATE INDEX IF NOT EXISTS idx_epg_channel_time ON epg_programs(channel_id, start_time, end_time);
+            CREATE INDEX IF NOT EXISTS idx_epg_cleanup ON epg_programs(end_time); -- For deleting old programs
+        `);
+
+        // Sync Status
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sync_status (
+                source_id INTEGER NOT NULL,
+                type TEXT NOT NULL, -- 'live', 'vod', 'series', 'epg'
+                last_sync INTEGER NOT NULL,
+                status TEXT, -- 'success', 'error', 'syncing'
+                error TEXT,
+                PRIMARY KEY (source_id, type)
+            );
+        `);
+
+        // Auth Sessions (one row per signed-in device)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY, -- Random session id, carried as the JWT 'sid' claim
+                user_id INTEGER NOT NULL,
+                refresh_token_hash TEXT NOT NULL, -- SHA-256 of the current refresh token
+                user_agent TEXT,
+                ip TEXT,
+                created_at INTEGER NOT NULL, -- Unix timestamp (ms)
+                last_seen INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                revoked_at INTEGER -- Set on logout/revocation, row kept for auditing until purged
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_refresh ON sessions(refresh_token_hash);
+        `);
+
+        // Per-user visibility overrides (fall back to the admin defaults in is_hidden)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS user_visibility (
+                user_id INTEGER NOT NULL,
+                source_id INTEGER NOT NULL,
+                kind TEXT NOT NULL, -- 'category' or 'item'
+                type TEXT NOT NULL, -- 'live', 'movie', 'series'
+                ref_id TEXT NOT NULL, -- categories.category_id or playlist_items.item_id
+                is_hidden INTEGER NOT NULL,
+                PRIMARY KEY (user_id, source_id, kind, type, ref_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_user_visibility_source ON user_visibility(source_id);
+        `);
+
+        // Parental controls: content that requires a PIN for viewers with parental controls enabled
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS parental_restrictions (
+                source_id INTEGER NOT NULL,
+                kind TEXT NOT NULL, -- 'category' or 'item'
+                type TEXT NOT NULL, -- 'live', 'movie', 'series'
+                ref_id TEXT NOT NULL, -- categories.category_id or playlist_items.item_id
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (source_id, kind, type, ref_id)
+            );
+        `);
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * 002 - Config tables
+ * Sources, users, favorites and settings (previously kept in data/db.json).
+ * Deleting a source or user removes its favorites and personal settings.
+ */
+
+module.exports = {
+    description: 'Config tables (sources, users, favorites, settings)',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE sources (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL, -- 'xtream', 'm3u', 'epg'
+                name TEXT NOT NULL,
+                url TEXT NOT NULL,
+                username TEXT,
+                password TEXT,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL, -- ISO timestamp
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        db.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'viewer', -- 'admin' or 'viewer'
+                parental JSON, -- { enabled, maxAge, unlockMinutes }
+                parental_pin_hash TEXT,
+                created_at TEXT NOT NULL, -- ISO timestamp
+                updated_at TEXT
+            );
+        `);
+
+        db.exec(`
+            CREATE TABLE favorites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                item_id TEXT NOT NULL,
+                item_type TEXT NOT NULL, -- 'channel', 'movie', 'series'
+                created_at TEXT NOT NULL,
+                UNIQUE (user_id, source_id, item_type, item_id)
+            );
+            CREATE INDEX idx_favorites_source ON favorites(source_id);
+        `);
+
+        // Admin-defined defaults and server-wide settings (values are JSON)
+        db.exec(`
+            CREATE TABLE settings (
+                key TEXT PRIMARY KEY,
+                value JSON NOT NULL
+            );
+        `);
+
+        // Keys a user changed from the defaults
+        db.exec(`
+            CREATE TABLE user_settings (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                key TEXT NOT NULL,
+                value JSON NOT NULL,
+                PRIMARY KEY (user_id, key)
+            );
+        `);
+    }
+};
@@ -0,0 +1,91 @@
+/**
+ * 003 - Import data/db.json
+ * One-time import of the JSON config store into the tables from 002. Ids are kept, so
+ * sessions, visibility overrides and favorites keep pointing at the same users and sources.
+ * The file is renamed to db.json.imported afterwards (and kept as a backup).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Legacy hidden item types -> content table and type
+const HIDDEN_ITEM_TYPES = {
+    channel: { table: 'playlist_items', idCol: 'item_id', type: 'live' },
+    movie: { table: 'playlist_items', idCol: 'item_id', type: 'movie' },
+    series: { table: 'playlist_items', idCol: 'item_id', type: 'series' },
+    group: { table: 'categories', idCol: 'category_id', type: 'live' },
+    vod_category: { table: 'categories', idCol: 'category_id', type: 'movie' },
+    series_category: { table: 'categories', idCol: 'category_id', type: 'series' }
+};
+
+module.exports = {
+    description: 'Import data/db.json',
+
+    up(db, { dataDir }) {
+        const jsonPath = path.join(dataDir, 'db.json');
+        if (!fs.existsSync(jsonPath)) return;
+
+        const data = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+        const now = new Date().toISOString();
+
+        const insertSource = db.prepare(`
+            INSERT INTO sources (id, type, name, url, username, password, enabled, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const s of data.sources || []) {
+            insertSource.run(s.id, s.type, s.name, s.url || '', s.username || null, s.password || null,
+                s.enabled === false ? 0 : 1, s.created_at || now, s.updated_at || now);
+        }
+
+        const insertUser = db.prepare(`
+            INSERT INTO users (id, username, password_hash, role, parental, parental_pin_hash, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const u of data.users || []) {
+            insertUser.run(u.id, u.username, u.passwordHash, u.role || 'viewer',
+                u.parental ? JSON.stringify(u.parental) : null, u.parentalPinHash || null,
+                u.createdAt || now, u.updatedAt || null);
+        }
+
+        // Favorites from before per-user favorites belong to the first admin
+        const userIds = new Set((data.users || []).map(u => u.id));
+        const sourceIds = new Set((data.sources || []).map(s => s.id));
+        const owner = (data.users || []).find(u => u.role === 'admin');
+        const insertFavorite = db.prepare(`
+            INSERT OR IGNORE INTO favorites (user_id, source_id, item_id, item_type, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        let favoriteCount = 0;
+        for (const f of data.favorites || []) {
+            const userId = f.user_id !== undefined ? f.user_id : owner?.id;
+            // Skip favorites whose user or source no longer exists
+            if (!userIds.has(userId) || !sourceIds.has(f.source_id)) continue;
+            insertFavorite.run(userId, f.source_id, String(f.item_id), f.item_type || 'channel', f.created_at || now);
+            favoriteCount++;
+        }
+
+        const insertSetting = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)');
+        for (const [key, value] of Object.entries(data.settings || {})) {
+            insertSetting.run(key, JSON.stringify(value));
+        }
+
+        const insertUserSetting = db.prepare('INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)');
+        for (const [userId, overrides] of Object.entries(data.userSettings || {})) {
+            if (!userIds.has(parseInt(userId))) continue;
+            for (const [key, value] of Object.entries(overrides)) {
+                insertUserSetting.run(parseInt(userId), key, JSON.stringify(value));
+            }
+        }
+
+        // Hidden items from the old JSON store become admin-default is_hidden flags
+        for (const h of data.hiddenItems || []) {
+            const mapping = HIDDEN_ITEM_TYPES[h.item_type];
+            if (!mapping) continue;
+            db.prepare(`UPDATE ${mapping.table} SET is_hidden = 1 WHERE source_id = ? AND type = ? AND ${mapping.idCol} = ?`)
+                .run(h.source_id, mapping.type, String(h.item_id));
+        }
+
+        fs.renameSync(jsonPath, jsonPath + '.imported');
+        console.log(`[SQLite] Imported db.json: ${(data.sources || []).length} sources, ${(data.users || []).length} users, ${favoriteCount} favorites`);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * 004 - Drop playlist_items.is_favorite
+ * Never written or read - favorites live in the favorites table.
+ */
+
+module.exports = {
+    description: 'Drop unused playlist_items.is_favorite',
+
+    up(db) {
+        const columns = db.prepare('PRAGMA table_info(playlist_items)').all();
+        if (columns.some(c => c.name === 'is_favorite')) {
+            db.exec('ALTER TABLE playlist_items DROP COLUMN is_favorite');
+        }
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * 005 - Pending hidden defaults
+ * Default hidden flags restored from a backup before the source's content has been synced.
+ * They are applied to categories/playlist_items after the next sync of that source.
+ */
+
+module.exports = {
+    description: 'Pending hidden defaults',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE pending_hidden (
+                source_id INTEGER NOT NULL,
+                kind TEXT NOT NULL, -- 'category' or 'item'
+                type TEXT NOT NULL, -- 'live', 'movie', 'series'
+                ref_id TEXT NOT NULL, -- category_id or item_id
+                PRIMARY KEY (source_id, kind, type, ref_id)
+            );
+        `);
+    }
+};
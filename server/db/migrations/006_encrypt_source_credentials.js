@@ -0,0 +1,17 @@
+/**
+ * 006 - Encrypt source credentials
+ * Encrypts usernames/passwords stored in plain text before credentials were encrypted at rest.
+ */
+
+const { encrypt } = require('../../services/credentials');
+
+module.exports = {
+    description: 'Encrypt source credentials',
+
+    up(db) {
+        const update = db.prepare('UPDATE sources SET username = ?, password = ? WHERE id = ?');
+        for (const source of db.prepare('SELECT id, username, password FROM sources').all()) {
+            update.run(encrypt(source.username), encrypt(source.password), source.id);
+        }
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * 007 - Search index
+ * FTS5 indexes over channels/movies/series (name and category name) and EPG programmes, used by /api/search.
+ * Rows share their rowid with playlist_items/epg_programs and are rebuilt per source after each sync.
+ * unicode61 with remove_diacritics makes matching case- and accent-insensitive.
+ */
+
+module.exports = {
+    description: 'Search index',
+
+    up(db) {
+        db.exec(`
+            CREATE VIRTUAL TABLE search_items USING fts5(
+                name,
+                category,
+                source_id UNINDEXED,
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            CREATE VIRTUAL TABLE search_epg USING fts5(
+                title,
+                description,
+                source_id UNINDEXED,
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+        `);
+
+        // Index content synced before this version (later syncs rebuild it per source)
+        db.prepare(`
+            INSERT INTO search_items (rowid, name, category, source_id)
+            SELECT p.rowid, p.name, c.name, p.source_id
+            FROM playlist_items p
+            LEFT JOIN categories c ON c.source_id = p.source_id AND c.type = p.type AND c.category_id = p.category_id
+            WHERE p.type IN ('live', 'movie', 'series')
+        `).run();
+        db.prepare(`
+            INSERT INTO search_epg (rowid, title, description, source_id)
+            SELECT id, title, description, source_id FROM epg_programs
+            WHERE end_time > ? AND title IS NOT NULL
+        `).run(Date.now());
+    }
+};
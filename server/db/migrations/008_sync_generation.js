@@ -0,0 +1,16 @@
+/**
+ * 008 - Sync generation
+ * Every sync run stamps the categories/items it receives with its generation.
+ * Rows left with an older generation after a successful run were removed by the provider.
+ */
+
+module.exports = {
+    description: 'Sync generation markers',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE categories ADD COLUMN sync_generation INTEGER;
+            ALTER TABLE playlist_items ADD COLUMN sync_generation INTEGER;
+        `);
+    }
+};
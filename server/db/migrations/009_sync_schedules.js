@@ -0,0 +1,22 @@
+/**
+ * 009 - Sync schedules
+ * Per-source schedules, separate for live content, VOD/series and EPG.
+ * Rows are created on demand; a source without one follows the global refresh interval.
+ */
+
+module.exports = {
+    description: 'Per-source sync schedules',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE sync_schedules (
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                scope TEXT NOT NULL, -- 'live', 'vod', 'epg'
+                cron TEXT, -- NULL = every epgRefreshInterval hours, 'off' = manual only
+                last_run INTEGER,
+                next_run INTEGER,
+                PRIMARY KEY (source_id, scope)
+            );
+        `);
+    }
+};
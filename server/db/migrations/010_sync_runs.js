@@ -0,0 +1,31 @@
+/**
+ * 010 - Sync run history
+ * One row per sync run, kept alongside the latest-state sync_status rows.
+ * phases holds JSON { phase: { items, ms } } in the order the phases ran.
+ */
+
+module.exports = {
+    description: 'Sync run history',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE sync_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                trigger TEXT NOT NULL, -- 'manual' or 'schedule'
+                scopes TEXT NOT NULL, -- JSON array of 'live', 'vod', 'epg'
+                status TEXT NOT NULL, -- 'running', 'success', 'error', 'cancelled'
+                started_at INTEGER NOT NULL,
+                finished_at INTEGER,
+                duration_ms INTEGER,
+                phases TEXT,
+                added INTEGER NOT NULL DEFAULT 0,
+                changed INTEGER NOT NULL DEFAULT 0,
+                removed INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                error_phase TEXT
+            );
+            CREATE INDEX idx_sync_runs_source ON sync_runs(source_id, started_at);
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * 011 - EPG staging
+ * Programmes are written here while a guide downloads and moved to epg_programs in one
+ * transaction at the end, so a failed, cancelled or timed out sync keeps the previous guide.
+ */
+
+module.exports = {
+    description: 'EPG programme staging',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE epg_programs_staging (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel_id TEXT NOT NULL,
+                source_id INTEGER NOT NULL,
+                start_time INTEGER NOT NULL,
+                end_time INTEGER NOT NULL,
+                title TEXT,
+                description TEXT,
+                data JSON
+            );
+            CREATE INDEX idx_epg_staging_source ON epg_programs_staging(source_id);
+        `);
+    }
+};
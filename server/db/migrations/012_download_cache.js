@@ -0,0 +1,25 @@
+/**
+ * 012 - Download cache
+ * HTTP validators and content hash of the last imported playlist/guide of each source,
+ * so syncs can send conditional requests and skip unchanged files.
+ */
+
+module.exports = {
+    description: 'Playlist and guide download cache',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE download_cache (
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                kind TEXT NOT NULL, -- 'm3u', 'epg'
+                url_hash TEXT NOT NULL, -- sha256 of the URL (Xtream URLs carry credentials)
+                etag TEXT,
+                last_modified TEXT,
+                content_hash TEXT, -- sha256 of the last imported file
+                partial_validator TEXT, -- ETag/Last-Modified of an interrupted download that can be resumed
+                updated_at INTEGER,
+                PRIMARY KEY (source_id, kind)
+            );
+        `);
+    }
+};
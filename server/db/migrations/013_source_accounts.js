@@ -0,0 +1,24 @@
+/**
+ * 013 - Source accounts
+ * Latest Xtream account status of each source (user_info from player_api.php), read on every sync.
+ */
+
+module.exports = {
+    description: 'Xtream account status per source',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE source_accounts (
+                source_id INTEGER PRIMARY KEY REFERENCES sources(id) ON DELETE CASCADE,
+                auth INTEGER, -- 0 = the provider rejected the credentials
+                status TEXT, -- 'Active', 'Expired', 'Banned', 'Disabled'
+                exp_date INTEGER, -- ms, NULL = no expiry
+                is_trial INTEGER,
+                active_cons INTEGER,
+                max_connections INTEGER,
+                created_at INTEGER,
+                checked_at INTEGER NOT NULL
+            );
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * 014 - Source HTTP headers
+ * Headers the stream/image proxy, remux and transcode send for a source's streams.
+ */
+
+module.exports = {
+    description: 'Custom HTTP headers per source',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE sources ADD COLUMN http_headers TEXT; -- encrypted JSON { userAgent, referer, origin, cookie, extra }
+        `);
+    }
+};
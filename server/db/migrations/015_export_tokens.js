@@ -0,0 +1,20 @@
+/**
+ * 015 - Export tokens
+ * Long-lived tokens that let external players (VLC, Kodi, TiviMate) load a user's
+ * playlist export and play its streams. One token per user; only its hash is stored.
+ */
+
+module.exports = {
+    description: 'Playlist export tokens',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE export_tokens (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                token_hash TEXT NOT NULL UNIQUE, -- sha256 of the token
+                created_at INTEGER NOT NULL,
+                last_used_at INTEGER
+            );
+        `);
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 016 - M3U content rules
+ * How an M3U source's entries are sorted into channels, movies and series (see m3uClassifier),
+ * and an index for the episodes of a series.
+ */
+
+module.exports = {
+    description: 'M3U content rules and series episodes',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE sources ADD COLUMN content_rules TEXT; -- JSON { detect, rules: [{ type, field, pattern }] }, NULL = detect only
+            CREATE INDEX idx_items_parent ON playlist_items(source_id, parent_id);
+        `);
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 017 - M3U guide URLs
+ * Guides declared by an M3U playlist's #EXTM3U url-tvg header are added as EPG sources (see
+ * syncService.attachGuides). Each URL is added once, so a guide the user deletes stays deleted.
+ */
+
+module.exports = {
+    description: 'EPG sources from M3U url-tvg headers',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE sources ADD COLUMN auto_epg INTEGER NOT NULL DEFAULT 1; -- 0 = ignore the playlist's url-tvg
+            ALTER TABLE sources ADD COLUMN guide_urls TEXT; -- JSON array of url-tvg URLs already added
+        `);
+    }
+};
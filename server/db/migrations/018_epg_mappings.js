@@ -0,0 +1,23 @@
+/**
+ * 018 - EPG mappings
+ * Manual guide channel of a playlist channel, overriding the automatic match by tvg-id and name
+ * (see services/epgMappingService.js). A row without an EPG channel means the channel has no guide.
+ */
+
+module.exports = {
+    description: 'EPG channel mappings',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE epg_mappings (
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                item_id TEXT NOT NULL, -- live playlist_items.item_id
+                epg_source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+                epg_channel_id TEXT, -- epg_channel playlist_items.item_id; NULL = no guide
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (source_id, item_id)
+            );
+            CREATE INDEX idx_epg_mappings_channel ON epg_mappings(epg_source_id, epg_channel_id);
+        `);
+    }
+};
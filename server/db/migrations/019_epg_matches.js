@@ -0,0 +1,25 @@
+/**
+ * 019 - EPG matches
+ * Automatic guide channel of each live channel, found by the sync (see services/epgMatcher.js)
+ * with how it was found and a confidence score. Manual epg_mappings take precedence.
+ */
+
+module.exports = {
+    description: 'Automatic EPG channel matches',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE epg_matches (
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                item_id TEXT NOT NULL, -- live playlist_items.item_id
+                epg_source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                epg_channel_id TEXT NOT NULL,
+                method TEXT NOT NULL, -- 'id', 'name' or 'fuzzy'
+                confidence REAL NOT NULL, -- 0-1
+                matched_at INTEGER NOT NULL,
+                PRIMARY KEY (source_id, item_id)
+            );
+            CREATE INDEX idx_epg_matches_channel ON epg_matches(epg_source_id, epg_channel_id);
+        `);
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * 020 - Xtream episodes
+ * Series of each Xtream episode, recorded whenever series_info is served, so episode playback
+ * can be checked against the parental restrictions of its series (see services/parentalService.js).
+ * M3U episodes are playlist_items rows with a parent_id instead.
+ */
+
+module.exports = {
+    description: 'Series of Xtream episodes',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE xtream_episodes (
+                source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+                episode_id TEXT NOT NULL,
+                series_id TEXT NOT NULL,
+                PRIMARY KEY (source_id, episode_id)
+            );
+        `);
+    }
+};
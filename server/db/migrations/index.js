@@ -0,0 +1,33 @@
+/**
+ * Schema Migrations
+ * Each file is named NNN_description.js and exports { description, up(db, context) }.
+ * Files are applied in version order, once each; the applied version is recorded in schema_version.
+ * Never edit a migration that has shipped - add a new one instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadMigrations() {
+    const migrations = fs.readdirSync(__dirname)
+        .filter(file => /^\d{3}_.+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            version: parseInt(file.substring(0, 3), 10),
+            name: file.replace(/\.js$/, ''),
+            ...require(path.join(__dirname, file))
+        }));
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.name} has no up()`);
+        }
+    });
+
+    return migrations;
+}
+
+module.exports = { loadMigrations };
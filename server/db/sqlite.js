@@ -1,8 +1,10 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { loadMigrations } = require('./migrations');
 
-const dataDir = path.join(__dirname, '..', '..', 'data');
+// DATA_DIR moves everything the server writes (database, key, cache, downloads, uploads)
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', '..', 'data');
 const dbPath = path.join(dataDir, 'content.db');
 
 // Ensure data directory exists
@@ -19,93 +21,45 @@ function getDb() {
         // Optimize performance
         db.pragma('journal_mode = WAL');
         db.pragma('synchronous = NORMAL');
-        initSchema();
+        db.pragma('foreign_keys = ON');
+        runMigrations();
     }
     return db;
 }
 
-function initSchema() {
+/**
+ * Apply pending migrations from ./migrations in order.
+ * Each migration runs in its own transaction together with its schema_version row,
+ * so a failing migration leaves the database at the previous version.
+ */
+function runMigrations() {
     if (!db) throw new Error('Database not initialized');
 
-    // Categories (Groups)
     db.exec(`
-        CREATE TABLE IF NOT EXISTS categories (
-            id TEXT PRIMARY KEY, -- Composite key: sourceId:categoryId
-            source_id INTEGER NOT NULL,
-            category_id TEXT NOT NULL,
-            type TEXT NOT NULL, -- 'live', 'movie', 'series'
-            name TEXT NOT NULL,
-            parent_id TEXT, -- For nested categories
-            is_hidden INTEGER DEFAULT 0,
-            data JSON -- Extra provider data
-        );
-        CREATE INDEX IF NOT EXISTS idx_categories_source_type ON categories(source_id, type);
-    `);
-
-    // Playlist Items (Channels, Movies, Series, Episodes)
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS playlist_items (
-            id TEXT PRIMARY KEY, -- Composite key: sourceId:itemId
-            source_id INTEGER NOT NULL,
-            item_id TEXT NOT NULL, -- Original ID from provider
-            type TEXT NOT NULL, -- 'live', 'movie', 'series', 'episode'
-            name TEXT NOT NULL,
-            category_id TEXT, -- maps to categories.category_id (not our composite id)
-            parent_id TEXT, -- For episodes -> series_id
-            
-            -- Common Media Fields
-            stream_icon TEXT,
-            stream_url TEXT, -- Direct link if available
-            container_extension TEXT,
-            
-            -- VOD/Series Specific
-            rating REAL,
-            year TEXT,
-            added_at TEXT,
-            
-            -- App State
-            is_hidden INTEGER DEFAULT 0,
-            is_favorite INTEGER DEFAULT 0,
-            
-            data JSON -- Full original JSON object
-        );
-        CREATE INDEX IF NOT EXISTS idx_items_source_type ON playlist_items(source_id, type);
-        CREATE INDEX IF NOT EXISTS idx_items_category ON playlist_items(source_id, category_id);
-    `);
-
-    // EPG Programs
-    // Optimized for range queries
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS epg_programs (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            channel_id TEXT NOT NULL, -- matches playlist_items.id if possible, or mapping key
-            source_id INTEGER NOT NULL,
-            start_time INTEGER NOT NULL, -- Unix timestamp (ms)
-            end_time INTEGER NOT NULL,   -- Unix timestamp (ms)
-            title TEXT,
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
             description TEXT,
-            data JSON
+            applied_at INTEGER NOT NULL
         );
-        CREATE INDEX IF NOT EXISTS idx_epg_channel_time ON epg_programs(channel_id, start_time, end_time);
-        CREATE INDEX IF NOT EXISTS idx_epg_cleanup ON epg_programs(end_time); -- For deleting old programs
     `);
 
-    // Sync Status
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS sync_status (
-            source_id INTEGER NOT NULL,
-            type TEXT NOT NULL, -- 'live', 'vod', 'series', 'epg'
-            last_sync INTEGER NOT NULL,
-            status TEXT, -- 'success', 'error', 'syncing'
-            error TEXT,
-            PRIMARY KEY (source_id, type)
-        );
-    `);
+    const current = db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+    const pending = loadMigrations().filter(m => m.version > current);
+    const record = db.prepare('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db, { dataDir });
+            record.run(migration.version, migration.description || migration.name, Date.now());
+        })();
+        console.log(`[SQLite] Applied migration ${migration.name}`);
+    }
 
-    console.log('[SQLite] Schema initialized');
+    return pending.length;
 }
 
 module.exports = {
+    dataDir,
     getDb,
-    initSchema
+    runMigrations
 };
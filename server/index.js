@@ -1,10 +1,18 @@
+// Keep provider credentials out of every log line (installed before anything logs)
+require('./services/credentials').redactConsole();
+
 const express = require('express');
 const path = require('path');
 const passport = require('passport');
+const auth = require('./auth');
+const policies = require('./policies');
 const syncService = require('./services/syncService');
+const sessionService = require('./services/sessionService');
+const syncHistoryService = require('./services/syncHistoryService');
+const fileWatcher = require('./services/fileWatcher');
 
-// Initialize database
-require('./db');
+// Open the database and apply pending migrations (imports a legacy db.json once)
+require('./db/sqlite').getDb();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -55,14 +63,25 @@ function findFFmpeg() {
 app.locals.ffmpegPath = findFFmpeg();
 
 // API Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/sources', require('./routes/sources'));
-app.use('/api/proxy', require('./routes/proxy'));
-app.use('/api/channels', require('./routes/channels'));
-app.use('/api/favorites', require('./routes/favorites'));
-app.use('/api/transcode', require('./routes/transcode'));
-app.use('/api/remux', require('./routes/remux'));
-app.use('/api/settings', require('./routes/settings'));
+// Every router is guarded by its declarative policy (see policies.js)
+app.use('/api/auth', auth.authorize(policies.auth), require('./routes/auth'));
+app.use('/api/sources', auth.authorize(policies.sources), require('./routes/sources'));
+app.use('/api/proxy', auth.authorize(policies.proxy), require('./routes/proxy'));
+app.use('/api/channels', auth.authorize(policies.channels), require('./routes/channels'));
+app.use('/api/favorites', auth.authorize(policies.favorites), require('./routes/favorites'));
+app.use('/api/search', auth.authorize(policies.search), require('./routes/search'));
+app.use('/api/transcode', auth.authorize(policies.transcode), require('./routes/transcode'));
+app.use('/api/remux', auth.authorize(policies.remux), require('./routes/remux'));
+app.use('/api/settings', auth.authorize(policies.settings), require('./routes/settings'));
+app.use('/api/parental', auth.authorize(policies.parental), require('./routes/parental'));
+app.use('/api/backup', auth.authorize(policies.backup), require('./routes/backup'));
+app.use('/api/sync-runs', auth.authorize(policies.syncRuns), require('./routes/syncRuns'));
+app.use('/api/epg', auth.authorize(policies.epg), require('./routes/epg'));
+
+// Playlist and guide export, also served at the root so external players get short URLs
+const exportRouter = require('./routes/export');
+app.use('/api/export', auth.authorize(policies.export), exportRouter);
+app.get(['/playlist.m3u', '/epg.xml', '/epg.xml.gz'], auth.authorize(policies.export), exportRouter);
 
 // SPA fallback - serve index.html for all non-API routes
 app.get('*', (req, res) => {
@@ -78,10 +97,23 @@ app.use((err, req, res, next) => {
 app.listen(PORT, async () => {
     console.log(`NodeCast TV server running on http://localhost:${PORT}`);
 
-    // Trigger background sync with delay to allow server to settle
+    // Drop expired and long-revoked auth sessions
+    const purged = sessionService.purgeExpired();
+    if (purged > 0) {
+        console.log(`[Auth] Purged ${purged} expired sessions`);
+    }
+
+    const interrupted = syncHistoryService.closeInterrupted();
+    if (interrupted > 0) {
+        console.log(`[Sync] Marked ${interrupted} sync runs interrupted by the last shutdown as failed`);
+    }
+
+    // Re-sync sources that read a file on the server when it changes
+    fileWatcher.refresh().catch(console.error);
+
+    // Start the sync timer with delay to allow server to settle; it first runs
+    // every schedule that came due while the server was down (and sources never synced)
     setTimeout(async () => {
-        await syncService.syncAll().catch(console.error);
-        // Start the server-side sync timer after initial sync
         await syncService.startSyncTimer().catch(console.error);
     }, 5000);
 });
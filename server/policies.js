@@ -0,0 +1,143 @@
+/**
+ * Route Authorization Policies
+ * Declarative access rules for every API router, enforced centrally by auth.authorize()
+ *
+ * Rules are matched in order against the path relative to the router's mount point.
+ * The first rule whose method and path match wins; anything unmatched falls back
+ * to the router's default role.
+ *
+ * Roles:
+ *   public - no login required
+ *   viewer - any signed-in user (read and play)
+ *   admin  - manage sources, users and the defaults for settings and hidden content
+ *
+ * media: true also accepts a short-lived ?token= media token, for URLs loaded by
+ * <video>, hls.js, <img> and EventSource which cannot send an Authorization header.
+ * export: true accepts a user's export token (?token=), for the exported playlist and the
+ * stream URLs in it, which are played by external players.
+ */
+
+const policies = {
+    auth: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/setup-required', role: 'public' },
+            { method: 'POST', path: '/setup', role: 'public' },
+            { method: 'POST', path: '/login', role: 'public' },
+            { method: 'POST', path: '/refresh', role: 'public' },
+            { method: 'POST', path: '/logout', role: 'public' },
+            { method: 'GET', path: '/me', role: 'viewer' },
+            { method: 'GET', path: '/media-token', role: 'viewer' },
+            // Users manage their own sessions; the route checks ownership
+            { method: 'GET', path: '/sessions', role: 'viewer' },
+            { method: 'DELETE', path: '/sessions', role: 'viewer' },
+            { method: 'DELETE', path: '/sessions/:id', role: 'viewer' }
+        ]
+    },
+
+    sources: {
+        default: 'admin',
+        rules: [
+            // List view masks passwords; single-source view does not, so it stays admin-only
+            { method: 'GET', path: '/', role: 'viewer' },
+            { method: 'GET', path: '/status', role: 'viewer' },
+            { method: 'GET', path: '/type/:type', role: 'viewer' },
+            // Sync progress stream (EventSource), log lines name provider hosts
+            { method: 'GET', path: '/events', role: 'admin', media: true }
+        ]
+    },
+
+    proxy: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/stream', role: 'viewer', media: true, export: true },
+            { method: 'GET', path: '/image', role: 'viewer', media: true },
+            // Upstream auth responses include the account credentials
+            { method: 'GET', path: '/xtream/:sourceId', role: 'admin' },
+            { method: 'GET', path: '/xtream/:sourceId/auth', role: 'admin' },
+            // Playback paths handed out instead of upstream URLs (which carry the credentials)
+            { method: 'GET', path: '/xtream/:sourceId/play/:type/:file', role: 'viewer', media: true, export: true },
+            { method: 'GET', path: '/*', role: 'viewer' },
+            { method: 'POST', path: '/epg/:sourceId/channels', role: 'viewer' }
+        ]
+    },
+
+    // Users hide content for themselves; changing the defaults (scope=default)
+    // is checked for admin in the route
+    channels: {
+        default: 'viewer'
+    },
+
+    // Restrictions and per-user parental settings are admin-only
+    parental: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/status', role: 'viewer' },
+            { method: 'POST', path: '/unlock', role: 'viewer' },
+            { method: 'POST', path: '/lock', role: 'viewer' }
+        ]
+    },
+
+    favorites: {
+        default: 'viewer'
+    },
+
+    search: {
+        default: 'viewer'
+    },
+
+    settings: {
+        default: 'admin',
+        rules: [
+            // Own settings; server-wide keys are only applied for admins by the route
+            { method: 'GET', path: '/', role: 'viewer' },
+            { method: 'PUT', path: '/', role: 'viewer' },
+            { method: 'DELETE', path: '/', role: 'viewer' },
+            { method: 'GET', path: '/defaults', role: 'viewer' },
+            { method: 'GET', path: '/sync-status', role: 'viewer' }
+        ]
+    },
+
+    // Archives contain password hashes and source credentials
+    backup: {
+        default: 'admin'
+    },
+
+    syncRuns: {
+        default: 'admin'
+    },
+
+    // Mappings are edited by admins; everyone's guide resolves through them
+    epg: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/resolved', role: 'viewer' }
+        ]
+    },
+
+    transcode: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/', role: 'viewer', media: true }
+        ]
+    },
+
+    remux: {
+        default: 'admin',
+        rules: [
+            { method: 'GET', path: '/', role: 'viewer', media: true, export: true }
+        ]
+    },
+
+    // Users manage their own export token; the playlist and guide are loaded by external players
+    export: {
+        default: 'viewer',
+        rules: [
+            { method: 'GET', path: '/playlist.m3u', role: 'viewer', export: true },
+            { method: 'GET', path: '/epg.xml', role: 'viewer', export: true },
+            { method: 'GET', path: '/epg.xml.gz', role: 'viewer', export: true }
+        ]
+    }
+};
+
+module.exports = policies;
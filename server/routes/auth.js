@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const auth = require('../auth');
+const sessionService = require('../services/sessionService');
+const visibilityService = require('../services/visibilityService');
+const exportService = require('../services/exportService');
 
 // Configure Passport strategies
 auth.configureLocalStrategy(
@@ -58,12 +61,12 @@ router.post('/setup', async (req, res) => {
             role: 'admin'
         });
         
-        // Generate token for immediate login
-        const token = auth.generateToken(adminUser);
+        // Start a session for immediate login
+        const tokens = auth.issueTokens(adminUser, req);
         
         res.status(201).json({
             message: 'Admin user created successfully',
-            token,
+            ...tokens,
             user: adminUser
         });
     } catch (err) {
@@ -87,11 +90,11 @@ router.post('/login', (req, res, next) => {
             return res.status(401).json({ error: info?.message || 'Invalid credentials' });
         }
         
-        // Generate JWT token
-        const token = auth.generateToken(user);
+        // Start a session and issue access + refresh tokens
+        const tokens = auth.issueTokens(user, req);
         
         res.json({
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 username: user.username,
@@ -102,13 +105,100 @@ router.post('/login', (req, res, next) => {
 });
 
 /**
- * Logout (client-side handles token removal)
+ * Exchange a refresh token for a new access token (the refresh token is rotated)
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const tokens = await auth.refreshTokens(refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+
+        res.json(tokens);
+    } catch (err) {
+        console.error('Error in /refresh:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Logout - revoke the current session
  * POST /api/auth/logout
+ * Accepts the refresh token in the body and/or the access token header,
+ * so logging out still works after the access token has expired.
  */
 router.post('/logout', (req, res) => {
-    // With JWT, logout is handled client-side by removing the token
-    // This endpoint exists for consistency and future server-side token blacklisting
-    res.json({ success: true, message: 'Logged out successfully' });
+    try {
+        const session = sessionService.getByRefreshToken(req.body?.refreshToken);
+        if (session) {
+            sessionService.revoke(session.id);
+        }
+
+        const header = req.get('authorization') || '';
+        if (header.startsWith('Bearer ')) {
+            const payload = auth.verifyToken(header.substring(7), { ignoreExpiration: true });
+            if (payload?.sid) {
+                sessionService.revoke(payload.sid);
+            }
+        }
+
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+        console.error('Error in /logout:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', auth.requireAuth, (req, res) => {
+    try {
+        res.json(sessionService.listForUser(req.user.id, req.user.sessionId));
+    } catch (err) {
+        console.error('Error listing sessions:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Revoke all of the current user's other sessions ("sign out everywhere else")
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', auth.requireAuth, (req, res) => {
+    try {
+        const count = sessionService.revokeAllForUser(req.user.id, req.user.sessionId);
+        res.json({ success: true, revoked: count });
+    } catch (err) {
+        console.error('Error revoking sessions:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Revoke a single session (own sessions, or any session for admins)
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', auth.requireAuth, (req, res) => {
+    try {
+        const session = sessionService.getById(req.params.id);
+        if (!session || (session.user_id !== req.user.id && req.user.role !== 'admin')) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        sessionService.revoke(session.id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error revoking session:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
 /**
@@ -134,6 +224,17 @@ router.get('/me', auth.requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * Issue a short-lived media token for <video>, hls.js and <img> URLs
+ * GET /api/auth/media-token
+ */
+router.get('/media-token', auth.requireAuth, (req, res) => {
+    res.json({
+        token: auth.generateMediaToken(req.user),
+        expiresIn: auth.MEDIA_TOKEN_EXPIRY
+    });
+});
+
 /**
  * Get all users (admin only)
  * GET /api/auth/users
@@ -142,9 +243,9 @@ router.get('/users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
     try {
         const allUsers = await db.users.getAll();
         
-        // Remove password hashes
+        // Remove password and PIN hashes
         const users = allUsers.map(u => {
-            const { passwordHash, ...userWithoutPassword } = u;
+            const { passwordHash, parentalPinHash, ...userWithoutPassword } = u;
             return userWithoutPassword;
         });
         
@@ -155,6 +256,33 @@ router.get('/users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * List a user's active sessions (admin only)
+ * GET /api/auth/users/:id/sessions
+ */
+router.get('/users/:id/sessions', auth.requireAuth, auth.requireAdmin, (req, res) => {
+    try {
+        res.json(sessionService.listForUser(parseInt(req.params.id), req.user.sessionId));
+    } catch (err) {
+        console.error('Error listing user sessions:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Revoke all of a user's sessions (admin only)
+ * DELETE /api/auth/users/:id/sessions
+ */
+router.delete('/users/:id/sessions', auth.requireAuth, auth.requireAdmin, (req, res) => {
+    try {
+        const count = sessionService.revokeAllForUser(req.params.id);
+        res.json({ success: true, revoked: count });
+    } catch (err) {
+        console.error('Error revoking user sessions:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * Create a new user (admin only)
  * POST /api/auth/users
@@ -230,6 +358,13 @@ router.put('/users/:id', auth.requireAuth, auth.requireAdmin, async (req, res) =
         }
         
         const updatedUser = await db.users.update(id, updates);
+
+        // A new password invalidates every outstanding token for that user, the playlist export token too
+        if (updates.passwordHash) {
+            sessionService.revokeAllForUser(id);
+            exportService.revokeToken(id);
+        }
+
         res.json(updatedUser);
     } catch (err) {
         console.error('Error updating user:', err);
@@ -251,6 +386,8 @@ router.delete('/users/:id', auth.requireAuth, auth.requireAdmin, async (req, res
         }
         
         await db.users.delete(id);
+        sessionService.revokeAllForUser(id);
+        visibilityService.deleteForUser(id);
         res.json({ success: true, message: 'User deleted successfully' });
     } catch (err) {
         console.error('Error deleting user:', err);
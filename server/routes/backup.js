@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const backupService = require('../services/backupService');
+const syncService = require('../services/syncService');
+const fileWatcher = require('../services/fileWatcher');
+const cache = require('../services/cache');
+
+function sendArchive(res, archive) {
+    const date = archive.createdAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="nodecast-backup-${date}.json"`);
+    res.json(archive);
+}
+
+/**
+ * Download a backup of the whole installation
+ * The archive is NOT encrypted: it carries the provider credentials in plain text and the
+ * users' password hashes. Use POST /api/backup for an archive encrypted with a passphrase.
+ * GET /api/backup
+ */
+router.get('/', (req, res) => {
+    try {
+        sendArchive(res, backupService.createBackup());
+    } catch (err) {
+        console.error('Error creating backup:', err);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+/**
+ * Download a backup encrypted with a passphrase
+ * POST /api/backup
+ * Body: { passphrase }
+ */
+router.post('/', (req, res) => {
+    try {
+        const { passphrase } = req.body;
+        const error = backupService.validatePassphrase(passphrase);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        sendArchive(res, backupService.encryptBackup(backupService.createBackup(), passphrase));
+    } catch (err) {
+        console.error('Error creating backup:', err);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+/**
+ * Restore a backup, replacing sources, users, favorites, settings and hidden state
+ * All sessions are revoked, so every user (including the caller) has to sign in again
+ * POST /api/backup/restore
+ * Body: the backup archive; an encrypted archive with its passphrase added as `passphrase`
+ */
+router.post('/restore', (req, res) => {
+    try {
+        let archive = req.body;
+        if (backupService.isEncryptedBackup(archive)) {
+            if (!archive.passphrase) {
+                return res.status(400).json({ error: 'Backup is encrypted, passphrase required' });
+            }
+            archive = backupService.decryptBackup(archive, archive.passphrase);
+            if (!archive) {
+                return res.status(400).json({ error: 'Wrong passphrase, or the backup is damaged' });
+            }
+        }
+
+        const error = backupService.validateBackup(archive);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = backupService.restoreBackup(archive);
+        result.droppedSources.forEach(sourceId => cache.clearSource(sourceId));
+        console.log(`[Backup] Restored ${result.sources} sources, ${result.users} users, ${result.favorites} favorites (by ${req.user.username})`);
+
+        // Fetch content for the restored sources; pending hidden flags are applied as each sync finishes
+        syncService.restartSyncTimer().catch(console.error);
+        syncService.syncAll().catch(console.error);
+        fileWatcher.refresh().catch(console.error);
+
+        res.json({ success: true, restored: result });
+    } catch (err) {
+        console.error('Error restoring backup:', err);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+module.exports = router;
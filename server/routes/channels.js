@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/sqlite');
+const { hasRole } = require('../auth');
+const visibilityService = require('../services/visibilityService');
 
 // Helper to map API item types to DB types and tables
 function mapItemType(apiType) {
@@ -15,11 +17,40 @@ function mapItemType(apiType) {
     }
 }
 
+// Map an API item type to a visibility service entry
+function toVisibilityEntry(sourceId, apiType, itemId) {
+    const mapping = mapItemType(apiType);
+    if (!mapping) return null;
+    return {
+        sourceId,
+        kind: mapping.table === 'categories' ? 'category' : 'item',
+        type: mapping.type,
+        refId: itemId
+    };
+}
+
+/**
+ * Resolve which visibility a request reads or changes
+ * 'user' (the default) is the caller's own view, 'default' is the admin-defined
+ * defaults every user starts from. Sends a 403 and returns null if a non-admin asks for 'default'.
+ */
+function resolveScope(req, res) {
+    const scope = (req.body && req.body.scope) || req.query.scope;
+    if (scope !== 'default') return 'user';
+
+    if (!hasRole(req.user, 'admin')) {
+        res.status(403).json({ error: 'Forbidden - admin access required' });
+        return null;
+    }
+    return 'default';
+}
+
 // Get all hidden items (formatted like db.json for frontend compatibility)
 router.get('/hidden', async (req, res) => {
     try {
         const { sourceId } = req.query;
-        const db = getDb();
+        const scope = resolveScope(req, res);
+        if (!scope) return;
 
         let hidden = [];
         const resultFormat = (row, itemType) => ({
@@ -28,20 +59,29 @@ router.get('/hidden', async (req, res) => {
             item_id: itemType.includes('category') || itemType === 'group' ? row.category_id : row.item_id
         });
 
-        // Query Categories
-        let catQuery = `SELECT source_id, category_id, type FROM categories WHERE is_hidden = 1`;
-        let itemQuery = `SELECT source_id, item_id, type FROM playlist_items WHERE is_hidden = 1`;
+        let hiddenCats;
+        let hiddenItems;
 
-        const params = [];
-        if (sourceId) {
-            catQuery += ` AND source_id = ?`;
-            itemQuery += ` AND source_id = ?`;
-            const sid = parseInt(sourceId);
-            params.push(sid);
-        }
+        if (scope === 'user') {
+            ({ categories: hiddenCats, items: hiddenItems } = visibilityService.getHidden(req.user.id, sourceId));
+        } else {
+            const db = getDb();
 
-        const hiddenCats = db.prepare(catQuery).all(...params);
-        const hiddenItems = db.prepare(itemQuery).all(...params);
+            // Query Categories
+            let catQuery = `SELECT source_id, category_id, type FROM categories WHERE is_hidden = 1`;
+            let itemQuery = `SELECT source_id, item_id, type FROM playlist_items WHERE is_hidden = 1`;
+
+            const params = [];
+            if (sourceId) {
+                catQuery += ` AND source_id = ?`;
+                itemQuery += ` AND source_id = ?`;
+                const sid = parseInt(sourceId);
+                params.push(sid);
+            }
+
+            hiddenCats = db.prepare(catQuery).all(...params);
+            hiddenItems = db.prepare(itemQuery).all(...params);
+        }
 
         hiddenCats.forEach(row => {
             let apiType;
@@ -76,6 +116,14 @@ router.post('/hide', async (req, res) => {
 
         if (!mapping) return res.status(400).json({ error: 'Invalid item type' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
+        if (scope === 'user') {
+            visibilityService.setHidden(req.user.id, [toVisibilityEntry(sourceId, itemType, itemId)], true);
+            return res.json({ success: true });
+        }
+
         const db = getDb();
         const idCol = mapping.table === 'categories' ? 'category_id' : 'item_id';
 
@@ -102,6 +150,14 @@ router.post('/show', async (req, res) => {
 
         if (!mapping) return res.status(400).json({ error: 'Invalid item type' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
+        if (scope === 'user') {
+            visibilityService.setHidden(req.user.id, [toVisibilityEntry(sourceId, itemType, itemId)], false);
+            return res.json({ success: true });
+        }
+
         const db = getDb();
         const idCol = mapping.table === 'categories' ? 'category_id' : 'item_id';
 
@@ -127,6 +183,14 @@ router.get('/hidden/check', async (req, res) => {
         const mapping = mapItemType(itemType);
         if (!mapping) return res.json({ hidden: false });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
+        if (scope === 'user') {
+            const entry = toVisibilityEntry(sourceId, itemType, itemId);
+            return res.json({ hidden: visibilityService.isHidden(req.user.id, entry.kind, sourceId, entry.type, itemId) });
+        }
+
         const db = getDb();
         const idCol = mapping.table === 'categories' ? 'category_id' : 'item_id';
 
@@ -148,6 +212,15 @@ router.post('/hide/bulk', async (req, res) => {
         const { items } = req.body;
         if (!Array.isArray(items)) return res.status(400).json({ error: 'items array required' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
+        if (scope === 'user') {
+            const entries = items.map(item => toVisibilityEntry(item.sourceId, item.itemType, item.itemId)).filter(Boolean);
+            visibilityService.setHidden(req.user.id, entries, true);
+            return res.json({ success: true, count: items.length });
+        }
+
         const db = getDb();
 
         // Prepare statements once
@@ -191,6 +264,15 @@ router.post('/show/bulk', async (req, res) => {
         const { items } = req.body;
         if (!Array.isArray(items)) return res.status(400).json({ error: 'items array required' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
+        if (scope === 'user') {
+            const entries = items.map(item => toVisibilityEntry(item.sourceId, item.itemType, item.itemId)).filter(Boolean);
+            visibilityService.setHidden(req.user.id, entries, false);
+            return res.json({ success: true, count: items.length });
+        }
+
         const db = getDb();
 
         // Prepare statements once
@@ -234,6 +316,9 @@ router.post('/show/all', async (req, res) => {
         const { sourceId, contentType } = req.body;
         if (!sourceId) return res.status(400).json({ error: 'sourceId required' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
         const db = getDb();
         let catCount = 0;
         let itemCount = 0;
@@ -244,13 +329,19 @@ router.post('/show/all', async (req, res) => {
                 : ['live']; // default to channels
 
         for (const type of types) {
+            if (scope === 'user') {
+                const result = visibilityService.setAllHidden(req.user.id, sourceId, type, false);
+                catCount += result.categories;
+                itemCount += result.items;
+                continue;
+            }
             const catResult = db.prepare(`UPDATE categories SET is_hidden = 0 WHERE source_id = ? AND type = ?`).run(sourceId, type);
             const itemResult = db.prepare(`UPDATE playlist_items SET is_hidden = 0 WHERE source_id = ? AND type = ?`).run(sourceId, type);
             catCount += catResult.changes;
             itemCount += itemResult.changes;
         }
 
-        console.log(`[Channels] Show all for source ${sourceId} (${contentType}): ${catCount} categories, ${itemCount} items`);
+        console.log(`[Channels] Show all for source ${sourceId} (${contentType}, ${scope}): ${catCount} categories, ${itemCount} items`);
         res.json({ success: true, categoriesUpdated: catCount, itemsUpdated: itemCount });
     } catch (err) {
         console.error('Error show all:', err);
@@ -264,6 +355,9 @@ router.post('/hide/all', async (req, res) => {
         const { sourceId, contentType } = req.body;
         if (!sourceId) return res.status(400).json({ error: 'sourceId required' });
 
+        const scope = resolveScope(req, res);
+        if (!scope) return;
+
         const db = getDb();
         let catCount = 0;
         let itemCount = 0;
@@ -274,13 +368,19 @@ router.post('/hide/all', async (req, res) => {
                 : ['live']; // default to channels
 
         for (const type of types) {
+            if (scope === 'user') {
+                const result = visibilityService.setAllHidden(req.user.id, sourceId, type, true);
+                catCount += result.categories;
+                itemCount += result.items;
+                continue;
+            }
             const catResult = db.prepare(`UPDATE categories SET is_hidden = 1 WHERE source_id = ? AND type = ?`).run(sourceId, type);
             const itemResult = db.prepare(`UPDATE playlist_items SET is_hidden = 1 WHERE source_id = ? AND type = ?`).run(sourceId, type);
             catCount += catResult.changes;
             itemCount += itemResult.changes;
         }
 
-        console.log(`[Channels] Hide all for source ${sourceId} (${contentType}): ${catCount} categories, ${itemCount} items`);
+        console.log(`[Channels] Hide all for source ${sourceId} (${contentType}, ${scope}): ${catCount} categories, ${itemCount} items`);
         res.json({ success: true, categoriesUpdated: catCount, itemsUpdated: itemCount });
     } catch (err) {
         console.error('Error hide all:', err);
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const epgMappingService = require('../services/epgMappingService');
+
+/**
+ * Guide channel of each live channel, as the TV guide and player show it
+ * GET /api/epg/resolved
+ * Returns { "sourceId:itemId": { sourceId, channelId } | null }; null = mapped to no guide
+ */
+router.get('/resolved', (req, res) => {
+    try {
+        res.json(epgMappingService.getResolved());
+    } catch (err) {
+        console.error('Error resolving EPG channels:', err);
+        res.status(500).json({ error: 'Failed to resolve EPG channels' });
+    }
+});
+
+/**
+ * Live channels with their guide channels, for the mapping editor
+ * GET /api/epg/mappings?sourceId=&q=&status=all|manual|auto|review|unmatched&limit=&offset=
+ */
+router.get('/mappings', (req, res) => {
+    try {
+        const { sourceId, q, status, limit, offset } = req.query;
+        if (status && !epgMappingService.STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use ${epgMappingService.STATUSES.join(', ')}` });
+        }
+
+        res.json(epgMappingService.list({
+            sourceId: sourceId ? parseInt(sourceId) : null,
+            query: (q || '').trim(),
+            status: status || 'all',
+            limit,
+            offset
+        }));
+    } catch (err) {
+        console.error('Error getting EPG mappings:', err);
+        res.status(500).json({ error: 'Failed to get EPG mappings' });
+    }
+});
+
+/**
+ * Map a channel to a guide channel
+ * PUT /api/epg/mappings/:sourceId/:itemId
+ * Body: { epgSourceId, epgChannelId } - both null to show no guide for the channel
+ */
+router.put('/mappings/:sourceId/:itemId', (req, res) => {
+    try {
+        const sourceId = parseInt(req.params.sourceId);
+        const { itemId } = req.params;
+        const epgSourceId = req.body.epgSourceId ?? null;
+        const epgChannelId = req.body.epgChannelId ?? null;
+
+        if (!epgMappingService.hasChannel(sourceId, itemId)) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        const error = epgMappingService.validateMapping(epgSourceId, epgChannelId);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        epgMappingService.setMapping(sourceId, itemId, epgSourceId, epgChannelId);
+        console.log(`[EPG] Mapped channel ${sourceId}:${itemId} to ${epgChannelId === null ? 'no guide' : `${epgSourceId}:${epgChannelId}`}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error saving EPG mapping:', err);
+        res.status(500).json({ error: 'Failed to save EPG mapping' });
+    }
+});
+
+/**
+ * Remove a channel's mapping, back to the automatic match
+ * DELETE /api/epg/mappings/:sourceId/:itemId
+ */
+router.delete('/mappings/:sourceId/:itemId', (req, res) => {
+    try {
+        const sourceId = parseInt(req.params.sourceId);
+        if (!epgMappingService.removeMapping(sourceId, req.params.itemId)) {
+            return res.status(404).json({ error: 'Mapping not found' });
+        }
+        console.log(`[EPG] Removed mapping of channel ${sourceId}:${req.params.itemId}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error removing EPG mapping:', err);
+        res.status(500).json({ error: 'Failed to remove EPG mapping' });
+    }
+});
+
+/**
+ * Guide channels to map to, from enabled EPG and Xtream sources
+ * GET /api/epg/channels?q=
+ */
+router.get('/channels', (req, res) => {
+    try {
+        res.json(epgMappingService.searchGuideChannels((req.query.q || '').trim()));
+    } catch (err) {
+        console.error('Error searching EPG channels:', err);
+        res.status(500).json({ error: 'Failed to search EPG channels' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const exportService = require('../services/exportService');
+
+// Lineup filters shared by the playlist and the guide
+function getLineupOptions(query) {
+    return {
+        favorites: query.favorites === '1' || query.favorites === 'true',
+        groups: [].concat(query.group || []).filter(Boolean)
+    };
+}
+
+// Same filters (and token) as the playlist request, so the guide covers its channels
+function getGuideUrl(req, baseUrl) {
+    const params = new URLSearchParams({ token: req.user.exportToken });
+    const { favorites, groups } = getLineupOptions(req.query);
+    if (favorites) params.append('favorites', '1');
+    groups.forEach(group => params.append('group', group));
+    return `${baseUrl}/epg.xml?${params}`;
+}
+
+/**
+ * Channel lineup as an M3U playlist, for external players
+ * GET /playlist.m3u?token=&stream=direct|proxy|remux&favorites=1&group=
+ * group may be repeated; stream defaults to direct
+ */
+router.get('/playlist.m3u', async (req, res) => {
+    try {
+        // Stream URLs in the playlist carry the export token, so it is required here
+        if (!req.user.exportToken) {
+            return res.status(401).json({ error: 'Export token required' });
+        }
+
+        const mode = req.query.stream || 'direct';
+        if (!exportService.STREAM_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid stream mode. Use ${exportService.STREAM_MODES.join(', ')}` });
+        }
+
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const channels = await exportService.getLineup(req.user, getLineupOptions(req.query));
+        const playlist = exportService.buildPlaylist(channels, {
+            mode,
+            baseUrl,
+            token: req.user.exportToken,
+            guideUrl: getGuideUrl(req, baseUrl)
+        });
+
+        res.set('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="playlist.m3u"');
+        res.send(playlist);
+    } catch (err) {
+        console.error('Error exporting playlist:', err);
+        res.status(500).json({ error: 'Failed to export playlist' });
+    }
+});
+
+/**
+ * XMLTV guide of the lineup, channel ids matching the playlist's tvg-ids
+ * GET /epg.xml?token=&favorites=1&group=  (/epg.xml.gz for gzip)
+ */
+router.get(['/epg.xml', '/epg.xml.gz'], async (req, res) => {
+    try {
+        const channels = await exportService.getLineup(req.user, getLineupOptions(req.query));
+        const gzip = req.path.endsWith('.gz');
+
+        if (gzip) {
+            res.set('Content-Type', 'application/gzip');
+            res.set('Content-Disposition', 'attachment; filename="epg.xml.gz"');
+            const compressor = zlib.createGzip();
+            await Promise.all([
+                pipeline(compressor, res),
+                exportService.writeGuide(channels, compressor).then(() => compressor.end())
+            ]);
+        } else {
+            res.set('Content-Type', 'application/xml; charset=utf-8');
+            await exportService.writeGuide(channels, res);
+            res.end();
+        }
+    } catch (err) {
+        console.error('Error exporting guide:', err);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: 'Failed to export guide' });
+    }
+});
+
+/**
+ * Whether the caller has an export token
+ * GET /api/export/token
+ */
+router.get('/token', (req, res) => {
+    try {
+        res.json({ token: exportService.getTokenInfo(req.user.id) });
+    } catch (err) {
+        console.error('Error getting export token:', err);
+        res.status(500).json({ error: 'Failed to get export token' });
+    }
+});
+
+/**
+ * Create the caller's export token, replacing the previous one
+ * POST /api/export/token
+ * The token is only returned by this request
+ */
+router.post('/token', (req, res) => {
+    try {
+        const { token, createdAt } = exportService.createToken(req.user.id);
+        console.log(`[Export] Created export token for user ${req.user.username}`);
+        res.json({ token, createdAt });
+    } catch (err) {
+        console.error('Error creating export token:', err);
+        res.status(500).json({ error: 'Failed to create export token' });
+    }
+});
+
+/**
+ * Revoke the caller's export token
+ * DELETE /api/export/token
+ */
+router.delete('/token', (req, res) => {
+    try {
+        exportService.revokeToken(req.user.id);
+        console.log(`[Export] Revoked export token for user ${req.user.username}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error revoking export token:', err);
+        res.status(500).json({ error: 'Failed to revoke export token' });
+    }
+});
+
+module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { favorites } = require('../db');
 
+// Favorites are per user - every route acts on req.user
+
 // Get all favorites
 router.get('/', async (req, res) => {
     try {
         const { sourceId, itemType } = req.query;
-        const items = await favorites.getAll(sourceId, itemType);
+        const items = await favorites.getAll(req.user.id, sourceId, itemType);
         res.json(items);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -21,7 +23,7 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Source ID and Item ID are required' });
         }
 
-        await favorites.add(sourceId, itemId, itemType);
+        await favorites.add(req.user.id, sourceId, itemId, itemType);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -36,7 +38,7 @@ router.delete('/', async (req, res) => {
             return res.status(400).json({ error: 'Source ID and Item ID are required' });
         }
 
-        await favorites.remove(sourceId, itemId, itemType);
+        await favorites.remove(req.user.id, sourceId, itemId, itemType);
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -51,7 +53,7 @@ router.get('/check', async (req, res) => {
             return res.status(400).json({ error: 'Source ID and Item ID are required' });
         }
 
-        const isFav = await favorites.isFavorite(sourceId, itemId, itemType);
+        const isFav = await favorites.isFavorite(req.user.id, sourceId, itemId, itemType);
         res.json({ isFavorite: isFav });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const { users } = require('../db');
+const parentalService = require('../services/parentalService');
+
+// API item types (same as /api/channels) -> restriction kind and content type
+const ITEM_TYPES = {
+    channel: { kind: 'item', type: 'live' },
+    movie: { kind: 'item', type: 'movie' },
+    series: { kind: 'item', type: 'series' },
+    group: { kind: 'category', type: 'live' },
+    vod_category: { kind: 'category', type: 'movie' },
+    series_category: { kind: 'category', type: 'series' }
+};
+
+function toApiType(kind, type) {
+    return Object.keys(ITEM_TYPES).find(key => ITEM_TYPES[key].kind === kind && ITEM_TYPES[key].type === type);
+}
+
+/**
+ * Parental status of the current session
+ * GET /api/parental/status
+ */
+router.get('/status', async (req, res) => {
+    try {
+        const access = await parentalService.getAccess(req.user);
+        res.json({
+            enabled: access.enabled,
+            locked: access.locked,
+            maxAge: access.maxAge,
+            unlockedUntil: access.unlockedUntil ? new Date(access.unlockedUntil).toISOString() : null
+        });
+    } catch (err) {
+        console.error('Error getting parental status:', err);
+        res.status(500).json({ error: 'Failed to get parental status' });
+    }
+});
+
+/**
+ * Unlock restricted content for this session with the user's PIN
+ * POST /api/parental/unlock
+ */
+router.post('/unlock', async (req, res) => {
+    try {
+        const result = await parentalService.unlock(req.user, req.body.pin);
+
+        if (!result.success) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+                return res.status(429).json({ error: result.error, retryAfter: result.retryAfter });
+            }
+            // 403 rather than 401: the session itself is fine
+            return res.status(403).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            unlockedUntil: result.unlockedUntil ? new Date(result.unlockedUntil).toISOString() : null
+        });
+    } catch (err) {
+        console.error('Error unlocking parental controls:', err);
+        res.status(500).json({ error: 'Failed to unlock' });
+    }
+});
+
+/**
+ * Lock restricted content again before the unlock period ends
+ * POST /api/parental/lock
+ */
+router.post('/lock', (req, res) => {
+    parentalService.lock(req.user);
+    res.json({ success: true });
+});
+
+/**
+ * List restricted categories/items (formatted like /api/channels/hidden)
+ * GET /api/parental/restrictions?sourceId=
+ */
+router.get('/restrictions', (req, res) => {
+    try {
+        const rows = parentalService.getRestrictions(req.query.sourceId);
+        res.json(rows
+            .map(row => ({ source_id: row.source_id, item_type: toApiType(row.kind, row.type), item_id: row.ref_id }))
+            .filter(row => row.item_type));
+    } catch (err) {
+        console.error('Error getting restrictions:', err);
+        res.status(500).json({ error: 'Failed to get restrictions' });
+    }
+});
+
+/**
+ * Restrict or release categories/items
+ * Body: { items: [{ sourceId, itemType, itemId }] } or a single { sourceId, itemType, itemId }
+ */
+function updateRestrictions(restricted) {
+    return (req, res) => {
+        try {
+            const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+            const entries = [];
+
+            for (const item of items) {
+                const mapping = ITEM_TYPES[item.itemType];
+                if (!mapping || !item.sourceId || item.itemId === undefined) {
+                    return res.status(400).json({ error: 'Invalid item' });
+                }
+                entries.push({ sourceId: item.sourceId, kind: mapping.kind, type: mapping.type, refId: item.itemId });
+            }
+
+            parentalService.setRestricted(entries, restricted);
+            res.json({ success: true, count: entries.length });
+        } catch (err) {
+            console.error('Error updating restrictions:', err);
+            res.status(500).json({ error: 'Failed to update restrictions' });
+        }
+    };
+}
+
+// POST /api/parental/restrict
+router.post('/restrict', updateRestrictions(true));
+
+// POST /api/parental/unrestrict
+router.post('/unrestrict', updateRestrictions(false));
+
+/**
+ * Get a user's parental controls
+ * GET /api/parental/users/:id
+ */
+router.get('/users/:id', async (req, res) => {
+    try {
+        const user = await users.getById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(parentalService.getConfig(user));
+    } catch (err) {
+        console.error('Error getting parental controls:', err);
+        res.status(500).json({ error: 'Failed to get parental controls' });
+    }
+});
+
+/**
+ * Update a user's parental controls
+ * PUT /api/parental/users/:id
+ * Body: { enabled, maxAge (null = no rating limit), unlockMinutes, pin }
+ */
+router.put('/users/:id', async (req, res) => {
+    try {
+        const user = await users.getById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { enabled, maxAge, unlockMinutes, pin } = req.body;
+        const current = parentalService.getConfig(user);
+        const parental = {
+            enabled: enabled !== undefined ? !!enabled : current.enabled,
+            maxAge: current.maxAge,
+            unlockMinutes: current.unlockMinutes
+        };
+
+        if (maxAge !== undefined) {
+            if (maxAge !== null && (!Number.isInteger(maxAge) || maxAge < 0 || maxAge > 21)) {
+                return res.status(400).json({ error: 'maxAge must be a whole number between 0 and 21, or null' });
+            }
+            parental.maxAge = maxAge;
+        }
+
+        if (unlockMinutes !== undefined) {
+            if (!Number.isInteger(unlockMinutes) || unlockMinutes < 1 || unlockMinutes > 24 * 60) {
+                return res.status(400).json({ error: 'unlockMinutes must be between 1 and 1440' });
+            }
+            parental.unlockMinutes = unlockMinutes;
+        }
+
+        const updates = { parental };
+        if (pin !== undefined && pin !== '') {
+            const pinHash = await parentalService.hashPin(pin);
+            if (!pinHash) {
+                return res.status(400).json({ error: 'PIN must be 4 to 8 digits' });
+            }
+            updates.parentalPinHash = pinHash;
+        }
+
+        if (parental.enabled && !current.hasPin && !updates.parentalPinHash) {
+            return res.status(400).json({ error: 'Set a PIN before enabling parental controls' });
+        }
+
+        await users.update(user.id, updates);
+        console.log(`[Parental] Updated parental controls for user ${user.username}`);
+        res.json(parentalService.getConfig(await users.getById(user.id)));
+    } catch (err) {
+        console.error('Error updating parental controls:', err);
+        res.status(500).json({ error: 'Failed to update parental controls' });
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,13 @@ const xtreamApi = require('../services/xtreamApi');
 const m3uParser = require('../services/m3uParser');
 const epgParser = require('../services/epgParser');
 const cache = require('../services/cache');
+const visibilityService = require('../services/visibilityService');
+const parentalService = require('../services/parentalService');
+const playbackUrls = require('../services/playbackUrls');
+const streamHeaders = require('../services/streamHeaders');
+const credentials = require('../services/credentials');
+const { redact } = credentials;
+const auth = require('../auth');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
@@ -17,51 +24,74 @@ const { Readable } = require('stream');
 // Default cache max age in hours
 const DEFAULT_MAX_AGE_HOURS = 24;
 
+// Response for content behind a parental lock
+const PARENTAL_LOCKED = { error: 'Parental lock - enter your PIN to unlock', code: 'PARENTAL_LOCKED' };
+
 // Helper to get formatted category list from DB
-function getCategoriesFromDb(sourceId, type, includeHidden = false) {
+// Visibility is resolved for userId (own overrides over the admin defaults);
+// a locked parental access (see parentalService.getAccess) also leaves out restricted content
+function getCategoriesFromDb(sourceId, type, includeHidden = false, userId = null, access = null) {
     const db = getDb();
+    const visibility = visibilityService.categoryVisibility('c');
     let query = `
-        SELECT category_id, name as category_name, parent_id 
-        FROM categories 
-        WHERE source_id = ? AND type = ?
+        SELECT c.category_id, c.name as category_name, c.parent_id 
+        FROM categories c
+        ${visibility.join}
+        WHERE c.source_id = @sourceId AND c.type = @type
     `;
     if (!includeHidden) {
-        query += ` AND is_hidden = 0`;
+        query += ` AND ${visibility.hidden} = 0`;
+    }
+    if (access && access.locked) {
+        query += ` AND ${parentalService.categoryFilterSql('c')}`;
     }
-    query += ` ORDER BY name ASC`;
-    const cats = db.prepare(query).all(sourceId, type);
+    query += ` ORDER BY c.name ASC`;
+    const cats = db.prepare(query).all({ sourceId, type, userId });
     return cats;
 }
 
 // Helper to get formatted streams from DB
-function getStreamsFromDb(sourceId, type, categoryId = null, includeHidden = false) {
+function getStreamsFromDb(sourceId, type, categoryId = null, includeHidden = false, userId = null, access = null) {
     const db = getDb();
+    const visibility = visibilityService.itemVisibility('p');
     let query = `
-        SELECT item_id, name, stream_icon, added_at, rating, container_extension, year, category_id, data
-        FROM playlist_items 
-        WHERE source_id = ? AND type = ?
+        SELECT p.item_id, p.name, p.stream_icon, p.added_at, p.rating, p.container_extension, p.year, p.category_id, p.data
+        FROM playlist_items p
+        ${visibility.join}
+        WHERE p.source_id = @sourceId AND p.type = @type
     `;
     if (!includeHidden) {
-        query += ` AND is_hidden = 0`;
+        query += ` AND ${visibility.hidden} = 0`;
+    }
+    if (access && access.locked) {
+        query += ` AND ${parentalService.itemFilterSql('p')}`;
     }
-    const params = [sourceId, type];
+    const params = { sourceId, type, userId };
 
     if (categoryId) {
-        query += ` AND category_id = ?`;
-        params.push(categoryId);
+        query += ` AND p.category_id = @categoryId`;
+        params.categoryId = categoryId;
     }
 
     // Default sorting
     // query += ` ORDER BY name ASC`; // Sorting usually handled by client
 
-    const items = db.prepare(query).all(...params);
+    const items = db.prepare(query).all(params);
 
     // Map to Xtream format
-    return items.map(item => {
+    const maxAge = access && access.locked ? access.maxAge : null;
+    return items.reduce((result, item) => {
         const data = JSON.parse(item.data || '{}');
+
+        // Leave out content rated above the viewer's limit
+        if (maxAge !== null) {
+            const age = parentalService.getContentAge(data);
+            if (age !== null && age > maxAge) return result;
+        }
+
         // Override with our local fields if needed, or just return the mixed object
         // We should ensure critical fields are present
-        return {
+        result.push({
             ...data,
             stream_id: item.item_id, // ensure ID matches what client expects
             series_id: type === 'series' ? item.item_id : undefined,
@@ -72,8 +102,58 @@ function getStreamsFromDb(sourceId, type, categoryId = null, includeHidden = fal
             rating: item.rating,
             container_extension: item.container_extension,
             category_id: item.category_id
-        };
+        });
+        return result;
+    }, []);
+}
+
+// Episodes of an M3U series in the Xtream series_info format (see syncService.syncM3u)
+function getM3uSeriesInfo(sourceId, seriesId) {
+    const db = getDb();
+    const series = db.prepare(`
+        SELECT name, stream_icon, data FROM playlist_items
+        WHERE source_id = ? AND type = 'series' AND item_id = ?
+    `).get(sourceId, String(seriesId));
+    if (!series) return null;
+
+    const rows = db.prepare(`
+        SELECT item_id, stream_icon, container_extension, data FROM playlist_items
+        WHERE source_id = ? AND type = 'episode' AND parent_id = ?
+    `).all(sourceId, String(seriesId));
+
+    const episodes = rows
+        .map(row => {
+            const data = JSON.parse(row.data || '{}');
+            return {
+                id: row.item_id,
+                episode_num: data.episode_num,
+                title: data.title || '',
+                container_extension: row.container_extension,
+                season: data.season,
+                info: { movie_image: row.stream_icon }
+            };
+        })
+        .sort((a, b) => a.season - b.season || a.episode_num - b.episode_num);
+
+    const bySeason = {};
+    episodes.forEach(episode => {
+        (bySeason[episode.season] = bySeason[episode.season] || []).push(episode);
     });
+
+    return {
+        seasons: [],
+        info: { ...JSON.parse(series.data || '{}'), name: series.name, cover: series.stream_icon },
+        episodes: bySeason
+    };
+}
+
+// An M3U movie, episode (type 'series', as for Xtream) or channel, with its series
+function getM3uEntry(sourceId, type, streamId) {
+    const row = getDb().prepare(`
+        SELECT parent_id, data FROM playlist_items
+        WHERE source_id = ? AND type = ? AND item_id = ?
+    `).get(sourceId, type === 'series' ? 'episode' : type, String(streamId));
+    return row ? { seriesId: row.parent_id, ...JSON.parse(row.data || '{}') } : null;
 }
 
 
@@ -88,14 +168,14 @@ router.get('/xtream/:sourceId', async (req, res) => {
         // Proxy auth check to upstream to ensure credentials are still valid
 
         const cached = cache.get('xtream', source.id, 'auth', 300000);
-        if (cached) return res.json(cached);
+        if (cached) return res.json(xtreamApi.maskCredentials(cached));
 
         const api = xtreamApi.createFromSource(source);
         const data = await api.authenticate();
         cache.set('xtream', source.id, 'auth', data);
-        res.json(data);
+        res.json(xtreamApi.maskCredentials(data));
     } catch (err) {
-        res.status(502).json({ error: 'Upstream error', details: err.message });
+        res.status(502).json({ error: 'Upstream error', details: redact(err.message) });
     }
 });
 
@@ -104,7 +184,8 @@ router.get('/xtream/:sourceId/live_categories', async (req, res) => {
     try {
         const sourceId = parseInt(req.params.sourceId);
         const includeHidden = req.query.includeHidden === 'true';
-        const cats = getCategoriesFromDb(sourceId, 'live', includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const cats = getCategoriesFromDb(sourceId, 'live', includeHidden, req.user.id, access);
         res.json(cats);
     } catch (err) {
         console.error(err);
@@ -118,7 +199,8 @@ router.get('/xtream/:sourceId/live_streams', async (req, res) => {
         const sourceId = parseInt(req.params.sourceId);
         const categoryId = req.query.category_id;
         const includeHidden = req.query.includeHidden === 'true';
-        const streams = getStreamsFromDb(sourceId, 'live', categoryId, includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const streams = getStreamsFromDb(sourceId, 'live', categoryId, includeHidden, req.user.id, access);
         res.json(streams);
     } catch (err) {
         console.error(err);
@@ -131,7 +213,8 @@ router.get('/xtream/:sourceId/vod_categories', async (req, res) => {
     try {
         const sourceId = parseInt(req.params.sourceId);
         const includeHidden = req.query.includeHidden === 'true';
-        const cats = getCategoriesFromDb(sourceId, 'movie', includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const cats = getCategoriesFromDb(sourceId, 'movie', includeHidden, req.user.id, access);
         res.json(cats);
     } catch (err) {
         console.error(err);
@@ -145,7 +228,8 @@ router.get('/xtream/:sourceId/vod_streams', async (req, res) => {
         const sourceId = parseInt(req.params.sourceId);
         const categoryId = req.query.category_id;
         const includeHidden = req.query.includeHidden === 'true';
-        const streams = getStreamsFromDb(sourceId, 'movie', categoryId, includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const streams = getStreamsFromDb(sourceId, 'movie', categoryId, includeHidden, req.user.id, access);
         res.json(streams);
     } catch (err) {
         console.error(err);
@@ -158,7 +242,8 @@ router.get('/xtream/:sourceId/series_categories', async (req, res) => {
     try {
         const sourceId = parseInt(req.params.sourceId);
         const includeHidden = req.query.includeHidden === 'true';
-        const cats = getCategoriesFromDb(sourceId, 'series', includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const cats = getCategoriesFromDb(sourceId, 'series', includeHidden, req.user.id, access);
         res.json(cats);
     } catch (err) {
         console.error(err);
@@ -172,7 +257,8 @@ router.get('/xtream/:sourceId/series', async (req, res) => {
         const sourceId = parseInt(req.params.sourceId);
         const categoryId = req.query.category_id;
         const includeHidden = req.query.includeHidden === 'true';
-        const streams = getStreamsFromDb(sourceId, 'series', categoryId, includeHidden);
+        const access = await parentalService.getAccess(req.user);
+        const streams = getStreamsFromDb(sourceId, 'series', categoryId, includeHidden, req.user.id, access);
         res.json(streams);
     } catch (err) {
         console.error(err);
@@ -190,16 +276,32 @@ router.get('/xtream/:sourceId/series_info', async (req, res) => {
         const seriesId = req.query.series_id;
         if (!seriesId) return res.status(400).send('series_id required');
 
+        const access = await parentalService.getAccess(req.user);
+        if (!parentalService.isItemAllowed(access, source.id, 'series', seriesId)) {
+            return res.status(403).json(PARENTAL_LOCKED);
+        }
+
+        // M3U series are built from the playlist during the sync
+        if (source.type === 'm3u') {
+            const info = getM3uSeriesInfo(source.id, seriesId);
+            return info ? res.json(info) : res.status(404).json({ error: 'Series not found' });
+        }
+
+        // Episodes are played by id, and checked through the series recorded here
         const cacheKey = `series_info_${seriesId}`;
         const cached = cache.get('xtream', source.id, cacheKey, 3600000);
-        if (cached) return res.json(cached);
+        if (cached) {
+            parentalService.recordEpisodes(source.id, seriesId, cached);
+            return res.json(cached);
+        }
 
         const api = xtreamApi.createFromSource(source);
         const data = await api.getSeriesInfo(seriesId);
         cache.set('xtream', source.id, cacheKey, data);
+        parentalService.recordEpisodes(source.id, seriesId, data);
         res.json(data);
     } catch (err) {
-        res.status(502).json({ error: 'Upstream error', details: err.message });
+        res.status(502).json({ error: 'Upstream error', details: redact(err.message) });
     }
 });
 
@@ -212,6 +314,11 @@ router.get('/xtream/:sourceId/vod_info', async (req, res) => {
         const vodId = req.query.vod_id;
         if (!vodId) return res.status(400).send('vod_id required');
 
+        const access = await parentalService.getAccess(req.user);
+        if (!parentalService.isItemAllowed(access, source.id, 'movie', vodId)) {
+            return res.status(403).json(PARENTAL_LOCKED);
+        }
+
         const cacheKey = `vod_info_${vodId}`;
         const cached = cache.get('xtream', source.id, cacheKey, 3600000);
         if (cached) return res.json(cached);
@@ -221,48 +328,114 @@ router.get('/xtream/:sourceId/vod_info', async (req, res) => {
         cache.set('xtream', source.id, cacheKey, data);
         res.json(data);
     } catch (err) {
-        res.status(502).json({ error: 'Upstream error', details: err.message });
+        res.status(502).json({ error: 'Upstream error', details: redact(err.message) });
     }
 });
 
 // Get Stream URL for playback
-// Returns the direct stream URL for a given stream ID
+// Returns a playback path for a given stream ID
 router.get('/xtream/:sourceId/stream/:streamId/:type', async (req, res) => {
     try {
         const source = await sources.getById(req.params.sourceId);
-        if (!source || source.type !== 'xtream') {
-            return res.status(404).json({ error: 'Xtream source not found' });
+        if (!source || !['xtream', 'm3u'].includes(source.type)) {
+            return res.status(404).json({ error: 'Source not found' });
         }
 
         const streamId = req.params.streamId;
         const type = req.params.type || 'live';
         const container = req.query.container || 'm3u8';
 
-        // Construct the Xtream stream URL
-        // Format: http://server:port/live/username/password/streamId.container (for live)
-        // Format: http://server:port/movie/username/password/streamId.container (for movie)
-        // Format: http://server:port/series/username/password/streamId.container (for series)
+        // M3U movies and episodes play from their playlist URL, like M3U channels
+        if (source.type === 'm3u') {
+            const entry = getM3uEntry(source.id, type, streamId);
+            if (!entry) {
+                return res.status(404).json({ error: 'Stream not found' });
+            }
+            const access = await parentalService.getAccess(req.user);
+            if (!parentalService.isStreamAllowed(access, source.id, type, streamId)) {
+                return res.status(403).json(PARENTAL_LOCKED);
+            }
+            return res.json({ url: entry.stream_url });
+        }
 
-        let streamUrl;
-        const baseUrl = source.url.replace(/\/$/, ''); // Remove trailing slash
+        const access = await parentalService.getAccess(req.user);
+        if (!parentalService.isStreamAllowed(access, source.id, type, streamId)) {
+            return res.status(403).json(PARENTAL_LOCKED);
+        }
 
-        if (type === 'live') {
-            streamUrl = `${baseUrl}/live/${source.username}/${source.password}/${streamId}.${container}`;
-        } else if (type === 'movie') {
-            streamUrl = `${baseUrl}/movie/${source.username}/${source.password}/${streamId}.${container}`;
-        } else if (type === 'series') {
-            streamUrl = `${baseUrl}/series/${source.username}/${source.password}/${streamId}.${container}`;
-        } else {
+        if (!['live', 'movie', 'series'].includes(type)) {
             return res.status(400).json({ error: 'Invalid stream type' });
         }
 
-        res.json({ url: streamUrl });
+        // The upstream URL carries the account credentials, so the client gets a playback path
+        // (see playbackUrls) with a media token, usable directly by <video> and hls.js
+        const playPath = playbackUrls.buildPlayPath(source.id, type, streamId, container);
+        res.json({ url: auth.mediaUrl(playPath, req.user) });
     } catch (err) {
         console.error('Error getting stream URL:', err);
         res.status(500).json({ error: 'Failed to get stream URL' });
     }
 });
 
+// Play an Xtream stream, fetched server-side: the upstream URL carries the account credentials,
+// so it is never sent to the client. HLS manifests are rewritten to the stream proxy.
+// GET /api/proxy/xtream/:sourceId/play/:type/:streamId.:container
+router.get('/xtream/:sourceId/play/:type/:file', async (req, res) => {
+    try {
+        const match = req.params.file.match(/^(.+)\.([a-z0-9]+)$/i);
+        if (!match || !['live', 'movie', 'series'].includes(req.params.type)) {
+            return res.status(400).json({ error: 'Invalid stream' });
+        }
+
+        const url = await playbackUrls.getUpstreamUrl(req.user, req.params.sourceId, req.params.type, match[1], match[2]);
+        if (!url) {
+            return res.status(403).json(PARENTAL_LOCKED);
+        }
+
+        const sourceId = parseInt(req.params.sourceId);
+        const headers = await streamHeaders.resolve(url, { sourceId });
+        if (req.get('range')) {
+            headers['Range'] = req.get('range');
+        }
+
+        // Stop the upstream download when the player goes away
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        const response = await fetch(url, { headers, signal: controller.signal });
+        if (!response.ok) {
+            return res.status(response.status).send(`Failed to fetch stream: ${response.statusText}`);
+        }
+
+        res.set('Access-Control-Allow-Origin', '*');
+        const contentType = response.headers.get('content-type') || '';
+        if (match[2].toLowerCase() === 'm3u8' || /mpegurl/i.test(contentType)) {
+            const manifest = await response.text();
+            res.set('Content-Type', 'application/vnd.apple.mpegurl');
+            return res.send(rewriteManifest(req, manifest, response.url || url, sourceId, null));
+        }
+
+        res.status(response.status);
+        res.set('Content-Type', contentType || 'application/octet-stream');
+        for (const name of ['content-length', 'content-range', 'accept-ranges']) {
+            const value = response.headers.get(name);
+            if (value) res.set(name, value);
+        }
+        if (!response.body) return res.end();
+        Readable.from(response.body)
+            .on('error', err => {
+                if (!controller.signal.aborted) console.error('Error playing stream:', err.message);
+                res.destroy();
+            })
+            .pipe(res);
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Error playing stream:', err);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to play stream' });
+        }
+    }
+});
 
 // --- Other Proxy Routes --- //
 
@@ -274,10 +447,11 @@ router.get('/m3u/:sourceId', async (req, res) => {
     try {
         const sourceId = parseInt(req.params.sourceId);
         const includeHidden = req.query.includeHidden === 'true';
+        const access = await parentalService.getAccess(req.user);
 
         // Fetch from DB
-        const channels = getStreamsFromDb(sourceId, 'live', null, includeHidden);
-        const groups = getCategoriesFromDb(sourceId, 'live', includeHidden);
+        const channels = getStreamsFromDb(sourceId, 'live', null, includeHidden, req.user.id, access);
+        const groups = getCategoriesFromDb(sourceId, 'live', includeHidden, req.user.id, access);
 
         // Format for frontend helper
         // ChannelList expects:
@@ -292,7 +466,14 @@ router.get('/m3u/:sourceId', async (req, res) => {
             id: c.stream_id,
             groupTitle: c.category_id || 'Uncategorized',
             url: c.stream_url || c.url,
-            tvgLogo: c.stream_icon
+            tvgLogo: c.stream_icon,
+            tvgChno: c.tvg_chno || null,
+            tvgShift: c.tvg_shift || null,
+            catchup: c.catchup || null,
+            catchupSource: c.catchup_source || null,
+            catchupDays: c.catchup_days || null,
+            radio: c.radio === true,
+            httpHeaders: c.http_headers || null
         }));
 
         const reformattedGroups = groups.map(g => ({
@@ -426,7 +607,7 @@ router.get('/xtream/:sourceId/:action', async (req, res) => {
         let data;
         switch (action) {
             case 'auth':
-                data = await api.authenticate();
+                data = xtreamApi.maskCredentials(await api.authenticate());
                 break;
             case 'live_categories':
                 data = await api.getLiveCategories();
@@ -467,7 +648,7 @@ router.get('/xtream/:sourceId/:action', async (req, res) => {
         res.json(data);
     } catch (err) {
         console.error('Xtream proxy error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ error: redact(err.message) });
     }
 });
 
@@ -482,15 +663,19 @@ router.get('/xtream/:sourceId/stream/:streamId/:type?', async (req, res) => {
             return res.status(404).json({ error: 'Xtream source not found' });
         }
 
-        const api = xtreamApi.createFromSource(source);
         const { streamId, type = 'live' } = req.params;
         const { container = 'm3u8' } = req.query;
 
-        const url = api.buildStreamUrl(streamId, type, container);
-        res.json({ url });
+        const access = await parentalService.getAccess(req.user);
+        if (!parentalService.isStreamAllowed(access, source.id, type, streamId)) {
+            return res.status(403).json(PARENTAL_LOCKED);
+        }
+
+        const playPath = playbackUrls.buildPlayPath(source.id, type, streamId, container);
+        res.json({ url: auth.mediaUrl(playPath, req.user) });
     } catch (err) {
         console.error('Stream URL error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ error: redact(err.message) });
     }
 });
 
@@ -526,7 +711,7 @@ router.get('/m3u/:sourceId', async (req, res) => {
         res.json(data);
     } catch (err) {
         console.error('M3U proxy error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ error: redact(err.message) });
     }
 });
 
@@ -572,7 +757,7 @@ router.get('/epg/:sourceId', async (req, res) => {
         res.json(data);
     } catch (err) {
         console.error('EPG proxy error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ error: redact(err.message) });
     }
 });
 
@@ -623,14 +808,71 @@ router.post('/epg/:sourceId/channels', async (req, res) => {
         res.json(result);
     } catch (err) {
         console.error('EPG channels error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ error: redact(err.message) });
     }
 });
 
+/**
+ * Point the URLs of an HLS manifest (variants, segments, keys) at the stream proxy
+ * @param {string} finalUrl - URL the manifest was fetched from, after redirects
+ * @returns {string} Rewritten manifest
+ */
+function rewriteManifest(req, manifest, finalUrl, sourceId, itemId) {
+    const finalUrlObj = new URL(finalUrl);
+    const baseUrl = finalUrlObj.origin + finalUrlObj.pathname.substring(0, finalUrlObj.pathname.lastIndexOf('/') + 1);
+
+    // Rewritten URLs are fetched by hls.js without headers, so they carry a fresh media token.
+    // Live playlists are re-fetched continuously, which keeps long sessions authorized.
+    const tokenParam = req.user ? `&token=${encodeURIComponent(auth.generateMediaToken(req.user))}` : '';
+    // Segments and variant playlists need the same headers as the manifest. URLs carrying
+    // credentials (e.g. relative to an Xtream /live/<user>/<pass>/ path) are passed encrypted.
+    const proxyUrl = (absoluteUrl) => {
+        const target = redact(absoluteUrl) === absoluteUrl ? absoluteUrl : credentials.encrypt(absoluteUrl);
+        return `${req.protocol}://${req.get('host')}${req.baseUrl}/stream?url=${encodeURIComponent(target)}` +
+            `${streamHeaders.getParams(absoluteUrl, sourceId, itemId)}${tokenParam}`;
+    };
+
+    return manifest.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            // Handle both URI="..." and URI='...' formats
+            if (trimmed.includes('URI=')) {
+                // Replace both double and single quoted URIs
+                return line.replace(/URI=["']([^"']+)["']/g, (match, p1) => {
+                    try {
+                        const absoluteUrl = new URL(p1, baseUrl).href;
+                        return `URI="${proxyUrl(absoluteUrl)}"`;
+                    } catch (e) {
+                        return match;
+                    }
+                });
+            }
+            return line;
+        }
+
+        // Stream URL handling
+        try {
+            let absoluteUrl;
+            if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
+                absoluteUrl = trimmed;
+            } else {
+                absoluteUrl = new URL(trimmed, baseUrl).href;
+            }
+            return proxyUrl(absoluteUrl);
+        } catch (e) { return line; }
+    }).join('\n');
+}
+
 /**
  * Proxy stream for playback
  * This handles CORS for streams that don't allow cross-origin
  * Supports HTTP Range requests for video seeking
+ * Query params:
+ *   - sourceId=...  Source of the stream, for its HTTP headers (see services/streamHeaders.js)
+ *   - itemId=...    Playlist entry of the stream, for its M3U #EXTVLCOPT / #KODIPROP headers
+ *   - sig=...       Set on URLs rewritten from a manifest
+ * url may be a playback path (see services/playbackUrls.js) or, from a rewritten manifest, an
+ * encrypted upstream URL.
  */
 router.get('/stream', async (req, res) => {
     const maxRetries = 2;
@@ -643,19 +885,20 @@ router.get('/stream', async (req, res) => {
                 return res.status(400).json({ error: 'URL required' });
             }
 
-            // Forward some headers to be more "transparent" back to the origin
-            // Pluto TV uses multiple domains for content delivery
-            const plutoDomains = ['pluto.tv', 'pluto.io', 'plutotv.net', 'siloh.pluto.tv', 'service-stitcher'];
-            const isPluto = plutoDomains.some(domain => url.includes(domain));
-
-            const headers = {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': '*/*',
-                'Accept-Language': 'en-US,en;q=0.9',
-                // Using https and matching the origin of the request
-                'Origin': isPluto ? 'https://pluto.tv' : new URL(url).origin,
-                'Referer': isPluto ? 'https://pluto.tv/' : new URL(url).origin + '/'
-            };
+            // Manifest URLs carrying credentials come encrypted (see rewriteManifest)
+            if (credentials.isEncrypted(url)) {
+                url = credentials.decrypt(url);
+                if (!url) return res.status(400).json({ error: 'Invalid URL' });
+            }
+
+            url = await playbackUrls.resolve(url, req.user);
+            if (!url) {
+                return res.status(403).json(PARENTAL_LOCKED);
+            }
+
+            // Default, Pluto TV, source and playlist entry headers
+            const { sourceId, itemId, sig } = req.query;
+            const headers = await streamHeaders.resolve(url, { sourceId, itemId, sig });
 
             // Forward Range header for video seeking support
             const rangeHeader = req.get('range');
@@ -737,40 +980,7 @@ router.get('/stream', async (req, res) => {
                 console.log(`[Proxy] Processing HLS manifest from: ${finalUrl.substring(0, 80)}...`);
                 res.set('Content-Type', 'application/vnd.apple.mpegurl');
 
-                let manifest = buffer.toString('utf-8');
-
-                const finalUrlObj = new URL(finalUrl);
-                const baseUrl = finalUrlObj.origin + finalUrlObj.pathname.substring(0, finalUrlObj.pathname.lastIndexOf('/') + 1);
-
-                manifest = manifest.split('\n').map(line => {
-                    const trimmed = line.trim();
-                    if (trimmed === '' || trimmed.startsWith('#')) {
-                        // Handle both URI="..." and URI='...' formats
-                        if (trimmed.includes('URI=')) {
-                            // Replace both double and single quoted URIs
-                            return line.replace(/URI=["']([^"']+)["']/g, (match, p1) => {
-                                try {
-                                    const absoluteUrl = new URL(p1, baseUrl).href;
-                                    return `URI="${req.protocol}://${req.get('host')}${req.baseUrl}/stream?url=${encodeURIComponent(absoluteUrl)}"`;
-                                } catch (e) {
-                                    return match;
-                                }
-                            });
-                        }
-                        return line;
-                    }
-
-                    // Stream URL handling
-                    try {
-                        let absoluteUrl;
-                        if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-                            absoluteUrl = trimmed;
-                        } else {
-                            absoluteUrl = new URL(trimmed, baseUrl).href;
-                        }
-                        return `${req.protocol}://${req.get('host')}${req.baseUrl}/stream?url=${encodeURIComponent(absoluteUrl)}`;
-                    } catch (e) { return line; }
-                }).join('\n');
+                const manifest = rewriteManifest(req, buffer.toString('utf-8'), finalUrl, sourceId, itemId);
 
                 return res.send(manifest);
             }
@@ -814,21 +1024,17 @@ router.get('/stream', async (req, res) => {
 /**
  * Proxy images (channel logos, posters)
  * Fixes mixed content errors when loading HTTP images on HTTPS pages
- * GET /api/proxy/image?url=...
+ * GET /api/proxy/image?url=...[&sourceId=...]
  */
 router.get('/image', async (req, res) => {
     try {
-        const { url } = req.query;
+        const { url, sourceId } = req.query;
         if (!url) {
             return res.status(400).json({ error: 'URL required' });
         }
 
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'image/*,*/*;q=0.8'
-            }
-        });
+        const headers = await streamHeaders.resolve(url, { sourceId, accept: 'image/*,*/*;q=0.8' });
+        const response = await fetch(url, { headers });
 
         if (!response.ok) {
             return res.status(response.status).send('Failed to fetch image');
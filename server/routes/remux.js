@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const playbackUrls = require('../services/playbackUrls');
+const streamHeaders = require('../services/streamHeaders');
 
 /**
  * Remux stream (container conversion only)
- * GET /api/remux?url=...
+ * GET /api/remux?url=...[&sourceId=...][&itemId=...]
  * 
  * Remuxes MPEG-TS to fragmented MP4 for browser playback.
  * This is a lightweight operation - no video/audio re-encoding.
@@ -12,12 +14,19 @@ const { spawn } = require('child_process');
  * 
  * Note: This does NOT fix Dolby/AC3 audio issues - use /api/transcode for that.
  */
-router.get('/', (req, res) => {
-    const { url } = req.query;
+router.get('/', async (req, res) => {
+    const { url, sourceId, itemId } = req.query;
     if (!url) {
         return res.status(400).json({ error: 'URL parameter is required' });
     }
 
+    // Resolve Xtream playback paths (see services/playbackUrls.js)
+    const inputUrl = await playbackUrls.resolve(url, req.user).catch(() => null);
+    if (!inputUrl) {
+        return res.status(403).json({ error: 'Stream not available' });
+    }
+    const headerArgs = streamHeaders.toFfmpegArgs(await streamHeaders.resolve(inputUrl, { sourceId, itemId }));
+
     const ffmpegPath = req.app.locals.ffmpegPath || 'ffmpeg';
     console.log(`[Remux] Starting remux for: ${url}`);
 
@@ -39,7 +48,9 @@ router.get('/', (req, res) => {
         '-reconnect', '1',
         '-reconnect_streamed', '1',
         '-reconnect_delay_max', '5',
-        '-i', url,
+        // Same headers as the stream proxy (source and playlist entry headers)
+        ...headerArgs,
+        '-i', inputUrl,
         // Map all streams explicitly
         '-map', '0',
         // Copy ALL streams without re-encoding
@@ -56,7 +67,8 @@ router.get('/', (req, res) => {
         '-' // Output to stdout
     ];
 
-    console.log(`[Remux] Full command: ${ffmpegPath} ${args.join(' ')}`);
+    // Header values can hold cookies: leave them out of the log
+    console.log(`[Remux] Full command: ${ffmpegPath} ${args.filter(arg => !headerArgs.includes(arg)).join(' ')}`);
 
     let ffmpeg;
     try {
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const searchService = require('../services/searchService');
+const parentalService = require('../services/parentalService');
+
+/**
+ * Search channels, movies, series and EPG programmes
+ * GET /api/search?q=&types=live,movie,series,epg&sourceId=&limit=
+ * Matching ignores case and accents; every word must match (as a prefix).
+ * Results are ranked per type and respect the user's hidden content and parental controls.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const query = (req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({ error: 'Query (q) is required' });
+        }
+
+        let types = searchService.SEARCH_TYPES;
+        if (req.query.types) {
+            types = String(req.query.types).split(',').map(type => type.trim()).filter(Boolean);
+            const invalid = types.filter(type => !searchService.SEARCH_TYPES.includes(type));
+            if (invalid.length > 0 || types.length === 0) {
+                return res.status(400).json({ error: `Invalid type: ${invalid.join(', ')}. Use ${searchService.SEARCH_TYPES.join(', ')}` });
+            }
+        }
+
+        const access = await parentalService.getAccess(req.user);
+        const results = searchService.search({
+            query,
+            types,
+            sourceId: req.query.sourceId,
+            limit: req.query.limit,
+            userId: req.user.id,
+            access
+        });
+
+        res.json({ query, results });
+    } catch (err) {
+        console.error('Error searching:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+module.exports = router;
@@ -1,15 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { settings, getDefaultSettings } = require('../db');
+const { settings, GLOBAL_SETTING_KEYS } = require('../db');
+const { hasRole } = require('../auth');
 const syncService = require('../services/syncService');
 
 /**
- * Get all settings
+ * Pick the server-wide keys out of a settings object
+ */
+function pickGlobalSettings(updates) {
+    const globals = {};
+    GLOBAL_SETTING_KEYS.forEach(key => {
+        if (updates[key] !== undefined) globals[key] = updates[key];
+    });
+    return globals;
+}
+
+/**
+ * Get the current user's settings (admin defaults merged with their own changes)
  * GET /api/settings
  */
 router.get('/', async (req, res) => {
     try {
-        const currentSettings = await settings.get();
+        const currentSettings = await settings.get(req.user.id);
         res.json(currentSettings);
     } catch (err) {
         console.error('Error getting settings:', err);
@@ -18,19 +30,33 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Update settings (partial update)
+ * Update the current user's settings (partial update)
+ * Server-wide keys (e.g. epgRefreshInterval) are applied for admins and ignored otherwise
  * PUT /api/settings
  */
 router.put('/', async (req, res) => {
     try {
-        const updates = req.body;
-        const updatedSettings = await settings.update(updates);
+        const updates = req.body || {};
+        const globals = pickGlobalSettings(updates);
 
-        // If sync interval changed, restart the server-side sync timer
-        if (updates.epgRefreshInterval !== undefined) {
-            syncService.restartSyncTimer().catch(console.error);
+        if (hasRole(req.user, 'admin') && Object.keys(globals).length > 0) {
+            const current = await settings.getDefaults();
+            const changed = Object.keys(globals).some(key => String(globals[key]) !== String(current[key]));
+            if (changed) {
+                await settings.updateDefaults(globals);
+
+                // If sync interval changed, restart the server-side sync timer
+                if (globals.epgRefreshInterval !== undefined) {
+                    syncService.restartSyncTimer().catch(console.error);
+                }
+                // More slots may have opened up for queued syncs
+                if (globals.syncConcurrency !== undefined) {
+                    syncService.pump().catch(console.error);
+                }
+            }
         }
 
+        const updatedSettings = await settings.update(req.user.id, updates);
         res.json(updatedSettings);
     } catch (err) {
         console.error('Error updating settings:', err);
@@ -39,12 +65,12 @@ router.put('/', async (req, res) => {
 });
 
 /**
- * Reset settings to defaults
+ * Reset the current user's settings to the defaults
  * DELETE /api/settings
  */
 router.delete('/', async (req, res) => {
     try {
-        const defaultSettings = await settings.reset();
+        const defaultSettings = await settings.reset(req.user.id);
         res.json(defaultSettings);
     } catch (err) {
         console.error('Error resetting settings:', err);
@@ -53,11 +79,52 @@ router.delete('/', async (req, res) => {
 });
 
 /**
- * Get default settings (for reference)
+ * Get the defaults applied to every user
  * GET /api/settings/defaults
  */
-router.get('/defaults', (req, res) => {
-    res.json(getDefaultSettings());
+router.get('/defaults', async (req, res) => {
+    try {
+        res.json(await settings.getDefaults());
+    } catch (err) {
+        console.error('Error getting default settings:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Update the defaults applied to every user (admin)
+ * PUT /api/settings/defaults
+ */
+router.put('/defaults', async (req, res) => {
+    try {
+        const updates = req.body || {};
+        const defaults = await settings.updateDefaults(updates);
+
+        if (updates.epgRefreshInterval !== undefined) {
+            syncService.restartSyncTimer().catch(console.error);
+        }
+        if (updates.syncConcurrency !== undefined) {
+            syncService.pump().catch(console.error);
+        }
+
+        res.json(defaults);
+    } catch (err) {
+        console.error('Error updating default settings:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Reset the defaults to the built-in values (admin)
+ * DELETE /api/settings/defaults
+ */
+router.delete('/defaults', async (req, res) => {
+    try {
+        res.json(await settings.resetDefaults());
+    } catch (err) {
+        console.error('Error resetting default settings:', err);
+        res.status(500).json({ error: err.message });
+    }
 });
 
 /**
@@ -72,4 +139,3 @@ router.get('/sync-status', (req, res) => {
 });
 
 module.exports = router;
-
@@ -4,17 +4,72 @@ const { sources } = require('../db');
 const { getDb } = require('../db/sqlite');
 const xtreamApi = require('../services/xtreamApi');
 const syncService = require('../services/syncService');
+const visibilityService = require('../services/visibilityService');
+const parentalService = require('../services/parentalService');
+const searchService = require('../services/searchService');
+const downloadService = require('../services/downloadService');
+const providerHealth = require('../services/providerHealth');
+const accountService = require('../services/accountService');
+const scheduleService = require('../services/scheduleService');
+const credentials = require('../services/credentials');
+const streamHeaders = require('../services/streamHeaders');
+const localFiles = require('../services/localFiles');
+const fileWatcher = require('../services/fileWatcher');
+const m3uClassifier = require('../services/m3uClassifier');
 
-// Get all sources
+/**
+ * Source as returned by the API: credentials masked, and credentials embedded
+ * in the URL (e.g. M3U get.php?username=...&password=...) redacted unless requested.
+ * HTTP headers (which may hold cookies) are only included with the URL.
+ */
+function maskSource(source, { keepUrl = false } = {}) {
+    return {
+        ...source,
+        url: keepUrl ? source.url : credentials.redact(source.url),
+        username: credentials.mask(source.username),
+        password: credentials.mask(source.password),
+        httpHeaders: keepUrl ? streamHeaders.maskConfig(source.httpHeaders) : undefined,
+        // Players route streams with custom headers through the proxy
+        hasHttpHeaders: Boolean(source.httpHeaders)
+    };
+}
+
+/**
+ * Check the content rules of a source from the API
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateContentRules(type, contentRules) {
+    if (contentRules === undefined || contentRules === null) return null;
+    if (type !== 'm3u') return 'Content rules only apply to M3U sources';
+    return m3uClassifier.validateConfig(contentRules);
+}
+
+/**
+ * Check the url-tvg opt-out of a source from the API
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAutoEpg(type, autoEpg) {
+    if (autoEpg === undefined) return null;
+    if (typeof autoEpg !== 'boolean') return 'autoEpg must be true or false';
+    if (type !== 'm3u') return 'autoEpg only applies to M3U sources';
+    return null;
+}
+
+// Get all sources (with their sync schedules)
 router.get('/', async (req, res) => {
     try {
         const allSources = await sources.getAll();
-        // Don't expose passwords in list view
-        const sanitized = allSources.map(s => ({
-            ...s,
-            password: s.password ? '••••••••' : null
-        }));
-        res.json(sanitized);
+        const result = [];
+        for (const source of allSources) {
+            result.push({
+                ...maskSource(source),
+                schedules: await scheduleService.getSchedules(source),
+                // Circuit breaker state of the provider (Xtream API requests only)
+                health: source.type === 'xtream' ? providerHealth.getStatus(source.url) : null,
+                account: source.type === 'xtream' ? accountService.get(source.id) : null
+            });
+        }
+        res.json(result);
     } catch (err) {
         console.error('Error getting sources:', err);
         res.status(500).json({ error: 'Failed to get sources' });
@@ -34,11 +89,55 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Account alerts (expiring, expired or disabled accounts, connection limit reached)
+router.get('/alerts', async (req, res) => {
+    try {
+        res.json(await accountService.getAlerts());
+    } catch (err) {
+        console.error('Error getting account alerts:', err);
+        res.status(500).json({ error: 'Failed to get account alerts' });
+    }
+});
+
+// Heartbeat so proxies keep idle event streams open
+const EVENTS_KEEPALIVE_MS = 25 * 1000;
+
+/**
+ * Live sync progress as Server-Sent Events
+ * Sends the latest progress of every source on connect ('snapshot'), then
+ * 'progress' and 'log' events as syncs run (see SyncService)
+ */
+router.get('/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Disable response buffering in nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onProgress = (progress) => send('progress', progress);
+    const onLog = (line) => send('log', line);
+
+    send('snapshot', syncService.getProgress());
+    syncService.on('progress', onProgress);
+    syncService.on('log', onLog);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_KEEPALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        syncService.off('progress', onProgress);
+        syncService.off('log', onLog);
+    });
+});
+
 // Get sources by type
 router.get('/type/:type', async (req, res) => {
     try {
         const typeSources = await sources.getByType(req.params.type);
-        res.json(typeSources);
+        res.json(typeSources.map(s => maskSource(s)));
     } catch (err) {
         console.error('Error getting sources by type:', err);
         res.status(500).json({ error: 'Failed to get sources' });
@@ -52,17 +151,56 @@ router.get('/:id', async (req, res) => {
         if (!source) {
             return res.status(404).json({ error: 'Source not found' });
         }
-        res.json(source);
+        // Admin edit form: the URL is editable, credentials stay masked
+        res.json(maskSource(source, { keepUrl: true }));
     } catch (err) {
         console.error('Error getting source:', err);
         res.status(500).json({ error: 'Failed to get source' });
     }
 });
 
+/**
+ * Upload a playlist or guide file (plain, gzip or zip) for an M3U/EPG source
+ * POST /api/sources/upload?filename=
+ * Body: the file (application/octet-stream). Returns the file:// URL to create or update the source with.
+ */
+router.post('/upload', async (req, res) => {
+    try {
+        const declared = parseInt(req.get('content-length'));
+        if (declared > localFiles.MAX_UPLOAD_BYTES) {
+            return res.status(413).json({ error: `File is larger than ${localFiles.MAX_UPLOAD_BYTES / 1024 / 1024} MB` });
+        }
+
+        const upload = await localFiles.saveUpload(req, req.query.filename);
+
+        // Unreadable archives are refused now rather than on the first sync
+        let text;
+        try {
+            text = await localFiles.readStart(upload.url, 1024);
+        } catch (err) {
+            localFiles.removeUpload(upload.url);
+            return res.status(400).json({ error: err.message });
+        }
+        if (!text.trim()) {
+            localFiles.removeUpload(upload.url);
+            return res.status(400).json({ error: 'File is empty' });
+        }
+
+        console.log(`[Source] Uploaded ${req.query.filename || 'file'} (${(upload.size / 1024 / 1024).toFixed(1)} MB)`);
+        res.status(201).json(upload);
+    } catch (err) {
+        if (err.status === 413) {
+            return res.status(413).json({ error: err.message });
+        }
+        console.error('Error uploading file:', err);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
 // Create source
 router.post('/', async (req, res) => {
     try {
-        const { type, name, url, username, password } = req.body;
+        const { type, name, url, username, password, httpHeaders, contentRules, autoEpg } = req.body;
 
         if (!type || !name || !url) {
             return res.status(400).json({ error: 'Type, name, and URL are required' });
@@ -72,10 +210,31 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Invalid source type' });
         }
 
-        const source = await sources.create({ type, name, url, username, password });
+        const urlError = localFiles.validateUrl(type, url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+
+        const headersError = streamHeaders.validateConfig(httpHeaders);
+        if (headersError) {
+            return res.status(400).json({ error: headersError });
+        }
+
+        const m3uError = validateContentRules(type, contentRules) || validateAutoEpg(type, autoEpg);
+        if (m3uError) {
+            return res.status(400).json({ error: m3uError });
+        }
+
+        const source = await sources.create({
+            type, name, url, username, password,
+            httpHeaders: streamHeaders.normalizeConfig(httpHeaders),
+            contentRules: m3uClassifier.normalizeConfig(contentRules),
+            autoEpg
+        });
         // Trigger Sync
         syncService.syncSource(source.id).catch(console.error);
-        res.status(201).json(source);
+        fileWatcher.refresh().catch(console.error);
+        res.status(201).json(maskSource(source, { keepUrl: true }));
     } catch (err) {
         console.error('Error creating source:', err);
         res.status(500).json({ error: 'Failed to create source' });
@@ -90,16 +249,51 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Source not found' });
         }
 
-        const { name, url, username, password } = req.body;
+        // Blank or masked credentials mean "unchanged" (the edit form never sees the real values)
+        const keep = (value) => value === undefined || value === null || value === '' || value === credentials.MASK;
+        const { name, url, username, password, httpHeaders, contentRules, autoEpg } = req.body;
+
+        const urlError = localFiles.validateUrl(existing.type, url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+
+        const headersError = streamHeaders.validateConfig(httpHeaders);
+        if (headersError) {
+            return res.status(400).json({ error: headersError });
+        }
+
+        const m3uError = validateContentRules(existing.type, contentRules) || validateAutoEpg(existing.type, autoEpg);
+        if (m3uError) {
+            return res.status(400).json({ error: m3uError });
+        }
+
         const updated = await sources.update(req.params.id, {
             name: name || existing.name,
             url: url || existing.url,
-            username: username !== undefined ? username : existing.username,
-            password: password !== undefined ? password : existing.password
+            username: keep(username) ? existing.username : username,
+            password: keep(password) ? existing.password : password,
+            // Omitted = unchanged, null = none, masked values = unchanged
+            httpHeaders: httpHeaders === undefined
+                ? existing.httpHeaders
+                : streamHeaders.unmaskConfig(streamHeaders.normalizeConfig(httpHeaders), existing.httpHeaders),
+            contentRules: contentRules === undefined ? existing.contentRules : m3uClassifier.normalizeConfig(contentRules),
+            autoEpg: autoEpg === undefined ? existing.autoEpg : autoEpg
         });
+        // The playlist has to be read again even if it did not change: entries sorted by the new
+        // rules, and the url-tvg header checked once guides are turned back on
+        if (JSON.stringify(updated.contentRules) !== JSON.stringify(existing.contentRules) ||
+            (updated.autoEpg && !existing.autoEpg)) {
+            downloadService.invalidate(updated.id, 'm3u');
+        }
+        // A replaced upload is no longer needed
+        if (updated.url !== existing.url) {
+            localFiles.removeUpload(existing.url);
+        }
         // Trigger Sync (if critical fields changed? safely just trigger it)
         syncService.syncSource(parseInt(req.params.id)).catch(console.error);
-        res.json(updated);
+        fileWatcher.refresh().catch(console.error);
+        res.json(maskSource(updated, { keepUrl: true }));
     } catch (err) {
         console.error('Error updating source:', err);
         res.status(500).json({ error: 'Failed to update source' });
@@ -115,22 +309,37 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Source not found' });
         }
 
+        // Stop a running sync so it does not write content back for the deleted source
+        if (syncService.cancel(sourceId)) {
+            await syncService.waitForIdle(sourceId);
+        }
+
         // Cascade delete: Clean up SQLite data for this source
         const db = getDb();
         const deleteCategories = db.prepare('DELETE FROM categories WHERE source_id = ?');
         const deleteItems = db.prepare('DELETE FROM playlist_items WHERE source_id = ?');
         const deleteEpg = db.prepare('DELETE FROM epg_programs WHERE source_id = ?');
+        // Left behind by a guide sync that was interrupted
+        const deleteEpgStaging = db.prepare('DELETE FROM epg_programs_staging WHERE source_id = ?');
         const deleteSyncStatus = db.prepare('DELETE FROM sync_status WHERE source_id = ?');
 
         const catResult = deleteCategories.run(sourceId);
         const itemResult = deleteItems.run(sourceId);
         const epgResult = deleteEpg.run(sourceId);
+        deleteEpgStaging.run(sourceId);
         deleteSyncStatus.run(sourceId);
+        visibilityService.deleteForSource(sourceId);
+        parentalService.deleteForSource(sourceId);
+        searchService.deleteForSource(sourceId);
+        downloadService.deleteForSource(sourceId);
+        localFiles.removeUpload(existing.url);
+        syncService.progress.delete(sourceId);
 
         console.log(`[Source] Cascade delete for source ${sourceId}: ${catResult.changes} categories, ${itemResult.changes} items, ${epgResult.changes} EPG programs`);
 
         // Delete source config and related hidden items (favorites handled by db.js)
         await sources.delete(sourceId);
+        fileWatcher.refresh().catch(console.error);
 
         res.json({ success: true });
     } catch (err) {
@@ -151,31 +360,103 @@ router.post('/:id/toggle', async (req, res) => {
         if (updated.enabled) {
             syncService.syncSource(parseInt(req.params.id)).catch(console.error);
         }
+        fileWatcher.refresh().catch(console.error);
 
-        res.json(updated);
+        res.json(maskSource(updated, { keepUrl: true }));
     } catch (err) {
         console.error('Error toggling source:', err);
         res.status(500).json({ error: 'Failed to toggle source' });
     }
 });
 
-// Manual Sync
+// Get sync schedules of a source
+router.get('/:id/schedules', async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+        res.json(await scheduleService.getSchedules(source));
+    } catch (err) {
+        console.error('Error getting schedules:', err);
+        res.status(500).json({ error: 'Failed to get schedules' });
+    }
+});
+
+/**
+ * Update sync schedules of a source
+ * Body: { live, vod, epg } - cron expression, 'off' for manual only, or null for the global interval
+ */
+router.put('/:id/schedules', async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        const error = scheduleService.validateSchedules(source, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const schedules = await scheduleService.updateSchedules(source, req.body);
+        console.log(`[Source] Updated sync schedules for ${source.name}`);
+        res.json(schedules);
+    } catch (err) {
+        console.error('Error updating schedules:', err);
+        res.status(500).json({ error: 'Failed to update schedules' });
+    }
+});
+
+// Manual Sync (optionally only some scopes: { scopes: ['epg'] })
 router.post('/:id/sync', async (req, res) => {
     try {
         const id = parseInt(req.params.id);
         const source = await sources.getById(id);
         if (!source) return res.status(404).json({ error: 'Source not found' });
 
-        // Trigger sync (async)
-        syncService.syncSource(id).catch(console.error);
+        let scopes = null;
+        if (req.body && req.body.scopes !== undefined) {
+            const allowed = scheduleService.getScopes(source.type);
+            if (!Array.isArray(req.body.scopes) || req.body.scopes.length === 0 || req.body.scopes.some(scope => !allowed.includes(scope))) {
+                return res.status(400).json({ error: `scopes must be a list of: ${allowed.join(', ')}` });
+            }
+            scopes = req.body.scopes;
+        }
+
+        // Queue the sync (runs once a slot is free)
+        syncService.syncSource(id, scopes).catch(console.error);
 
-        res.json({ success: true, message: 'Sync started' });
+        res.json({ success: true, message: 'Sync queued' });
     } catch (err) {
         console.error('Error starting sync:', err);
         res.status(500).json({ error: 'Failed to start sync' });
     }
 });
 
+// Cancel a queued or running sync
+router.post('/:id/sync/cancel', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const source = await sources.getById(id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        const cancelled = syncService.cancel(id);
+        if (!cancelled) {
+            return res.status(409).json({ error: 'Source is not syncing' });
+        }
+
+        console.log(`[Source] Cancelled ${cancelled} sync for ${source.name}`);
+        res.json({ success: true, cancelled });
+    } catch (err) {
+        console.error('Error cancelling sync:', err);
+        res.status(500).json({ error: 'Failed to cancel sync' });
+    }
+});
+
+// Content of an M3U/EPG source URL (for a local file, its beginning)
+async function readSourceText(url) {
+    if (localFiles.isLocalUrl(url)) return localFiles.readStart(url);
+    const response = await fetch(url);
+    return response.text();
+}
+
 // Test source connection
 router.post('/:id/test', async (req, res) => {
     try {
@@ -186,21 +467,20 @@ router.post('/:id/test', async (req, res) => {
 
         if (source.type === 'xtream') {
             const result = await xtreamApi.authenticate(source.url, source.username, source.password);
-            res.json({ success: true, data: result });
+            accountService.save(source.id, result.user_info);
+            res.json({ success: true, data: xtreamApi.maskCredentials(result) });
         } else if (source.type === 'm3u') {
-            const response = await fetch(source.url);
-            const text = await response.text();
+            const text = await readSourceText(source.url);
             const isValid = text.includes('#EXTM3U');
             res.json({ success: isValid, message: isValid ? 'Valid M3U playlist' : 'Invalid M3U format' });
         } else if (source.type === 'epg') {
-            const response = await fetch(source.url);
-            const text = await response.text();
+            const text = await readSourceText(source.url);
             const isValid = text.includes('<tv') || text.includes('<?xml');
             res.json({ success: isValid, message: isValid ? 'Valid EPG XML' : 'Invalid EPG format' });
         }
     } catch (err) {
         console.error('Error testing source:', err);
-        res.json({ success: false, error: err.message });
+        res.json({ success: false, error: credentials.redact(err.message) });
     }
 });
 
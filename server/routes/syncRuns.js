@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const syncHistoryService = require('../services/syncHistoryService');
+
+const RUN_STATUSES = ['running', 'success', 'error', 'cancelled'];
+
+/**
+ * Sync run history, newest first
+ * GET /api/sync-runs?sourceId=&status=&limit=&offset=
+ */
+router.get('/', (req, res) => {
+    try {
+        const { sourceId, status, limit, offset } = req.query;
+        if (status && !RUN_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use ${RUN_STATUSES.join(', ')}` });
+        }
+
+        res.json(syncHistoryService.list({
+            sourceId: sourceId ? parseInt(sourceId) : null,
+            status: status || null,
+            limit,
+            offset
+        }));
+    } catch (err) {
+        console.error('Error getting sync runs:', err);
+        res.status(500).json({ error: 'Failed to get sync runs' });
+    }
+});
+
+/**
+ * Compare two runs (differences are b minus a)
+ * GET /api/sync-runs/compare?a=&b=
+ */
+router.get('/compare', (req, res) => {
+    try {
+        const a = parseInt(req.query.a);
+        const b = parseInt(req.query.b);
+        if (!a || !b) {
+            return res.status(400).json({ error: 'Two run ids (a and b) are required' });
+        }
+
+        const comparison = syncHistoryService.compare(a, b);
+        if (!comparison) {
+            return res.status(404).json({ error: 'Sync run not found' });
+        }
+        res.json(comparison);
+    } catch (err) {
+        console.error('Error comparing sync runs:', err);
+        res.status(500).json({ error: 'Failed to compare sync runs' });
+    }
+});
+
+// Get a single run
+router.get('/:id', (req, res) => {
+    try {
+        const run = syncHistoryService.get(parseInt(req.params.id));
+        if (!run) {
+            return res.status(404).json({ error: 'Sync run not found' });
+        }
+        res.json(run);
+    } catch (err) {
+        console.error('Error getting sync run:', err);
+        res.status(500).json({ error: 'Failed to get sync run' });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const playbackUrls = require('../services/playbackUrls');
+const streamHeaders = require('../services/streamHeaders');
 
 /**
  * Transcode stream
- * GET /api/transcode?url=...
+ * GET /api/transcode?url=...[&sourceId=...][&itemId=...]
  * 
  * Transcodes audio to AAC for browser compatibility while passing video through.
  * This fixes playback issues with Dolby/AC3/EAC3 audio that browsers can't decode.
  */
-router.get('/', (req, res) => {
-    const { url } = req.query;
+router.get('/', async (req, res) => {
+    const { url, sourceId, itemId } = req.query;
     if (!url) {
         return res.status(400).json({ error: 'URL parameter is required' });
     }
 
+    // Xtream playback paths are resolved to the upstream URL here, so it never reaches the client
+    const inputUrl = await playbackUrls.resolve(url, req.user).catch(() => null);
+    if (!inputUrl) {
+        return res.status(403).json({ error: 'Stream not available' });
+    }
+    const headerArgs = streamHeaders.toFfmpegArgs(await streamHeaders.resolve(inputUrl, { sourceId, itemId }));
+
     const ffmpegPath = req.app.locals.ffmpegPath || 'ffmpeg';
     console.log(`[Transcode] Starting transcoding for: ${url}`);
     console.log(`[Transcode] Using binary: ${ffmpegPath}`);
@@ -38,7 +47,9 @@ router.get('/', (req, res) => {
         '-reconnect', '1',
         '-reconnect_streamed', '1',
         '-reconnect_delay_max', '3',
-        '-i', url,
+        // Same headers as the stream proxy (source and playlist entry headers)
+        ...headerArgs,
+        '-i', inputUrl,
         // Map only first video and audio stream (avoid subtitle streams causing issues)
         '-map', '0:v:0',
         '-map', '0:a:0?', // ? makes audio optional if not present
@@ -61,7 +72,8 @@ router.get('/', (req, res) => {
         '-' // Output to stdout
     ];
 
-    console.log(`[Transcode] Full command: ${ffmpegPath} ${args.join(' ')}`);
+    // Header values can hold cookies: leave them out of the log
+    console.log(`[Transcode] Full command: ${ffmpegPath} ${args.filter(arg => !headerArgs.includes(arg)).join(' ')}`);
 
     let ffmpeg;
     try {
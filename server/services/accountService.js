@@ -0,0 +1,139 @@
+/**
+ * Account Service
+ * Keeps the Xtream account status of each source (expiry, connection usage) and turns it into
+ * alerts for admins: accounts that are expiring within accountExpiryWarningDays, expired or
+ * disabled, or using all their connections.
+ */
+
+const { getDb } = require('../db/sqlite');
+const { settings } = require('../db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when the accountExpiryWarningDays setting is missing or invalid
+const DEFAULT_WARNING_DAYS = 7;
+
+// Xtream sends numbers as strings, and empty strings / "null" for missing values
+function toInt(value) {
+    const number = parseInt(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+function toAccount(row) {
+    return {
+        auth: row.auth === null ? null : row.auth === 1,
+        status: row.status,
+        expDate: row.exp_date,
+        isTrial: row.is_trial === 1,
+        activeConnections: row.active_cons,
+        maxConnections: row.max_connections,
+        createdAt: row.created_at,
+        checkedAt: row.checked_at
+    };
+}
+
+/**
+ * Store the user_info of an authenticate() response
+ */
+function save(sourceId, userInfo) {
+    if (!userInfo) return;
+    const expDate = toInt(userInfo.exp_date);
+    const createdAt = toInt(userInfo.created_at);
+
+    getDb().prepare(`
+        INSERT INTO source_accounts (source_id, auth, status, exp_date, is_trial, active_cons, max_connections, created_at, checked_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(source_id) DO UPDATE SET
+            auth = excluded.auth,
+            status = excluded.status,
+            exp_date = excluded.exp_date,
+            is_trial = excluded.is_trial,
+            active_cons = excluded.active_cons,
+            max_connections = excluded.max_connections,
+            created_at = excluded.created_at,
+            checked_at = excluded.checked_at
+    `).run(
+        sourceId,
+        toInt(userInfo.auth),
+        userInfo.status || null,
+        // Unix seconds
+        expDate ? expDate * 1000 : null,
+        toInt(userInfo.is_trial),
+        toInt(userInfo.active_cons),
+        toInt(userInfo.max_connections),
+        createdAt ? createdAt * 1000 : null,
+        Date.now()
+    );
+}
+
+/**
+ * Account status of a source, or null if it was never read
+ */
+function get(sourceId) {
+    const row = getDb().prepare('SELECT * FROM source_accounts WHERE source_id = ?').get(sourceId);
+    return row ? toAccount(row) : null;
+}
+
+async function getWarningDays() {
+    const days = parseInt((await settings.get()).accountExpiryWarningDays);
+    return days >= 0 ? days : DEFAULT_WARNING_DAYS;
+}
+
+/**
+ * Problems with an account
+ * @returns {Array<{ type: string, message: string }>} type is 'disabled', 'expired', 'expiring' or 'connection_limit'
+ */
+function checkAccount(account, warningDays, now = Date.now()) {
+    const problems = [];
+
+    if (account.auth === false || (account.status && !['Active', 'Expired'].includes(account.status))) {
+        problems.push({ type: 'disabled', message: `Account is ${account.auth === false ? 'not authorized' : account.status.toLowerCase()}` });
+    } else if (account.status === 'Expired' || (account.expDate && account.expDate <= now)) {
+        problems.push({ type: 'expired', message: 'Account has expired' });
+    } else if (account.expDate && account.expDate - now <= warningDays * DAY_MS) {
+        const days = Math.ceil((account.expDate - now) / DAY_MS);
+        problems.push({ type: 'expiring', message: `Account expires in ${days} day${days === 1 ? '' : 's'}` });
+    }
+
+    if (account.maxConnections > 0 && account.activeConnections >= account.maxConnections) {
+        problems.push({ type: 'connection_limit', message: `All ${account.maxConnections} connections are in use` });
+    }
+    return problems;
+}
+
+/**
+ * Alerts for the accounts of enabled Xtream sources
+ * @returns {Promise<Array<{ sourceId, sourceName, type, message, expDate, checkedAt }>>}
+ */
+async function getAlerts() {
+    const warningDays = await getWarningDays();
+    const rows = getDb().prepare(`
+        SELECT sa.*, s.name AS source_name FROM source_accounts sa
+        JOIN sources s ON s.id = sa.source_id
+        WHERE s.enabled = 1 AND s.type = 'xtream'
+        ORDER BY s.id
+    `).all();
+
+    const alerts = [];
+    for (const row of rows) {
+        const account = toAccount(row);
+        for (const problem of checkAccount(account, warningDays)) {
+            alerts.push({
+                sourceId: row.source_id,
+                sourceName: row.source_name,
+                ...problem,
+                expDate: account.expDate,
+                checkedAt: account.checkedAt
+            });
+        }
+    }
+    return alerts;
+}
+
+module.exports = {
+    save,
+    get,
+    getWarningDays,
+    checkAccount,
+    getAlerts
+};
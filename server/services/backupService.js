@@ -0,0 +1,328 @@
+/**
+ * Backup Service
+ * Exports the installation as a single JSON archive and restores it, e.g. onto a fresh install.
+ *
+ * The archive holds everything that cannot be downloaded again from the providers: sources
+ * (with readable credentials) and their sync schedules, users (with password hashes), favorites,
+ * settings, hidden-item state, parental restrictions and EPG channel mappings. It can be
+ * encrypted with a passphrase (scrypt + AES-256-GCM) for storage outside the server.
+ * Content is referenced by source id and provider ids (category_id/item_id), which stay the same
+ * when the restored sources sync again - playlist_items rows themselves are not part of it.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../db/sqlite');
+const sessionService = require('./sessionService');
+const credentials = require('./credentials');
+const searchService = require('./searchService');
+
+const BACKUP_APP = 'nodecast-tv';
+const BACKUP_FORMAT = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Archive section -> table, in restore order (parents before children)
+const SECTIONS = [
+    { section: 'sources', table: 'sources' },
+    { section: 'syncSchedules', table: 'sync_schedules' },
+    { section: 'users', table: 'users' },
+    { section: 'favorites', table: 'favorites' },
+    { section: 'settings', table: 'settings' },
+    { section: 'userSettings', table: 'user_settings' },
+    { section: 'userVisibility', table: 'user_visibility' },
+    { section: 'parentalRestrictions', table: 'parental_restrictions' },
+    { section: 'epgMappings', table: 'epg_mappings' }
+];
+
+// Tables holding synced content, keyed by source_id
+const CONTENT_TABLES = ['categories', 'playlist_items', 'epg_programs', 'epg_programs_staging', 'sync_status', 'epg_matches'];
+
+// Sections whose rows are kept when restored with the same id, so the rows
+// hanging off them through foreign keys (sync runs, account info, download cache, export tokens) survive
+const KEPT_SECTIONS = ['sources', 'users'];
+
+function getSchemaVersion(db) {
+    return db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+}
+
+/**
+ * Build a backup archive of the current installation
+ */
+function createBackup() {
+    const db = getDb();
+    const archive = {
+        app: BACKUP_APP,
+        format: BACKUP_FORMAT,
+        schemaVersion: getSchemaVersion(db),
+        createdAt: new Date().toISOString()
+    };
+
+    for (const { section, table } of SECTIONS) {
+        archive[section] = db.prepare(`SELECT * FROM ${table}`).all();
+    }
+
+    // Credentials are encrypted with this install's key; the archive carries them readable
+    // so it can be restored on an install with a different CREDENTIALS_KEY
+    archive.sources = archive.sources.map(source => ({
+        ...source,
+        username: credentials.decrypt(source.username),
+        password: credentials.decrypt(source.password),
+        http_headers: credentials.decrypt(source.http_headers)
+    }));
+
+    // Default hidden state, including flags still waiting for their content to sync
+    archive.hidden = db.prepare(`
+        SELECT source_id, 'category' AS kind, type, category_id AS ref_id FROM categories WHERE is_hidden = 1
+        UNION ALL
+        SELECT source_id, 'item' AS kind, type, item_id AS ref_id FROM playlist_items WHERE is_hidden = 1
+        UNION ALL
+        SELECT source_id, kind, type, ref_id FROM pending_hidden
+    `).all();
+
+    return archive;
+}
+
+/**
+ * Check a passphrase for encrypting an archive
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    return null;
+}
+
+function getPassphraseKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypt an archive with a passphrase. app, format and createdAt stay readable,
+ * so the file can be recognized before it is decrypted.
+ */
+function encryptBackup(archive, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getPassphraseKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(archive), 'utf8'), cipher.final()]);
+
+    return {
+        app: archive.app,
+        format: archive.format,
+        createdAt: archive.createdAt,
+        encrypted: {
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        }
+    };
+}
+
+function isEncryptedBackup(archive) {
+    return Boolean(archive && typeof archive.encrypted === 'object' && archive.encrypted !== null);
+}
+
+/**
+ * Decrypt an archive encrypted with encryptBackup()
+ * @returns {Object|null} The archive, or null if the passphrase is wrong or the file damaged
+ */
+function decryptBackup(envelope, passphrase) {
+    try {
+        const { salt, iv, tag, data } = envelope.encrypted;
+        const decipher = crypto.createDecipheriv('aes-256-gcm',
+            getPassphraseKey(String(passphrase), Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const json = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(json);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Check that an uploaded archive can be restored
+ * @returns {string|null} Error message, or null if the archive is valid
+ */
+function validateBackup(archive) {
+    if (!archive || typeof archive !== 'object' || archive.app !== BACKUP_APP) {
+        return 'Not a NodeCast TV backup';
+    }
+    if (archive.format !== BACKUP_FORMAT) {
+        return `Unsupported backup format ${archive.format}`;
+    }
+    if (archive.schemaVersion > getSchemaVersion(getDb())) {
+        return 'Backup was created by a newer version of NodeCast TV';
+    }
+    for (const { section } of SECTIONS) {
+        if (archive[section] !== undefined && !Array.isArray(archive[section])) {
+            return `Invalid backup section: ${section}`;
+        }
+    }
+    if (archive.hidden !== undefined && !Array.isArray(archive.hidden)) {
+        return 'Invalid backup section: hidden';
+    }
+    // Restoring without an admin would lock everyone out of the settings
+    if (!(archive.users || []).some(u => u.role === 'admin')) {
+        return 'Backup contains no admin user';
+    }
+    return null;
+}
+
+/**
+ * Insert archived rows, keeping only columns the table has
+ * (archives from older versions may lack columns that have defaults now)
+ */
+function insertRows(db, table, rows) {
+    const columns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    const statements = new Map();
+
+    for (const row of rows) {
+        const keys = Object.keys(row).filter(key => columns.has(key));
+        const signature = keys.join(',');
+        if (!statements.has(signature)) {
+            statements.set(signature, db.prepare(
+                `INSERT OR IGNORE INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`
+            ));
+        }
+        statements.get(signature).run(...keys.map(key => row[key]));
+    }
+}
+
+/**
+ * Insert archived rows, updating the rows that already have their id
+ */
+function upsertRows(db, table, rows) {
+    const columns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    const statements = new Map();
+
+    for (const row of rows) {
+        const keys = Object.keys(row).filter(key => columns.has(key));
+        const signature = keys.join(',');
+        if (!statements.has(signature)) {
+            const updates = keys.filter(key => key !== 'id').map(key => `${key} = excluded.${key}`);
+            statements.set(signature, db.prepare(
+                `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})
+                 ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}`
+            ));
+        }
+        statements.get(signature).run(...keys.map(key => row[key]));
+    }
+}
+
+/**
+ * Replace the installation's configuration with an archive
+ * Sources kept unchanged (same id, type and URL) keep their content, sync history, account
+ * info and download cache; users kept (same id and username) keep their export token. All
+ * other sources and users are replaced, and their content comes back with the next sync.
+ * Every session is revoked.
+ * @returns {{ sources: number, users: number, favorites: number, hidden: number, pendingHidden: number, droppedSources: number[] }}
+ */
+function restoreBackup(archive) {
+    const db = getDb();
+    const section = (name) => archive[name] || [];
+
+    const run = db.transaction(() => {
+        const previous = db.prepare('SELECT id, type, url FROM sources').all();
+        const isKeptSource = (old) => section('sources').some(s => s.id === old.id && s.type === old.type && s.url === old.url);
+
+        for (const { section: name, table } of [...SECTIONS].reverse()) {
+            if (!KEPT_SECTIONS.includes(name)) db.prepare(`DELETE FROM ${table}`).run();
+        }
+        db.prepare('DELETE FROM pending_hidden').run();
+
+        // Deleting cascades to the rows hanging off a source or user; a user id now
+        // belonging to another username is a different user
+        const deleteSource = db.prepare('DELETE FROM sources WHERE id = ?');
+        previous.filter(old => !isKeptSource(old)).forEach(old => deleteSource.run(old.id));
+        const deleteUser = db.prepare('DELETE FROM users WHERE id = ?');
+        db.prepare('SELECT id, username FROM users').all()
+            .filter(old => !section('users').some(u => u.id === old.id && u.username === old.username))
+            .forEach(old => deleteUser.run(old.id));
+
+        const sourceIds = new Set(section('sources').map(s => s.id));
+        const userIds = new Set(section('users').map(u => u.id));
+
+        for (const { section: name, table } of SECTIONS) {
+            let rows = section(name);
+            // Rows pointing at a missing user/source would fail the foreign keys
+            if (name === 'favorites') {
+                rows = rows.filter(f => userIds.has(f.user_id) && sourceIds.has(f.source_id));
+            } else if (name === 'userSettings') {
+                rows = rows.filter(s => userIds.has(s.user_id));
+            } else if (name === 'syncSchedules') {
+                rows = rows.filter(s => sourceIds.has(s.source_id));
+            } else if (name === 'epgMappings') {
+                rows = rows.filter(m => sourceIds.has(m.source_id) && (m.epg_source_id === null || sourceIds.has(m.epg_source_id)));
+            } else if (name === 'sources') {
+                rows = rows.map(s => ({
+                    ...s,
+                    username: credentials.encrypt(s.username),
+                    password: credentials.encrypt(s.password),
+                    http_headers: credentials.encrypt(s.http_headers || null)
+                }));
+            }
+            if (KEPT_SECTIONS.includes(name)) {
+                upsertRows(db, table, rows);
+            } else {
+                insertRows(db, table, rows);
+            }
+        }
+
+        // Drop content that no longer belongs to the same source
+        const droppedSources = [];
+        for (const old of previous) {
+            if (!isKeptSource(old)) {
+                CONTENT_TABLES.forEach(table => db.prepare(`DELETE FROM ${table} WHERE source_id = ?`).run(old.id));
+                searchService.deleteForSource(old.id);
+                droppedSources.push(old.id);
+            }
+        }
+
+        // Default hidden state: apply to synced content, keep the rest for after the next sync
+        db.prepare('UPDATE categories SET is_hidden = 0 WHERE is_hidden = 1').run();
+        db.prepare('UPDATE playlist_items SET is_hidden = 0 WHERE is_hidden = 1').run();
+
+        const hideCategory = db.prepare('UPDATE categories SET is_hidden = 1 WHERE source_id = ? AND type = ? AND category_id = ?');
+        const hideItem = db.prepare('UPDATE playlist_items SET is_hidden = 1 WHERE source_id = ? AND type = ? AND item_id = ?');
+        const addPending = db.prepare('INSERT OR IGNORE INTO pending_hidden (source_id, kind, type, ref_id) VALUES (?, ?, ?, ?)');
+
+        let hidden = 0;
+        let pendingHidden = 0;
+        for (const entry of section('hidden')) {
+            if (!sourceIds.has(entry.source_id)) continue;
+            const stmt = entry.kind === 'category' ? hideCategory : hideItem;
+            if (stmt.run(entry.source_id, entry.type, String(entry.ref_id)).changes > 0) {
+                hidden++;
+            } else {
+                addPending.run(entry.source_id, entry.kind, entry.type, String(entry.ref_id));
+                pendingHidden++;
+            }
+        }
+
+        // Users were replaced (ids may now belong to someone else), so everyone signs in again
+        sessionService.revokeAll();
+
+        return {
+            sources: sourceIds.size,
+            users: userIds.size,
+            favorites: db.prepare('SELECT COUNT(*) AS count FROM favorites').get().count,
+            hidden,
+            pendingHidden,
+            droppedSources
+        };
+    });
+
+    return run();
+}
+
+module.exports = {
+    createBackup,
+    validatePassphrase,
+    encryptBackup,
+    isEncryptedBackup,
+    decryptBackup,
+    validateBackup,
+    restoreBackup
+};
@@ -5,9 +5,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { dataDir } = require('../db/sqlite');
 
 // Cache directory
-const cacheDir = path.join(__dirname, '..', '..', 'data', 'cache');
+const cacheDir = path.join(dataDir, 'cache');
 
 // Ensure cache directories exist
 function ensureCacheDir(type, sourceId) {
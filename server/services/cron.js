@@ -0,0 +1,178 @@
+/**
+ * Cron Expressions
+ * Standard 5-field expressions (minute hour day-of-month month day-of-week) in server local time.
+ * Fields accept *, lists (1,15), ranges (1-5), steps (*\/15, 0-12/3) and month/day names (jan, mon).
+ * Also accepts @hourly, @daily (@midnight), @weekly, @monthly and @yearly (@annually).
+ */
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    // 7 is accepted as Sunday
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+    if (field.names) {
+        const index = field.names.indexOf(text.toLowerCase());
+        if (index !== -1) return index + field.offset;
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid ${field.name} value "${text}"`);
+    }
+    const value = parseInt(text, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} value ${value} (allowed ${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+            throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) throw new Error(`Invalid range "${range}" in ${field.name}`);
+        } else {
+            start = parseValue(range, field);
+            // "5/15" means from 5 to the end in steps of 15
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @throws {Error} with a readable message if the expression is invalid
+ */
+function parse(expression) {
+    const text = String(expression || '').trim();
+    const expanded = MACROS[text.toLowerCase()] || text;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // With both day fields restricted, cron runs when either matches
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * Check an expression without throwing
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(expression) {
+    try {
+        parse(expression);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+function matchesDay(schedule, date) {
+    const dayMatch = schedule.days.has(date.getDate());
+    const weekdayMatch = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay && schedule.anyWeekday) return true;
+    if (schedule.anyDay) return weekdayMatch;
+    if (schedule.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+}
+
+/**
+ * Next time (after `from`) an expression fires
+ * Times skipped when clocks go forward fire right after the change; times repeated when
+ * they go back fire once.
+ * @returns {Date|null} null if it never fires within the next few years
+ */
+function nextRun(expression, from = new Date()) {
+    const schedule = typeof expression === 'string' ? parse(expression) : expression;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Skip whole months/days/hours that cannot match instead of testing every minute
+    while (date < limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(date.getHours())) {
+            const hour = date.getHours();
+            date.setHours(hour + 1, 0, 0, 0);
+            // Clocks going forward skip an hour: what was due in it runs as soon as the clock jumps
+            if (date.getHours() > hour + 1 && schedule.hours.has(hour + 1)) return date;
+            continue;
+        }
+        if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+module.exports = {
+    parse,
+    validate,
+    nextRun
+};
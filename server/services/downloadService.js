@@ -0,0 +1,292 @@
+/**
+ * Download Service
+ * M3U playlists and XMLTV guides are downloaded to data/downloads before they are parsed, so a sync can:
+ *   - send the ETag/Last-Modified of the last import and stop on 304 Not Modified
+ *   - skip the database writes when the file has the same sha256 as the last import
+ *   - resume an interrupted download with a Range request instead of starting over
+ *
+ * Validators and hashes are kept per source and kind ('m3u', 'epg') in download_cache. A new
+ * file only becomes "the last import" once the sync that read it succeeded (see commit).
+ *
+ * Local files (file:// URLs, see localFiles) are copied the same way, decompressed; their size
+ * and modification time take the place of Last-Modified.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getDb, dataDir } = require('../db/sqlite');
+const localFiles = require('./localFiles');
+
+const downloadDir = path.join(dataDir, 'downloads');
+
+function hashUrl(url) {
+    return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+function getFilePath(sourceId, kind) {
+    return path.join(downloadDir, `${sourceId}-${kind}.part`);
+}
+
+function removeFile(filePath) {
+    fs.rmSync(filePath, { force: true });
+}
+
+/**
+ * Cache row of a source's playlist/guide, if it was made for the same URL
+ */
+function getEntry(sourceId, kind, url) {
+    const row = getDb().prepare('SELECT * FROM download_cache WHERE source_id = ? AND kind = ?').get(sourceId, kind);
+    // Validators of another URL (the source was edited) do not apply
+    return row && row.url_hash === hashUrl(url) ? row : null;
+}
+
+function saveEntry(sourceId, kind, url, fields) {
+    const entry = { ...getEntry(sourceId, kind, url), ...fields };
+    getDb().prepare(`
+        INSERT INTO download_cache (source_id, kind, url_hash, etag, last_modified, content_hash, partial_validator, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(source_id, kind) DO UPDATE SET
+            url_hash = excluded.url_hash,
+            etag = excluded.etag,
+            last_modified = excluded.last_modified,
+            content_hash = excluded.content_hash,
+            partial_validator = excluded.partial_validator,
+            updated_at = excluded.updated_at
+    `).run(
+        sourceId,
+        kind,
+        hashUrl(url),
+        entry.etag || null,
+        entry.last_modified || null,
+        entry.content_hash || null,
+        entry.partial_validator || null,
+        Date.now()
+    );
+}
+
+/**
+ * Validator a Range request can resume against (If-Range needs a strong ETag or a date)
+ */
+function getResumeValidator(headers) {
+    const etag = headers.get('etag');
+    if (etag && !etag.startsWith('W/')) return etag;
+    return headers.get('last-modified');
+}
+
+/**
+ * Download a source's playlist or guide unless it is unchanged since the last import
+ * @param {number} sourceId
+ * @param {string} kind - 'm3u' or 'epg'
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the download; the file is kept for resuming when the server allows it
+ * @returns {Promise<Object>} { status: 'not_modified' | 'unchanged' | 'downloaded', resumed, size, path, ... };
+ *   pass 'downloaded' results to commit() once imported, or discard()
+ */
+async function download(sourceId, kind, url, options = {}) {
+    if (localFiles.isLocalUrl(url)) return copyLocal(sourceId, kind, url, options);
+
+    const entry = getEntry(sourceId, kind, url);
+    const filePath = getFilePath(sourceId, kind);
+    fs.mkdirSync(downloadDir, { recursive: true });
+
+    const headers = {};
+    if (entry && entry.content_hash) {
+        if (entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+    }
+
+    let offset = 0;
+    if (entry && entry.partial_validator && fs.existsSync(filePath)) {
+        offset = fs.statSync(filePath).size;
+        headers.Range = `bytes=${offset}-`;
+        headers['If-Range'] = entry.partial_validator;
+        // Byte offsets only line up with the file on disk without a content encoding
+        headers['Accept-Encoding'] = 'identity';
+    }
+
+    const response = await fetch(url, { headers, signal: options.signal });
+
+    if (response.status === 304) {
+        removeFile(filePath);
+        saveEntry(sourceId, kind, url, { partial_validator: null });
+        return { status: 'not_modified' };
+    }
+    if (response.status === 416) {
+        // The partial file does not fit the current version: start over
+        removeFile(filePath);
+        saveEntry(sourceId, kind, url, { partial_validator: null });
+        return download(sourceId, kind, url, options);
+    }
+    if (!response.ok) {
+        throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    }
+
+    const resumed = response.status === 206;
+    if (!resumed) offset = 0;
+
+    const hash = crypto.createHash('sha256');
+    if (resumed) {
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+    }
+
+    const validator = getResumeValidator(response.headers);
+    const resumable = Boolean(validator) && !response.headers.get('content-encoding')
+        && (resumed || response.headers.get('accept-ranges') === 'bytes');
+
+    let body;
+    if (response.body && typeof response.body.pipe === 'function') {
+        body = response.body;
+    } else if (response.body) {
+        body = Readable.fromWeb(response.body);
+    } else {
+        body = Readable.from([]);
+    }
+
+    let received = offset;
+    try {
+        await pipeline(
+            body,
+            async function* (source) {
+                for await (const chunk of source) {
+                    hash.update(chunk);
+                    received += chunk.length;
+                    yield chunk;
+                }
+            },
+            fs.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' })
+        );
+    } catch (err) {
+        // Keep what arrived when the next sync can ask for the rest
+        if (resumable) {
+            saveEntry(sourceId, kind, url, { partial_validator: validator });
+        } else {
+            removeFile(filePath);
+            saveEntry(sourceId, kind, url, { partial_validator: null });
+        }
+        throw err;
+    }
+
+    const result = {
+        sourceId,
+        kind,
+        url,
+        path: filePath,
+        size: received,
+        resumed,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        contentHash: hash.digest('hex')
+    };
+
+    return finish(entry, result);
+}
+
+/**
+ * Status of a complete file: 'unchanged' if it has the hash of the last import
+ */
+function finish(entry, result) {
+    if (entry && entry.content_hash === result.contentHash) {
+        commit(result);
+        return { ...result, status: 'unchanged' };
+    }
+    // Complete: nothing left to resume
+    saveEntry(result.sourceId, result.kind, result.url, { partial_validator: null });
+    return { ...result, status: 'downloaded' };
+}
+
+/**
+ * download() for a file:// URL: copy the file, decompressed, unless it is unchanged
+ */
+async function copyLocal(sourceId, kind, url, options) {
+    const entry = getEntry(sourceId, kind, url);
+    const filePath = getFilePath(sourceId, kind);
+    fs.mkdirSync(downloadDir, { recursive: true });
+
+    const version = await localFiles.getVersion(url);
+    if (entry && entry.content_hash && entry.last_modified === version) {
+        return { status: 'not_modified' };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    try {
+        await pipeline(
+            await localFiles.openStream(url),
+            async function* (source) {
+                for await (const chunk of source) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    yield chunk;
+                }
+            },
+            fs.createWriteStream(filePath),
+            { signal: options.signal }
+        );
+    } catch (err) {
+        removeFile(filePath);
+        throw err;
+    }
+
+    return finish(entry, {
+        sourceId,
+        kind,
+        url,
+        path: filePath,
+        size,
+        resumed: false,
+        etag: null,
+        lastModified: version,
+        contentHash: hash.digest('hex')
+    });
+}
+
+/**
+ * Record an imported download as the last import and delete its file
+ */
+function commit(result) {
+    removeFile(result.path);
+    saveEntry(result.sourceId, result.kind, result.url, {
+        etag: result.etag,
+        last_modified: result.lastModified,
+        content_hash: result.contentHash,
+        partial_validator: null
+    });
+}
+
+/**
+ * Delete the file of a download that was not imported
+ */
+function discard(result) {
+    removeFile(result.path);
+}
+
+/**
+ * Forget the last import of a source's playlist/guide, so the next sync imports it even if unchanged
+ * (e.g. after the source's content rules changed)
+ */
+function invalidate(sourceId, kind) {
+    getDb().prepare('DELETE FROM download_cache WHERE source_id = ? AND kind = ?').run(sourceId, kind);
+}
+
+/**
+ * Delete the downloads of a removed source (its cache rows go with the source)
+ */
+function deleteForSource(sourceId) {
+    for (const kind of ['m3u', 'epg']) {
+        removeFile(getFilePath(sourceId, kind));
+    }
+}
+
+module.exports = {
+    download,
+    commit,
+    discard,
+    invalidate,
+    deleteForSource
+};
@@ -0,0 +1,352 @@
+/**
+ * EPG Mapping Service
+ * Which guide channel each live channel shows, against the guide channels of enabled EPG and
+ * Xtream sources. The sync matches channels automatically (epgMatcher: tvg-id, name, fuzzy name
+ * and logo) and stores the matches with their confidence in epg_matches; channels it has not
+ * matched yet fall back to tvg-id and exact name. Admins can override the match in epg_mappings
+ * with a channel of any guide, or with "no guide".
+ *
+ * The TV guide, the player's now/next, search and the XMLTV export all resolve channels here.
+ */
+
+const { getDb } = require('../db/sqlite');
+const epgMatcher = require('./epgMatcher');
+
+const GUIDE_SOURCE_TYPES = ['epg', 'xtream'];
+const STATUSES = ['all', 'manual', 'auto', 'review', 'unmatched'];
+const MAX_PAGE_SIZE = 500;
+
+// Up to this many channels, their matches are looked up one by one instead of loading all
+const LOOKUP_LIMIT = 1000;
+
+function guideKey(sourceId, channelId) {
+    return `${sourceId}:${channelId}`;
+}
+
+/**
+ * Guide channels of enabled EPG and Xtream sources
+ * @returns {{ channels: Map<string, Object>, byId: Map<string, Object>, byName: Map<string, Object> }}
+ *   channels is keyed by sourceId:channelId; byId and byName hold each id's/name's first channel
+ */
+function getGuideIndex() {
+    const rows = getDb().prepare(`
+        SELECT p.source_id, p.item_id, p.name, p.stream_icon, s.name AS source_name
+        FROM playlist_items p
+        JOIN sources s ON s.id = p.source_id
+        WHERE p.type = 'epg_channel' AND s.enabled = 1 AND s.type IN (${GUIDE_SOURCE_TYPES.map(() => '?').join(', ')})
+        ORDER BY p.source_id, p.rowid
+    `).all(...GUIDE_SOURCE_TYPES);
+
+    const index = { channels: new Map(), byId: new Map(), byName: new Map() };
+    for (const row of rows) {
+        const channel = {
+            sourceId: row.source_id,
+            sourceName: row.source_name,
+            channelId: row.item_id,
+            name: row.name || row.item_id,
+            icon: row.stream_icon || null
+        };
+        index.channels.set(guideKey(row.source_id, row.item_id), channel);
+        if (!index.byId.has(row.item_id)) index.byId.set(row.item_id, channel);
+        const name = (row.name || '').toLowerCase();
+        if (name && !index.byName.has(name)) index.byName.set(name, channel);
+    }
+    return index;
+}
+
+/**
+ * Manual mappings, keyed by sourceId:itemId
+ */
+function getMappings() {
+    const rows = getDb().prepare('SELECT source_id, item_id, epg_source_id, epg_channel_id FROM epg_mappings').all();
+    return new Map(rows.map(row => [guideKey(row.source_id, row.item_id), {
+        epgSourceId: row.epg_source_id,
+        epgChannelId: row.epg_channel_id
+    }]));
+}
+
+/**
+ * Stored automatic matches of channels, keyed by sourceId:itemId
+ */
+function getMatches(channels) {
+    const db = getDb();
+    const toMatch = row => ({
+        epgSourceId: row.epg_source_id,
+        epgChannelId: row.epg_channel_id,
+        method: row.method,
+        confidence: row.confidence
+    });
+
+    const matches = new Map();
+    if (channels.length <= LOOKUP_LIMIT) {
+        const stmt = db.prepare('SELECT * FROM epg_matches WHERE source_id = ? AND item_id = ?');
+        for (const channel of channels) {
+            const row = stmt.get(channel.sourceId, String(channel.itemId));
+            if (row) matches.set(guideKey(row.source_id, row.item_id), toMatch(row));
+        }
+    } else {
+        for (const row of db.prepare('SELECT * FROM epg_matches').all()) {
+            matches.set(guideKey(row.source_id, row.item_id), toMatch(row));
+        }
+    }
+    return matches;
+}
+
+/**
+ * Guide channel of each channel
+ * A mapping or match to a guide channel that is gone (or whose source is disabled) falls back to
+ * tvg-id and exact name, so the channel keeps a guide until the next sync matches it again.
+ * @param {Array<{ sourceId: number, itemId: string, epgId: string, name: string }>} channels
+ * @param {Object} [index] - getGuideIndex() result, when the caller already has it
+ * @returns {Map<string, { guide: Object|null, method: string|null, confidence: number|null, mapping: Object|null }>}
+ *   Keyed by sourceId:itemId. method is 'manual', 'id', 'name', 'fuzzy' or null (no guide);
+ *   confidence is set for automatic matches; mapping is the channel's stored override, if any
+ */
+function resolve(channels, index = getGuideIndex()) {
+    const mappings = getMappings();
+    const matches = getMatches(channels);
+    const result = new Map();
+
+    for (const channel of channels) {
+        const key = guideKey(channel.sourceId, channel.itemId);
+        const mapping = mappings.get(key) || null;
+
+        if (mapping && mapping.epgChannelId === null) {
+            result.set(key, { guide: null, method: 'manual', confidence: null, mapping });
+            continue;
+        }
+        const mapped = mapping && index.channels.get(guideKey(mapping.epgSourceId, mapping.epgChannelId));
+        if (mapped) {
+            result.set(key, { guide: mapped, method: 'manual', confidence: null, mapping });
+            continue;
+        }
+
+        const match = matches.get(key);
+        const matched = match && index.channels.get(guideKey(match.epgSourceId, match.epgChannelId));
+        if (matched) {
+            result.set(key, { guide: matched, method: match.method, confidence: match.confidence, mapping });
+            continue;
+        }
+
+        const byId = channel.epgId ? index.byId.get(String(channel.epgId)) : null;
+        const byName = byId ? null : index.byName.get((channel.name || '').toLowerCase());
+        result.set(key, {
+            guide: byId || byName || null,
+            method: byId ? 'id' : byName ? 'name' : null,
+            confidence: byId ? 1 : byName ? 0.95 : null,
+            mapping
+        });
+    }
+    return result;
+}
+
+/**
+ * Match the live channels of enabled sources to guide channels and store the matches
+ * Run by the sync: for a playlist, its own channels; for a guide, all channels.
+ * @param {Object} [options]
+ * @param {number} [options.sourceId] - Only the channels of this source
+ * @returns {{ channels: number, matched: number, review: number }}
+ */
+function matchChannels({ sourceId = null } = {}) {
+    const db = getDb();
+    const match = epgMatcher.createMatcher([...getGuideIndex().channels.values()]);
+    const channels = getLiveChannels({ sourceId });
+    const now = Date.now();
+    const result = { channels: channels.length, matched: 0, review: 0 };
+
+    const insert = db.prepare(`
+        INSERT INTO epg_matches (source_id, item_id, epg_source_id, epg_channel_id, method, confidence, matched_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+        if (sourceId) {
+            db.prepare('DELETE FROM epg_matches WHERE source_id = ?').run(sourceId);
+        } else {
+            db.prepare('DELETE FROM epg_matches').run();
+        }
+        for (const channel of channels) {
+            const found = match(channel);
+            if (!found) continue;
+            insert.run(channel.sourceId, channel.itemId, found.guide.sourceId, found.guide.channelId, found.method, found.confidence, now);
+            result.matched++;
+            if (found.confidence < epgMatcher.REVIEW_BELOW) result.review++;
+        }
+    })();
+    return result;
+}
+
+/**
+ * Live channels of enabled sources
+ * @param {Object} [filter]
+ * @param {number} [filter.sourceId] - Only this source
+ * @param {string} [filter.query] - Name or tvg-id contains this (case-insensitive)
+ */
+function getLiveChannels({ sourceId = null, query = '' } = {}) {
+    let sql = `
+        SELECT p.source_id, p.item_id, p.name, p.stream_icon, json_extract(p.data, '$.tvg_name') AS tvg_name,
+            COALESCE(json_extract(p.data, '$.epg_channel_id'), p.item_id) AS epg_id,
+            COALESCE(c.name, p.category_id) AS group_title, s.name AS source_name
+        FROM playlist_items p
+        JOIN sources s ON s.id = p.source_id AND s.enabled = 1
+        LEFT JOIN categories c ON c.source_id = p.source_id AND c.type = p.type AND c.category_id = p.category_id
+        WHERE p.type = 'live'
+    `;
+    const params = {};
+    if (sourceId) {
+        sql += ' AND p.source_id = @sourceId';
+        params.sourceId = sourceId;
+    }
+    if (query) {
+        sql += ` AND (p.name LIKE @query ESCAPE '\\' OR epg_id LIKE @query ESCAPE '\\')`;
+        params.query = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    sql += ' ORDER BY p.source_id, group_title, p.name';
+
+    return getDb().prepare(sql).all(params).map(row => ({
+        sourceId: row.source_id,
+        sourceName: row.source_name,
+        itemId: row.item_id,
+        name: row.name,
+        tvgName: row.tvg_name || null,
+        logo: row.stream_icon || null,
+        group: row.group_title || 'Uncategorized',
+        epgId: row.epg_id
+    }));
+}
+
+/**
+ * Guide channel of every live channel that has one, for the client
+ * @returns {Object<string, { sourceId: number, channelId: string }|null>} sourceId:itemId -> guide
+ *   channel; null for channels mapped to "no guide". Unmatched channels are left out.
+ */
+function getResolved() {
+    const resolved = {};
+    for (const [key, { guide, method }] of resolve(getLiveChannels())) {
+        if (guide) {
+            resolved[key] = { sourceId: guide.sourceId, channelId: guide.channelId };
+        } else if (method === 'manual') {
+            resolved[key] = null;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Channels with their guide channels, for the mapping editor
+ * @param {Object} [options]
+ * @param {number} [options.sourceId] - Only this source
+ * @param {string} [options.query] - Name or tvg-id contains this
+ * @param {string} [options.status] - all, manual (overridden), auto (matched), review (matched with
+ *   low confidence) or unmatched
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @returns {{ total: number, channels: Array<Object> }}
+ */
+function list({ sourceId = null, query = '', status = 'all', limit = 100, offset = 0 } = {}) {
+    limit = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_PAGE_SIZE);
+    offset = Math.max(parseInt(offset) || 0, 0);
+
+    const channels = getLiveChannels({ sourceId, query });
+    const resolved = resolve(channels);
+
+    const matches = channels
+        .map(channel => {
+            const resolution = resolved.get(guideKey(channel.sourceId, channel.itemId));
+            const review = resolution.mapping === null && resolution.confidence !== null &&
+                resolution.confidence < epgMatcher.REVIEW_BELOW;
+            return { ...channel, ...resolution, review };
+        })
+        .filter(channel => {
+            if (status === 'manual') return channel.mapping !== null;
+            if (status === 'auto') return channel.mapping === null && channel.guide !== null;
+            if (status === 'review') return channel.review;
+            if (status === 'unmatched') return channel.guide === null;
+            return true;
+        });
+    if (status === 'review') {
+        // Least likely matches first
+        matches.sort((a, b) => a.confidence - b.confidence);
+    }
+
+    return {
+        total: matches.length,
+        channels: matches.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Guide channels whose name or id contains a query, for assigning a mapping
+ */
+function searchGuideChannels(query, limit = 50) {
+    const needle = (query || '').toLowerCase();
+    const results = [];
+    for (const channel of getGuideIndex().channels.values()) {
+        if (needle && !channel.name.toLowerCase().includes(needle) && !channel.channelId.toLowerCase().includes(needle)) continue;
+        results.push(channel);
+        if (results.length >= limit) break;
+    }
+    return results;
+}
+
+/**
+ * Whether a live channel exists
+ */
+function hasChannel(sourceId, itemId) {
+    return !!getDb().prepare(`SELECT 1 FROM playlist_items WHERE source_id = ? AND item_id = ? AND type = 'live'`).get(sourceId, itemId);
+}
+
+/**
+ * Check a mapping target from the API
+ * @param {number|null} epgSourceId - null with epgChannelId null for "no guide"
+ * @param {string|null} epgChannelId
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMapping(epgSourceId, epgChannelId) {
+    if (epgSourceId === null && epgChannelId === null) return null;
+    if (!Number.isInteger(epgSourceId) || typeof epgChannelId !== 'string' || !epgChannelId) {
+        return 'epgSourceId and epgChannelId are required (both null for no guide)';
+    }
+    const guideChannel = getDb().prepare(`
+        SELECT 1 FROM playlist_items p
+        JOIN sources s ON s.id = p.source_id
+        WHERE p.source_id = ? AND p.item_id = ? AND p.type = 'epg_channel'
+            AND s.type IN (${GUIDE_SOURCE_TYPES.map(() => '?').join(', ')})
+    `).get(epgSourceId, epgChannelId, ...GUIDE_SOURCE_TYPES);
+    return guideChannel ? null : 'EPG channel not found';
+}
+
+/**
+ * Map a channel to a guide channel, or to no guide (both null)
+ */
+function setMapping(sourceId, itemId, epgSourceId, epgChannelId) {
+    getDb().prepare(`
+        INSERT INTO epg_mappings (source_id, item_id, epg_source_id, epg_channel_id, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(source_id, item_id) DO UPDATE SET
+            epg_source_id = excluded.epg_source_id,
+            epg_channel_id = excluded.epg_channel_id,
+            updated_at = excluded.updated_at
+    `).run(sourceId, itemId, epgSourceId, epgChannelId, Date.now());
+}
+
+/**
+ * Remove a channel's mapping, back to the automatic match
+ * @returns {boolean} Whether the channel had a mapping
+ */
+function removeMapping(sourceId, itemId) {
+    return getDb().prepare('DELETE FROM epg_mappings WHERE source_id = ? AND item_id = ?').run(sourceId, itemId).changes > 0;
+}
+
+module.exports = {
+    STATUSES,
+    getGuideIndex,
+    resolve,
+    matchChannels,
+    getResolved,
+    list,
+    searchGuideChannels,
+    hasChannel,
+    validateMapping,
+    setMapping,
+    removeMapping
+};
@@ -0,0 +1,196 @@
+/**
+ * EPG Matcher
+ * Matches live channels to guide channels, with a confidence score:
+ *   id     1.0   tvg-id (Xtream epg_channel_id, else the item id) is a guide channel id
+ *   name   0.95  channel name or tvg-name equals a guide channel's name (case-insensitive)
+ *   fuzzy  0.9   names are equal once normalized: country prefixes ("UK:", "[US]"), quality tags
+ *                (HD, FHD, 4K, ...), punctuation and accents removed
+ *   fuzzy  <0.85 similarity of the normalized names (character pairs), weighted with the
+ *                similarity of the logo file names when both have a logo
+ * A name with all words of the other ("CNN" / "CNN International") scores at least 0.7 before
+ * weighting. Channel numbers ("Sky Sports 1" / "2") and time shifts ("+1") that differ lower the score.
+ */
+
+// Fuzzy matches below this are not used
+const MIN_CONFIDENCE = 0.5;
+// Matches below this are listed for review
+const REVIEW_BELOW = 0.8;
+
+// Score of names where one has all words of the other
+const CONTAINED_SCORE = 0.7;
+
+// Guide channels sharing a token with more channels than this are not compared through that token
+const MAX_POSTINGS = 1000;
+
+const QUALITY = /\b(?:u?hd|fhd|sd|hq|lq|4k|8k|hevc|h\.?26[45]|2160p|1080[pi]|720p|\d{2}fps)\b/gi;
+// "UK: ", "UK | ", "US - ", "[UK] ", "|FR| " before the name; "(UK)" anywhere
+const COUNTRY_PREFIX = /^\s*(?:[a-z]{2,3}\s*[:|]|[a-z]{2,3}\s+-\s+|[[(|]\s*[a-z]{2,3}\s*[\])|])\s*/i;
+const COUNTRY_TAG = /[[(]\s*[a-z]{2,3}\s*[\])]/gi;
+// "+1", "+2h", "(+1)"
+const TIME_SHIFT = /\+\s*(\d{1,2})\s*h?\b/i;
+
+/**
+ * Comparable form of a channel name
+ * @returns {{ key: string, tokens: string[], numbers: string, shift: number }} key is the name without
+ *   spaces; numbers are the channel numbers in it; shift is its "+N" time shift in hours
+ */
+function normalizeName(name) {
+    let text = (name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+    let shift = 0;
+    text = text.replace(TIME_SHIFT, (match, hours) => {
+        shift = parseInt(hours, 10);
+        return ' ';
+    });
+    text = text.replace(COUNTRY_PREFIX, ' ').replace(COUNTRY_TAG, ' ').replace(QUALITY, ' ');
+    text = text.toLowerCase().replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+    const tokens = text ? text.split(' ') : [];
+    return {
+        key: tokens.join(''),
+        tokens,
+        numbers: tokens.filter(token => /^\d+$/.test(token)).join(' '),
+        shift
+    };
+}
+
+function bigrams(text) {
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.substring(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+}
+
+/**
+ * Dice coefficient of the character pairs of two strings (0-1)
+ */
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const pairsA = bigrams(a);
+    const pairsB = bigrams(b);
+    let shared = 0;
+    for (const [pair, count] of pairsA) {
+        shared += Math.min(count, pairsB.get(pair) || 0);
+    }
+    return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Whether all words of the shorter name are words of the longer one
+ */
+function containsTokens(a, b) {
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const words = new Set(longer);
+    return shorter.length > 0 && shorter.every(token => words.has(token));
+}
+
+/**
+ * Comparable form of a logo URL: its file name without extension
+ */
+function logoKey(url) {
+    if (!url) return null;
+    try {
+        const file = new URL(url).pathname.split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+        return decodeURIComponent(file).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '') || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function logoSimilarity(a, b) {
+    if (!a || !b) return null;
+    if (a === b) return 1;
+    return similarity(logoKey(a), logoKey(b));
+}
+
+/**
+ * Matcher for the guide channels of all guides
+ * @param {Array<{ sourceId: number, channelId: string, name: string, icon: string|null }>} guideChannels -
+ *   In source order: on equal scores the first wins
+ * @returns {function(Object): ({ guide: Object, method: string, confidence: number }|null)}
+ *   channel ({ epgId, name, tvgName, logo }) -> best match
+ */
+function createMatcher(guideChannels) {
+    const byId = new Map();
+    const byName = new Map();
+    const byKey = new Map();
+    const postings = new Map();
+    const entries = guideChannels.map((guide, order) => ({ guide, order, normalized: normalizeName(guide.name) }));
+
+    const post = (term, entry) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(entry);
+    };
+
+    for (const entry of entries) {
+        const { guide, normalized } = entry;
+        if (!byId.has(guide.channelId)) byId.set(guide.channelId, guide);
+        const name = (guide.name || '').toLowerCase();
+        if (name && !byName.has(name)) byName.set(name, guide);
+        if (!normalized.key) continue;
+
+        const keyEntries = byKey.get(normalized.key) || [];
+        keyEntries.push(entry);
+        byKey.set(normalized.key, keyEntries);
+        // Tokens find names with the words in another order; the key's start finds "BBC1" for "BBC One"
+        new Set(normalized.tokens).forEach(token => post(token, entry));
+        post(`^${normalized.key.substring(0, 3)}`, entry);
+    }
+
+    const candidatesOf = (normalized) => {
+        const terms = [...new Set(normalized.tokens), `^${normalized.key.substring(0, 3)}`]
+            .map(term => postings.get(term) || [])
+            .filter(list => list.length > 0);
+        const usable = terms.filter(list => list.length <= MAX_POSTINGS);
+        return new Set((usable.length > 0 ? usable : terms).flat());
+    };
+
+    return (channel) => {
+        if (channel.epgId && byId.has(String(channel.epgId))) {
+            return { guide: byId.get(String(channel.epgId)), method: 'id', confidence: 1 };
+        }
+
+        const names = [...new Set([channel.name, channel.tvgName].filter(Boolean))];
+        for (const name of names) {
+            const guide = byName.get(name.toLowerCase());
+            if (guide) return { guide, method: 'name', confidence: 0.95 };
+        }
+
+        let best = null;
+        for (const name of names) {
+            const normalized = normalizeName(name);
+            if (!normalized.key) continue;
+
+            const exact = (byKey.get(normalized.key) || []).find(entry => entry.normalized.shift === normalized.shift);
+            if (exact) return { guide: exact.guide, method: 'fuzzy', confidence: 0.9 };
+
+            for (const entry of candidatesOf(normalized)) {
+                let score = similarity(normalized.key, entry.normalized.key);
+                // "CNN" and "CNN International": likely the same channel, but worth a look
+                if (containsTokens(normalized.tokens, entry.normalized.tokens)) score = Math.max(score, CONTAINED_SCORE);
+                if (normalized.numbers !== entry.normalized.numbers) score *= 0.5;
+                if (normalized.shift !== entry.normalized.shift) score *= 0.8;
+                const logo = logoSimilarity(channel.logo, entry.guide.icon);
+                if (logo !== null) score = 0.75 * score + 0.25 * logo;
+
+                const confidence = Math.round(0.85 * score * 100) / 100;
+                if (confidence < MIN_CONFIDENCE || (best && (confidence < best.confidence ||
+                    (confidence === best.confidence && entry.order > best.order)))) continue;
+                best = { guide: entry.guide, method: 'fuzzy', confidence, order: entry.order };
+            }
+        }
+        return best && { guide: best.guide, method: best.method, confidence: best.confidence };
+    };
+}
+
+module.exports = {
+    REVIEW_BELOW,
+    normalizeName,
+    similarity,
+    createMatcher
+};
@@ -3,9 +3,11 @@
  * Parses XMLTV format EPG data and extracts channel/programme information using streaming XML parser
  */
 
+const fs = require('fs');
 const sax = require('sax');
 const zlib = require('zlib');
 const { Readable } = require('stream');
+const localFiles = require('./localFiles');
 
 /**
  * Parse XMLTV date format (YYYYMMDDHHmmss +ZZZZ)
@@ -180,9 +182,11 @@ function getCurrentAndUpcoming(programmes, channelId, count = 5) {
 }
 
 /**
- * Fetch and parse XMLTV from URL
+ * Fetch and parse XMLTV from URL (or a file:// URL of a file on the server)
  */
 async function fetchAndParse(url) {
+    if (localFiles.isLocalUrl(url)) return parse(await localFiles.openStream(url));
+
     const response = await fetch(url);
     if (!response.ok) {
         throw new Error(`Failed to fetch EPG: ${response.status} ${response.statusText}`);
@@ -225,37 +229,35 @@ async function fetchAndParse(url) {
 }
 
 /**
- * Streaming EPG parser that yields batches of programmes (memory-efficient)
- * Channels are collected and returned with the first batch, then programmes are yielded in batches.
- * 
- * @param {string} url - XMLTV URL
- * @param {number} batchSize - Number of programmes per batch (default: 1000)
- * @yields {{ channels: Array|null, programmes: Array, isLast: boolean }}
+ * Whether a file starts with the gzip magic bytes
  */
-async function* fetchAndParseStreaming(url, batchSize = 1000) {
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch EPG: ${response.status} ${response.statusText}`);
-    }
-
-    let stream;
-    if (response.body && typeof response.body.pipe === 'function') {
-        stream = response.body;
-    } else if (response.body) {
-        stream = Readable.fromWeb(response.body);
-    } else {
-        stream = Readable.from([]);
+function isGzipFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const header = Buffer.alloc(2);
+        const read = fs.readSync(fd, header, 0, 2, 0);
+        return read === 2 && header[0] === 0x1f && header[1] === 0x8b;
+    } finally {
+        fs.closeSync(fd);
     }
+}
 
-    const isGzipped = url.endsWith('.gz') || (response.headers.get('content-type') || '').includes('gzip');
+/**
+ * Streaming parser for a downloaded XMLTV file, plain or gzipped (see downloadService)
+ * @param {string} filePath - Path of the guide file
+ * @param {number} batchSize - Number of programmes per batch (default: 1000)
+ * @yields {{ channels: Array|null, programmes: Array, isLast: boolean }}
+ */
+async function* parseFileStreaming(filePath, batchSize = 1000) {
+    let stream = fs.createReadStream(filePath);
 
-    if (isGzipped) {
+    if (isGzipFile(filePath)) {
         const gunzip = zlib.createGunzip();
+        stream.on('error', err => gunzip.destroy(err));
         stream.pipe(gunzip);
         stream = gunzip;
     }
 
-    // Use async iterator pattern with SAX
     yield* parseStreaming(stream, batchSize);
 }
 
@@ -409,6 +411,15 @@ async function* parseStreaming(input, batchSize = 1000) {
         }
     });
 
+    // A failing input (network error, aborted download) ends the parse with its error
+    input.on('error', function (e) {
+        error = e;
+        ended = true;
+        if (resolveNext) {
+            resolveNext(null);
+        }
+    });
+
     // Start piping
     input.pipe(saxStream);
 
@@ -440,7 +451,8 @@ module.exports = {
     parse,
     parseXmltvDate,
     fetchAndParse,
-    fetchAndParseStreaming,
+   
+    parseFileStreaming,
     parseStreaming,
     getProgrammesForChannel,
     getCurrentAndUpcoming
@@ -0,0 +1,360 @@
+/**
+ * Export Service
+ * The curated channel lineup as an M3U playlist and an XMLTV guide for external players
+ * (VLC, Kodi, TiviMate) and media servers.
+ *
+ * External players cannot log in, so each user can create one export token. It is sent as
+ * ?token= on the playlist URL and on the stream URLs in the playlist, and acts as that user
+ * without a session: parental locks always apply to it.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../db/sqlite');
+const visibilityService = require('./visibilityService');
+const parentalService = require('./parentalService');
+const playbackUrls = require('./playbackUrls');
+const epgMappingService = require('./epgMappingService');
+
+// Tells export tokens apart from JWTs in ?token=
+const TOKEN_PREFIX = 'nce_';
+
+// last_used_at is written at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const STREAM_MODES = ['direct', 'proxy', 'remux'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Guide programmes that ended less than this long ago are kept, for catch-up
+const GUIDE_PAST_MS = 24 * HOUR_MS;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isExportToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Create a user's export token, replacing the previous one
+ * @returns {{ token: string, createdAt: number }} The token is only available here
+ */
+function createToken(userId) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const createdAt = Date.now();
+
+    getDb().prepare(`
+        INSERT INTO export_tokens (user_id, token_hash, created_at, last_used_at)
+        VALUES (?, ?, ?, NULL)
+        ON CONFLICT(user_id) DO UPDATE SET
+            token_hash = excluded.token_hash,
+            created_at = excluded.created_at,
+            last_used_at = NULL
+    `).run(userId, hashToken(token), createdAt);
+
+    return { token, createdAt };
+}
+
+function revokeToken(userId) {
+    getDb().prepare('DELETE FROM export_tokens WHERE user_id = ?').run(userId);
+}
+
+/**
+ * Whether a user has an export token, and when it was last used
+ * @returns {{ createdAt: number, lastUsedAt: number|null }|null}
+ */
+function getTokenInfo(userId) {
+    const row = getDb().prepare('SELECT created_at, last_used_at FROM export_tokens WHERE user_id = ?').get(userId);
+    return row ? { createdAt: row.created_at, lastUsedAt: row.last_used_at } : null;
+}
+
+/**
+ * User an export token belongs to
+ * @returns {number|null} User id, or null if the token is unknown
+ */
+function getUserId(token) {
+    if (!isExportToken(token)) return null;
+
+    const db = getDb();
+    const row = db.prepare('SELECT user_id, last_used_at FROM export_tokens WHERE token_hash = ?').get(hashToken(token));
+    if (!row) return null;
+
+    const now = Date.now();
+    if (!row.last_used_at || now - row.last_used_at > TOUCH_INTERVAL_MS) {
+        db.prepare('UPDATE export_tokens SET last_used_at = ? WHERE user_id = ?').run(now, row.user_id);
+    }
+    return row.user_id;
+}
+
+/**
+ * Live channels of enabled sources the user sees, in channel list order (groups A-Z)
+ * Channel numbers are the provider's (tvg-chno) where it has one; the other channels are numbered
+ * after the highest of those, over the whole lineup so that filtering does not change them.
+ * @param {Object} reqUser - req.user
+ * @param {Object} [options]
+ * @param {boolean} [options.favorites] - Only the user's favorite channels
+ * @param {Array<string>} [options.groups] - Only these groups
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLineup(reqUser, options = {}) {
+    const access = await parentalService.getAccess(reqUser);
+    const visibility = visibilityService.itemVisibility('p');
+
+    // uvc is the user's override of the item's category (joined by itemVisibility)
+    let query = `
+        SELECT p.source_id, p.item_id, p.name, p.stream_icon, p.category_id, p.data,
+            s.type AS source_type, s.http_headers IS NOT NULL AS has_source_headers,
+            COALESCE(c.name, p.category_id) AS group_title
+        FROM playlist_items p
+        JOIN sources s ON s.id = p.source_id
+        LEFT JOIN categories c ON c.source_id = p.source_id AND c.type = p.type AND c.category_id = p.category_id
+        ${visibility.join}
+        WHERE p.type = 'live' AND s.enabled = 1
+            AND ${visibility.hidden} = 0
+            AND COALESCE(uvc.is_hidden, c.is_hidden, 0) = 0
+    `;
+    if (access.locked) {
+        query += ` AND ${parentalService.itemFilterSql('p')}`;
+    }
+    query += ' ORDER BY p.source_id, p.rowid';
+
+    const rows = getDb().prepare(query).all({ userId: reqUser.id });
+
+    const channels = [];
+    for (const row of rows) {
+        const data = JSON.parse(row.data || '{}');
+        if (access.locked && access.maxAge !== null) {
+            const age = parentalService.getContentAge(data);
+            if (age !== null && age > access.maxAge) continue;
+        }
+
+        channels.push({
+            sourceId: row.source_id,
+            sourceType: row.source_type,
+            itemId: row.item_id,
+            tvgId: `${row.source_id}.${row.item_id}`,
+            name: row.name,
+            logo: row.stream_icon || null,
+            group: row.group_title || 'Uncategorized',
+            url: data.stream_url || null,
+            // Guide channel id for the automatic match
+            epgId: data.epg_channel_id || row.item_id,
+            number: /^\d+(\.\d+)?$/.test(String(data.tvg_chno ?? '').trim()) ? String(data.tvg_chno).trim() : null,
+            shiftHours: data.tvg_shift || 0,
+            httpHeaders: data.http_headers || null,
+            hasSourceHeaders: row.has_source_headers === 1
+        });
+    }
+
+    channels.sort((a, b) => a.group.localeCompare(b.group));
+    // A number two channels claim stays with the first
+    const used = new Set();
+    for (const channel of channels) {
+        if (channel.number === null) continue;
+        if (used.has(channel.number)) {
+            channel.number = null;
+        } else {
+            used.add(channel.number);
+        }
+    }
+    let next = Math.floor([...used].reduce((max, number) => Math.max(max, Number(number)), 0)) + 1;
+    for (const channel of channels) {
+        if (channel.number === null) channel.number = String(next++);
+    }
+
+    let result = channels;
+    if (options.favorites) {
+        // ChannelList stores channel favorites as xtream_<sourceId>_<id> / m3u_<sourceId>_<id>
+        const favorites = new Set(getDb().prepare(`
+            SELECT source_id, item_id FROM favorites WHERE user_id = ? AND item_type = 'channel'
+        `).all(reqUser.id).map(f => `${f.source_id}:${f.item_id}`));
+        result = result.filter(ch => favorites.has(`${ch.sourceId}:${ch.sourceType}_${ch.sourceId}_${ch.itemId}`) ||
+            favorites.has(`${ch.sourceId}:${ch.itemId}`));
+    }
+    if (options.groups && options.groups.length > 0) {
+        const groups = new Set(options.groups.map(group => group.toLowerCase()));
+        result = result.filter(ch => groups.has(ch.group.toLowerCase()));
+    }
+    return result;
+}
+
+// Attribute values cannot contain quotes; the title ends the line
+function escapeAttribute(value) {
+    return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Stream URL of a channel in the playlist
+ * @param {string} mode - 'direct', 'proxy' or 'remux'
+ * @param {string} baseUrl - scheme://host of this server
+ * @param {string} token - Export token
+ * @returns {string|null}
+ */
+function getStreamUrl(channel, mode, baseUrl, token) {
+    const tokenParam = `token=${encodeURIComponent(token)}`;
+
+    // Xtream URLs carry the account credentials, so players get the playback path, which this
+    // server streams from the provider in direct and proxy mode alike
+    const url = channel.sourceType === 'xtream'
+        ? baseUrl + playbackUrls.buildPlayPath(channel.sourceId, 'live', channel.itemId, 'ts')
+        : channel.url;
+    if (!url) return null;
+    if (channel.sourceType === 'xtream' && mode !== 'remux') return `${url}?${tokenParam}`;
+
+    // Source headers stay on the server, so those streams always go through the proxy
+    if (mode === 'direct' && channel.hasSourceHeaders) mode = 'proxy';
+    if (mode === 'direct') return url;
+
+    const route = mode === 'remux' ? '/api/remux' : '/api/proxy/stream';
+    const params = `sourceId=${channel.sourceId}&itemId=${encodeURIComponent(channel.itemId)}`;
+    return `${baseUrl}${route}?url=${encodeURIComponent(url)}&${params}&${tokenParam}`;
+}
+
+/**
+ * Build the M3U playlist
+ * @param {Array<Object>} channels - From getLineup()
+ * @param {Object} options
+ * @param {string} options.mode - 'direct', 'proxy' or 'remux'
+ * @param {string} options.baseUrl - scheme://host of this server
+ * @param {string} options.token - Export token, added to stream URLs on this server
+ * @param {string} [options.guideUrl] - XMLTV guide for the playlist (url-tvg)
+ * @returns {string}
+ */
+function buildPlaylist(channels, { mode, baseUrl, token, guideUrl }) {
+    const lines = [guideUrl ? `#EXTM3U url-tvg="${escapeAttribute(guideUrl)}"` : '#EXTM3U'];
+
+    for (const channel of channels) {
+        const url = getStreamUrl(channel, mode, baseUrl, token);
+        if (!url) continue;
+
+        const attributes = [
+            `tvg-id="${escapeAttribute(channel.tvgId)}"`,
+            `tvg-chno="${channel.number}"`,
+            `tvg-name="${escapeAttribute(channel.name)}"`,
+            channel.logo ? `tvg-logo="${escapeAttribute(channel.logo)}"` : null,
+            `group-title="${escapeAttribute(channel.group)}"`
+        ].filter(Boolean);
+        lines.push(`#EXTINF:-1 ${attributes.join(' ')},${escapeAttribute(channel.name)}`);
+
+        // Players send the entry's own headers when they play it directly
+        if (url === channel.url && channel.httpHeaders) {
+            if (channel.httpHeaders['User-Agent']) lines.push(`#EXTVLCOPT:http-user-agent=${channel.httpHeaders['User-Agent']}`);
+            if (channel.httpHeaders['Referer']) lines.push(`#EXTVLCOPT:http-referrer=${channel.httpHeaders['Referer']}`);
+        }
+        lines.push(url);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Guide channel of each lineup channel, as the TV guide shows it (see epgMappingService)
+ * @returns {Map<string, { sourceId: number, channelId: string }>} Lineup tvg-id -> guide channel
+ */
+function matchGuideChannels(channels) {
+    const resolved = epgMappingService.resolve(channels);
+    const matches = new Map();
+    for (const channel of channels) {
+        const { guide } = resolved.get(`${channel.sourceId}:${channel.itemId}`);
+        if (guide) matches.set(channel.tvgId, guide);
+    }
+    return matches;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// XMLTV time: YYYYMMDDhhmmss +0000
+function formatXmltvTime(ms) {
+    return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+function buildProgramme(row, tvgId, shiftMs) {
+    const data = JSON.parse(row.data || '{}');
+    const lines = [`  <programme start="${formatXmltvTime(row.start_time + shiftMs)}" stop="${formatXmltvTime(row.end_time + shiftMs)}" channel="${escapeXml(tvgId)}">`];
+
+    lines.push(`    <title>${escapeXml(row.title || '')}</title>`);
+    if (data.subtitle) lines.push(`    <sub-title>${escapeXml(data.subtitle)}</sub-title>`);
+    if (row.description) lines.push(`    <desc>${escapeXml(row.description)}</desc>`);
+    for (const category of data.category || []) {
+        lines.push(`    <category>${escapeXml(category)}</category>`);
+    }
+    if (data.icon) lines.push(`    <icon src="${escapeXml(data.icon)}" />`);
+    if (data.episodeNum) {
+        // The parser keeps the text only; xmltv_ns numbers look like "1.4.0/1"
+        const system = /^\d*\s*\.\s*\d*/.test(data.episodeNum) ? 'xmltv_ns' : 'onscreen';
+        lines.push(`    <episode-num system="${system}">${escapeXml(data.episodeNum)}</episode-num>`);
+    }
+    lines.push('  </programme>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the XMLTV guide of a lineup, with channels under their lineup tvg-ids
+ * Programme times include each channel's tvg-shift, since the exported playlist has none.
+ * @param {Array<Object>} channels - From getLineup()
+ * @param {Writable} out - Response or gzip stream; waited on when its buffer is full
+ */
+async function writeGuide(channels, out) {
+    const write = async (chunk) => {
+        if (out.destroyed) throw new Error('Guide export cancelled: client disconnected');
+        if (out.write(chunk)) return;
+        await new Promise(resolve => {
+            const done = () => {
+                out.off('drain', done);
+                out.off('close', done);
+                resolve();
+            };
+            out.on('drain', done);
+            out.on('close', done);
+        });
+    };
+    const matches = matchGuideChannels(channels);
+
+    await write('<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE tv SYSTEM "xmltv.dtd">\n<tv generator-info-name="nodecast-tv">\n');
+
+    for (const channel of channels) {
+        let xml = `  <channel id="${escapeXml(channel.tvgId)}">\n    <display-name>${escapeXml(channel.name)}</display-name>\n`;
+        if (channel.logo) xml += `    <icon src="${escapeXml(channel.logo)}" />\n`;
+        await write(xml + '  </channel>\n');
+    }
+
+    const programmes = getDb().prepare(`
+        SELECT start_time, end_time, title, description, data FROM epg_programs
+        WHERE source_id = ? AND channel_id = ? AND end_time > ?
+        ORDER BY start_time
+    `);
+    const since = Date.now() - GUIDE_PAST_MS;
+
+    for (const channel of channels) {
+        const match = matches.get(channel.tvgId);
+        if (!match) continue;
+
+        const shiftMs = channel.shiftHours * HOUR_MS;
+        const rows = programmes.all(match.sourceId, match.channelId, since - shiftMs);
+        let xml = '';
+        for (const row of rows) {
+            xml += buildProgramme(row, channel.tvgId, shiftMs);
+        }
+        if (xml) await write(xml);
+    }
+
+    await write('</tv>\n');
+}
+
+module.exports = {
+    STREAM_MODES,
+    isExportToken,
+    createToken,
+    revokeToken,
+    getTokenInfo,
+    getUserId,
+    getLineup,
+    buildPlaylist,
+    writeGuide
+};
@@ -0,0 +1,74 @@
+/**
+ * File Watcher
+ * Re-syncs enabled M3U and EPG sources that read a file on the server (file:// URLs) when the
+ * file changes. Files are polled rather than watched with fs.watch, which misses files that are
+ * replaced by renaming and does not work on many network mounts.
+ */
+
+const fs = require('fs');
+const { sources } = require('../db');
+const localFiles = require('./localFiles');
+const syncService = require('./syncService');
+
+const POLL_INTERVAL_MS = 5000;
+
+// Writers may still be writing: sync once the file has not changed for this long
+const SETTLE_MS = 10 * 1000;
+
+// sourceId -> { path, listener, timer }
+const watched = new Map();
+
+function onChange(sourceId, current, previous) {
+    const watch = watched.get(sourceId);
+    if (!watch) return;
+    // Removed (or not there yet): the next sync would only fail
+    if (current.mtimeMs === 0) return;
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(async () => {
+        watch.timer = null;
+        console.log(`[Watch] ${watch.path} changed, syncing source ${sourceId}`);
+        // A running sync may have read the file before it changed
+        await syncService.waitForIdle(sourceId);
+        syncService.syncSource(sourceId, null, 'file').catch(console.error);
+    }, SETTLE_MS);
+}
+
+function unwatch(sourceId) {
+    const watch = watched.get(sourceId);
+    if (!watch) return;
+    fs.unwatchFile(watch.path, watch.listener);
+    clearTimeout(watch.timer);
+    watched.delete(sourceId);
+}
+
+/**
+ * Watch the files of the current sources: call after sources are added, edited, toggled or removed
+ */
+async function refresh() {
+    const wanted = new Map();
+    for (const source of await sources.getAll()) {
+        if (!source.enabled || !['m3u', 'epg'].includes(source.type) || !localFiles.isLocalUrl(source.url)) continue;
+        try {
+            wanted.set(source.id, localFiles.toPath(source.url));
+        } catch (err) {
+            // Invalid URL: the sync reports it
+        }
+    }
+
+    for (const [sourceId, watch] of watched) {
+        if (wanted.get(sourceId) !== watch.path) unwatch(sourceId);
+    }
+    for (const [sourceId, filePath] of wanted) {
+        if (watched.has(sourceId)) continue;
+        const listener = (current, previous) => onChange(sourceId, current, previous);
+        fs.watchFile(filePath, { interval: POLL_INTERVAL_MS, persistent: false }, listener);
+        watched.set(sourceId, { path: filePath, listener, timer: null });
+        console.log(`[Watch] Watching ${filePath} for source ${sourceId}`);
+    }
+}
+
+module.exports = {
+    refresh
+};
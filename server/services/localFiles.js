@@ -0,0 +1,272 @@
+/**
+ * Local Files
+ * M3U and EPG sources can read a file on the server instead of downloading a URL: their URL is
+ * file:///absolute/path. Files uploaded from SourceManager are stored in data/uploads and used
+ * the same way. Files may be plain, gzip or zip (the first playlist/guide in the archive).
+ *
+ * Only the ZIP features that playlist and guide archives use are read: stored or deflated
+ * entries, no encryption and no ZIP64.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { dataDir } = require('../db/sqlite');
+
+const uploadDir = path.join(dataDir, 'uploads');
+
+// Largest accepted upload
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+// End of central directory record plus the longest archive comment
+const ZIP_END_SEARCH_BYTES = 22 + 0xffff;
+
+// Archive entries preferred over other files
+const PLAYLIST_OR_GUIDE = /\.(m3u8?|xml|xmltv)$/i;
+
+function isLocalUrl(url) {
+    return typeof url === 'string' && url.toLowerCase().startsWith('file://');
+}
+
+/**
+ * Path of a file:// URL
+ * @throws {Error} If the URL is not an absolute local file URL
+ */
+function toPath(url) {
+    try {
+        return fileURLToPath(url);
+    } catch (err) {
+        throw new Error('Invalid file URL, use file:///absolute/path');
+    }
+}
+
+/**
+ * Check a source URL that points at a local file
+ * @returns {string|null} Error message, or null if valid (or not a file:// URL)
+ */
+function validateUrl(type, url) {
+    if (!isLocalUrl(url)) return null;
+    if (!['m3u', 'epg'].includes(type)) return 'Local files can only be used for M3U and EPG sources';
+    try {
+        toPath(url);
+    } catch (err) {
+        return err.message;
+    }
+    return null;
+}
+
+function isUpload(url) {
+    if (!isLocalUrl(url)) return false;
+    try {
+        return path.dirname(toPath(url)) === uploadDir;
+    } catch (err) {
+        return false;
+    }
+}
+
+async function readBytes(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function startsWith(buffer, magic) {
+    return buffer.length >= magic.length && magic.every((byte, i) => buffer[i] === byte);
+}
+
+/**
+ * Find the playlist/guide in a ZIP archive
+ * @returns {Promise<{ name: string, method: number, compressedSize: number, start: number }>}
+ */
+async function findZipEntry(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const tailStart = Math.max(0, size - ZIP_END_SEARCH_BYTES);
+        const tail = await readBytes(handle, tailStart, size - tailStart);
+
+        let end = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === ZIP_END_SIGNATURE) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Invalid ZIP file');
+
+        const count = tail.readUInt16LE(end + 10);
+        const directorySize = tail.readUInt32LE(end + 12);
+        const directoryOffset = tail.readUInt32LE(end + 16);
+        if (count === 0xffff || directoryOffset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+        const directory = await readBytes(handle, directoryOffset, directorySize);
+        const entries = [];
+        for (let offset = 0, i = 0; i < count; i++) {
+            if (directory.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) throw new Error('Invalid ZIP file');
+            const nameLength = directory.readUInt16LE(offset + 28);
+            entries.push({
+                name: directory.toString('utf8', offset + 46, offset + 46 + nameLength),
+                encrypted: (directory.readUInt16LE(offset + 8) & 1) === 1,
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                localOffset: directory.readUInt32LE(offset + 42)
+            });
+            offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+        }
+
+        const files = entries.filter(entry => !entry.name.endsWith('/'));
+        const entry = files.find(file => PLAYLIST_OR_GUIDE.test(file.name)) || files[0];
+        if (!entry) throw new Error('ZIP file is empty');
+        if (entry.encrypted) throw new Error('Encrypted ZIP files are not supported');
+        if (![0, 8].includes(entry.method)) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+
+        const header = await readBytes(handle, entry.localOffset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) throw new Error('Invalid ZIP file');
+        entry.start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        return entry;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Open a file:// URL for reading, decompressed
+ * @returns {Promise<Readable>}
+ * @throws {Error} If the file is missing or an archive cannot be read
+ */
+async function openStream(url) {
+    const filePath = toPath(url);
+
+    let magic;
+    try {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            magic = await readBytes(handle, 0, 4);
+        } finally {
+            await handle.close();
+        }
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new Error(`File not found: ${filePath}`);
+        throw err;
+    }
+
+    let stream;
+    let decompress = null;
+    if (startsWith(magic, GZIP_MAGIC)) {
+        stream = fs.createReadStream(filePath);
+        decompress = zlib.createGunzip();
+    } else if (startsWith(magic, ZIP_MAGIC)) {
+        const entry = await findZipEntry(filePath);
+        stream = entry.compressedSize > 0
+            ? fs.createReadStream(filePath, { start: entry.start, end: entry.start + entry.compressedSize - 1 })
+            : Readable.from([]);
+        if (entry.method === 8) decompress = zlib.createInflateRaw();
+    } else {
+        return fs.createReadStream(filePath);
+    }
+
+    if (!decompress) return stream;
+    // pipe() does not forward read errors
+    stream.on('error', err => decompress.destroy(err));
+    return stream.pipe(decompress);
+}
+
+/**
+ * Beginning of a file's (decompressed) content, to check what it is
+ */
+async function readStart(url, length = 64 * 1024) {
+    const stream = await openStream(url);
+    const chunks = [];
+    let read = 0;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            read += chunk.length;
+            if (read >= length) break;
+        }
+    } finally {
+        stream.destroy();
+    }
+    return Buffer.concat(chunks).subarray(0, length).toString('utf8');
+}
+
+/**
+ * Version of a file (size and modification time), compared to skip unchanged files
+ */
+async function getVersion(url) {
+    const filePath = toPath(url);
+    try {
+        const stat = await fs.promises.stat(filePath);
+        return `${stat.size}-${Math.floor(stat.mtimeMs)}`;
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new Error(`File not found: ${filePath}`);
+        throw err;
+    }
+}
+
+/**
+ * Store an uploaded file in data/uploads
+ * @param {Readable} input - Request body
+ * @param {string} [filename] - Original file name, kept in the stored name
+ * @returns {Promise<{ url: string, size: number }>}
+ * @throws {Error} With status 413 if the upload is larger than MAX_UPLOAD_BYTES
+ */
+async function saveUpload(input, filename) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    const safeName = path.basename(filename || 'upload').replace(/[^\w.-]+/g, '_').slice(-100) || 'upload';
+    const filePath = path.join(uploadDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`);
+
+    let size = 0;
+    try {
+        await pipeline(
+            input,
+            async function* (source) {
+                for await (const chunk of source) {
+                    size += chunk.length;
+                    if (size > MAX_UPLOAD_BYTES) {
+                        const err = new Error(`File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+                        err.status = 413;
+                        throw err;
+                    }
+                    yield chunk;
+                }
+            },
+            fs.createWriteStream(filePath)
+        );
+    } catch (err) {
+        fs.rmSync(filePath, { force: true });
+        throw err;
+    }
+
+    return { url: pathToFileURL(filePath).href, size };
+}
+
+/**
+ * Delete an uploaded file; other file:// URLs are left alone
+ */
+function removeUpload(url) {
+    if (isUpload(url)) fs.rmSync(toPath(url), { force: true });
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    isLocalUrl,
+    toPath,
+    validateUrl,
+    isUpload,
+    openStream,
+    readStart,
+    getVersion,
+    saveUpload,
+    removeUpload
+};
@@ -0,0 +1,203 @@
+/**
+ * M3U Classifier
+ * M3U entries carry no content type, so each one is sorted into a live channel, a movie or a
+ * series episode during the sync:
+ *   1. the source's rules come first, in order: { type: 'live'|'movie'|'series', field: 'group'|'name'|'url',
+ *      pattern } where pattern is a case-insensitive regular expression (set in SourceManager)
+ *   2. unless detection is turned off, VOD is recognized by Xtream-style URL paths (/movie/, /series/),
+ *      video file extensions and VOD group prefixes; an episode marker in the name (S01E02, 1x02) or a
+ *      series group prefix makes it an episode. Entries with catchup, a channel number or radio stay live.
+ *   3. everything else is a live channel
+ *
+ * Episodes are grouped into a series by the name before their episode marker, or else by the
+ * group name (without its prefix).
+ */
+
+const crypto = require('crypto');
+
+const TYPES = ['live', 'movie', 'series'];
+const FIELDS = ['group', 'name', 'url'];
+const MAX_RULES = 100;
+
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'm4v', 'wmv', 'webm', 'mpg', 'mpeg', 'flv'];
+const MOVIE_PATH = /\/movies?\//i;
+const SERIES_PATH = /\/series\//i;
+const VOD_GROUP = /^\s*vod\b/i;
+const SERIES_GROUP = /^\s*(?:vod\s*[-:|]?\s*)?(?:series|tv\s*shows?|shows)\b\s*[-:|]?\s*/i;
+
+// "Show Name S01E02 Title", "Show Name - S01 E02", "Show.Name.1x02"
+const EPISODE_MARKERS = [
+    /^(.*?)[\s._-]*\bS(\d{1,3})[\s._-]?E(\d{1,4})\b[\s._-]*(.*)$/i,
+    /^(.*?)[\s._-]*\b(\d{1,2})x(\d{2,3})\b[\s._-]*(.*)$/i
+];
+const YEAR = /[([]?\b((?:19|20)\d{2})\b[)\]]?\s*$/;
+
+/**
+ * Check a source's content rules from the API
+ * @param {Object|null} config - { detect: boolean, rules: [{ type, field, pattern }] }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateConfig(config) {
+    if (config === null || config === undefined) return null;
+    if (typeof config !== 'object' || Array.isArray(config)) return 'contentRules must be an object';
+    if (config.detect !== undefined && typeof config.detect !== 'boolean') return 'contentRules.detect must be true or false';
+
+    const rules = config.rules || [];
+    if (!Array.isArray(rules)) return 'contentRules.rules must be an array';
+    if (rules.length > MAX_RULES) return `At most ${MAX_RULES} content rules are allowed`;
+    for (const rule of rules) {
+        if (!rule || !TYPES.includes(rule.type)) return `Rule type must be one of ${TYPES.join(', ')}`;
+        if (!FIELDS.includes(rule.field)) return `Rule field must be one of ${FIELDS.join(', ')}`;
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'Rule pattern is required';
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (err) {
+            return `Invalid rule pattern ${rule.pattern}: ${err.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stored form of valid content rules: null for the default (detection, no rules)
+ */
+function normalizeConfig(config) {
+    if (!config) return null;
+    const rules = (config.rules || []).map(rule => ({ type: rule.type, field: rule.field, pattern: rule.pattern.trim() }));
+    const detect = config.detect !== false;
+    return detect && rules.length === 0 ? null : { detect, rules };
+}
+
+function getExtension(url) {
+    try {
+        const match = new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i);
+        return match ? match[1].toLowerCase() : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function getPath(url) {
+    try {
+        return new URL(url).pathname;
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Series, season and episode from an episode marker in the name
+ * @returns {{ seriesName: string, season: number, episode: number, title: string }|null}
+ */
+function parseEpisode(name) {
+    for (const pattern of EPISODE_MARKERS) {
+        const match = name.match(pattern);
+        if (!match) continue;
+        const seriesName = match[1].replace(/[\s._:|-]+$/, '').replace(/\./g, ' ').trim();
+        if (!seriesName) continue;
+        return {
+            seriesName,
+            season: parseInt(match[2], 10),
+            episode: parseInt(match[3], 10),
+            title: match[4].replace(/^[\s:|-]+/, '').trim()
+        };
+    }
+    return null;
+}
+
+/**
+ * Episode fields of an entry: the marker in its name, else its group names the series
+ */
+function toEpisode(channel) {
+    const parsed = parseEpisode(channel.name);
+    if (parsed) return { type: 'episode', ...parsed };
+
+    const groupName = (channel.groupTitle || '').replace(SERIES_GROUP, '').trim();
+    return {
+        type: 'episode',
+        seriesName: groupName && groupName !== channel.groupTitle.trim() ? groupName : channel.name,
+        season: 1,
+        episode: null,
+        title: channel.name
+    };
+}
+
+function toMovie(channel) {
+    const year = channel.name.match(YEAR);
+    return { type: 'movie', year: year ? year[1] : null };
+}
+
+/**
+ * Stable item id of a series within its source
+ */
+function getSeriesId(seriesName) {
+    const key = seriesName.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return `series_${crypto.createHash('sha1').update(key).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Item id of a movie or episode entry: entries share one id space (tvg-id or name), so movies
+ * and episodes get a prefix to stay apart from channels with the same tvg-id
+ */
+function getItemId(type, entryId) {
+    return `${type === 'episode' ? 'ep' : type}_${entryId}`;
+}
+
+/**
+ * Category id of an entry's group: movie and series groups get a prefix, as category ids are
+ * unique per source and a group may hold entries of several types
+ */
+function getCategoryId(type, groupTitle) {
+    return type === 'live' ? groupTitle : `${type}_${groupTitle}`;
+}
+
+/**
+ * Container extension of an entry's URL, for the player
+ */
+function getContainer(url) {
+    const extension = getExtension(url);
+    return extension && VIDEO_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+/**
+ * Classifier for a source's entries
+ * @param {Object|null} config - Source content rules (see validateConfig)
+ * @returns {function(Object): Object} channel (from m3uParser) -> { type: 'live' } |
+ *   { type: 'movie', year } | { type: 'episode', seriesName, season, episode, title }
+ */
+function createClassifier(config) {
+    const detect = !config || config.detect !== false;
+    const rules = (config && config.rules || []).map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+
+    return (channel) => {
+        const fields = { group: channel.groupTitle || '', name: channel.name || '', url: channel.url || '' };
+        const rule = rules.find(r => r.regex.test(fields[r.field]));
+        if (rule) {
+            if (rule.type === 'movie') return toMovie(channel);
+            if (rule.type === 'series') return toEpisode(channel);
+            return { type: 'live' };
+        }
+
+        if (!detect || channel.radio || channel.catchup || channel.tvgChno) return { type: 'live' };
+
+        const urlPath = getPath(fields.url);
+        if (SERIES_PATH.test(urlPath)) return toEpisode(channel);
+        if (MOVIE_PATH.test(urlPath)) return toMovie(channel);
+
+        const isVod = getContainer(fields.url) !== null || VOD_GROUP.test(fields.group);
+        if (parseEpisode(fields.name) && (isVod || SERIES_GROUP.test(fields.group))) return toEpisode(channel);
+        if (!isVod) return { type: 'live' };
+        if (SERIES_GROUP.test(fields.group)) return toEpisode(channel);
+        return toMovie(channel);
+    };
+}
+
+module.exports = {
+    validateConfig,
+    normalizeConfig,
+    createClassifier,
+    getSeriesId,
+    getItemId,
+    getCategoryId,
+    getContainer
+};
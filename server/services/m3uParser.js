@@ -3,8 +3,10 @@
  * Parses EXTM3U format playlists and extracts channel information line-by-line
  */
 
+const fs = require('fs');
 const readline = require('readline');
 const { Readable } = require('stream');
+const localFiles = require('./localFiles');
 
 /**
  * Generate a simple stable ID from name and group
@@ -36,6 +38,14 @@ function parseExtinf(line) {
         tvgName: null,
         tvgLogo: null,
         groupTitle: null,
+        tvgChno: null,
+        tvgShift: null,
+        tvgCountry: null,
+        tvgLanguage: null,
+        catchup: null,
+        catchupSource: null,
+        catchupDays: null,
+        radio: false,
         name: null
     };
 
@@ -51,7 +61,15 @@ function parseExtinf(line) {
         tvgId: /tvg-id="([^"]*)"/i,
         tvgName: /tvg-name="([^"]*)"/i,
         tvgLogo: /tvg-logo="([^"]*)"/i,
-        groupTitle: /group-title="([^"]*)"/i
+        groupTitle: /group-title="([^"]*)"/i,
+        tvgChno: /tvg-chno="([^"]*)"/i,
+        tvgShift: /tvg-shift="([^"]*)"/i,
+        tvgCountry: /tvg-country="([^"]*)"/i,
+        tvgLanguage: /tvg-language="([^"]*)"/i,
+        catchup: /catchup="([^"]*)"/i,
+        catchupSource: /catchup-source="([^"]*)"/i,
+        catchupDays: /catchup-days="([^"]*)"/i,
+        radio: /radio="([^"]*)"/i
     };
 
     for (const [key, pattern] of Object.entries(attrPatterns)) {
@@ -61,6 +79,11 @@ function parseExtinf(line) {
         }
     }
 
+    // Numeric and boolean attributes
+    info.tvgShift = info.tvgShift !== null && !Number.isNaN(parseFloat(info.tvgShift)) ? parseFloat(info.tvgShift) : null;
+    info.catchupDays = parseInt(info.catchupDays) || null;
+    info.radio = String(info.radio).toLowerCase() === 'true';
+
     // Extract channel name (after the comma)
     const commaIndex = rest.lastIndexOf(',');
     if (commaIndex !== -1) {
@@ -78,16 +101,107 @@ function parseExtinf(line) {
     return info;
 }
 
+/**
+ * Guide URLs declared in the #EXTM3U header line (url-tvg, x-tvg-url or tvg-url, comma-separated)
+ * @param {string} line - #EXTM3U line
+ * @returns {string[]} http(s) URLs
+ */
+function parseHeader(line) {
+    const urls = [];
+    for (const attr of ['url-tvg', 'x-tvg-url', 'tvg-url']) {
+        const match = line.match(new RegExp(`${attr}="([^"]*)"`, 'i'));
+        if (!match) continue;
+        for (const url of match[1].split(',')) {
+            const trimmed = url.trim();
+            if (/^https?:\/\//i.test(trimmed) && !urls.includes(trimmed)) urls.push(trimmed);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Collect a per-entry player directive (#EXTVLCOPT or #KODIPROP) into the pending options
+ * of the next stream URL
+ * @param {string} line - Directive line
+ * @param {Object} options - { vlcOptions, kodiProps } of the entry being read
+ */
+function parseDirective(line, options) {
+    const target = line.startsWith('#EXTVLCOPT:') ? options.vlcOptions : options.kodiProps;
+    const body = line.substring(line.indexOf(':') + 1).trim();
+    const eqIndex = body.indexOf('=');
+    if (eqIndex > 0) {
+        target[body.substring(0, eqIndex).trim().toLowerCase()] = body.substring(eqIndex + 1).trim();
+    }
+}
+
+/**
+ * HTTP headers a player should send for an entry, from its VLC options and Kodi properties
+ * e.g. #EXTVLCOPT:http-user-agent=... or #KODIPROP:inputstream.adaptive.stream_headers=User-Agent=...&Referer=...
+ * @returns {Object|null} { 'User-Agent', 'Referer' } or null if the entry sets none
+ */
+function getHttpHeaders(vlcOptions, kodiProps) {
+    const headers = {};
+
+    const kodiHeaders = kodiProps['inputstream.adaptive.stream_headers'] || kodiProps['inputstream.adaptive.manifest_headers'];
+    if (kodiHeaders) {
+        for (const pair of kodiHeaders.split('&')) {
+            const eqIndex = pair.indexOf('=');
+            if (eqIndex <= 0) continue;
+            let value = pair.substring(eqIndex + 1);
+            try {
+                value = decodeURIComponent(value);
+            } catch (err) {
+                // Not encoded
+            }
+            const name = pair.substring(0, eqIndex).trim().toLowerCase();
+            if (name === 'user-agent') headers['User-Agent'] = value;
+            if (name === 'referer' || name === 'referrer') headers['Referer'] = value;
+        }
+    }
+
+    // VLC options win: they are what most playlists are written for
+    if (vlcOptions['http-user-agent']) headers['User-Agent'] = vlcOptions['http-user-agent'];
+    const referrer = vlcOptions['http-referrer'] || vlcOptions['http-referer'];
+    if (referrer) headers['Referer'] = referrer;
+
+    return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Build a channel from its EXTINF info, the directives read for it and its stream URL
+ */
+function buildChannel(info, options, url, currentGroup) {
+    const groupTitle = info.groupTitle || currentGroup || 'Uncategorized';
+    // Generate a stable ID: use tvgId if present, otherwise hash name+group
+    const stableId = info.tvgId || generateStableId(info.name, groupTitle);
+
+    return {
+        ...info,
+        id: stableId,
+        url,
+        groupTitle,
+        httpHeaders: getHttpHeaders(options.vlcOptions, options.kodiProps),
+        vlcOptions: Object.keys(options.vlcOptions).length > 0 ? options.vlcOptions : null,
+        kodiProps: Object.keys(options.kodiProps).length > 0 ? options.kodiProps : null
+    };
+}
+
+function createEntryOptions() {
+    return { vlcOptions: {}, kodiProps: {} };
+}
+
 /**
  * Parse M3U content (Stream or String)
  * @param {Readable|string} input - M3U content as Stream or String
- * @returns {Promise<{ channels: Array, groups: Array }>}
+ * @returns {Promise<{ channels: Array, groups: Array, guideUrls: string[] }>}
  */
 async function parse(input) {
     const channels = [];
     const groupsSet = new Set();
+    let guideUrls = [];
     let currentInfo = null;
     let currentGroup = null;
+    let currentOptions = createEntryOptions();
 
     let lines;
 
@@ -107,7 +221,9 @@ async function parse(input) {
         const trimmed = line.trim();
         if (!trimmed) continue;
 
-        if (trimmed.startsWith('#EXTINF:')) {
+        if (trimmed.startsWith('#EXTM3U')) {
+            guideUrls = parseHeader(trimmed);
+        } else if (trimmed.startsWith('#EXTINF:')) {
             // Parse EXTINF line
             currentInfo = parseExtinf(trimmed);
             if (currentInfo.groupTitle) {
@@ -121,21 +237,16 @@ async function parse(input) {
             if (currentInfo) {
                 currentInfo.groupTitle = currentGroup;
             }
+        } else if (trimmed.startsWith('#EXTVLCOPT:') || trimmed.startsWith('#KODIPROP:')) {
+            // Player directives apply to the next stream URL (they may come before or after #EXTINF)
+            parseDirective(trimmed, currentOptions);
         } else if (!trimmed.startsWith('#')) {
             // This is a stream URL
             if (currentInfo) {
-                const groupTitle = currentInfo.groupTitle || currentGroup || 'Uncategorized';
-                // Generate a stable ID: use tvgId if present, otherwise hash name+group
-                const stableId = currentInfo.tvgId || generateStableId(currentInfo.name, groupTitle);
-
-                channels.push({
-                    ...currentInfo,
-                    id: stableId,
-                    url: trimmed,
-                    groupTitle: groupTitle
-                });
+                channels.push(buildChannel(currentInfo, currentOptions, trimmed, currentGroup));
                 currentInfo = null;
             }
+            currentOptions = createEntryOptions();
         }
     }
 
@@ -146,15 +257,17 @@ async function parse(input) {
         channelCount: channels.filter(c => c.groupTitle === name).length
     }));
 
-    return { channels, groups };
+    return { channels, groups, guideUrls };
 }
 
 /**
  * Fetch and parse M3U from URL
- * @param {string} url - M3U playlist URL
- * @returns {Promise<{ channels: Array, groups: Array }>}
+ * @param {string} url - M3U playlist URL, or file:// URL of a file on the server
+ * @returns {Promise<{ channels: Array, groups: Array, guideUrls: string[] }>}
  */
 async function fetchAndParse(url) {
+    if (localFiles.isLocalUrl(url)) return parse(await localFiles.openStream(url));
+
     const response = await fetch(url);
     if (!response.ok) {
         throw new Error(`Failed to fetch M3U: ${response.status} ${response.statusText}`);
@@ -181,12 +294,14 @@ async function fetchAndParse(url) {
  * 
  * @param {Readable|string} input - M3U content as Stream or String
  * @param {number} batchSize - Number of channels per batch (default: 500)
- * @yields {{ channels: Array, groups: Set, isLast: boolean }}
+ * @yields {{ channels: Array, groups: Set, guideUrls: string[], isLast: boolean }} guideUrls from the #EXTM3U header
  */
 async function* parseStreaming(input, batchSize = 500) {
     const groupsSet = new Set();
+    let guideUrls = [];
     let currentInfo = null;
     let currentGroup = null;
+    let currentOptions = createEntryOptions();
     let batch = [];
 
     let lines;
@@ -204,7 +319,9 @@ async function* parseStreaming(input, batchSize = 500) {
         const trimmed = line.trim();
         if (!trimmed) continue;
 
-        if (trimmed.startsWith('#EXTINF:')) {
+        if (trimmed.startsWith('#EXTM3U')) {
+            guideUrls = parseHeader(trimmed);
+        } else if (trimmed.startsWith('#EXTINF:')) {
             currentInfo = parseExtinf(trimmed);
             if (currentInfo.groupTitle) {
                 groupsSet.add(currentInfo.groupTitle);
@@ -216,60 +333,41 @@ async function* parseStreaming(input, batchSize = 500) {
             if (currentInfo) {
                 currentInfo.groupTitle = currentGroup;
             }
+        } else if (trimmed.startsWith('#EXTVLCOPT:') || trimmed.startsWith('#KODIPROP:')) {
+            parseDirective(trimmed, currentOptions);
         } else if (!trimmed.startsWith('#')) {
             if (currentInfo) {
-                const groupTitle = currentInfo.groupTitle || currentGroup || 'Uncategorized';
-                const stableId = currentInfo.tvgId || generateStableId(currentInfo.name, groupTitle);
-
-                batch.push({
-                    ...currentInfo,
-                    id: stableId,
-                    url: trimmed,
-                    groupTitle: groupTitle
-                });
+                batch.push(buildChannel(currentInfo, currentOptions, trimmed, currentGroup));
                 currentInfo = null;
 
                 // Yield batch when full
                 if (batch.length >= batchSize) {
-                    yield { channels: batch, groups: groupsSet, isLast: false };
+                    yield { channels: batch, groups: groupsSet, guideUrls, isLast: false };
                     batch = [];
                 }
             }
+            currentOptions = createEntryOptions();
         }
     }
 
     // Yield remaining channels
     if (batch.length > 0) {
-        yield { channels: batch, groups: groupsSet, isLast: true };
+        yield { channels: batch, groups: groupsSet, guideUrls, isLast: true };
     } else {
         // Yield empty final batch with isLast=true so caller knows we're done
-        yield { channels: [], groups: groupsSet, isLast: true };
+        yield { channels: [], groups: groupsSet, guideUrls, isLast: true };
     }
 }
 
 /**
- * Fetch and parse M3U from URL as streaming async generator (memory-efficient)
- * @param {string} url - M3U playlist URL
+ * Parse a downloaded M3U file as streaming async generator (see downloadService)
+ * @param {string} filePath - Path of the playlist file
  * @param {number} batchSize - Number of channels per batch
- * @yields {{ channels: Array, groups: Set, isLast: boolean }}
+ * @yields {{ channels: Array, groups: Set, guideUrls: string[], isLast: boolean }}
  */
-async function* fetchAndParseStreaming(url, batchSize = 500) {
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch M3U: ${response.status} ${response.statusText}`);
-    }
-
-    let stream;
-    if (response.body && typeof response.body.pipe === 'function') {
-        stream = response.body;
-    } else if (response.body) {
-        stream = Readable.fromWeb(response.body);
-    } else {
-        stream = Readable.from([]);
-    }
-
-    yield* parseStreaming(stream, batchSize);
+async function* parseFileStreaming(filePath, batchSize = 500) {
+    yield* parseStreaming(fs.createReadStream(filePath), batchSize);
 }
 
-module.exports = { parse, parseExtinf, fetchAndParse, parseStreaming, fetchAndParseStreaming };
+module.exports = { parse, parseExtinf, parseHeader, fetchAndParse, parseStreaming, parseFileStreaming };
 
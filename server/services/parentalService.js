@@ -0,0 +1,302 @@
+/**
+ * Parental Control Service
+ * Admins mark categories/items as restricted and limit viewer accounts by content rating.
+ * For a viewer with parental controls enabled, restricted content is left out of listings
+ * and refused for playback until the viewer's PIN unlocks it for a while.
+ *
+ * Per-user config lives in the users table (columns parental { enabled, maxAge, unlockMinutes }
+ * and parental_pin_hash), restrictions in parental_restrictions.
+ * Unlocks are kept in memory per session, so a restart locks everything again.
+ */
+
+const bcrypt = require('bcryptjs');
+const { getDb } = require('../db/sqlite');
+const { users } = require('../db');
+
+const DEFAULT_UNLOCK_MINUTES = 60;
+
+// Wrong PINs allowed per user before unlocking is paused
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+// sessionId -> unlock expiry (ms)
+const unlocks = new Map();
+
+// userId -> { count, lockedUntil }
+const failedAttempts = new Map();
+
+// Certification -> minimum age
+const RATING_AGES = {
+    'G': 0, 'U': 0, 'TV-Y': 0, 'TV-G': 0, 'ALL': 0,
+    'TV-Y7': 7,
+    'PG': 10, 'TV-PG': 10,
+    'PG-13': 13, '12A': 12,
+    'TV-14': 14,
+    'R': 17, 'TV-MA': 17,
+    'NC-17': 18, 'X': 18, 'XXX': 18
+};
+
+// Provider fields that may carry an age rating (Xtream 'rating' is a review score, not an age)
+const RATING_FIELDS = ['age', 'mpaa_rating', 'certification', 'content_rating', 'rated'];
+
+/**
+ * Normalize a user's parental config
+ */
+function getConfig(user) {
+    const parental = (user && user.parental) || {};
+    return {
+        enabled: !!parental.enabled,
+        maxAge: Number.isInteger(parental.maxAge) ? parental.maxAge : null,
+        unlockMinutes: parental.unlockMinutes || DEFAULT_UNLOCK_MINUTES,
+        hasPin: !!(user && user.parentalPinHash)
+    };
+}
+
+/**
+ * Minimum viewer age for an item, from its provider data
+ * @param {Object} data - Parsed provider JSON
+ * @returns {number|null} null if the item carries no recognizable rating
+ */
+function getContentAge(data) {
+    if (!data) return null;
+
+    for (const field of RATING_FIELDS) {
+        const value = data[field];
+        if (value === undefined || value === null || value === '') continue;
+
+        const rating = String(value).trim().toUpperCase();
+        if (RATING_AGES[rating] !== undefined) return RATING_AGES[rating];
+
+        // "16", "16+", "FSK 16", "PEGI 12" ...
+        const match = rating.match(/(\d{1,2})\s*\+?$/);
+        if (match) return parseInt(match[1]);
+    }
+    return null;
+}
+
+/**
+ * Work out what a request may see
+ * @param {Object} reqUser - req.user ({ id, role, sessionId })
+ * @returns {Promise<{ enabled: boolean, locked: boolean, maxAge: number|null, unlockedUntil: number|null }>}
+ */
+async function getAccess(reqUser) {
+    const unrestricted = { enabled: false, locked: false, maxAge: null, unlockedUntil: null };
+    if (!reqUser || reqUser.role === 'admin') return unrestricted;
+
+    const config = getConfig(await users.getById(reqUser.id));
+    if (!config.enabled) return unrestricted;
+
+    const unlockedUntil = unlocks.get(reqUser.sessionId);
+    if (unlockedUntil && unlockedUntil > Date.now()) {
+        return { enabled: true, locked: false, maxAge: config.maxAge, unlockedUntil };
+    }
+    unlocks.delete(reqUser.sessionId);
+
+    return { enabled: true, locked: true, maxAge: config.maxAge, unlockedUntil: null };
+}
+
+/**
+ * SQL condition excluding restricted categories
+ * @param {string} alias - Alias of the categories table in the query
+ */
+function categoryFilterSql(alias = 'c') {
+    return `NOT EXISTS (SELECT 1 FROM parental_restrictions pr
+        WHERE pr.source_id = ${alias}.source_id AND pr.type = ${alias}.type
+        AND pr.kind = 'category' AND pr.ref_id = ${alias}.category_id)`;
+}
+
+/**
+ * SQL condition excluding restricted items (directly or through their category)
+ * @param {string} alias - Alias of the playlist_items table in the query
+ */
+function itemFilterSql(alias = 'p') {
+    return `NOT EXISTS (SELECT 1 FROM parental_restrictions pr
+        WHERE pr.source_id = ${alias}.source_id AND pr.type = ${alias}.type
+        AND ((pr.kind = 'item' AND pr.ref_id = ${alias}.item_id)
+            OR (pr.kind = 'category' AND pr.ref_id = ${alias}.category_id)))`;
+}
+
+/**
+ * Whether an item may be played with the given access
+ */
+function isItemAllowed(access, sourceId, type, itemId) {
+    if (!access.locked) return true;
+
+    const db = getDb();
+    const item = db.prepare(`
+        SELECT p.data, ${itemFilterSql('p')} AS allowed
+        FROM playlist_items p
+        WHERE p.source_id = ? AND p.type = ? AND p.item_id = ?
+    `).get(parseInt(sourceId), type, String(itemId));
+
+    // Items that are not synced (yet) cannot be checked
+    if (!item || !item.allowed) return false;
+
+    if (access.maxAge !== null) {
+        const age = getContentAge(JSON.parse(item.data || '{}'));
+        if (age !== null && age > access.maxAge) return false;
+    }
+    return true;
+}
+
+/**
+ * Series of an episode: the parent of an M3U episode, or the series an Xtream episode was
+ * listed in by series_info
+ * @returns {string|null}
+ */
+function getEpisodeSeriesId(sourceId, episodeId) {
+    const db = getDb();
+    const row = db.prepare(`
+        SELECT parent_id AS series_id FROM playlist_items
+        WHERE source_id = ? AND type = 'episode' AND item_id = ?
+        UNION ALL
+        SELECT series_id FROM xtream_episodes WHERE source_id = ? AND episode_id = ?
+    `).get(parseInt(sourceId), String(episodeId), parseInt(sourceId), String(episodeId));
+    return row?.series_id ?? null;
+}
+
+/**
+ * Whether a stream may be played with the given access. Episodes (stream type 'series') are
+ * checked through their series, and refused if their series is unknown.
+ */
+function isStreamAllowed(access, sourceId, type, streamId) {
+    if (!access.locked) return true;
+    if (type !== 'series') return isItemAllowed(access, sourceId, type, streamId);
+
+    const seriesId = getEpisodeSeriesId(sourceId, streamId);
+    return seriesId !== null && isItemAllowed(access, sourceId, 'series', seriesId);
+}
+
+/**
+ * Record the series of the Xtream episodes in a series_info response
+ */
+function recordEpisodes(sourceId, seriesId, seriesInfo) {
+    const seasons = Object.values(seriesInfo?.episodes || {});
+    const db = getDb();
+    const insert = db.prepare(`
+        INSERT INTO xtream_episodes (source_id, episode_id, series_id) VALUES (?, ?, ?)
+        ON CONFLICT(source_id, episode_id) DO UPDATE SET series_id = excluded.series_id
+    `);
+    db.transaction(() => {
+        for (const episodes of seasons) {
+            if (!Array.isArray(episodes)) continue;
+            for (const episode of episodes) {
+                if (episode?.id !== undefined && episode.id !== null) {
+                    insert.run(parseInt(sourceId), String(episode.id), String(seriesId));
+                }
+            }
+        }
+    })();
+}
+
+/**
+ * Unlock restricted content for the caller's session
+ * @returns {Promise<{ success: boolean, unlockedUntil?: number, error?: string, retryAfter?: number }>}
+ */
+async function unlock(reqUser, pin) {
+    const user = await users.getById(reqUser.id);
+    const config = getConfig(user);
+
+    if (!config.enabled) return { success: true, unlockedUntil: null };
+    if (!config.hasPin) return { success: false, error: 'No PIN has been set for this account' };
+
+    const attempts = failedAttempts.get(user.id);
+    if (attempts && attempts.lockedUntil > Date.now()) {
+        return { success: false, error: 'Too many wrong PINs', retryAfter: Math.ceil((attempts.lockedUntil - Date.now()) / 1000) };
+    }
+
+    const valid = await bcrypt.compare(String(pin || ''), user.parentalPinHash);
+    if (!valid) {
+        // Start counting again once a lockout has passed
+        const count = (attempts && attempts.count < MAX_PIN_ATTEMPTS ? attempts.count : 0) + 1;
+        failedAttempts.set(user.id, {
+            count,
+            lockedUntil: count >= MAX_PIN_ATTEMPTS ? Date.now() + PIN_LOCKOUT_MS : 0
+        });
+        console.log(`[Parental] Wrong PIN for user ${user.username} (${count}/${MAX_PIN_ATTEMPTS})`);
+        return { success: false, error: 'Invalid PIN' };
+    }
+
+    failedAttempts.delete(user.id);
+    const unlockedUntil = Date.now() + config.unlockMinutes * 60 * 1000;
+    unlocks.set(reqUser.sessionId, unlockedUntil);
+    console.log(`[Parental] Unlocked for user ${user.username} until ${new Date(unlockedUntil).toISOString()}`);
+    return { success: true, unlockedUntil };
+}
+
+/**
+ * End the caller's unlock early
+ */
+function lock(reqUser) {
+    unlocks.delete(reqUser.sessionId);
+}
+
+/**
+ * Hash a new PIN (4-8 digits)
+ * @returns {Promise<string|null>} null if the PIN is not valid
+ */
+async function hashPin(pin) {
+    if (!/^\d{4,8}$/.test(String(pin))) return null;
+    return bcrypt.hash(String(pin), 10);
+}
+
+/**
+ * List restrictions for a source
+ */
+function getRestrictions(sourceId = null) {
+    const db = getDb();
+    if (sourceId) {
+        return db.prepare('SELECT source_id, kind, type, ref_id FROM parental_restrictions WHERE source_id = ?').all(parseInt(sourceId));
+    }
+    return db.prepare('SELECT source_id, kind, type, ref_id FROM parental_restrictions').all();
+}
+
+/**
+ * Restrict or release categories/items
+ * @param {Array<{sourceId, kind, type, refId}>} entries
+ */
+function setRestricted(entries, restricted) {
+    const db = getDb();
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO parental_restrictions (source_id, kind, type, ref_id, created_at)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    const remove = db.prepare('DELETE FROM parental_restrictions WHERE source_id = ? AND kind = ? AND type = ? AND ref_id = ?');
+
+    const run = db.transaction((list) => {
+        for (const entry of list) {
+            if (restricted) {
+                insert.run(parseInt(entry.sourceId), entry.kind, entry.type, String(entry.refId), Date.now());
+            } else {
+                remove.run(parseInt(entry.sourceId), entry.kind, entry.type, String(entry.refId));
+            }
+        }
+    });
+
+    run(entries);
+}
+
+/**
+ * Remove all restrictions for a source (e.g. when the source is deleted)
+ */
+function deleteForSource(sourceId) {
+    return getDb().prepare('DELETE FROM parental_restrictions WHERE source_id = ?').run(parseInt(sourceId)).changes;
+}
+
+module.exports = {
+    DEFAULT_UNLOCK_MINUTES,
+    getConfig,
+    getContentAge,
+    getAccess,
+    categoryFilterSql,
+    itemFilterSql,
+    isItemAllowed,
+    isStreamAllowed,
+    recordEpisodes,
+    unlock,
+    lock,
+    hashPin,
+    getRestrictions,
+    setRestricted,
+    deleteForSource
+};
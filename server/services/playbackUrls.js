@@ -0,0 +1,54 @@
+/**
+ * Xtream Playback URLs
+ * Xtream stream URLs carry the account credentials in their path (/live/<user>/<pass>/<id>.ts),
+ * so clients are given /api/proxy/xtream/:sourceId/play/:type/:streamId.:container instead.
+ * That route fetches the stream server-side; the stream proxy, transcode and remux routes
+ * turn the path into the upstream URL with resolve(). The upstream URL never reaches a client.
+ */
+
+const { sources } = require('../db');
+const xtreamApi = require('./xtreamApi');
+const parentalService = require('./parentalService');
+
+const PLAY_PATH = /^\/api\/proxy\/xtream\/(\d+)\/play\/(live|movie|series)\/([^/?#]+)\.([a-z0-9]+)(?:[?#].*)?$/i;
+
+/**
+ * Build the playback path for an Xtream stream
+ */
+function buildPlayPath(sourceId, type, streamId, container) {
+    return `/api/proxy/xtream/${sourceId}/play/${type}/${encodeURIComponent(streamId)}.${container}`;
+}
+
+/**
+ * Look up the upstream URL for an Xtream stream, if the user may play it
+ * @returns {Promise<string|null>} null if the source is unknown or the item is parental-locked
+ */
+async function getUpstreamUrl(reqUser, sourceId, type, streamId, container) {
+    const source = await sources.getById(sourceId);
+    if (!source || source.type !== 'xtream') return null;
+
+    const access = await parentalService.getAccess(reqUser);
+    if (!parentalService.isStreamAllowed(access, source.id, type, streamId)) {
+        return null;
+    }
+
+    return xtreamApi.createFromSource(source).buildStreamUrl(streamId, type, container);
+}
+
+/**
+ * Resolve a playback path to its upstream URL; any other URL is returned unchanged
+ * @returns {Promise<string|null>} null if the playback path may not be played
+ */
+async function resolve(url, reqUser) {
+    const match = typeof url === 'string' && url.match(PLAY_PATH);
+    if (!match) return url;
+
+    const [, sourceId, type, streamId, container] = match;
+    return getUpstreamUrl(reqUser, sourceId, type, decodeURIComponent(streamId), container);
+}
+
+module.exports = {
+    buildPlayPath,
+    getUpstreamUrl,
+    resolve
+};
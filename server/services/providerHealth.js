@@ -0,0 +1,204 @@
+/**
+ * Provider Health
+ * Guards requests to Xtream providers, keyed by provider origin (scheme://host:port), so every
+ * source on the same server shares one budget:
+ *   - rate limit: requests are spaced to at most providerRateLimit per second
+ *   - retries: timeouts, network errors, 429 and 5xx responses are retried with exponential backoff
+ *   - circuit breaker: after FAILURE_THRESHOLD failed requests in a row the provider is "degraded"
+ *     and requests fail right away until the cooldown is over; then one request is let through
+ *     and its outcome closes or re-opens the circuit
+ *
+ * State is in memory only: a restart gives every provider a fresh start.
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+const { settings } = require('../db');
+
+// Used when the provider* settings are missing or invalid
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RATE_LIMIT = 5;
+
+const FAILURE_THRESHOLD = 5;
+const COOLDOWN_MS = 5 * 60 * 1000;
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+// origin -> { state: 'ok'|'degraded', failures, lastError, lastFailureAt, retryAt, trial, nextSlot }
+const providers = new Map();
+
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (err) {
+        return url;
+    }
+}
+
+function getProvider(origin) {
+    if (!providers.has(origin)) {
+        providers.set(origin, { state: 'ok', failures: 0, lastError: null, lastFailureAt: null, retryAt: null, trial: false, nextSlot: 0 });
+    }
+    return providers.get(origin);
+}
+
+/**
+ * Timeout, retry and rate limit settings (server-wide)
+ */
+async function getRequestSettings() {
+    const current = await settings.get();
+    const timeoutSeconds = parseInt(current.providerTimeoutSeconds);
+    const retries = parseInt(current.providerRetries);
+    const rateLimit = parseInt(current.providerRateLimit);
+    return {
+        timeoutMs: (timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_TIMEOUT_SECONDS) * 1000,
+        retries: retries >= 0 ? retries : DEFAULT_RETRIES,
+        // 0 = no limit
+        rateLimit: rateLimit >= 0 ? rateLimit : DEFAULT_RATE_LIMIT
+    };
+}
+
+/**
+ * Throw if the circuit of a provider is open; after the cooldown, let one trial request through
+ */
+function checkCircuit(origin) {
+    const provider = getProvider(origin);
+    if (provider.state !== 'degraded') return;
+
+    if (Date.now() < provider.retryAt || provider.trial) {
+        const retryAt = new Date(provider.retryAt).toLocaleTimeString();
+        throw new Error(`Provider ${origin} is degraded after ${provider.failures} failed requests (${provider.lastError}); next attempt after ${retryAt}`);
+    }
+    provider.trial = true;
+}
+
+/**
+ * Wait for the provider's next free request slot
+ */
+async function waitForSlot(origin, rateLimit, signal) {
+    if (rateLimit <= 0) return;
+    const provider = getProvider(origin);
+    const now = Date.now();
+    const slot = Math.max(now, provider.nextSlot);
+    provider.nextSlot = slot + 1000 / rateLimit;
+    if (slot > now) await sleep(slot - now, undefined, { signal });
+}
+
+function recordSuccess(origin) {
+    const provider = getProvider(origin);
+    if (provider.state === 'degraded') {
+        console.log(`[Provider] ${origin} is responding again`);
+    }
+    provider.state = 'ok';
+    provider.failures = 0;
+    provider.retryAt = null;
+    provider.trial = false;
+}
+
+function recordFailure(origin, err) {
+    const provider = getProvider(origin);
+    provider.failures++;
+    provider.lastError = err.message;
+    provider.lastFailureAt = Date.now();
+
+    if (provider.trial || provider.failures >= FAILURE_THRESHOLD) {
+        if (provider.state !== 'degraded') {
+            console.warn(`[Provider] ${origin} marked degraded after ${provider.failures} failed requests: ${err.message}`);
+        }
+        provider.state = 'degraded';
+        provider.retryAt = Date.now() + COOLDOWN_MS;
+        provider.trial = false;
+    }
+}
+
+/**
+ * Whether a failed request is worth trying again
+ */
+function isRetryable(err) {
+    if (err.status) return err.status === 429 || err.status >= 500;
+    // Network errors and timeouts
+    return true;
+}
+
+/**
+ * Delay before the next attempt: exponential with jitter, or the server's Retry-After
+ */
+function getBackoffMs(attempt, err) {
+    if (err.retryAfterMs) return Math.min(err.retryAfterMs, BACKOFF_MAX_MS);
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Fetch a provider URL with rate limiting, a timeout per attempt, retries and the circuit breaker
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request, including waits between attempts; never retried
+ * @param {string} [options.label] - Name of the request for error messages
+ * @param {Function} parse - Reads a successful response, e.g. response => response.json()
+ * @returns {Promise<*>} What parse returned
+ */
+async function request(url, options, parse) {
+    const origin = getOrigin(url);
+    const { timeoutMs, retries, rateLimit } = await getRequestSettings();
+    const label = options.label || 'Request';
+    const signal = options.signal || null;
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForSlot(origin, rateLimit, signal);
+        checkCircuit(origin);
+
+        const timeout = AbortSignal.timeout(timeoutMs);
+        try {
+            const response = await fetch(url, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+            if (!response.ok) {
+                const err = new Error(`${label} error: ${response.status} ${response.statusText}`);
+                err.status = response.status;
+                const retryAfter = parseInt(response.headers.get('retry-after'));
+                if (!Number.isNaN(retryAfter)) err.retryAfterMs = retryAfter * 1000;
+                throw err;
+            }
+            const data = await parse(response);
+            recordSuccess(origin);
+            return data;
+        } catch (caught) {
+            // Cancelled by the caller: not the provider's fault (a cancelled trial lets the next request try)
+            if (signal && signal.aborted) {
+                getProvider(origin).trial = false;
+                throw caught;
+            }
+
+            const err = timeout.aborted ? new Error(`${label} timed out after ${timeoutMs / 1000}s`) : caught;
+            if (!isRetryable(err)) {
+                // The provider answered (e.g. 401/404), so it is up
+                recordSuccess(origin);
+                throw err;
+            }
+
+            recordFailure(origin, err);
+            if (attempt >= retries || getProvider(origin).state === 'degraded') throw err;
+
+            const delay = getBackoffMs(attempt, err);
+            console.warn(`[Provider] ${label} failed (${err.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay / 1000)}s`);
+            await sleep(delay, undefined, { signal });
+        }
+    }
+}
+
+/**
+ * Health of the provider behind a URL, for the source list
+ * @returns {{ state: string, failures: number, lastError: string|null, lastFailureAt: number|null, retryAt: number|null }}
+ */
+function getStatus(url) {
+    const provider = providers.get(getOrigin(url));
+    if (!provider) return { state: 'ok', failures: 0, lastError: null, lastFailureAt: null, retryAt: null };
+
+    const { state, failures, lastError, lastFailureAt, retryAt } = provider;
+    return { state, failures, lastError, lastFailureAt, retryAt };
+}
+
+module.exports = {
+    request,
+    getStatus
+};
@@ -0,0 +1,201 @@
+/**
+ * Sync Schedule Service
+ * Each source has its own schedule per content scope, so EPG can refresh often
+ * without re-downloading large VOD catalogs:
+ *   live - live categories and channels
+ *   vod  - movies and series (Xtream)
+ *   epg  - programme guide
+ *
+ * A schedule is a cron expression, 'off' (manual syncs only) or null, which follows the
+ * global epgRefreshInterval setting (every N hours after the last run).
+ * next_run is stored, so the sync timer and the UI read the same value.
+ */
+
+const { getDb } = require('../db/sqlite');
+const { settings } = require('../db');
+const cron = require('./cron');
+
+// Scopes that apply to each source type
+const SCOPES = {
+    xtream: ['live', 'vod', 'epg'],
+    m3u: ['live'],
+    epg: ['epg']
+};
+
+const MANUAL = 'off';
+
+function getScopes(sourceType) {
+    return SCOPES[sourceType] || [];
+}
+
+/**
+ * Hours between runs for schedules that follow the global setting (0 = manual only)
+ */
+async function getDefaultIntervalHours() {
+    const hours = parseInt((await settings.get()).epgRefreshInterval);
+    return Number.isNaN(hours) ? 24 : hours;
+}
+
+/**
+ * Work out when a schedule runs next
+ * @returns {number|null} Timestamp (ms), or null if it only runs manually
+ */
+function computeNextRun(expression, lastRun, defaultHours, now = Date.now()) {
+    if (expression === MANUAL) return null;
+    if (expression) {
+        const next = cron.nextRun(expression, new Date(now));
+        return next ? next.getTime() : null;
+    }
+    if (defaultHours <= 0) return null;
+    // Never synced: due right away
+    return lastRun ? lastRun + defaultHours * 60 * 60 * 1000 : now;
+}
+
+function toSchedule(row) {
+    return {
+        scope: row.scope,
+        cron: row.cron,
+        lastRun: row.last_run,
+        nextRun: row.next_run
+    };
+}
+
+/**
+ * Create missing schedule rows for a source
+ */
+function ensureRows(db, source, defaultHours) {
+    const insert = db.prepare('INSERT OR IGNORE INTO sync_schedules (source_id, scope, next_run) VALUES (?, ?, ?)');
+    for (const scope of getScopes(source.type)) {
+        insert.run(source.id, scope, computeNextRun(null, null, defaultHours));
+    }
+}
+
+/**
+ * Schedules of a source, one per scope that applies to its type
+ */
+async function getSchedules(source) {
+    const db = getDb();
+    ensureRows(db, source, await getDefaultIntervalHours());
+
+    const scopes = getScopes(source.type);
+    return db.prepare('SELECT * FROM sync_schedules WHERE source_id = ?').all(source.id)
+        .filter(row => scopes.includes(row.scope))
+        .sort((a, b) => scopes.indexOf(a.scope) - scopes.indexOf(b.scope))
+        .map(toSchedule);
+}
+
+/**
+ * Check schedule changes before saving them
+ * @param {Object} changes - scope -> cron expression, 'off', or null/'' for the default
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedules(source, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return 'Schedules must be an object of scope: cron expression';
+    }
+    const scopes = getScopes(source.type);
+    for (const [scope, expression] of Object.entries(changes)) {
+        if (!scopes.includes(scope)) {
+            return `Unknown schedule "${scope}" for ${source.type} sources (use ${scopes.join(', ')})`;
+        }
+        if (expression === null || expression === '' || expression === MANUAL) continue;
+
+        const error = cron.validate(expression);
+        if (error) return `Invalid ${scope} schedule: ${error}`;
+    }
+    return null;
+}
+
+/**
+ * Save schedule changes (validate first) and recompute their next runs
+ */
+async function updateSchedules(source, changes) {
+    const db = getDb();
+    const defaultHours = await getDefaultIntervalHours();
+    ensureRows(db, source, defaultHours);
+
+    const select = db.prepare('SELECT last_run FROM sync_schedules WHERE source_id = ? AND scope = ?');
+    const update = db.prepare('UPDATE sync_schedules SET cron = ?, next_run = ? WHERE source_id = ? AND scope = ?');
+
+    db.transaction(() => {
+        for (const [scope, value] of Object.entries(changes)) {
+            const expression = value ? String(value).trim() : null;
+            const { last_run: lastRun } = select.get(source.id, scope);
+            update.run(expression, computeNextRun(expression, lastRun, defaultHours), source.id, scope);
+        }
+    })();
+
+    return getSchedules(source);
+}
+
+/**
+ * Record a sync of some scopes (whether it succeeded or not) and schedule the next one
+ */
+async function markRun(source, scopes, time = Date.now()) {
+    const db = getDb();
+    const defaultHours = await getDefaultIntervalHours();
+    ensureRows(db, source, defaultHours);
+
+    const select = db.prepare('SELECT cron FROM sync_schedules WHERE source_id = ? AND scope = ?');
+    const update = db.prepare('UPDATE sync_schedules SET last_run = ?, next_run = ? WHERE source_id = ? AND scope = ?');
+
+    db.transaction(() => {
+        for (const scope of scopes) {
+            const { cron: expression } = select.get(source.id, scope);
+            update.run(time, computeNextRun(expression, time, defaultHours), source.id, scope);
+        }
+    })();
+}
+
+/**
+ * Recompute next runs of schedules that follow the global interval (after it changed)
+ */
+async function refreshDefaults() {
+    const db = getDb();
+    const defaultHours = await getDefaultIntervalHours();
+    const update = db.prepare('UPDATE sync_schedules SET next_run = ? WHERE source_id = ? AND scope = ?');
+
+    db.transaction(() => {
+        for (const row of db.prepare('SELECT * FROM sync_schedules WHERE cron IS NULL').all()) {
+            update.run(computeNextRun(null, row.last_run, defaultHours), row.source_id, row.scope);
+        }
+    })();
+    return defaultHours;
+}
+
+/**
+ * Enabled sources with scopes that are due
+ * @returns {Promise<Array<{ sourceId: number, scopes: string[] }>>}
+ */
+async function getDue(now = Date.now()) {
+    const db = getDb();
+    const defaultHours = await getDefaultIntervalHours();
+    const enabled = db.prepare('SELECT id, type FROM sources WHERE enabled = 1 ORDER BY id').all();
+    enabled.forEach(source => ensureRows(db, source, defaultHours));
+
+    const due = db.prepare(`
+        SELECT ss.source_id, ss.scope, s.type FROM sync_schedules ss
+        JOIN sources s ON s.id = ss.source_id
+        WHERE s.enabled = 1 AND ss.next_run IS NOT NULL AND ss.next_run <= ?
+        ORDER BY ss.source_id
+    `).all(now);
+
+    const bySource = new Map();
+    for (const row of due) {
+        if (!getScopes(row.type).includes(row.scope)) continue;
+        if (!bySource.has(row.source_id)) bySource.set(row.source_id, []);
+        bySource.get(row.source_id).push(row.scope);
+    }
+    return [...bySource].map(([sourceId, scopes]) => ({ sourceId, scopes }));
+}
+
+module.exports = {
+    MANUAL,
+    getScopes,
+    getSchedules,
+    validateSchedules,
+    updateSchedules,
+    markRun,
+    refreshDefaults,
+    getDue
+};
@@ -0,0 +1,281 @@
+/**
+ * Search Service
+ * Full-text search over channels, movies, series and EPG programmes (SQLite FTS5).
+ *
+ * search_items and search_epg (migration 007) share their rowids with playlist_items and
+ * epg_programs. They are rebuilt for a source after each sync, so a search only ever
+ * joins back to the current content and applies the caller's hidden state and parental access.
+ */
+
+const { getDb } = require('../db/sqlite');
+const visibilityService = require('./visibilityService');
+const parentalService = require('./parentalService');
+const epgMappingService = require('./epgMappingService');
+
+const ITEM_TYPES = ['live', 'movie', 'series'];
+const SEARCH_TYPES = [...ITEM_TYPES, 'epg'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// bm25 column weights: a hit in the name counts more than one in the category/description
+const ITEM_WEIGHTS = 'bm25(search_items, 10.0, 2.0)';
+const EPG_WEIGHTS = 'bm25(search_epg, 5.0, 1.0)';
+
+/**
+ * Rebuild the search index for a source from its current content
+ * Programmes that have already ended are left out.
+ */
+function indexSource(sourceId) {
+    const db = getDb();
+    sourceId = parseInt(sourceId);
+
+    const run = db.transaction(() => {
+        removeSource(db, sourceId);
+
+        const items = db.prepare(`
+            INSERT INTO search_items (rowid, name, category, source_id)
+            SELECT p.rowid, p.name, c.name, p.source_id
+            FROM playlist_items p
+            LEFT JOIN categories c ON c.source_id = p.source_id AND c.type = p.type AND c.category_id = p.category_id
+            WHERE p.source_id = ? AND p.type IN ('live', 'movie', 'series')
+        `).run(sourceId).changes;
+
+        const programmes = db.prepare(`
+            INSERT INTO search_epg (rowid, title, description, source_id)
+            SELECT id, title, description, source_id FROM epg_programs
+            WHERE source_id = ? AND end_time > ? AND title IS NOT NULL
+        `).run(sourceId, Date.now()).changes;
+
+        return { items, programmes };
+    });
+
+    return run();
+}
+
+function removeSource(db, sourceId) {
+    db.prepare('DELETE FROM search_items WHERE source_id = ?').run(sourceId);
+    db.prepare('DELETE FROM search_epg WHERE source_id = ?').run(sourceId);
+}
+
+/**
+ * Remove a source from the search index (e.g. when the source is deleted)
+ */
+function deleteForSource(sourceId) {
+    removeSource(getDb(), parseInt(sourceId));
+}
+
+/**
+ * Turn user input into an FTS5 query: every word must match, as a prefix
+ * Words are quoted so FTS5 operators and punctuation in the input are taken literally.
+ * @returns {string|null} null if the input contains no searchable words
+ */
+function toMatchQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+    if (!words) return null;
+    return words.slice(0, 10).map(word => `"${word}"*`).join(' ');
+}
+
+function searchItems(match, types, { userId, access, sourceId, limit }) {
+    const visibility = visibilityService.itemVisibility('p');
+    const maxAge = access.locked ? access.maxAge : null;
+
+    let query = `
+        SELECT p.source_id, s.type AS source_type, p.item_id, p.type, p.name, p.stream_icon,
+            p.category_id, c.name AS category_name, p.container_extension, p.rating, p.year, p.data
+        FROM search_items f
+        JOIN playlist_items p ON p.rowid = f.rowid
+        JOIN sources s ON s.id = p.source_id AND s.enabled = 1
+        LEFT JOIN categories c ON c.source_id = p.source_id AND c.type = p.type AND c.category_id = p.category_id
+        ${visibility.join}
+        WHERE search_items MATCH @match
+        AND p.type IN (SELECT value FROM json_each(@types))
+        AND ${visibility.hidden} = 0
+    `;
+    if (access.locked) {
+        query += ` AND ${parentalService.itemFilterSql('p')}`;
+    }
+    if (sourceId) {
+        query += ' AND p.source_id = @sourceId';
+    }
+    query += ` ORDER BY ${ITEM_WEIGHTS}, p.name LIMIT @fetchLimit`;
+
+    const rows = getDb().prepare(query).all({
+        match,
+        types: JSON.stringify(types),
+        userId,
+        sourceId,
+        // Items rated above the viewer's limit are dropped afterwards, so fetch extra
+        fetchLimit: maxAge !== null ? limit * 3 : limit
+    });
+
+    const results = Object.fromEntries(types.map(type => [type, []]));
+    for (const row of rows) {
+        const data = JSON.parse(row.data || '{}');
+        if (maxAge !== null) {
+            const age = parentalService.getContentAge(data);
+            if (age !== null && age > maxAge) continue;
+        }
+        if (results[row.type].length >= limit) continue;
+
+        results[row.type].push({
+            type: row.type,
+            sourceId: row.source_id,
+            sourceType: row.source_type,
+            itemId: row.item_id,
+            name: row.name,
+            icon: row.stream_icon,
+            categoryId: row.category_id,
+            categoryName: row.category_name,
+            containerExtension: row.container_extension,
+            rating: row.rating,
+            year: row.year,
+            plot: data.plot || null
+        });
+    }
+    return results;
+}
+
+/**
+ * Find playable channels showing guide channels, as resolved by epgMappingService
+ * @param {Array<{ sourceId: number, channelId: string, name: string }>} guideChannels
+ * @returns {Map<string, Array>} sourceId:channelId of the guide channel -> live items
+ */
+function findChannels(guideChannels, userId, access) {
+    const visibility = visibilityService.itemVisibility('p');
+    // Candidates: matched or mapped to one of the guide channels, or with its tvg-id or name
+    const rows = getDb().prepare(`
+        SELECT p.source_id, s.type AS source_type, p.item_id, p.name, p.data,
+            COALESCE(json_extract(p.data, '$.epg_channel_id'), p.item_id) AS epg_id,
+            ${visibility.hidden} AS hidden,
+            ${access.locked ? parentalService.itemFilterSql('p') : '1'} AS allowed
+        FROM playlist_items p
+        JOIN sources s ON s.id = p.source_id AND s.enabled = 1
+        LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+        LEFT JOIN epg_matches em ON em.source_id = p.source_id AND em.item_id = p.item_id
+        ${visibility.join}
+        WHERE p.type = 'live' AND (
+            COALESCE(json_extract(p.data, '$.epg_channel_id'), p.item_id) IN (SELECT value FROM json_each(@ids))
+            OR lower(p.name) IN (SELECT value FROM json_each(@names))
+            OR m.epg_channel_id IN (SELECT value FROM json_each(@ids))
+            OR em.epg_channel_id IN (SELECT value FROM json_each(@ids))
+        )
+    `).all({
+        ids: JSON.stringify([...new Set(guideChannels.map(c => c.channelId))]),
+        names: JSON.stringify([...new Set(guideChannels.map(c => (c.name || '').toLowerCase()).filter(Boolean))]),
+        userId
+    });
+
+    const resolved = epgMappingService.resolve(rows.map(row => ({
+        sourceId: row.source_id,
+        itemId: row.item_id,
+        epgId: row.epg_id,
+        name: row.name
+    })));
+
+    const channels = new Map();
+    for (const row of rows) {
+        const { guide } = resolved.get(`${row.source_id}:${row.item_id}`);
+        if (!guide) continue;
+        const key = `${guide.sourceId}:${guide.channelId}`;
+        if (!channels.has(key)) channels.set(key, []);
+        channels.get(key).push(row);
+    }
+    return channels;
+}
+
+function searchEpg(match, { userId, access, sourceId, limit }) {
+    const db = getDb();
+    let query = `
+        SELECT e.source_id, e.channel_id, e.start_time, e.end_time, e.title, e.description,
+            ec.name AS channel_name
+        FROM search_epg f
+        JOIN epg_programs e ON e.id = f.rowid
+        JOIN sources s ON s.id = e.source_id AND s.enabled = 1
+        LEFT JOIN playlist_items ec ON ec.source_id = e.source_id AND ec.type = 'epg_channel' AND ec.item_id = e.channel_id
+        WHERE search_epg MATCH @match AND e.end_time > @now
+    `;
+    if (sourceId) {
+        query += ' AND e.source_id = @sourceId';
+    }
+    // Programmes on hidden channels are dropped afterwards, so fetch extra
+    query += ` ORDER BY ${EPG_WEIGHTS}, e.start_time LIMIT @fetchLimit`;
+
+    const rows = db.prepare(query).all({ match, now: Date.now(), sourceId, fetchLimit: limit * 3 });
+    if (rows.length === 0) return [];
+
+    const channels = findChannels(rows.map(row => ({
+        sourceId: row.source_id,
+        channelId: row.channel_id,
+        name: row.channel_name
+    })), userId, access);
+    const results = [];
+
+    for (const row of rows) {
+        const candidates = channels.get(`${row.source_id}:${row.channel_id}`) || [];
+        const channel = candidates.find(c => !c.hidden && c.allowed) || null;
+
+        // Leave out programmes whose channels are all hidden/restricted for this user;
+        // while locked, programmes need an allowed channel to be shown at all
+        if (!channel && (candidates.length > 0 || access.locked)) continue;
+        if (results.length >= limit) break;
+
+        results.push({
+            type: 'epg',
+            sourceId: row.source_id,
+            channelId: row.channel_id,
+            channelName: channel ? channel.name : (row.channel_name || row.channel_id),
+            title: row.title,
+            description: row.description,
+            start: row.start_time,
+            end: row.end_time,
+            channel: channel ? {
+                sourceId: channel.source_id,
+                sourceType: channel.source_type,
+                itemId: channel.item_id,
+                name: channel.name
+            } : null
+        });
+    }
+    return results;
+}
+
+/**
+ * Search the index
+ * @param {Object} options
+ * @param {string} options.query - User input; case and accents are ignored
+ * @param {string[]} [options.types] - Any of live, movie, series, epg (default: all)
+ * @param {number} [options.sourceId] - Only search this source
+ * @param {number} [options.limit] - Results per type
+ * @param {number} options.userId - Applies the user's hidden state
+ * @param {Object} options.access - parentalService.getAccess() result
+ * @returns {{ live?: Array, movie?: Array, series?: Array, epg?: Array }} Ranked results per requested type
+ */
+function search({ query, types = SEARCH_TYPES, sourceId = null, limit = DEFAULT_LIMIT, userId, access }) {
+    const options = {
+        userId,
+        access,
+        sourceId: sourceId ? parseInt(sourceId) : null,
+        limit: Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+
+    const itemTypes = ITEM_TYPES.filter(type => types.includes(type));
+    const match = toMatchQuery(query);
+    const results = Object.fromEntries(types.map(type => [type, []]));
+    if (!match) return results;
+
+    if (itemTypes.length > 0) {
+        Object.assign(results, searchItems(match, itemTypes, options));
+    }
+    if (types.includes('epg')) {
+        results.epg = searchEpg(match, options);
+    }
+    return results;
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    indexSource,
+    deleteForSource,
+    search
+};
@@ -0,0 +1,201 @@
+/**
+ * Session Service
+ * Server-side auth sessions backing JWT access tokens and rotating refresh tokens.
+ * Every access token carries its session id ('sid'), so revoking a session
+ * invalidates all tokens issued for it immediately.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../db/sqlite');
+
+// Refresh tokens (and therefore sessions) expire after 30 days without use
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Avoid a DB write on every request - last_seen only needs minute precision
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a refresh token for storage (tokens are never stored in plain text)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Describe the client making the request
+ */
+function getClientInfo(req) {
+    return {
+        userAgent: (req.get('user-agent') || '').substring(0, 255) || null,
+        ip: req.ip || null
+    };
+}
+
+/**
+ * Map a DB row to the API format
+ */
+function formatSession(row, currentSessionId = null) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        userAgent: row.user_agent,
+        ip: row.ip,
+        createdAt: new Date(row.created_at).toISOString(),
+        lastSeen: new Date(row.last_seen).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString(),
+        current: row.id === currentSessionId
+    };
+}
+
+/**
+ * Create a new session for a user
+ * @returns {{ session: Object, refreshToken: string }}
+ */
+function create(userId, req) {
+    const db = getDb();
+    const { userAgent, ip } = getClientInfo(req);
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const refreshToken = generateRefreshToken();
+
+    db.prepare(`
+        INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, created_at, last_seen, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, userId, hashToken(refreshToken), userAgent, ip, now, now, now + SESSION_TTL_MS);
+
+    return { session: getById(id), refreshToken };
+}
+
+function getById(id) {
+    return getDb().prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+}
+
+/**
+ * Get a session if it is neither revoked nor expired
+ */
+function getActive(id) {
+    if (!id) return null;
+    const session = getById(id);
+    if (!session || session.revoked_at || session.expires_at <= Date.now()) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Record activity on a session (throttled)
+ */
+function touch(session, req) {
+    const now = Date.now();
+    if (now - session.last_seen < TOUCH_INTERVAL_MS) return;
+
+    const { ip } = getClientInfo(req);
+    getDb().prepare('UPDATE sessions SET last_seen = ?, ip = ? WHERE id = ?').run(now, ip, session.id);
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * The old refresh token stops working as soon as this returns.
+ * @returns {{ session: Object, refreshToken: string }|null}
+ */
+function rotate(refreshToken, req) {
+    if (!refreshToken) return null;
+
+    const db = getDb();
+    const session = db.prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?').get(hashToken(refreshToken));
+    if (!session || session.revoked_at || session.expires_at <= Date.now()) {
+        return null;
+    }
+
+    const { userAgent, ip } = getClientInfo(req);
+    const now = Date.now();
+    const nextToken = generateRefreshToken();
+
+    db.prepare(`
+        UPDATE sessions
+        SET refresh_token_hash = ?, user_agent = ?, ip = ?, last_seen = ?, expires_at = ?
+        WHERE id = ?
+    `).run(hashToken(nextToken), userAgent, ip, now, now + SESSION_TTL_MS, session.id);
+
+    return { session: getById(session.id), refreshToken: nextToken };
+}
+
+/**
+ * Find the session owning a refresh token (without rotating it)
+ */
+function getByRefreshToken(refreshToken) {
+    if (!refreshToken) return null;
+    return getDb().prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?').get(hashToken(refreshToken)) || null;
+}
+
+/**
+ * List active sessions for a user, most recently used first
+ */
+function listForUser(userId, currentSessionId = null) {
+    const rows = getDb().prepare(`
+        SELECT * FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        ORDER BY last_seen DESC
+    `).all(userId, Date.now());
+    return rows.map(row => formatSession(row, currentSessionId));
+}
+
+/**
+ * Revoke a single session
+ * @returns {boolean} true if an active session was revoked
+ */
+function revoke(id) {
+    const result = getDb().prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(Date.now(), id);
+    return result.changes > 0;
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one (e.g. the caller's own)
+ * @returns {number} Number of sessions revoked
+ */
+function revokeAllForUser(userId, exceptSessionId = null) {
+    const result = getDb().prepare(`
+        UPDATE sessions SET revoked_at = ?
+        WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+    `).run(Date.now(), parseInt(userId), exceptSessionId);
+    return result.changes;
+}
+
+/**
+ * Revoke every session (e.g. after the users were replaced by a restore)
+ * @returns {number} Number of sessions revoked
+ */
+function revokeAll() {
+    return getDb().prepare('UPDATE sessions SET revoked_at = ? WHERE revoked_at IS NULL').run(Date.now()).changes;
+}
+
+/**
+ * Remove expired and long-revoked sessions
+ */
+function purgeExpired() {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    const result = getDb().prepare(`
+        DELETE FROM sessions WHERE expires_at <= ? OR (revoked_at IS NOT NULL AND revoked_at <= ?)
+    `).run(Date.now(), cutoff);
+    return result.changes;
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    create,
+    getById,
+    getActive,
+    getByRefreshToken,
+    touch,
+    rotate,
+    listForUser,
+    revoke,
+    revokeAllForUser,
+    revokeAll,
+    purgeExpired,
+    formatSession
+};
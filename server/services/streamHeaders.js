@@ -0,0 +1,241 @@
+/**
+ * Stream Headers
+ * HTTP headers sent upstream by the stream proxy, image proxy, remux and transcode routes.
+ * Headers are layered, later layers winning:
+ *   1. defaults: a browser User-Agent, and Origin/Referer of the requested URL
+ *   2. built-in rules for hosts that need more (Pluto TV)
+ *   3. the source's headers (User-Agent, Referer, Origin, Cookie, extra headers), set in SourceManager
+ *   4. the playlist entry's headers (M3U #EXTVLCOPT / #KODIPROP, see m3uParser)
+ *
+ * Clients name the source and entry (?sourceId=&itemId=), never the header values. Source and
+ * entry headers may carry cookies or tokens, so they are only sent to the host of the source or
+ * entry, or to URLs the proxy signed itself while rewriting a manifest of that stream.
+ */
+
+const crypto = require('crypto');
+const { sources } = require('../db');
+const { getDb } = require('../db/sqlite');
+const credentials = require('./credentials');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Hosts that check Origin/Referer (matched against the URL)
+const BUILTIN_RULES = [
+    {
+        domains: ['pluto.tv', 'pluto.io', 'plutotv.net', 'siloh.pluto.tv', 'service-stitcher'],
+        headers: { 'Origin': 'https://pluto.tv', 'Referer': 'https://pluto.tv/' }
+    }
+];
+
+// Header names (RFC 7230 token) and values without line breaks, so values cannot add headers
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const HEADER_VALUE = /^[^\r\n]*$/;
+
+// Set by the proxy itself
+const RESERVED_HEADERS = ['host', 'range', 'content-length', 'connection', 'transfer-encoding'];
+
+/**
+ * Check the headers of a source from the API
+ * @param {Object|null} config - { userAgent, referer, origin, cookie, extra: { name: value } }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateConfig(config) {
+    if (config === null || config === undefined) return null;
+    if (typeof config !== 'object' || Array.isArray(config)) return 'httpHeaders must be an object';
+
+    for (const field of ['userAgent', 'referer', 'origin', 'cookie']) {
+        const value = config[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string' || !HEADER_VALUE.test(value)) return `Invalid ${field} header value`;
+    }
+    for (const field of ['referer', 'origin']) {
+        if (!config[field]) continue;
+        try {
+            new URL(config[field]);
+        } catch (err) {
+            return `${field} must be a URL`;
+        }
+    }
+
+    if (config.extra !== undefined && config.extra !== null) {
+        if (typeof config.extra !== 'object' || Array.isArray(config.extra)) return 'extra headers must be an object';
+        for (const [name, value] of Object.entries(config.extra)) {
+            if (!HEADER_NAME.test(name)) return `Invalid header name: ${name}`;
+            if (RESERVED_HEADERS.includes(name.toLowerCase())) return `${name} cannot be set`;
+            if (typeof value !== 'string' || !HEADER_VALUE.test(value)) return `Invalid value for header ${name}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stored form of valid source headers: empty fields dropped, null if nothing is set
+ */
+function normalizeConfig(config) {
+    if (!config) return null;
+
+    const result = {};
+    for (const field of ['userAgent', 'referer', 'origin', 'cookie']) {
+        const value = typeof config[field] === 'string' ? config[field].trim() : '';
+        if (value) result[field] = value;
+    }
+    const extra = {};
+    for (const [name, value] of Object.entries(config.extra || {})) {
+        if (value.trim()) extra[name] = value.trim();
+    }
+    if (Object.keys(extra).length > 0) result.extra = extra;
+
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Source headers for API responses: the cookie and extra header values are masked, only
+ * their names are returned
+ */
+function maskConfig(config) {
+    if (!config) return null;
+    const result = { ...config };
+    if (config.cookie) result.cookie = credentials.mask(config.cookie);
+    if (config.extra) {
+        result.extra = Object.fromEntries(Object.keys(config.extra).map(name => [name, credentials.MASK]));
+    }
+    return result;
+}
+
+/**
+ * Normalized headers from the edit form with masked values sent back replaced by the stored ones
+ */
+function unmaskConfig(config, existing) {
+    if (!config) return config;
+    const result = { ...config };
+    if (result.cookie === credentials.MASK) {
+        if (existing?.cookie) result.cookie = existing.cookie;
+        else delete result.cookie;
+    }
+    if (result.extra) {
+        for (const [name, value] of Object.entries(result.extra)) {
+            if (value !== credentials.MASK) continue;
+            if (existing?.extra?.[name] !== undefined) result.extra[name] = existing.extra[name];
+            else delete result.extra[name];
+        }
+        if (Object.keys(result.extra).length === 0) delete result.extra;
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Source headers as HTTP headers
+ */
+function toHeaders(config) {
+    if (!config) return {};
+    const headers = {};
+    if (config.userAgent) headers['User-Agent'] = config.userAgent;
+    if (config.referer) headers['Referer'] = config.referer;
+    if (config.origin) headers['Origin'] = config.origin;
+    if (config.cookie) headers['Cookie'] = config.cookie;
+    return { ...headers, ...config.extra };
+}
+
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Signature that lets a proxied URL carry the headers of a source/entry (see getParams)
+ */
+function sign(url, sourceId, itemId) {
+    return credentials.sign(`${sourceId}:${itemId || ''}:${url}`);
+}
+
+function isSigned(url, sourceId, itemId, sig) {
+    if (typeof sig !== 'string') return false;
+    const expected = Buffer.from(sign(url, sourceId, itemId));
+    const actual = Buffer.from(sig);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Headers to fetch a URL with
+ * @param {string} url - Upstream URL
+ * @param {Object} [options]
+ * @param {number|string} [options.sourceId] - Source the URL belongs to
+ * @param {string} [options.itemId] - Playlist entry (stream_id) the URL belongs to
+ * @param {string} [options.sig] - Signature from a rewritten manifest URL
+ * @param {string} [options.accept] - Accept header
+ * @returns {Promise<Object>} Header name -> value
+ */
+async function resolve(url, options = {}) {
+    const origin = getOrigin(url);
+    let headers = {
+        'User-Agent': DEFAULT_USER_AGENT,
+        'Accept': options.accept || '*/*',
+        'Accept-Language': 'en-US,en;q=0.9'
+    };
+    if (origin) {
+        headers['Origin'] = origin;
+        headers['Referer'] = origin + '/';
+    }
+
+    for (const rule of BUILTIN_RULES) {
+        if (rule.domains.some(domain => url.includes(domain))) {
+            headers = { ...headers, ...rule.headers };
+        }
+    }
+
+    const sourceId = parseInt(options.sourceId);
+    if (!sourceId) return headers;
+    const source = await sources.getById(sourceId);
+    if (!source) return headers;
+
+    const itemId = options.itemId ? String(options.itemId) : null;
+    const row = itemId ? getDb().prepare('SELECT data FROM playlist_items WHERE id = ?').get(`${source.id}:${itemId}`) : null;
+    const item = row ? JSON.parse(row.data || '{}') : null;
+
+    const trusted = isSigned(url, source.id, itemId, options.sig) ||
+        (origin && (origin === getOrigin(source.url) || (item && origin === getOrigin(item.stream_url))));
+    if (!trusted) return headers;
+
+    return { ...headers, ...toHeaders(source.httpHeaders), ...(item && item.http_headers) };
+}
+
+/**
+ * Query params for a URL found in a manifest, so its request gets the same headers
+ * @returns {string} '&sourceId=...&itemId=...&sig=...', or '' without a source
+ */
+function getParams(url, sourceId, itemId) {
+    if (!parseInt(sourceId)) return '';
+    let params = `&sourceId=${encodeURIComponent(sourceId)}`;
+    if (itemId) params += `&itemId=${encodeURIComponent(itemId)}`;
+    return `${params}&sig=${sign(url, sourceId, itemId || null)}`;
+}
+
+/**
+ * FFmpeg input options for headers (placed before -i)
+ */
+function toFfmpegArgs(headers) {
+    const args = [];
+    const lines = [];
+    for (const [name, value] of Object.entries(headers)) {
+        if (name === 'User-Agent') {
+            args.push('-user_agent', value);
+        } else {
+            lines.push(`${name}: ${value}\r\n`);
+        }
+    }
+    if (lines.length > 0) args.push('-headers', lines.join(''));
+    return args;
+}
+
+module.exports = {
+    validateConfig,
+    normalizeConfig,
+    maskConfig,
+    unmaskConfig,
+    resolve,
+    getParams,
+    toFfmpegArgs
+};
@@ -0,0 +1,156 @@
+/**
+ * Sync History Service
+ * Keeps a row per sync run (sync_status only holds the latest state of each source),
+ * so admins can see when a provider started failing and how much each run changed.
+ *
+ * Counts:
+ *   added   - categories/items the run saved that were not stored before
+ *   changed - stored categories/items whose provider data changed
+ *   removed - categories/items the provider no longer lists (see SyncService.removeStaleContent)
+ */
+
+const { getDb } = require('../db/sqlite');
+const { redact } = require('./credentials');
+
+// Older runs of a source are pruned when a run finishes
+const MAX_RUNS_PER_SOURCE = 200;
+
+const MAX_PAGE_SIZE = 200;
+
+function toRun(row) {
+    return {
+        id: row.id,
+        sourceId: row.source_id,
+        sourceName: row.source_name,
+        trigger: row.trigger,
+        scopes: JSON.parse(row.scopes),
+        status: row.status,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.duration_ms,
+        phases: row.phases ? JSON.parse(row.phases) : {},
+        added: row.added,
+        changed: row.changed,
+        removed: row.removed,
+        error: row.error,
+        errorPhase: row.error_phase
+    };
+}
+
+const SELECT_RUNS = `
+    SELECT r.*, s.name AS source_name FROM sync_runs r
+    JOIN sources s ON s.id = r.source_id
+`;
+
+/**
+ * Record the start of a sync run
+ * @returns {number} Run id
+ */
+function start(sourceId, { scopes, trigger, startedAt = Date.now() }) {
+    const result = getDb().prepare(`
+        INSERT INTO sync_runs (source_id, trigger, scopes, status, started_at)
+        VALUES (?, ?, ?, 'running', ?)
+    `).run(sourceId, trigger, JSON.stringify(scopes), startedAt);
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * Record the outcome of a sync run and prune old runs of its source
+ */
+function finish(runId, { status, phases, added, changed, removed, error = null, errorPhase = null }) {
+    const db = getDb();
+    const run = db.prepare('SELECT source_id, started_at FROM sync_runs WHERE id = ?').get(runId);
+    if (!run) return;
+
+    const finishedAt = Date.now();
+    db.prepare(`
+        UPDATE sync_runs SET status = ?, finished_at = ?, duration_ms = ?, phases = ?,
+            added = ?, changed = ?, removed = ?, error = ?, error_phase = ?
+        WHERE id = ?
+    `).run(status, finishedAt, finishedAt - run.started_at, JSON.stringify(phases),
+        added, changed, removed, redact(error), errorPhase, runId);
+
+    db.prepare(`
+        DELETE FROM sync_runs WHERE source_id = ? AND id NOT IN (
+            SELECT id FROM sync_runs WHERE source_id = ? ORDER BY started_at DESC LIMIT ?
+        )
+    `).run(run.source_id, run.source_id, MAX_RUNS_PER_SOURCE);
+}
+
+/**
+ * Close runs left open by a server stop in the middle of a sync
+ * When the server stopped is unknown, so they end when they started.
+ * @returns {number} Runs closed
+ */
+function closeInterrupted() {
+    return getDb().prepare(`
+        UPDATE sync_runs SET status = 'error', error = 'Interrupted: the server stopped during the sync',
+            finished_at = started_at, duration_ms = 0
+        WHERE status = 'running'
+    `).run().changes;
+}
+
+/**
+ * Runs, newest first
+ * @returns {{ runs: Object[], total: number }}
+ */
+function list({ sourceId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const db = getDb();
+    const conditions = [];
+    const params = {
+        sourceId,
+        status,
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(offset) || 0, 0)
+    };
+    if (sourceId) conditions.push('r.source_id = @sourceId');
+    if (status) conditions.push('r.status = @status');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const runs = db.prepare(`${SELECT_RUNS} ${where} ORDER BY r.started_at DESC, r.id DESC LIMIT @limit OFFSET @offset`).all(params);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sync_runs r ${where}`).get(params);
+    return { runs: runs.map(toRun), total };
+}
+
+function get(runId) {
+    const row = getDb().prepare(`${SELECT_RUNS} WHERE r.id = ?`).get(runId);
+    return row ? toRun(row) : null;
+}
+
+/**
+ * Compare two runs: counts, duration and per-phase items/time (b minus a)
+ * @returns {Object|null} null if either run does not exist
+ */
+function compare(runIdA, runIdB) {
+    const a = get(runIdA);
+    const b = get(runIdB);
+    if (!a || !b) return null;
+
+    const delta = (x, y) => (x === null || y === null || x === undefined || y === undefined ? null : y - x);
+    const phaseNames = [...new Set([...Object.keys(a.phases), ...Object.keys(b.phases)])];
+
+    return {
+        a,
+        b,
+        diff: {
+            durationMs: delta(a.durationMs, b.durationMs),
+            added: delta(a.added, b.added),
+            changed: delta(a.changed, b.changed),
+            removed: delta(a.removed, b.removed),
+            phases: Object.fromEntries(phaseNames.map(phase => {
+                const phaseA = a.phases[phase] || {};
+                const phaseB = b.phases[phase] || {};
+                return [phase, { items: delta(phaseA.items, phaseB.items), ms: delta(phaseA.ms, phaseB.ms) }];
+            }))
+        }
+    };
+}
+
+module.exports = {
+    start,
+    finish,
+    closeInterrupted,
+    list,
+    get,
+    compare
+};
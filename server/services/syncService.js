@@ -1,67 +1,207 @@
+const EventEmitter = require('events');
 const { getDb } = require('../db/sqlite');
 const { sources, settings } = require('../db'); // For source config and settings
 const xtreamApi = require('./xtreamApi');
 const m3uParser = require('./m3uParser');
+const m3uClassifier = require('./m3uClassifier');
 const epgParser = require('./epgParser');
+const visibilityService = require('./visibilityService');
+const searchService = require('./searchService');
+const epgMappingService = require('./epgMappingService');
+const scheduleService = require('./scheduleService');
+const syncHistoryService = require('./syncHistoryService');
+const downloadService = require('./downloadService');
+const accountService = require('./accountService');
+const { redact } = require('./credentials');
+
+// Sync jobs: sourceId -> { sourceId, scopes, trigger, status: 'queued'|'running', controller, cancelled, promise, resolve, followUp }
+// A source has at most one job; queue holds the sourceIds of queued jobs in order.
+// followUp ({ scopes, trigger, promise, resolve }) is a sync requested while the job was running
+const jobs = new Map();
+const queue = [];
+
+// Running syncs: sourceId -> { generation, categories: Set<type>, items: Set<type>, historyId, phases, counts }
+// generation stamps every row saved by the run; the sets record which content types
+// were actually received, so only those are checked for removed content.
+// phases and counts ({ added, changed, removed }) go to the sync_runs history
+const syncRuns = new Map();
+
+// How often the sync timer looks for due schedules
+const SCHEDULE_CHECK_MS = 60 * 1000;
+
+// Item counts within a phase are reported at most this often
+const PROGRESS_THROTTLE_MS = 250;
+
+// Used when the syncConcurrency / syncTimeoutMinutes settings are missing or invalid
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_TIMEOUT_MINUTES = 60;
+
+/**
+ * Scopes of two sync requests for the same source (null = everything)
+ */
+function mergeScopes(a, b) {
+    return a && b ? [...new Set([...a, ...b])] : null;
+}
 
-// Sync tracking
-const activeSyncs = new Set(); // sourceId
-
-class SyncService {
+/**
+ * Emits while sources sync (see GET /api/sources/events):
+ *   'progress' - { sourceId, sourceName, status, phase, processed, total, startedAt, elapsed, error }
+ *   'log'      - { sourceId, time, level, message }
+ */
+class SyncService extends EventEmitter {
     constructor() {
+        super();
         this.lastSyncTime = null; // Track when global sync last completed
         this._syncTimer = null;   // Server-side sync timer
-        this._currentInterval = null;
+        this._runningDue = false; // A check for due schedules is in progress
+        this.progress = new Map(); // sourceId -> latest progress of its current or last sync
+
+        // Every open event stream adds listeners
+        this.setMaxListeners(0);
     }
 
     /**
-     * Get when the last global sync completed
+     * Latest progress of every source synced since startup
      */
-    getLastSyncTime() {
-        return this.lastSyncTime;
+    getProgress() {
+        return [...this.progress.values()].map(progress => this.snapshot(progress));
+    }
+
+    snapshot(progress) {
+        const { lastEmit, ...state } = progress;
+        const end = progress.finishedAt || Date.now();
+        return { ...state, elapsed: end - progress.startedAt };
+    }
+
+    emitProgress(progress) {
+        progress.lastEmit = Date.now();
+        this.emit('progress', this.snapshot(progress));
     }
 
     /**
-     * Start the server-side sync timer based on settings
-     * Should be called once on server startup after initial sync
+     * Start a new phase of a sync (e.g. live_streams, epg)
+     * @param {number|null} total - Items expected in this phase, if known
      */
-    async startSyncTimer() {
-        // Get interval from settings
-        const currentSettings = await settings.get();
-        const intervalHours = parseInt(currentSettings.epgRefreshInterval) || 24;
+    setPhase(sourceId, phase, total = null) {
+        const progress = this.progress.get(sourceId);
+        if (!progress || progress.status !== 'syncing') return;
+
+        this.recordPhase(sourceId);
+        progress.phase = phase;
+        progress.processed = 0;
+        progress.total = total;
+        this.emitProgress(progress);
+    }
+
+    /**
+     * Add the items and time of the current phase to the run's history
+     */
+    recordPhase(sourceId) {
+        const progress = this.progress.get(sourceId);
+        const run = syncRuns.get(sourceId);
+        const now = Date.now();
+        if (!progress || !run) return;
+
+        if (progress.phase !== 'starting') {
+            const phase = run.phases[progress.phase] || { items: 0, ms: 0 };
+            phase.items += progress.processed;
+            phase.ms += now - progress.phaseStartedAt;
+            run.phases[progress.phase] = phase;
+        }
+        progress.phaseStartedAt = now;
+    }
 
-        // If interval is 0, don't start timer (manual only mode)
-        if (intervalHours <= 0) {
-            console.log('[Sync] Auto-sync disabled (manual only mode)');
-            this.stopSyncTimer();
-            this._currentInterval = 0;
-            return;
+    /**
+     * Count a category/item saved by a run as added or changed
+     * @param {Object|undefined} existing - Stored row ({ data }) before the save
+     */
+    countSaved(run, existing, data) {
+        if (!run) return;
+        if (!existing) {
+            run.counts.added++;
+        } else if (existing.data !== data) {
+            run.counts.changed++;
         }
+    }
 
-        const intervalMs = intervalHours * 60 * 60 * 1000;
+    /**
+     * Report items processed in the current phase
+     */
+    reportProgress(sourceId, processed, total = undefined) {
+        const progress = this.progress.get(sourceId);
+        if (!progress || progress.status !== 'syncing') return;
+
+        progress.processed = processed;
+        if (total !== undefined) progress.total = total;
 
-        // Don't restart if interval hasn't changed and timer exists
-        if (this._currentInterval === intervalHours && this._syncTimer) {
-            console.log(`[Sync] Timer already running for ${intervalHours} hours, not restarting`);
-            return;
+        const done = progress.total !== null && processed >= progress.total;
+        if (done || Date.now() - progress.lastEmit >= PROGRESS_THROTTLE_MS) {
+            this.emitProgress(progress);
         }
+    }
 
-        // Clear existing timer
+    /**
+     * Log a sync message to the console and to event stream listeners
+     */
+    log(sourceId, message, level = 'info') {
+        const text = redact(message);
+        const line = `[Sync] ${text}`;
+        if (level === 'error') {
+            console.error(line);
+        } else if (level === 'warn') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+        this.emit('log', { sourceId, time: Date.now(), level, message: text });
+    }
+
+    /**
+     * Get when the last global sync completed
+     */
+    getLastSyncTime() {
+        return this.lastSyncTime;
+    }
+
+    /**
+     * Start the server-side sync timer
+     * Runs schedules that came due while the server was down, then checks every minute.
+     * Should be called once on server startup
+     */
+    async startSyncTimer() {
         this.stopSyncTimer();
 
-        const nextSyncTime = new Date(Date.now() + intervalMs);
-        console.log(`[Sync] Starting server-side sync timer: every ${intervalHours} hours`);
-        console.log(`[Sync] Next scheduled sync at: ${nextSyncTime.toLocaleString()}`);
+        // Schedules that follow the global interval pick up its current value
+        const defaultHours = await scheduleService.refreshDefaults();
+        if (defaultHours > 0) {
+            console.log(`[Sync] Starting sync timer; sources without their own schedule sync every ${defaultHours} hours`);
+        } else {
+            console.log('[Sync] Starting sync timer; sources without their own schedule sync manually only');
+        }
+
+        this._syncTimer = setInterval(() => this.runDueSyncs().catch(console.error), SCHEDULE_CHECK_MS);
+        this.runDueSyncs().catch(console.error);
+    }
+
+    /**
+     * Queue syncs for the scopes whose schedule is due
+     */
+    async runDueSyncs() {
+        if (this._runningDue) return;
+        this._runningDue = true;
 
-        this._syncTimer = setInterval(async () => {
-            console.log('[Sync] Scheduled sync triggered');
-            await this.syncAll();
-            // Log next sync time
-            const next = new Date(Date.now() + intervalMs);
-            console.log(`[Sync] Next scheduled sync at: ${next.toLocaleString()}`);
-        }, intervalMs);
+        try {
+            const due = await scheduleService.getDue();
+            for (const { sourceId, scopes } of due) {
+                // Picked up by the next check once the current job is done
+                if (jobs.has(sourceId)) continue;
 
-        this._currentInterval = intervalHours;
+                console.log(`[Sync] Scheduled sync for source ${sourceId}: ${scopes.join(', ')}`);
+                this.syncSource(sourceId, scopes, 'schedule').catch(console.error);
+            }
+        } finally {
+            this._runningDue = false;
+        }
     }
 
     /**
@@ -76,25 +216,22 @@ class SyncService {
 
     /**
      * Restart the sync timer with updated settings
-     * Called when sync interval setting changes
+     * Called when the global interval changes or sources/schedules are replaced
      */
     async restartSyncTimer() {
         await this.startSyncTimer();
     }
 
     /**
-     * Sync all enabled sources
+     * Sync all enabled sources (as many at once as syncConcurrency allows)
      */
     async syncAll() {
         console.log('[Sync] Starting global sync...');
         try {
             const allSources = await sources.getAll();
-            for (const source of allSources) {
-                if (source.enabled) {
-                    // Run sequentially to not overload
-                    await this.syncSource(source.id);
-                }
-            }
+            await Promise.all(allSources
+                .filter(source => source.enabled)
+                .map(source => this.syncSource(source.id)));
             this.lastSyncTime = new Date();
             console.log('[Sync] Global sync completed at', this.lastSyncTime.toISOString());
         } catch (err) {
@@ -103,52 +240,360 @@ class SyncService {
     }
 
     /**
-     * Start sync for a source
+     * Queue a sync for a source
+     * A source that is already queued gets the extra scopes added to its job. One that is
+     * running syncs again once the job ends, so changed settings and other scopes are not lost;
+     * requests made meanwhile are merged into that one follow-up sync.
+     * @param {string[]} [scopes] - Content to sync (live, vod, epg); all that apply to the source by default
+     * @param {string} [trigger] - 'manual', 'schedule' or 'file' (a watched file changed), recorded in the sync history
+     * @returns {Promise<void>} Resolves when the job has finished, failed or been cancelled
      */
-    async syncSource(sourceId) {
-        if (activeSyncs.has(sourceId)) {
-            console.log(`[Sync] Source ${sourceId} is already syncing`);
-            return;
+    syncSource(sourceId, scopes = null, trigger = 'manual') {
+        sourceId = parseInt(sourceId);
+        const existing = jobs.get(sourceId);
+        if (existing) {
+            if (existing.status === 'queued') {
+                existing.scopes = mergeScopes(existing.scopes, scopes);
+                return existing.promise;
+            }
+
+            if (existing.followUp) {
+                existing.followUp.scopes = mergeScopes(existing.followUp.scopes, scopes);
+            } else {
+                existing.followUp = { scopes, trigger };
+                existing.followUp.promise = new Promise(resolve => { existing.followUp.resolve = resolve; });
+                console.log(`[Sync] Source ${sourceId} is already syncing, syncing again once it finishes`);
+            }
+            return existing.followUp.promise;
+        }
+
+        const job = {
+            sourceId,
+            scopes,
+            trigger,
+            status: 'queued',
+            controller: new AbortController(),
+            cancelled: false
+        };
+        job.promise = new Promise(resolve => { job.resolve = resolve; });
+        jobs.set(sourceId, job);
+        queue.push(sourceId);
+
+        const previous = this.progress.get(sourceId);
+        this.progress.set(sourceId, {
+            sourceId,
+            sourceName: previous ? previous.sourceName : null,
+            status: 'queued',
+            phase: 'queued',
+            processed: 0,
+            total: null,
+            startedAt: Date.now(),
+            phaseStartedAt: Date.now(),
+            finishedAt: null,
+            error: null,
+            lastEmit: 0
+        });
+        this.emitProgress(this.progress.get(sourceId));
+
+        this.pump().catch(console.error);
+        return job.promise;
+    }
+
+    /**
+     * Concurrency and per-job timeout from the server-wide settings
+     */
+    async getJobSettings() {
+        const current = await settings.get();
+        const concurrency = parseInt(current.syncConcurrency);
+        const timeoutMinutes = parseInt(current.syncTimeoutMinutes);
+        return {
+            concurrency: concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY,
+            // 0 = no timeout
+            timeoutMinutes: timeoutMinutes >= 0 ? timeoutMinutes : DEFAULT_TIMEOUT_MINUTES
+        };
+    }
+
+    /**
+     * Start queued jobs while fewer than syncConcurrency are running
+     */
+    async pump() {
+        const { concurrency, timeoutMinutes } = await this.getJobSettings();
+        const running = () => [...jobs.values()].filter(job => job.status === 'running').length;
+
+        while (queue.length > 0 && running() < concurrency) {
+            this.runJob(jobs.get(queue.shift()), timeoutMinutes);
+        }
+    }
+
+    runJob(job, timeoutMinutes) {
+        job.status = 'running';
+        const timer = timeoutMinutes > 0
+            ? setTimeout(() => job.controller.abort(new Error(`Sync timed out after ${timeoutMinutes} minutes`)), timeoutMinutes * 60 * 1000)
+            : null;
+
+        this.runSync(job)
+            .catch(err => console.error(`[Sync] Sync job for source ${job.sourceId} failed:`, err))
+            .finally(() => {
+                clearTimeout(timer);
+                jobs.delete(job.sourceId);
+                if (job.trigger === 'schedule') {
+                    this.lastSyncTime = new Date();
+                }
+                job.resolve();
+
+                if (job.followUp) {
+                    const { scopes, trigger, resolve } = job.followUp;
+                    this.syncSource(job.sourceId, scopes, trigger).then(resolve);
+                }
+                this.pump().catch(console.error);
+            });
+    }
+
+    /**
+     * Cancel the queued or running sync of a source
+     * A running sync stops its downloads and keeps what earlier phases saved; partly
+     * downloaded EPG is discarded and stale content is not removed.
+     * @returns {string|null} 'queued' or 'running' (what was cancelled), or null if the source was not syncing
+     */
+    cancel(sourceId) {
+        sourceId = parseInt(sourceId);
+        const job = jobs.get(sourceId);
+        if (!job) return null;
+
+        job.cancelled = true;
+        if (job.status === 'queued') {
+            queue.splice(queue.indexOf(sourceId), 1);
+            jobs.delete(sourceId);
+            this.finishProgress(sourceId, 'cancelled');
+            this.log(sourceId, `Queued sync for source ${sourceId} cancelled`);
+            job.resolve();
+            return 'queued';
         }
 
-        activeSyncs.add(sourceId);
+        // Cancelling also drops the sync requested while this one was running
+        if (job.followUp) {
+            job.followUp.resolve();
+            job.followUp = null;
+        }
+        job.controller.abort(new Error('Sync cancelled'));
+        return 'running';
+    }
+
+    /**
+     * Resolves once a source has no queued or running sync
+     */
+    async waitForIdle(sourceId) {
+        const job = jobs.get(parseInt(sourceId));
+        if (job) await job.promise;
+    }
+
+    /**
+     * Stop the current phase if the source's sync was cancelled or timed out
+     */
+    throwIfAborted(sourceId) {
+        const job = jobs.get(sourceId);
+        if (job) job.controller.signal.throwIfAborted();
+    }
+
+    /**
+     * Run a sync job
+     */
+    async runSync(job) {
+        const { sourceId, scopes, trigger } = job;
+        const signal = job.controller.signal;
+        let source = null;
+        let runScopes = [];
+        let status = 'success';
+        let failure = null;
 
         try {
             const db = getDb();
-            const source = await sources.getById(sourceId);
+            source = await sources.getById(sourceId);
 
             if (!source) {
                 throw new Error(`Source ${sourceId} not found`);
             }
 
-            console.log(`[Sync] Starting sync for source ${source.name} (ID: ${sourceId})`);
-
             if (!source.enabled) {
                 console.log(`[Sync] Skipping disabled source ${source.name}`);
-                activeSyncs.delete(sourceId);
+                this.finishProgress(sourceId, 'cancelled', 'Source is disabled');
                 return;
             }
 
+            this.progress.set(sourceId, {
+                sourceId,
+                sourceName: source.name,
+                status: 'syncing',
+                phase: 'starting',
+                processed: 0,
+                total: null,
+                startedAt: Date.now(),
+                phaseStartedAt: Date.now(),
+                finishedAt: null,
+                error: null,
+                lastEmit: 0
+            });
+            this.emitProgress(this.progress.get(sourceId));
+            this.log(sourceId, `Starting sync for source ${source.name} (ID: ${sourceId})`);
+
             // Update status
             this.updateSyncStatus(sourceId, 'all', 'syncing');
+            runScopes = scopes || scheduleService.getScopes(source.type);
+            syncRuns.set(sourceId, {
+                generation: Date.now(),
+                categories: new Set(),
+                items: new Set(),
+                historyId: syncHistoryService.start(sourceId, { scopes: runScopes, trigger }),
+                phases: {},
+                counts: { added: 0, changed: 0, removed: 0 },
+                downloads: []
+            });
 
             if (source.type === 'xtream') {
-                await this.syncXtream(source);
+                await this.syncXtream(source, runScopes, signal);
             } else if (source.type === 'm3u') {
-                await this.syncM3u(source);
+                await this.syncM3u(source, signal);
             } else if (source.type === 'epg') {
-                await this.syncEpg(source);
+                await this.syncEpg(source, signal);
             }
 
+            // Last point to stop: once stale content is removed the run completes
+            signal.throwIfAborted();
+            this.setPhase(sourceId, 'cleanup');
+            this.removeStaleContent(sourceId);
             this.updateSyncStatus(sourceId, 'all', 'success');
-            console.log(`[Sync] Completed sync for source ${source.name}`);
+
+            const restored = visibilityService.applyPendingHidden(sourceId);
+            if (restored > 0) {
+                this.log(sourceId, `Applied ${restored} restored hidden flags for source ${source.name}`);
+            }
+
+            this.setPhase(sourceId, 'indexing');
+            const indexed = searchService.indexSource(sourceId);
+            this.log(sourceId, `Indexed ${indexed.items} items and ${indexed.programmes} programmes for search`);
+
+            // A playlist's channels changed; a guide's channels may match any playlist's
+            if (runScopes.includes('live') || runScopes.includes('epg')) {
+                this.setPhase(sourceId, 'matching');
+                const matched = epgMappingService.matchChannels(source.type === 'm3u' ? { sourceId } : {});
+                this.log(sourceId, `Matched ${matched.matched} of ${matched.channels} channels to guide channels (${matched.review} to review)`);
+            }
+
+            this.log(sourceId, `Completed sync for source ${source.name}`);
+            this.finishProgress(sourceId, 'success');
 
         } catch (err) {
-            console.error(`[Sync] Failed sync for source ${sourceId}:`, err);
-            this.updateSyncStatus(sourceId, 'all', 'error', err.message);
+            // Aborted fetches fail with a generic AbortError; the abort reason says why
+            failure = signal.aborted ? signal.reason : err;
+            status = job.cancelled ? 'cancelled' : 'error';
+
+            if (job.cancelled) {
+                this.log(sourceId, `Sync cancelled for source ${source ? source.name : sourceId}`, 'warn');
+            } else {
+                console.error(`[Sync] Failed sync for source ${sourceId}:`, failure);
+                this.emit('log', { sourceId, time: Date.now(), level: 'error', message: redact(`Sync failed: ${failure.message}`) });
+            }
+            this.updateSyncStatus(sourceId, 'all', status, failure.message);
+            this.finishProgress(sourceId, status, failure.message);
         } finally {
-            activeSyncs.delete(sourceId);
+            this.recordHistory(sourceId, status, failure);
+
+            // Downloaded files become the last import only when the whole run succeeded
+            const run = syncRuns.get(sourceId);
+            if (run) {
+                run.downloads.forEach(file => status === 'success' ? downloadService.commit(file) : downloadService.discard(file));
+            }
+            syncRuns.delete(sourceId);
+
+            // Failed runs count too, so a broken provider is retried on schedule rather than every minute
+            if (runScopes.length > 0) {
+                await scheduleService.markRun(source, runScopes).catch(err => console.error('[Sync] Failed to update schedule:', err));
+            }
+        }
+    }
+
+    /**
+     * Record the outcome of a sync for event stream listeners
+     */
+    finishProgress(sourceId, status, error = null) {
+        const progress = this.progress.get(sourceId);
+        if (!progress) return;
+
+        this.recordPhase(sourceId);
+        progress.status = status;
+        progress.error = redact(error);
+        progress.finishedAt = Date.now();
+        this.emitProgress(progress);
+    }
+
+    /**
+     * Save a finished run to the sync history
+     * @param {string} status - 'success', 'error' or 'cancelled'
+     * @param {Error|null} failure - Error that ended the run, if it did not succeed
+     */
+    recordHistory(sourceId, status, failure) {
+        const run = syncRuns.get(sourceId);
+        if (!run) return;
+
+        const progress = this.progress.get(sourceId);
+        try {
+            syncHistoryService.finish(run.historyId, {
+                status,
+                phases: run.phases,
+                ...run.counts,
+                error: failure ? failure.message : null,
+                errorPhase: failure && progress ? progress.phase : null
+            });
+        } catch (err) {
+            console.error('[Sync] Failed to record sync history:', err);
+        }
+    }
+
+    /**
+     * Remove categories/items the provider no longer lists, after a successful sync
+     * Only content types received in this run are checked: a type that failed to load or came back
+     * empty keeps its content. Favorites, per-user hidden state and parental restrictions are keyed
+     * by provider ids and stay in place; default hidden flags move to pending_hidden. Either way an
+     * item that comes back later gets its state back.
+     */
+    removeStaleContent(sourceId) {
+        const run = syncRuns.get(sourceId);
+        if (!run) return;
+
+        const db = getDb();
+        const keepHiddenCategories = db.prepare(`
+            INSERT OR IGNORE INTO pending_hidden (source_id, kind, type, ref_id)
+            SELECT source_id, 'category', type, category_id FROM categories
+            WHERE source_id = ? AND type = ? AND sync_generation IS NOT ? AND is_hidden = 1
+        `);
+        const deleteCategories = db.prepare('DELETE FROM categories WHERE source_id = ? AND type = ? AND sync_generation IS NOT ?');
+        const keepHiddenItems = db.prepare(`
+            INSERT OR IGNORE INTO pending_hidden (source_id, kind, type, ref_id)
+            SELECT source_id, 'item', type, item_id FROM playlist_items
+            WHERE source_id = ? AND type = ? AND sync_generation IS NOT ? AND is_hidden = 1
+        `);
+        const deleteItems = db.prepare('DELETE FROM playlist_items WHERE source_id = ? AND type = ? AND sync_generation IS NOT ?');
+
+        const removeStale = db.transaction(() => {
+            let categories = 0;
+            let items = 0;
+            for (const type of run.categories) {
+                keepHiddenCategories.run(sourceId, type, run.generation);
+                categories += deleteCategories.run(sourceId, type, run.generation).changes;
+            }
+            for (const type of run.items) {
+                keepHiddenItems.run(sourceId, type, run.generation);
+                items += deleteItems.run(sourceId, type, run.generation).changes;
+            }
+            return { categories, items };
+        });
+
+        const removed = removeStale();
+        run.counts.removed += removed.categories + removed.items;
+        if (removed.categories > 0 || removed.items > 0) {
+            this.log(sourceId, `Removed ${removed.categories} stale categories and ${removed.items} stale items for source ${sourceId}`);
         }
+        return removed;
     }
 
     /**
@@ -164,54 +609,84 @@ class SyncService {
                 status = excluded.status,
                 error = excluded.error
         `);
-        stmt.run(sourceId, type, Date.now(), status, error);
+        // Errors are shown to every user - upstream messages may quote URLs with credentials
+        stmt.run(sourceId, type, Date.now(), status, redact(error));
     }
 
     /**
      * Xtream Sync Logic
+     * @param {string[]} scopes - live, vod and/or epg
+     * @param {AbortSignal} [signal] - Aborts the downloads when the sync is cancelled or times out
      */
-    async syncXtream(source) {
-        const api = xtreamApi.createFromSource(source);
+    async syncXtream(source, scopes, signal) {
+        const api = xtreamApi.createFromSource(source, { signal });
         const db = getDb();
 
-        // 1. Live Categories
-        console.log(`[Sync] Fetching Live Categories for ${source.name}`);
-        const liveCats = await api.getLiveCategories();
-        await this.saveCategories(source.id, 'live', liveCats);
-
-        // 2. Live Streams
-        console.log(`[Sync] Fetching Live Streams for ${source.name}`);
-        const liveStreams = await api.getLiveStreams();
-        await this.saveStreams(source.id, 'live', liveStreams);
-
-        // 3. VOD Categories
-        console.log(`[Sync] Fetching VOD Categories for ${source.name}`);
-        const vodCats = await api.getVodCategories();
-        await this.saveCategories(source.id, 'movie', vodCats);
-
-        // 4. VOD Streams
-        console.log(`[Sync] Fetching VOD Streams for ${source.name}`);
-        const vodStreams = await api.getVodStreams();
-        await this.saveStreams(source.id, 'movie', vodStreams);
-
-        // 5. Series Categories
-        console.log(`[Sync] Fetching Series Categories for ${source.name}`);
-        const seriesCats = await api.getSeriesCategories();
-        await this.saveCategories(source.id, 'series', seriesCats);
-
-        // 6. Series
-        console.log(`[Sync] Fetching Series for ${source.name}`);
-        const series = await api.getSeries();
-        await this.saveStreams(source.id, 'series', series);
-
-        // 7. EPG (Xmltv)
-        // Try to fetch XMLTV if available
-        console.log(`[Sync] Fetching EPG for ${source.name}`);
+        // Account status (expiry, connections) for the source list and alerts
         try {
-            const xmltvUrl = api.getXmltvUrl();
-            await this.syncEpgFromUrl(source.id, xmltvUrl);
+            const info = await api.authenticate();
+            accountService.save(source.id, info.user_info);
+            const warningDays = await accountService.getWarningDays();
+            for (const problem of accountService.checkAccount(accountService.get(source.id), warningDays)) {
+                this.log(source.id, `${source.name}: ${problem.message}`, 'warn');
+            }
         } catch (e) {
-            console.warn('[Sync] XMLTV fetch failed, skipping EPG sync for now:', e.message);
+            if (signal && signal.aborted) throw e;
+            this.log(source.id, `Could not read account status for ${source.name}: ${e.message}`, 'warn');
+        }
+
+        if (scopes.includes('live')) {
+            // 1. Live Categories
+            this.setPhase(source.id, 'live_categories');
+            this.log(source.id, `Fetching Live Categories for ${source.name}`);
+            const liveCats = await api.getLiveCategories();
+            await this.saveCategories(source.id, 'live', liveCats);
+
+            // 2. Live Streams
+            this.setPhase(source.id, 'live_streams');
+            this.log(source.id, `Fetching Live Streams for ${source.name}`);
+            const liveStreams = await api.getLiveStreams();
+            await this.saveStreams(source.id, 'live', liveStreams);
+        }
+
+        if (scopes.includes('vod')) {
+            // 3. VOD Categories
+            this.setPhase(source.id, 'vod_categories');
+            this.log(source.id, `Fetching VOD Categories for ${source.name}`);
+            const vodCats = await api.getVodCategories();
+            await this.saveCategories(source.id, 'movie', vodCats);
+
+            // 4. VOD Streams
+            this.setPhase(source.id, 'vod_streams');
+            this.log(source.id, `Fetching VOD Streams for ${source.name}`);
+            const vodStreams = await api.getVodStreams();
+            await this.saveStreams(source.id, 'movie', vodStreams);
+
+            // 5. Series Categories
+            this.setPhase(source.id, 'series_categories');
+            this.log(source.id, `Fetching Series Categories for ${source.name}`);
+            const seriesCats = await api.getSeriesCategories();
+            await this.saveCategories(source.id, 'series', seriesCats);
+
+            // 6. Series
+            this.setPhase(source.id, 'series');
+            this.log(source.id, `Fetching Series for ${source.name}`);
+            const series = await api.getSeries();
+            await this.saveStreams(source.id, 'series', series);
+        }
+
+        if (scopes.includes('epg')) {
+            // 7. EPG (Xmltv)
+            // Try to fetch XMLTV if available
+            this.log(source.id, `Fetching EPG for ${source.name}`);
+            try {
+                const xmltvUrl = api.getXmltvUrl();
+                await this.syncEpgFromUrl(source.id, xmltvUrl, signal);
+            } catch (e) {
+                // A cancelled or timed out sync stops here rather than completing without EPG
+                if (signal && signal.aborted) throw e;
+                this.log(source.id, `XMLTV fetch failed, skipping EPG sync for now: ${e.message}`, 'warn');
+            }
         }
     }
 
@@ -220,62 +695,79 @@ class SyncService {
      */
     async saveCategories(sourceId, type, categories) {
         if (!categories || categories.length === 0) return;
-        console.log(`[Sync] Saving ${categories.length} ${type} categories for source ${sourceId}...`);
+        this.log(sourceId, `Saving ${categories.length} ${type} categories for source ${sourceId}...`);
         const db = getDb();
         const stmt = db.prepare(`
-            INSERT INTO categories (id, source_id, category_id, type, name, parent_id, data)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO categories (id, source_id, category_id, type, name, parent_id, data, sync_generation)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(id) DO UPDATE SET
                 name = excluded.name,
-                data = excluded.data
+                data = excluded.data,
+                sync_generation = excluded.sync_generation
         `);
+        const selectExisting = db.prepare('SELECT data FROM categories WHERE id = ?');
+        const run = syncRuns.get(sourceId);
+        const generation = run ? run.generation : null;
+        if (run) run.categories.add(type);
 
         const insertBatch = db.transaction((batch) => {
             for (const cat of batch) {
                 const catId = cat.category_id; // standard xtream field
                 const name = cat.category_name;
                 const id = `${sourceId}:${catId}`;
-                stmt.run(id, sourceId, String(catId), type, name, cat.parent_id || null, JSON.stringify(cat));
+                const data = JSON.stringify(cat);
+                this.countSaved(run, selectExisting.get(id), data);
+                stmt.run(id, sourceId, String(catId), type, name, cat.parent_id || null, data, generation);
             }
         });
 
         // Reduced batch size for better event loop interleaving
         const BATCH_SIZE = 100;
         for (let i = 0; i < categories.length; i += BATCH_SIZE) {
+            this.throwIfAborted(sourceId);
             insertBatch(categories.slice(i, i + BATCH_SIZE));
+            this.reportProgress(sourceId, Math.min(i + BATCH_SIZE, categories.length), categories.length);
             // Yield to event loop between batches to allow other requests
             await new Promise(resolve => setImmediate(resolve));
         }
 
-        console.log(`[Sync] Saved ${categories.length} ${type} categories`);
+        this.log(sourceId, `Saved ${categories.length} ${type} categories`);
     }
 
     /**
-     * Batch save streams (channels, vod, series)
+     * Batch save streams (channels, vod, series, and episodes of M3U series)
+     * @param {boolean} [partial] - items are one batch of a streamed playlist; the caller reports progress
      */
-    async saveStreams(sourceId, type, items) {
+    async saveStreams(sourceId, type, items, partial = false) {
         if (!items || items.length === 0) return;
         const db = getDb();
         const stmt = db.prepare(`
             INSERT INTO playlist_items (
-                id, source_id, item_id, type, name, category_id, 
+                id, source_id, item_id, type, name, category_id, parent_id,
                 stream_icon, stream_url, container_extension, 
-                rating, year, added_at, data
+                rating, year, added_at, data, sync_generation
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(id) DO UPDATE SET
+                type = excluded.type,
                 name = excluded.name,
                 category_id = excluded.category_id,
+                parent_id = excluded.parent_id,
                 stream_icon = excluded.stream_icon,
                 container_extension = excluded.container_extension,
-                data = excluded.data
+                data = excluded.data,
+                sync_generation = excluded.sync_generation
         `);
+        const selectExisting = db.prepare('SELECT data FROM playlist_items WHERE id = ?');
+        const run = syncRuns.get(sourceId);
+        const generation = run ? run.generation : null;
+        if (run) run.items.add(type);
 
         const insertBatch = db.transaction((batch) => {
             for (const item of batch) {
                 // Map fields based on type
                 let itemId, name, catId, icon, container;
-                let rating = null, year = null, added = null;
+                let parentId = null, rating = null, year = null, added = null;
 
                 if (type === 'live') {
                     itemId = item.stream_id;
@@ -299,9 +791,18 @@ class SyncService {
                     rating = item.rating;
                     year = item.releaseDate;
                     added = item.last_modified;
+                } else if (type === 'episode') {
+                    itemId = item.stream_id;
+                    name = item.name;
+                    catId = item.category_id; // the series' category
+                    parentId = item.series_id;
+                    icon = item.stream_icon;
+                    container = item.container_extension;
                 }
 
                 const id = `${sourceId}:${itemId}`;
+                const data = JSON.stringify(item);
+                this.countSaved(run, selectExisting.get(id), data);
 
                 stmt.run(
                     id,
@@ -310,13 +811,15 @@ class SyncService {
                     type,
                     name,
                     String(catId),
+                    parentId,
                     icon,
                     null, // Direct URL not stored for Xtream usually, built on fly
                     container,
                     rating,
                     year,
                     added,
-                    JSON.stringify(item)
+                    data,
+                    generation
                 );
             }
         });
@@ -324,21 +827,57 @@ class SyncService {
         // Reduced batch size for better event loop interleaving
         const BATCH_SIZE = 100;
         for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            this.throwIfAborted(sourceId);
             insertBatch(items.slice(i, i + BATCH_SIZE));
+            if (!partial) {
+                this.reportProgress(sourceId, Math.min(i + BATCH_SIZE, items.length), items.length);
+            }
             // Yield to event loop between batches to allow other requests
             await new Promise(resolve => setImmediate(resolve));
         }
 
-        console.log(`[Sync] Saved ${items.length} ${type} items`);
+        if (partial) {
+            console.log(`[Sync] Saved ${items.length} ${type} items`);
+        } else {
+            this.log(sourceId, `Saved ${items.length} ${type} items`);
+        }
     }
 
 
+    /**
+     * Download a playlist or guide for the current run
+     * @param {string} kind - 'm3u' or 'epg'
+     * @returns {Promise<Object|null>} The downloaded file, or null if it is unchanged since the last import
+     */
+    async downloadFile(sourceId, kind, url, signal) {
+        this.setPhase(sourceId, 'download');
+        const file = await downloadService.download(sourceId, kind, url, { signal });
+        const label = kind === 'm3u' ? 'Playlist' : 'EPG';
+
+        if (file.status === 'not_modified') {
+            this.log(sourceId, `${label} not modified since the last sync, skipping`);
+            return null;
+        }
+        if (file.status === 'unchanged') {
+            this.log(sourceId, `${label} content unchanged since the last sync, skipping`);
+            return null;
+        }
+
+        const size = (file.size / 1024 / 1024).toFixed(1);
+        this.log(sourceId, `Downloaded ${label} (${size} MB${file.resumed ? ', resumed' : ''})`);
+        return file;
+    }
+
     /**
      * Sync EPG from URL (Streaming - Memory Efficient)
      * Processes EPG files in batches to avoid OOM on large EPG data
+     * Skipped when the guide is unchanged since the last successful sync
      */
-    async syncEpgFromUrl(sourceId, url) {
-        console.log(`[Sync] Fetching EPG from: ${url.substring(0, 60)}...`);
+    async syncEpgFromUrl(sourceId, url, signal = null) {
+        this.log(sourceId, `Fetching EPG from: ${url.substring(0, 60)}...`);
+        const file = await this.downloadFile(sourceId, 'epg', url, signal);
+        if (!file) return;
+        this.setPhase(sourceId, 'epg');
 
         // Temporary memory logging for verification
         const logMemory = () => {
@@ -353,11 +892,13 @@ class SyncService {
         let totalProgrammes = 0;
         let batchCount = 0;
 
-        // Clear old programmes first
-        db.prepare('DELETE FROM epg_programs WHERE source_id = ?').run(sourceId);
+        // New programmes are staged and replace the old ones only once the whole guide is read,
+        // so a failed, cancelled or timed out download keeps the previous guide
+        const clearStaging = db.prepare('DELETE FROM epg_programs_staging WHERE source_id = ?');
+        clearStaging.run(sourceId);
 
         const programmeStmt = db.prepare(`
-            INSERT INTO epg_programs (channel_id, source_id, start_time, end_time, title, description, data)
+            INSERT INTO epg_programs_staging (channel_id, source_id, start_time, end_time, title, description, data)
             VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
 
@@ -375,32 +916,51 @@ class SyncService {
             }
         });
 
-        // Stream and process in batches (default 1000 programmes per batch)
-        for await (const batch of epgParser.fetchAndParseStreaming(url)) {
-            batchCount++;
+        try {
+            // Stream and process in batches (default 1000 programmes per batch)
+            for await (const batch of epgParser.parseFileStreaming(file.path, 1000)) {
+                this.throwIfAborted(sourceId);
+                batchCount++;
+
+                // Collect channels from first batch
+                if (batch.channels) {
+                    allChannels = batch.channels;
+                }
 
-            // Collect channels from first batch
-            if (batch.channels) {
-                allChannels = batch.channels;
-            }
+                // Stage this batch of programmes immediately
+                if (batch.programmes.length > 0) {
+                    insertProgrammes(batch.programmes);
+                    totalProgrammes += batch.programmes.length;
+                    this.reportProgress(sourceId, totalProgrammes);
+                }
 
-            // Save this batch of programmes immediately
-            if (batch.programmes.length > 0) {
-                insertProgrammes(batch.programmes);
-                totalProgrammes += batch.programmes.length;
-            }
+                // Log progress every 10 batches
+                if (batchCount % 10 === 0) {
+                    this.log(sourceId, `Processed ${totalProgrammes} programmes so far...`);
+                    logMemory();
+                }
 
-            // Log progress every 10 batches
-            if (batchCount % 10 === 0) {
-                console.log(`[Sync] Processed ${totalProgrammes} programmes so far...`);
-                logMemory();
+                // Yield to event loop
+                await new Promise(resolve => setImmediate(resolve));
             }
-
-            // Yield to event loop
-            await new Promise(resolve => setImmediate(resolve));
+            this.throwIfAborted(sourceId);
+        } catch (err) {
+            clearStaging.run(sourceId);
+            downloadService.discard(file);
+            throw err;
         }
 
-        console.log(`[Sync] EPG Parsed: ${allChannels.length} channels, ${totalProgrammes} programmes`);
+        db.transaction(() => {
+            db.prepare('DELETE FROM epg_programs WHERE source_id = ?').run(sourceId);
+            db.prepare(`
+                INSERT INTO epg_programs (channel_id, source_id, start_time, end_time, title, description, data)
+                SELECT channel_id, source_id, start_time, end_time, title, description, data
+                FROM epg_programs_staging WHERE source_id = ? ORDER BY id
+            `).run(sourceId);
+            clearStaging.run(sourceId);
+        })();
+
+        this.log(sourceId, `EPG Parsed: ${allChannels.length} channels, ${totalProgrammes} programmes`);
         logMemory();
 
         // Save EPG Channels
@@ -408,18 +968,25 @@ class SyncService {
             const channelStmt = db.prepare(`
                 INSERT INTO playlist_items (
                     id, source_id, item_id, type, name, stream_icon, 
-                    stream_url, category_id, data
+                    stream_url, category_id, data, sync_generation
                 )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 ON CONFLICT(id) DO UPDATE SET
                     name = excluded.name,
                     stream_icon = excluded.stream_icon,
-                    data = excluded.data
+                    data = excluded.data,
+                    sync_generation = excluded.sync_generation
             `);
+            const selectExisting = db.prepare('SELECT data FROM playlist_items WHERE id = ?');
+            const run = syncRuns.get(sourceId);
+            const generation = run ? run.generation : null;
+            if (run) run.items.add('epg_channel');
 
             const insertChannels = db.transaction((chanList) => {
                 for (const ch of chanList) {
                     const id = `${sourceId}:${ch.id}`;
+                    const data = JSON.stringify(ch);
+                    this.countSaved(run, selectExisting.get(id), data);
                     channelStmt.run(
                         id,
                         sourceId,
@@ -429,24 +996,33 @@ class SyncService {
                         ch.icon || null,
                         null,
                         null,
-                        JSON.stringify(ch)
+                        data,
+                        generation
                     );
                 }
             });
 
             insertChannels(allChannels);
-            console.log(`[Sync] Saved ${allChannels.length} EPG channels`);
+            this.log(sourceId, `Saved ${allChannels.length} EPG channels`);
         }
 
-        console.log(`[Sync] Saved ${totalProgrammes} programmes`);
+        this.log(sourceId, `Saved ${totalProgrammes} programmes`);
+
+        const run = syncRuns.get(sourceId);
+        if (run) run.downloads.push(file);
     }
 
     /**
      * M3U Sync Logic (Streaming - Memory Efficient)
      * Processes M3U files in batches to avoid OOM on large playlists
+     * Skipped when the playlist is unchanged since the last successful sync
      */
-    async syncM3u(source) {
-        console.log(`[Sync] Fetching M3U playlist for ${source.name}`);
+    async syncM3u(source, signal = null) {
+        this.log(source.id, `Fetching M3U playlist for ${source.name}`);
+        const file = await this.downloadFile(source.id, 'm3u', source.url, signal);
+        if (!file) return;
+        syncRuns.get(source.id).downloads.push(file);
+        this.setPhase(source.id, 'm3u');
 
         // Temporary memory logging for verification
         const logMemory = () => {
@@ -456,59 +1032,220 @@ class SyncService {
 
         logMemory();
 
-        const allGroups = new Set();
+        // Entries are sorted into channels, movies and series episodes (see m3uClassifier)
+        const classify = m3uClassifier.createClassifier(source.contentRules);
+        const groups = { live: new Set(), movie: new Set(), series: new Set() };
+        // series_id -> series row, saved once all its episodes are known
+        const seriesById = new Map();
+        let guideUrls = [];
         let totalChannels = 0;
+        let totalEntries = 0;
+        let totalMovies = 0;
+        let totalEpisodes = 0;
         let batchCount = 0;
 
         // Stream and process in batches (default 500 channels per batch)
-        for await (const batch of m3uParser.fetchAndParseStreaming(source.url)) {
+        for await (const batch of m3uParser.parseFileStreaming(file.path, 500)) {
+            this.throwIfAborted(source.id);
             batchCount++;
+            guideUrls = batch.guideUrls;
+
+            const liveChannels = [];
+            const movies = [];
+            const episodes = [];
+            for (const ch of batch.channels) {
+                const kind = classify(ch);
+                if (kind.type === 'movie') {
+                    movies.push(this.toM3uMovie(ch, kind));
+                    groups.movie.add(ch.groupTitle);
+                } else if (kind.type === 'episode') {
+                    episodes.push(this.toM3uEpisode(ch, kind, seriesById));
+                    groups.series.add(ch.groupTitle);
+                } else {
+                    liveChannels.push(ch);
+                    groups.live.add(ch.groupTitle);
+                }
+            }
 
             // Map M3U channel format to our schema
-            const playlistItems = batch.channels.map(ch => ({
+            const playlistItems = liveChannels.map(ch => ({
                 stream_id: ch.id,
                 name: ch.name,
                 category_id: ch.groupTitle || 'Uncategorized',
                 stream_icon: ch.tvgLogo,
                 stream_url: ch.url,
+                // Second name for EPG matching
+                tvg_name: ch.tvgName,
+                tvg_chno: ch.tvgChno,
+                tvg_shift: ch.tvgShift,
+                tvg_country: ch.tvgCountry,
+                tvg_language: ch.tvgLanguage,
+                catchup: ch.catchup,
+                catchup_source: ch.catchupSource,
+                catchup_days: ch.catchupDays,
+                radio: ch.radio,
+                // Headers the stream needs (#EXTVLCOPT / #KODIPROP), applied by the stream proxy
+                http_headers: ch.httpHeaders,
+                vlc_options: ch.vlcOptions,
+                kodi_props: ch.kodiProps
             }));
 
             // Save this batch immediately
-            if (playlistItems.length > 0) {
-                await this.saveStreams(source.id, 'live', playlistItems);
-                totalChannels += playlistItems.length;
-            }
-
-            // Collect groups for category creation at the end
-            batch.groups.forEach(g => allGroups.add(g));
+            await this.saveStreams(source.id, 'live', playlistItems, true);
+            await this.saveStreams(source.id, 'movie', movies, true);
+            await this.saveStreams(source.id, 'episode', episodes, true);
+            totalChannels += playlistItems.length;
+            totalMovies += movies.length;
+            totalEpisodes += episodes.length;
+            totalEntries += batch.channels.length;
+            this.reportProgress(source.id, totalEntries);
 
             // Log progress every 10 batches
             if (batchCount % 10 === 0) {
-                console.log(`[Sync] Processed ${totalChannels} channels so far...`);
+                this.log(source.id, `Processed ${totalEntries} entries so far...`);
                 logMemory();
             }
         }
 
-        console.log(`[Sync] M3U Parsed: ${totalChannels} channels, ${allGroups.size} groups`);
+        this.log(source.id, `M3U Parsed: ${totalChannels} channels, ${totalMovies} movies, ` +
+            `${totalEpisodes} episodes in ${seriesById.size} series, ${groups.live.size} groups`);
         logMemory();
 
+        if (seriesById.size > 0) {
+            this.setPhase(source.id, 'series');
+            const series = Array.from(seriesById.values()).map(({ last_episode, ...row }) => row);
+            await this.saveStreams(source.id, 'series', series);
+        }
+
         // Save Categories (Groups) at the end
-        const categories = Array.from(allGroups).map(name => ({
-            category_id: name,
+        const toCategories = (type) => Array.from(groups[type]).map(name => ({
+            category_id: m3uClassifier.getCategoryId(type, name),
             category_name: name,
             parent_id: null
         }));
 
-        await this.saveCategories(source.id, 'live', categories);
-        console.log(`[Sync] M3U sync complete for ${source.name}`);
+        this.setPhase(source.id, 'live_categories');
+        await this.saveCategories(source.id, 'live', toCategories('live'));
+        if (groups.movie.size > 0) {
+            this.setPhase(source.id, 'vod_categories');
+            await this.saveCategories(source.id, 'movie', toCategories('movie'));
+        }
+        if (groups.series.size > 0) {
+            this.setPhase(source.id, 'series_categories');
+            await this.saveCategories(source.id, 'series', toCategories('series'));
+        }
+
+        // Every type comes from this one file: a type it no longer has (e.g. after the content
+        // rules changed) is stale, unlike a type an Xtream provider failed to list
+        const run = syncRuns.get(source.id);
+        if (run && totalEntries > 0) {
+            ['live', 'movie', 'series', 'episode'].forEach(type => run.items.add(type));
+            ['live', 'movie', 'series'].forEach(type => run.categories.add(type));
+        }
+
+        await this.attachGuides(source, guideUrls);
+        this.log(source.id, `M3U sync complete for ${source.name}`);
+    }
+
+    /**
+     * Add the guides an M3U playlist declares (#EXTM3U url-tvg) as EPG sources, unless the source
+     * opted out. Each URL is added once: a guide the user deleted is not added again, and one that
+     * already is an EPG source is left alone. A URL that cannot be added is skipped with a
+     * warning and tried again on the next sync; the playlist's content is saved either way.
+     */
+    async attachGuides(source, guideUrls) {
+        if (!source.autoEpg) return;
+        const added = new Set(source.guideUrls);
+        const newUrls = guideUrls.filter(url => !added.has(url));
+        if (newUrls.length === 0) return;
+
+        const epgUrls = new Set((await sources.getAll()).filter(s => s.type === 'epg').map(s => s.url));
+        for (const url of newUrls) {
+            if (epgUrls.has(url)) {
+                this.log(source.id, `Playlist guide ${redact(url)} is already an EPG source`);
+                added.add(url);
+                continue;
+            }
+            try {
+                const { host, pathname } = new URL(url);
+                const guide = await sources.create({ type: 'epg', name: `${source.name} EPG (${host}${pathname})`, url });
+                added.add(url);
+                this.log(source.id, `Added EPG source ${guide.name} from the playlist's url-tvg: ${redact(url)}`);
+                this.syncSource(guide.id).catch(console.error);
+            } catch (err) {
+                this.log(source.id, `Could not add playlist guide ${redact(url)}: ${err.message}`, 'warn');
+            }
+        }
+
+        if (added.size > source.guideUrls.length) {
+            await sources.update(source.id, { guideUrls: [...added] });
+        }
+    }
+
+    /**
+     * Movie row of an M3U entry
+     */
+    toM3uMovie(ch, kind) {
+        return {
+            stream_id: m3uClassifier.getItemId('movie', ch.id),
+            name: ch.name,
+            category_id: m3uClassifier.getCategoryId('movie', ch.groupTitle),
+            stream_icon: ch.tvgLogo,
+            stream_url: ch.url,
+            container_extension: m3uClassifier.getContainer(ch.url),
+            year: kind.year,
+            tvg_id: ch.tvgId,
+            http_headers: ch.httpHeaders,
+            vlc_options: ch.vlcOptions,
+            kodi_props: ch.kodiProps
+        };
+    }
+
+    /**
+     * Episode row of an M3U entry; adds its series to seriesById, or counts the episode in it
+     */
+    toM3uEpisode(ch, kind, seriesById) {
+        const seriesId = m3uClassifier.getSeriesId(kind.seriesName);
+        let series = seriesById.get(seriesId);
+        if (!series) {
+            series = {
+                series_id: seriesId,
+                name: kind.seriesName,
+                cover: ch.tvgLogo,
+                category_id: m3uClassifier.getCategoryId('series', ch.groupTitle),
+                episode_count: 0,
+                // Entries without an episode number are numbered in playlist order, per season
+                last_episode: {}
+            };
+            seriesById.set(seriesId, series);
+        }
+        series.episode_count++;
+        const episode = kind.episode || (series.last_episode[kind.season] || 0) + 1;
+        series.last_episode[kind.season] = Math.max(series.last_episode[kind.season] || 0, episode);
+
+        return {
+            stream_id: m3uClassifier.getItemId('episode', ch.id),
+            series_id: seriesId,
+            category_id: series.category_id,
+            name: ch.name,
+            title: kind.title,
+            season: kind.season,
+            episode_num: episode,
+            stream_icon: ch.tvgLogo,
+            stream_url: ch.url,
+            container_extension: m3uClassifier.getContainer(ch.url),
+            http_headers: ch.httpHeaders,
+            vlc_options: ch.vlcOptions,
+            kodi_props: ch.kodiProps
+        };
     }
 
     /**
      * EPG Source Sync Logic
      */
-    async syncEpg(source) {
-        console.log(`[Sync] Fetching standalone EPG for ${source.name}`);
-        await this.syncEpgFromUrl(source.id, source.url);
+    async syncEpg(source, signal = null) {
+        this.log(source.id, `Fetching standalone EPG for ${source.name}`);
+        await this.syncEpgFromUrl(source.id, source.url, signal);
     }
 }
 
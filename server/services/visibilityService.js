@@ -0,0 +1,205 @@
+/**
+ * Visibility Service
+ * Per-user hidden categories/items layered over the admin defaults.
+ *
+ * The is_hidden columns in categories/playlist_items are the defaults every user starts with.
+ * A row in user_visibility overrides them for one user. An item's effective state is its own
+ * override, else its category's override, else its default - so hiding or showing a category
+ * cascades to its items just like the default bulk operations do.
+ */
+
+const { getDb } = require('../db/sqlite');
+
+/**
+ * SQL fragments resolving category visibility for @userId
+ * @param {string} alias - Alias of the categories table in the query
+ */
+function categoryVisibility(alias = 'c') {
+    return {
+        join: `LEFT JOIN user_visibility uvc ON uvc.user_id = @userId AND uvc.source_id = ${alias}.source_id
+            AND uvc.kind = 'category' AND uvc.type = ${alias}.type AND uvc.ref_id = ${alias}.category_id`,
+        hidden: `COALESCE(uvc.is_hidden, ${alias}.is_hidden)`
+    };
+}
+
+/**
+ * SQL fragments resolving item visibility for @userId
+ * @param {string} alias - Alias of the playlist_items table in the query
+ */
+function itemVisibility(alias = 'p') {
+    return {
+        join: `LEFT JOIN user_visibility uvi ON uvi.user_id = @userId AND uvi.source_id = ${alias}.source_id
+            AND uvi.kind = 'item' AND uvi.type = ${alias}.type AND uvi.ref_id = ${alias}.item_id
+        LEFT JOIN user_visibility uvc ON uvc.user_id = @userId AND uvc.source_id = ${alias}.source_id
+            AND uvc.kind = 'category' AND uvc.type = ${alias}.type AND uvc.ref_id = ${alias}.category_id`,
+        hidden: `COALESCE(uvi.is_hidden, uvc.is_hidden, ${alias}.is_hidden)`
+    };
+}
+
+/**
+ * Get everything hidden for a user
+ * @returns {{ categories: Array<{source_id, category_id, type}>, items: Array<{source_id, item_id, type}> }}
+ */
+function getHidden(userId, sourceId = null) {
+    const db = getDb();
+    const cat = categoryVisibility('c');
+    const item = itemVisibility('p');
+    const params = { userId, sourceId: sourceId ? parseInt(sourceId) : null };
+
+    const categories = db.prepare(`
+        SELECT c.source_id, c.category_id, c.type FROM categories c
+        ${cat.join}
+        WHERE ${cat.hidden} = 1 ${sourceId ? 'AND c.source_id = @sourceId' : ''}
+    `).all(params);
+
+    const items = db.prepare(`
+        SELECT p.source_id, p.item_id, p.type FROM playlist_items p
+        ${item.join}
+        WHERE p.type IN ('live', 'movie', 'series') AND ${item.hidden} = 1 ${sourceId ? 'AND p.source_id = @sourceId' : ''}
+    `).all(params);
+
+    return { categories, items };
+}
+
+/**
+ * Check whether a single category or item is hidden for a user
+ * @param {string} kind - 'category' or 'item'
+ */
+function isHidden(userId, kind, sourceId, type, refId) {
+    const db = getDb();
+    const params = { userId, sourceId: parseInt(sourceId), type, refId: String(refId) };
+
+    const row = kind === 'category'
+        ? db.prepare(`
+            SELECT ${categoryVisibility('c').hidden} AS hidden FROM categories c
+            ${categoryVisibility('c').join}
+            WHERE c.source_id = @sourceId AND c.type = @type AND c.category_id = @refId
+        `).get(params)
+        : db.prepare(`
+            SELECT ${itemVisibility('p').hidden} AS hidden FROM playlist_items p
+            ${itemVisibility('p').join}
+            WHERE p.source_id = @sourceId AND p.type = @type AND p.item_id = @refId
+        `).get(params);
+
+    return !!(row && row.hidden);
+}
+
+/**
+ * Hide or show categories/items for a single user
+ * @param {Array<{sourceId, kind, type, refId}>} entries
+ */
+function setHidden(userId, entries, hidden) {
+    const db = getDb();
+
+    const upsert = db.prepare(`
+        INSERT INTO user_visibility (user_id, source_id, kind, type, ref_id, is_hidden)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (user_id, source_id, kind, type, ref_id) DO UPDATE SET is_hidden = excluded.is_hidden
+    `);
+
+    // A category change replaces the user's overrides of its items (cascade)
+    const clearChildren = db.prepare(`
+        DELETE FROM user_visibility
+        WHERE user_id = ? AND source_id = ? AND kind = 'item' AND type = ?
+        AND ref_id IN (SELECT item_id FROM playlist_items WHERE source_id = ? AND type = ? AND category_id = ?)
+    `);
+
+    const run = db.transaction((list) => {
+        for (const entry of list) {
+            const sourceId = parseInt(entry.sourceId);
+            const refId = String(entry.refId);
+            upsert.run(userId, sourceId, entry.kind, entry.type, refId, hidden ? 1 : 0);
+            if (entry.kind === 'category') {
+                clearChildren.run(userId, sourceId, entry.type, sourceId, entry.type, refId);
+            }
+        }
+    });
+
+    run(entries);
+}
+
+/**
+ * Hide or show every category and item of a type in a source for a single user
+ * @returns {{ categories: number, items: number }}
+ */
+function setAllHidden(userId, sourceId, type, hidden) {
+    const db = getDb();
+    const params = { userId, sourceId: parseInt(sourceId), type, hidden: hidden ? 1 : 0 };
+
+    const run = db.transaction(() => {
+        const catResult = db.prepare(`
+            INSERT INTO user_visibility (user_id, source_id, kind, type, ref_id, is_hidden)
+            SELECT @userId, source_id, 'category', type, category_id, @hidden
+            FROM categories WHERE source_id = @sourceId AND type = @type
+            ON CONFLICT (user_id, source_id, kind, type, ref_id) DO UPDATE SET is_hidden = excluded.is_hidden
+        `).run(params);
+
+        const itemResult = db.prepare(`
+            INSERT INTO user_visibility (user_id, source_id, kind, type, ref_id, is_hidden)
+            SELECT @userId, source_id, 'item', type, item_id, @hidden
+            FROM playlist_items WHERE source_id = @sourceId AND type = @type
+            ON CONFLICT (user_id, source_id, kind, type, ref_id) DO UPDATE SET is_hidden = excluded.is_hidden
+        `).run(params);
+
+        return { categories: catResult.changes, items: itemResult.changes };
+    });
+
+    return run();
+}
+
+/**
+ * Remove all overrides of a user (e.g. when the user is deleted)
+ */
+function deleteForUser(userId) {
+    return getDb().prepare('DELETE FROM user_visibility WHERE user_id = ?').run(parseInt(userId)).changes;
+}
+
+/**
+ * Remove all overrides for a source (e.g. when the source is deleted)
+ */
+function deleteForSource(sourceId) {
+    const db = getDb();
+    db.prepare('DELETE FROM pending_hidden WHERE source_id = ?').run(parseInt(sourceId));
+    return db.prepare('DELETE FROM user_visibility WHERE source_id = ?').run(parseInt(sourceId)).changes;
+}
+
+/**
+ * Apply default hidden flags restored from a backup once the source's content exists
+ * @returns {number} Number of flags applied
+ */
+function applyPendingHidden(sourceId) {
+    const db = getDb();
+    const pending = db.prepare('SELECT kind, type, ref_id FROM pending_hidden WHERE source_id = ?').all(parseInt(sourceId));
+    if (pending.length === 0) return 0;
+
+    const hideCategory = db.prepare('UPDATE categories SET is_hidden = 1 WHERE source_id = ? AND type = ? AND category_id = ?');
+    const hideItem = db.prepare('UPDATE playlist_items SET is_hidden = 1 WHERE source_id = ? AND type = ? AND item_id = ?');
+    const remove = db.prepare('DELETE FROM pending_hidden WHERE source_id = ? AND kind = ? AND type = ? AND ref_id = ?');
+
+    const run = db.transaction(() => {
+        let applied = 0;
+        for (const entry of pending) {
+            const stmt = entry.kind === 'category' ? hideCategory : hideItem;
+            // Entries whose content did not show up stay pending for the next sync
+            if (stmt.run(parseInt(sourceId), entry.type, entry.ref_id).changes > 0) {
+                remove.run(parseInt(sourceId), entry.kind, entry.type, entry.ref_id);
+                applied++;
+            }
+        }
+        return applied;
+    });
+
+    return run();
+}
+
+module.exports = {
+    categoryVisibility,
+    itemVisibility,
+    getHidden,
+    isHidden,
+    setHidden,
+    setAllHidden,
+    deleteForUser,
+    deleteForSource,
+    applyPendingHidden
+};
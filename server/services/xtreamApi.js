@@ -3,12 +3,20 @@
  * Handles authentication and API calls to Xtream servers
  */
 
+const credentials = require('./credentials');
+const providerHealth = require('./providerHealth');
+
 class XtreamApi {
-    constructor(baseUrl, username, password) {
+    /**
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts every request made by this client
+     */
+    constructor(baseUrl, username, password, options = {}) {
         // Clean up base URL
         this.baseUrl = baseUrl.replace(/\/+$/, '');
         this.username = username;
         this.password = password;
+        this.signal = options.signal || null;
     }
 
     /**
@@ -31,14 +39,11 @@ class XtreamApi {
 
     /**
      * Make API request
+     * Rate limited, retried and subject to the provider's circuit breaker (see providerHealth)
      */
     async request(action, params = {}) {
         const url = this.buildApiUrl(action, params);
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Xtream API error: ${response.status} ${response.statusText}`);
-        }
-        return response.json();
+        return providerHealth.request(url, { signal: this.signal, label: 'Xtream API' }, response => response.json());
     }
 
     /**
@@ -129,6 +134,7 @@ class XtreamApi {
         const typeMap = {
             live: 'live',
             vod: 'movie',
+            movie: 'movie',
             series: 'series'
         };
         const streamType = typeMap[type] || 'live';
@@ -143,11 +149,26 @@ class XtreamApi {
     }
 }
 
+/**
+ * Copy of an authenticate() response with the account credentials masked
+ */
+function maskCredentials(data) {
+    if (!data || !data.user_info) return data;
+    return {
+        ...data,
+        user_info: {
+            ...data.user_info,
+            username: credentials.mask(data.user_info.username),
+            password: credentials.mask(data.user_info.password)
+        }
+    };
+}
+
 /**
  * Factory function to create API instance from source
  */
-function createFromSource(source) {
-    return new XtreamApi(source.url, source.username, source.password);
+function createFromSource(source, options = {}) {
+    return new XtreamApi(source.url, source.username, source.password, options);
 }
 
 /**
@@ -158,4 +179,4 @@ async function authenticate(url, username, password) {
     return api.authenticate();
 }
 
-module.exports = { XtreamApi, createFromSource, authenticate };
+module.exports = { XtreamApi, createFromSource, authenticate, maskCredentials };
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh data directory, set before the database is opened
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecast-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.CREDENTIALS_KEY = 'test-key';
+
+const { getDb } = require('../server/db/sqlite');
+const { sources, users } = require('../server/db');
+const backupService = require('../server/services/backupService');
+const exportService = require('../server/services/exportService');
+const syncHistoryService = require('../server/services/syncHistoryService');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function addItem(sourceId, itemId) {
+    getDb().prepare('INSERT INTO playlist_items (source_id, item_id, type, name) VALUES (?, ?, ?, ?)')
+        .run(sourceId, itemId, 'live', itemId);
+}
+
+function count(sql, ...params) {
+    return getDb().prepare(sql).get(...params).count;
+}
+
+test('restore keeps the rows of unchanged sources and users', async () => {
+    const kept = await sources.create({ type: 'm3u', name: 'Kept', url: 'http://example.com/kept.m3u' });
+    const moved = await sources.create({ type: 'm3u', name: 'Moved', url: 'http://example.com/old.m3u' });
+    const admin = await users.create({ username: 'admin', passwordHash: 'hash', role: 'admin' });
+    const viewer = await users.create({ username: 'viewer', passwordHash: 'hash', role: 'viewer' });
+
+    for (const source of [kept, moved]) {
+        addItem(source.id, `${source.name}-1`);
+        syncHistoryService.start(source.id, { scopes: ['live'], trigger: 'manual' });
+    }
+    exportService.createToken(admin.id);
+    exportService.createToken(viewer.id);
+
+    const archive = backupService.createBackup();
+
+    // Changed since the backup: a different playlist and a different user behind the same ids
+    await sources.update(moved.id, { url: 'http://example.com/new.m3u' });
+    await users.update(viewer.id, { username: 'someone-else' });
+
+    const result = backupService.restoreBackup(archive);
+
+    assert.deepStrictEqual(result.droppedSources, [moved.id]);
+    assert.strictEqual(count('SELECT COUNT(*) AS count FROM playlist_items WHERE source_id = ?', kept.id), 1);
+    assert.strictEqual(count('SELECT COUNT(*) AS count FROM sync_runs WHERE source_id = ?', kept.id), 1);
+    assert.strictEqual(count('SELECT COUNT(*) AS count FROM playlist_items WHERE source_id = ?', moved.id), 0);
+    assert.strictEqual(count('SELECT COUNT(*) AS count FROM sync_runs WHERE source_id = ?', moved.id), 0);
+    assert.strictEqual((await sources.getById(moved.id)).url, 'http://example.com/old.m3u');
+
+    assert.ok(exportService.getTokenInfo(admin.id));
+    assert.strictEqual(exportService.getTokenInfo(viewer.id), null);
+    assert.strictEqual((await users.getById(viewer.id)).username, 'viewer');
+});
+
+test('encrypted backup only opens with its passphrase', async () => {
+    await sources.create({ type: 'xtream', name: 'Provider', url: 'http://example.com', username: 'bob', password: 'provider-password' });
+    const archive = backupService.createBackup();
+
+    assert.match(backupService.validatePassphrase('short'), /at least/);
+    const encrypted = backupService.encryptBackup(archive, 'correct horse');
+    assert.ok(backupService.isEncryptedBackup(encrypted));
+    assert.ok(!JSON.stringify(encrypted).includes('provider-password'));
+
+    assert.strictEqual(backupService.decryptBackup(encrypted, 'wrong horse'), null);
+    assert.deepStrictEqual(backupService.decryptBackup(encrypted, 'correct horse'), archive);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Short on purpose: every configured password is redacted, whatever its length
+const USERNAME = 'provider-user';
+const PASSWORD = 'pw9';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecast-test-'));
+const port = 30000 + Math.floor(Math.random() * 20000);
+const base = `http://127.0.0.1:${port}`;
+let server;
+let provider;
+let token;
+
+/**
+ * Minimal Xtream provider: one live channel, playable as HLS (relative and absolute
+ * segment URLs carrying the account path) and as MPEG-TS
+ */
+function startProvider() {
+    provider = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://provider');
+        const origin = `http://127.0.0.1:${provider.address().port}`;
+        const account = `/live/${USERNAME}/${PASSWORD}`;
+
+        if (url.pathname === '/player_api.php') {
+            const responses = {
+                '': { user_info: { username: USERNAME, password: PASSWORD, auth: 1, status: 'Active' }, server_info: {} },
+                get_live_categories: [{ category_id: '1', category_name: 'News' }],
+                get_live_streams: [{ stream_id: 1, name: 'News One', category_id: '1' }]
+            };
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify(responses[url.searchParams.get('action') || ''] || []));
+        }
+        if (url.pathname === `${account}/1.m3u8`) {
+            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+            return res.end(`#EXTM3U\n#EXTINF:10,\n1_0.ts\n#EXTINF:10,\n${origin}${account}/1_1.ts\n`);
+        }
+        if (url.pathname.startsWith(`${account}/1`)) {
+            res.setHeader('Content-Type', 'video/mp2t');
+            return res.end('TS-DATA');
+        }
+        if (url.pathname === '/xmltv.php') {
+            return res.end('<?xml version="1.0"?><tv></tv>');
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    return new Promise(resolve => provider.listen(0, '127.0.0.1', resolve));
+}
+
+/**
+ * Request the server and check that neither the headers nor the body carry the credentials
+ */
+async function request(method, url, body) {
+    const response = await fetch(url.startsWith('http') ? url : base + url, {
+        method,
+        redirect: 'manual',
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const headers = JSON.stringify([...response.headers]);
+
+    for (const secret of [USERNAME, PASSWORD]) {
+        assert.ok(!headers.includes(secret), `${method} ${url} headers carry "${secret}"`);
+        assert.ok(!text.includes(secret), `${method} ${url} response carries "${secret}"`);
+    }
+    assert.notStrictEqual(response.status, 302, `${method} ${url} redirects`);
+    return { status: response.status, text, json: () => JSON.parse(text) };
+}
+
+async function waitFor(check, what) {
+    for (let i = 0; i < 100; i++) {
+        try {
+            if (await check()) return;
+        } catch (err) {
+            // Not up yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+test.before(async () => {
+    await startProvider();
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'index.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, CREDENTIALS_KEY: 'test-key' },
+        stdio: 'ignore'
+    });
+    await waitFor(async () => (await fetch(`${base}/api/auth/setup-required`)).ok, 'the server');
+});
+
+test.after(async () => {
+    server?.kill();
+    await new Promise(resolve => provider ? provider.close(resolve) : resolve());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('no API response carries the provider credentials', async () => {
+    token = (await request('POST', '/api/auth/setup', { username: 'admin', password: 'secret1' })).json().token;
+
+    const source = (await request('POST', '/api/sources', {
+        type: 'xtream',
+        name: 'Provider',
+        url: `http://127.0.0.1:${provider.address().port}`,
+        username: USERNAME,
+        password: PASSWORD
+    })).json();
+
+    await waitFor(async () => (await request('GET', `/api/proxy/xtream/${source.id}/live_streams`)).json().length === 1, 'the sync');
+
+    await request('GET', '/api/sources');
+    await request('GET', `/api/sources/${source.id}`);
+    await request('PUT', `/api/sources/${source.id}`, { name: 'Renamed' });
+    await request('GET', `/api/proxy/xtream/${source.id}`);
+    await request('GET', '/api/sync-runs');
+
+    // HLS: the manifest and every segment are fetched through the server
+    const hls = (await request('GET', `/api/proxy/xtream/${source.id}/stream/1/live?container=m3u8`)).json();
+    const manifest = await request('GET', hls.url);
+    assert.strictEqual(manifest.status, 200);
+    const segments = manifest.text.split('\n').filter(line => line && !line.startsWith('#'));
+    assert.strictEqual(segments.length, 2);
+    for (const segment of segments) {
+        assert.strictEqual((await request('GET', segment)).text, 'TS-DATA');
+    }
+
+    // MPEG-TS is piped through
+    const ts = (await request('GET', `/api/proxy/xtream/${source.id}/stream/1/live?container=ts`)).json();
+    assert.strictEqual((await request('GET', ts.url)).text, 'TS-DATA');
+
+    // Playlist export, in direct mode, as an external player loads it
+    const exportToken = (await request('POST', '/api/export/token')).json().token;
+    token = null;
+    const playlist = await request('GET', `/playlist.m3u?token=${exportToken}`);
+    assert.match(playlist.text, /News One/);
+});
@@ -0,0 +1,47 @@
+// Fixed zone with daylight saving time; set before any date is created
+process.env.TZ = 'Europe/London';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cron = require('../server/services/cron');
+
+test('daily run skipped by clocks going forward fires when they jump', () => {
+    // 29 March 2026: 01:00 GMT becomes 02:00 BST
+    const first = cron.nextRun('30 1 * * *', new Date(2026, 2, 28, 12, 0));
+    assert.strictEqual(first.getTime(), Date.UTC(2026, 2, 29, 1, 0));
+    assert.deepStrictEqual(cron.nextRun('30 1 * * *', first), new Date(2026, 2, 30, 1, 30));
+});
+
+test('daily run in the hour repeated by clocks going back fires once', () => {
+    // 25 October 2026: 02:00 BST becomes 01:00 GMT
+    const first = cron.nextRun('30 1 * * *', new Date(2026, 9, 25, 0, 0));
+    assert.strictEqual(first.getTime(), Date.UTC(2026, 9, 25, 0, 30));
+    assert.deepStrictEqual(cron.nextRun('30 1 * * *', first), new Date(2026, 9, 26, 1, 30));
+});
+
+test('restricted day of month and day of week match either', () => {
+    // The 13th, or any Friday; 1 January 2026 is a Thursday
+    let date = new Date(2026, 0, 1, 12, 0);
+    const runs = [];
+    for (let i = 0; i < 4; i++) {
+        date = cron.nextRun('0 0 13 * fri', date);
+        runs.push(date.getDate());
+    }
+    assert.deepStrictEqual(runs, [2, 9, 13, 16]);
+});
+
+test('day of month or day of week left as * only checks the other', () => {
+    assert.deepStrictEqual(cron.nextRun('0 0 13 * *', new Date(2026, 0, 1)), new Date(2026, 0, 13));
+    assert.deepStrictEqual(cron.nextRun('0 0 * * fri', new Date(2026, 0, 1)), new Date(2026, 0, 2));
+});
+
+test('expression that never fires returns null', () => {
+    assert.strictEqual(cron.validate('0 0 30 2 *'), null);
+    assert.strictEqual(cron.nextRun('0 0 30 2 *', new Date(2026, 0, 1)), null);
+});
+
+test('invalid expressions are reported', () => {
+    assert.match(cron.validate('0 0 * *'), /5 fields/);
+    assert.match(cron.validate('61 * * * *'), /minute/);
+    assert.match(cron.validate('0 0 * * 1-'), /day of week/);
+});